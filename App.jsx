@@ -1,374 +1,355 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { LineChart, Line, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
-import { TrendingUp, TrendingDown, Activity, AlertCircle, RefreshCw } from 'lucide-react';
-
-// Top ASX 200 stocks to analyze
-const ASX_STOCKS = [
-  'CBA.AX', 'BHP.AX', 'CSL.AX', 'NAB.AX', 'WBC.AX', 'ANZ.AX', 'MQG.AX', 'WES.AX', 
-  'GMG.AX', 'RIO.AX', 'WOW.AX', 'FMG.AX', 'TCL.AX', 'TLS.AX', 'WDS.AX', 'ALL.AX',
-  'COL.AX', 'QBE.AX', 'STO.AX', 'ORG.AX', 'REA.AX', 'RMD.AX', 'NCM.AX', 'S32.AX'
-];
+import {
+  TrendingUp, TrendingDown, Activity, AlertCircle, RefreshCw, Settings, List, Star, Bell, Briefcase, Wallet, Filter, LayoutGrid, Table,
+  Download, Printer, GitCompare, FlaskConical
+} from 'lucide-react';
+import { createMarketDataProvider, loadStocks, TIMEFRAMES } from './data/marketData.js';
+import { marketClock } from './data/asxCalendar.js';
+import { createQuoteStream } from './data/quoteStream.js';
+import { DEFAULT_UNIVERSE, fillMarketCaps, formatMarketCap, mergeUniverse } from './data/universe.js';
+import { BENCHMARKS } from './data/benchmarks.js';
+import { buildStockData, applyMarketSession } from './analysis/stockAnalysis.js';
+import { computeBreadth } from './analysis/breadth.js';
+import { DEFAULT_BACKTEST_CONFIG, requiredHistory } from './analysis/backtest.js';
+import { createAnalysisPool } from './analysis/workerPool.js';
+import { DEFAULT_STRATEGY, normaliseStrategy } from './analysis/strategy.js';
+import { SCREEN_FIELDS, matchesScreen, sortStocks } from './analysis/screener.js';
+import { journalDays } from './analysis/journal.js';
+import { toggleCompare } from './analysis/comparison.js';
+import { applyCombination } from './analysis/optimiser.js';
+import { performanceReport } from './analysis/performance.js';
+import { usePersistentState } from './hooks/usePersistentState.js';
+import { useAlerts } from './hooks/useAlerts.js';
+import { usePaperTrading } from './hooks/usePaperTrading.js';
+import { useTimeframeHistory } from './hooks/useTimeframeHistory.js';
+import { useAnalysedStocks } from './hooks/useAnalysedStocks.js';
+import { useQuoteStream } from './hooks/useQuoteStream.js';
+import { usePriceFlash } from './hooks/usePriceFlash.js';
+import { usePredictionJournal } from './hooks/usePredictionJournal.js';
+import { useOptimiser } from './hooks/useOptimiser.js';
+import StockCharts from './components/StockCharts.jsx';
+import MarketOverview from './components/MarketOverview.jsx';
+import SignalBadge from './components/SignalBadge.jsx';
+import BacktestSettings from './components/BacktestSettings.jsx';
+import BenchmarkComparison from './components/BenchmarkComparison.jsx';
+import JournalControls from './components/JournalControls.jsx';
+import ReliabilityChart from './components/ReliabilityChart.jsx';
+import StrategySettings from './components/StrategySettings.jsx';
+import UniverseManager from './components/UniverseManager.jsx';
+import WatchlistManager from './components/WatchlistManager.jsx';
+import WatchlistStar from './components/WatchlistStar.jsx';
+import AlertsPanel from './components/AlertsPanel.jsx';
+import PaperTradingPanel from './components/PaperTradingPanel.jsx';
+import TradeTicket from './components/TradeTicket.jsx';
+import RiskPanel from './components/RiskPanel.jsx';
+import PortfolioPanel from './components/PortfolioPanel.jsx';
+import RelativeStrengthPanel from './components/RelativeStrengthPanel.jsx';
+import ScreenerPanel from './components/ScreenerPanel.jsx';
+import StockTable from './components/StockTable.jsx';
+import ComparePanel from './components/ComparePanel.jsx';
+import OptimiserPanel from './components/OptimiserPanel.jsx';
+import PerformanceAnalytics from './components/PerformanceAnalytics.jsx';
+import { toggleSymbol } from './data/watchlists.js';
+import { downloadFile, printHtml } from './data/download.js';
+import { exportStocksCsv, exportStocksJson, exportBacktestDaysCsv, exportBacktestTradesCsv } from './data/exports.js';
+import { buildPreMarketReport } from './data/preMarketReport.js';
+import { DEFAULT_RISK_SETTINGS, sizePosition } from './trading/positionSizing.js';
+import { buildHoldings } from './trading/portfolio.js';
+
+// Days of daily history requested per symbol
+const HISTORY_DAYS = TIMEFRAMES['1d'].days;
+
+// Stock cards per page in the market movers grid
+const PAGE_SIZE = 10;
+
+// 'YYYY-MM-DD' -> 'Mon 19 Oct'
+const formatSessionDate = (date) => new Date(`${date}T00:00:00Z`).toLocaleDateString('en-AU', {
+  weekday: 'short', day: 'numeric', month: 'short', timeZone: 'UTC'
+});
+
+// Source of OHLCV history (configured through VITE_MARKET_DATA_* env vars)
+const marketData = createMarketDataProvider();
+
+// Indicator and backtest work runs off the UI thread; workers keep per-symbol state
+const analysisPool = createAnalysisPool();
+
+// Live quotes (VITE_QUOTE_STREAM); null means poll for fresh history instead
+const quoteStream = createQuoteStream();
+
+// Full history reload interval while polling
+const POLL_INTERVAL_MS = 60000;
 
 const ASXTradingDashboard = () => {
-  const [stocks, setStocks] = useState([]);
+  const [histories, setHistories] = useState({});
+  const [benchmarkHistories, setBenchmarkHistories] = useState({});
   const [loading, setLoading] = useState(true);
-  const [selectedStock, setSelectedStock] = useState(null);
+  const [selectedSymbol, setSelectedSymbol] = usePersistentState('selectedSymbol', null);
   const [lastUpdate, setLastUpdate] = useState(new Date());
-  const [filter, setFilter] = useState('all'); // all, bullish, bearish, gainers
+  const [dataError, setDataError] = useState(null);
+  const [filter, setFilter] = usePersistentState('filter', 'all'); // all, bullish, bearish, gainers, watchlist:<id>, screen:<id>
   const [showBacktest, setShowBacktest] = useState(false);
   const [backtestData, setBacktestData] = useState([]);
+  const [calibrationReport, setCalibrationReport] = useState({ reliability: [], brierScore: null });
+  const [calibration, setCalibration] = useState(null);
+  const [benchmarkReport, setBenchmarkReport] = useState(null);
+  const [backtestConfig, setBacktestConfig] = useState(DEFAULT_BACKTEST_CONFIG);
+  const [accuracySource, setAccuracySource] = usePersistentState('accuracySource', 'journal'); // journal, backtest
+  const [journalRange, setJournalRange] = usePersistentState('journalRange', { from: null, to: null });
+  const [showStrategy, setShowStrategy] = useState(false);
+  const [strategyProfiles, setStrategyProfiles] = usePersistentState('strategyProfiles', {
+    active: DEFAULT_STRATEGY.name,
+    profiles: {}
+  });
 
-  // Generate 7-day backtest data
-  const generateBacktestData = () => {
-    const backtestResults = [];
-    const daysToTest = 7;
-
-    for (let dayOffset = daysToTest; dayOffset >= 1; dayOffset--) {
-      const date = new Date();
-      date.setDate(date.getDate() - dayOffset);
-      const dateStr = date.toLocaleDateString('en-AU', { month: 'short', day: 'numeric' });
-
-      // Generate stock predictions for that day
-      const dayPredictions = [];
-      let totalPredictions = 0;
-      let successfulPredictions = 0;
-      let totalGain = 0;
-
-      // Test a subset of stocks
-      ASX_STOCKS.slice(0, 15).forEach(symbol => {
-        const basePrice = 20 + Math.random() * 80;
-        const trend = Math.random() * 4 - 2;
-        
-        // Generate data up to that day
-        const stockData = generateStockData(symbol, basePrice, trend);
-        
-        // Check if it would have been predicted as high probability
-        if (stockData.isHighProbability && stockData.gainProbability >= 60) {
-          totalPredictions++;
-          
-          // Simulate actual outcome (with some randomness based on probability)
-          const successChance = stockData.gainProbability / 100;
-          const didSucceed = Math.random() < successChance;
-          
-          let actualGain;
-          if (didSucceed) {
-            // Successful prediction - gain between 1% and 3%
-            actualGain = 1 + Math.random() * 2;
-            successfulPredictions++;
-          } else {
-            // Failed prediction - loss between -0.5% and 0.8%
-            actualGain = -0.5 + Math.random() * 1.3;
-          }
-          
-          totalGain += actualGain;
-
-          dayPredictions.push({
-            symbol,
-            predictedProb: stockData.gainProbability,
-            actualGain,
-            success: actualGain >= 1.0
-          });
-        }
-      });
-
-      const winRate = totalPredictions > 0 ? (successfulPredictions / totalPredictions) * 100 : 0;
-      const avgGain = totalPredictions > 0 ? totalGain / totalPredictions : 0;
-
-      backtestResults.push({
-        date: dateStr,
-        fullDate: date,
-        totalPredictions,
-        successfulPredictions,
-        failedPredictions: totalPredictions - successfulPredictions,
-        winRate,
-        avgGain,
-        predictions: dayPredictions.slice(0, 5) // Top 5 for detail view
-      });
-    }
+  const [savedUniverse, setUniverse] = usePersistentState('universe', DEFAULT_UNIVERSE);
+  const universe = useMemo(() => fillMarketCaps(savedUniverse), [savedUniverse]);
+  const [catalog, setCatalog] = usePersistentState('universeCatalog', []);
+  const [showUniverse, setShowUniverse] = useState(false);
+  const [page, setPage] = useState(0);
+  const [watchlists, setWatchlists] = usePersistentState('watchlists', []);
+  const [showWatchlists, setShowWatchlists] = useState(false);
+  const [showAlerts, setShowAlerts] = useState(false);
+  const [showPaperTrading, setShowPaperTrading] = useState(false);
+  const [ticketSymbol, setTicketSymbol] = useState(null);
+  const [riskSettings, setRiskSettings] = usePersistentState('riskSettings', DEFAULT_RISK_SETTINGS);
+  const [timeframe, setTimeframe] = usePersistentState('timeframe', '1d');
+  const [clock, setClock] = useState(() => marketClock());
+  const [portfolioTrades, setPortfolioTrades] = usePersistentState('portfolioTrades', []);
+  const [showPortfolio, setShowPortfolio] = useState(false);
+  const [screens, setScreens] = usePersistentState('screens', []);
+  const [showScreener, setShowScreener] = useState(false);
+  const [viewMode, setViewMode] = usePersistentState('viewMode', 'cards'); // cards, table
+  const [sort, setSort] = usePersistentState('sort', null); // { key, direction } or null for the default order
+  const [compareSymbols, setCompareSymbols] = usePersistentState('compareSymbols', []);
+  const [compareMode, setCompareMode] = useState(false);
+  const [showOptimiser, setShowOptimiser] = useState(false);
+
+  const symbols = useMemo(() => universe.map(entry => entry.symbol), [universe]);
+  const symbolsKey = symbols.join(',');
+
+  // Active scoring strategy; the built-in Default is never stored
+  const strategy = useMemo(() => normaliseStrategy(
+    strategyProfiles.profiles[strategyProfiles.active] ?? DEFAULT_STRATEGY
+  ), [strategyProfiles]);
 
-    return backtestResults;
-  };
+  // Load stock data
+  useEffect(() => {
+    const refresh = async () => {
+      setLoading(true);
 
-  // Predict intraday 1%+ gain probability
-  const predictIntradayGain = (stockData) => {
-    const { prices, volume, rsi, macd, currentPrice, changePercent } = stockData;
-    let gainProbability = 0;
-    const reasons = [];
-
-    // 1. Strong momentum already today (0-3% gain)
-    if (changePercent > 0.3 && changePercent < 3) {
-      gainProbability += 25;
-      reasons.push('Positive momentum today (+' + changePercent.toFixed(2) + '%)');
-    }
-
-    // 2. RSI in sweet spot (40-65) - room to run, not overbought
-    if (rsi > 40 && rsi < 65) {
-      gainProbability += 20;
-      reasons.push('RSI in ideal range (' + rsi.toFixed(1) + ') - room to climb');
-    }
-
-    // 3. Positive MACD with increasing strength
-    if (macd.histogram > 0) {
-      gainProbability += 20;
-      reasons.push('Bullish MACD - momentum building');
-    }
-
-    // 4. Volume spike (50%+ above average)
-    const avgVolume = volume.slice(-20).reduce((a, b) => a + b, 0) / 20;
-    const recentVolume = volume.slice(-3).reduce((a, b) => a + b, 0) / 3;
-    if (recentVolume > avgVolume * 1.5) {
-      gainProbability += 20;
-      reasons.push('Volume spike detected - strong buying interest');
-    }
-
-    // 5. Price near recent support with bounce pattern
-    const recentLow = Math.min(...prices.slice(-10));
-    const recentHigh = Math.max(...prices.slice(-10));
-    const priceRange = recentHigh - recentLow;
-    const pricePosition = (currentPrice - recentLow) / priceRange;
-    
-    if (pricePosition > 0.3 && pricePosition < 0.7) {
-      gainProbability += 15;
-      reasons.push('Price in mid-range - good entry position');
-    }
-
-    // Bonus: Check for breakout pattern
-    const sma5 = prices.slice(-5).reduce((a, b) => a + b, 0) / 5;
-    if (currentPrice > sma5 && changePercent > 0) {
-      gainProbability += 10;
-      reasons.push('Breaking above 5-day average');
-    }
+      const loaded = await loadStocks(marketData, symbols, { days: HISTORY_DAYS, benchmarks: BENCHMARKS });
 
-    return {
-      gainProbability: Math.min(gainProbability, 95), // Cap at 95%
-      gainReasons: reasons,
-      isHighProbability: gainProbability >= 60
+      setHistories(loaded.histories);
+      setBenchmarkHistories(loaded.benchmarks);
+      setDataError(loaded.failed.length > 0 ? `No ${marketData.name} data for ${loaded.failed.join(', ')}` : null);
+      setLoading(false);
+      setLastUpdate(new Date());
     };
-  };
 
-  // Calculate RSI (Relative Strength Index)
-  const calculateRSI = (prices, period = 14) => {
-    if (prices.length < period + 1) return 50;
-    
-    let gains = 0;
-    let losses = 0;
-    
-    for (let i = prices.length - period; i < prices.length; i++) {
-      const change = prices[i] - prices[i - 1];
-      if (change > 0) gains += change;
-      else losses -= change;
-    }
-    
-    const avgGain = gains / period;
-    const avgLoss = losses / period;
-    
-    if (avgLoss === 0) return 100;
-    const rs = avgGain / avgLoss;
-    return 100 - (100 / (1 + rs));
-  };
+    refresh();
 
-  // Calculate MACD
-  const calculateMACD = (prices) => {
-    if (prices.length < 26) return { macd: 0, signal: 0, histogram: 0 };
-    
-    const ema12 = calculateEMA(prices, 12);
-    const ema26 = calculateEMA(prices, 26);
-    const macd = ema12 - ema26;
-    
-    return { macd, signal: 0, histogram: macd };
-  };
+    // Without a live stream, reload in the background every minute
+    if (quoteStream) return undefined;
+    const interval = setInterval(refresh, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [symbolsKey]);
 
-  // Calculate EMA (Exponential Moving Average)
-  const calculateEMA = (prices, period) => {
-    if (prices.length < period) return prices[prices.length - 1];
-    
-    const multiplier = 2 / (period + 1);
-    let ema = prices.slice(0, period).reduce((a, b) => a + b, 0) / period;
-    
-    for (let i = period; i < prices.length; i++) {
-      ema = (prices[i] - ema) * multiplier + ema;
-    }
-    
-    return ema;
-  };
+  // Live ticks are folded into the loaded histories
+  const streamStatus = useQuoteStream(quoteStream, histories, setHistories);
 
-  // Analyze trend and generate prediction
-  const analyzeTrend = (stockData) => {
-    const { prices, volume, rsi, macd, sma20, sma50 } = stockData;
-    const currentPrice = prices[prices.length - 1];
-    const signals = [];
-    let bullishScore = 0;
-    let bearishScore = 0;
-
-    // RSI Analysis
-    if (rsi < 30) {
-      signals.push({ type: 'bullish', indicator: 'RSI', reason: `Oversold (${rsi.toFixed(1)})` });
-      bullishScore += 25;
-    } else if (rsi > 70) {
-      signals.push({ type: 'bearish', indicator: 'RSI', reason: `Overbought (${rsi.toFixed(1)})` });
-      bearishScore += 25;
-    }
-
-    // MACD Analysis
-    if (macd.histogram > 0) {
-      signals.push({ type: 'bullish', indicator: 'MACD', reason: 'Positive momentum' });
-      bullishScore += 20;
-    } else {
-      signals.push({ type: 'bearish', indicator: 'MACD', reason: 'Negative momentum' });
-      bearishScore += 20;
-    }
-
-    // Moving Average Analysis
-    if (currentPrice > sma20 && sma20 > sma50) {
-      signals.push({ type: 'bullish', indicator: 'MA', reason: 'Price above MAs, uptrend' });
-      bullishScore += 30;
-    } else if (currentPrice < sma20 && sma20 < sma50) {
-      signals.push({ type: 'bearish', indicator: 'MA', reason: 'Price below MAs, downtrend' });
-      bearishScore += 30;
-    }
-
-    // Volume Analysis
-    const avgVolume = volume.slice(-20).reduce((a, b) => a + b, 0) / 20;
-    const currentVolume = volume[volume.length - 1];
-    if (currentVolume > avgVolume * 1.5) {
-      const priceChange = ((currentPrice - prices[prices.length - 2]) / prices[prices.length - 2]) * 100;
-      if (priceChange > 0) {
-        signals.push({ type: 'bullish', indicator: 'Volume', reason: 'High volume + price increase' });
-        bullishScore += 25;
-      } else {
-        signals.push({ type: 'bearish', indicator: 'Volume', reason: 'High volume + price decrease' });
-        bearishScore += 25;
-      }
-    }
-
-    const totalScore = bullishScore + bearishScore;
-    const bullishConfidence = totalScore > 0 ? (bullishScore / totalScore) * 100 : 50;
-    const prediction = bullishConfidence > 60 ? 'BULLISH' : bullishConfidence < 40 ? 'BEARISH' : 'NEUTRAL';
+  // Track the ASX session phase (pre-open, open, closing auction, closed)
+  useEffect(() => {
+    const interval = setInterval(() => setClock(marketClock()), 30000);
+    return () => clearInterval(interval);
+  }, []);
 
-    return {
-      prediction,
-      confidence: Math.abs(bullishConfidence - 50) * 2,
-      signals,
-      bullishScore,
-      bearishScore
-    };
-  };
+  // Replay history through the walk-forward backtester whenever its settings change
+  useEffect(() => {
+    let cancelled = false;
+
+    const runBacktest = async () => {
+      const { histories, benchmarks } = await loadStocks(marketData, symbols, {
+        days: requiredHistory(backtestConfig),
+        benchmarks: BENCHMARKS
+      });
 
-  // Generate sample historical data (in real app, this would fetch from API)
-  const generateStockData = (symbol, basePrice, trend = 0) => {
-    const prices = [];
-    const volume = [];
-    const dates = [];
-    
-    let price = basePrice;
-    const volatility = basePrice * 0.02;
-    
-    for (let i = 0; i < 60; i++) {
-      const randomChange = (Math.random() - 0.5) * volatility;
-      const trendChange = trend * basePrice * 0.001;
-      price = price + randomChange + trendChange;
-      prices.push(price);
-      volume.push(Math.floor(Math.random() * 5000000) + 1000000);
-      
-      const date = new Date();
-      date.setDate(date.getDate() - (60 - i));
-      dates.push(date.toISOString().split('T')[0]);
-    }
-
-    const rsi = calculateRSI(prices);
-    const macd = calculateMACD(prices);
-    const sma20 = calculateEMA(prices.slice(-20), 20);
-    const sma50 = calculateEMA(prices.slice(-50), 50);
-    
-    const currentPrice = prices[prices.length - 1];
-    const previousPrice = prices[prices.length - 2];
-    const change = currentPrice - previousPrice;
-    const changePercent = (change / previousPrice) * 100;
-
-    const stockData = {
-      symbol,
-      name: symbol.replace('.AX', ''),
-      currentPrice,
-      change,
-      changePercent,
-      prices,
-      volume,
-      dates,
-      rsi,
-      macd,
-      sma20,
-      sma50
+      if (cancelled) return;
+      const result = await analysisPool.backtest(histories, backtestConfig, strategy, benchmarks);
+      if (cancelled) return;
+      setBacktestData(result.days);
+      setBenchmarkReport(result.benchmark);
+      setCalibrationReport({ reliability: result.reliability, brierScore: result.brierScore });
+      setCalibration(result.liveCalibration);
     };
 
-    const analysis = analyzeTrend(stockData);
-    const intradayPrediction = predictIntradayGain(stockData);
+    runBacktest();
+    return () => { cancelled = true; };
+  }, [backtestConfig, strategy, symbolsKey]);
 
-    return {
-      ...stockData,
-      ...analysis,
-      ...intradayPrediction
-    };
+  // Parameter sweeps load their own, longer history and run in a worker
+  const optimiser = useOptimiser();
+  const runSweep = async ({ grid, config }) => {
+    const days = backtestConfig.lookback + config.sessions + backtestConfig.holdingPeriod;
+    const { histories: sweepHistories, benchmarks } = await loadStocks(marketData, symbols, { days, benchmarks: BENCHMARKS });
+    optimiser.run({ histories: sweepHistories, sweep: { grid, config, backtest: backtestConfig }, strategy, benchmarks });
   };
 
-  // Load stock data
-  useEffect(() => {
-    const loadStocks = () => {
-      setLoading(true);
-      
-      // Generate data for stocks with varying trends
-      const stockData = ASX_STOCKS.map((symbol, index) => {
-        // Assign different base prices and trends
-        const basePrice = 20 + Math.random() * 80;
-        const trend = Math.random() * 4 - 2; // Random trend between -2 and 2
-        return generateStockData(symbol, basePrice, trend);
-      });
+  // Optimised values are saved as a new profile; the Default profile is never overwritten
+  const saveOptimisedProfile = (values) => {
+    const name = `${strategy.name} (optimised)`;
+    setStrategyProfiles(prev => ({
+      active: name,
+      profiles: { ...prev.profiles, [name]: { ...applyCombination(strategy, values), name } }
+    }));
+  };
+
+  // Re-analysed per symbol as bars arrive; intraday calls are suppressed outside market hours
+  const marketOpen = clock.isOpen;
+  const {
+    stocks, progress: analysisProgress, ready: analysed, error: analysisError, version: analysisVersion, retry: retryAnalysis
+  } = useAnalysedStocks(
+    analysisPool, histories, universe, strategy, calibration, marketOpen, benchmarkHistories
+  );
+  const flashes = usePriceFlash(stocks);
+  const breadth = useMemo(() => computeBreadth(stocks), [stocks]);
+
+  // Alert rules are checked against each fresh batch of analysed stocks
+  const alerts = useAlerts(stocks, analysisVersion);
+
+  // Paper positions are marked to market on the same refreshes
+  const paperTrading = usePaperTrading(stocks, analysisVersion);
+
+  // Every gainer pick and trend call is journalled and later scored against real prices
+  const journal = usePredictionJournal(stocks, histories, clock, {
+    strategy: strategy.name,
+    horizon: backtestConfig.holdingPeriod,
+    threshold: backtestConfig.successThreshold
+  }, analysisVersion);
+
+  // The accuracy panel shows recorded outcomes from the journal or the walk-forward replay
+  const accuracyDays = useMemo(() => (
+    accuracySource === 'journal' ? journalDays(journal.entries, journalRange) : backtestData
+  ), [accuracySource, journal.entries, journalRange, backtestData]);
+  const performance = useMemo(
+    () => performanceReport(accuracyDays, backtestConfig.holdingPeriod),
+    [accuracyDays, backtestConfig.holdingPeriod]
+  );
 
-      // Sort by absolute change percent (biggest movers first)
-      stockData.sort((a, b) => Math.abs(b.changePercent) - Math.abs(a.changePercent));
+  // Units held per symbol, for the card badges
+  const heldUnits = useMemo(() => Object.fromEntries(
+    buildHoldings(portfolioTrades).filter(holding => holding.quantity > 0).map(holding => [holding.symbol, holding.quantity])
+  ), [portfolioTrades]);
+
+  // Held tickers outside the universe are added with whatever metadata we know
+  const addToUniverse = (newSymbols) => {
+    const known = mergeUniverse(catalog, DEFAULT_UNIVERSE);
+    setUniverse(mergeUniverse(universe, newSymbols.map(symbol => (
+      known.find(entry => entry.symbol === symbol) ?? { symbol, name: symbol.replace('.AX', ''), sector: null, marketCap: null }
+    ))));
+  };
 
-      setStocks(stockData);
-      setLoading(false);
-      setLastUpdate(new Date());
-    };
+  const selectedStock = stocks.find(stock => stock.symbol === selectedSymbol) ?? null;
+  const compareStocks = compareSymbols.map(symbol => stocks.find(stock => stock.symbol === symbol)).filter(Boolean);
 
-    loadStocks();
-    
-    // Generate backtest data
-    const backtest = generateBacktestData();
-    setBacktestData(backtest);
-    
-    // Auto-refresh every 60 seconds (in real app with live data)
-    const interval = setInterval(loadStocks, 60000);
-    return () => clearInterval(interval);
-  }, []);
+  // In compare mode picking a card or row adds it to (or drops it from) the comparison
+  const selectStock = (symbol) => {
+    if (compareMode) setCompareSymbols(prev => toggleCompare(prev, symbol));
+    else setSelectedSymbol(symbol);
+  };
 
-  const filteredStocks = stocks.filter(stock => {
-    if (filter === 'bullish') return stock.prediction === 'BULLISH';
-    if (filter === 'bearish') return stock.prediction === 'BEARISH';
-    if (filter === 'gainers') return stock.isHighProbability;
+  // The detailed view analyses the selected stock on the chosen timeframe. Intraday
+  // bars are scored with the same strategy, uncalibrated (calibration is fit on daily bars).
+  const intraday = useTimeframeHistory(marketData, selectedSymbol, timeframe, lastUpdate);
+  const detailStock = useMemo(() => {
+    if (!selectedStock || timeframe === '1d') return selectedStock;
+    if (!intraday.bars || intraday.bars.length < 2) return null;
+    return {
+      ...applyMarketSession(buildStockData(selectedStock.symbol, intraday.bars, strategy), { isOpen: marketOpen }),
+      name: selectedStock.name,
+      sector: selectedStock.sector,
+      marketCap: selectedStock.marketCap
+    };
+  }, [selectedStock, timeframe, intraday.bars, strategy, marketOpen]);
+  const barUnit = timeframe === '1d' ? 'day' : 'bar';
+
+  // A saved filter can point at a watchlist or screen that has since been deleted
+  const activeWatchlist = filter.startsWith('watchlist:')
+    ? watchlists.find(list => `watchlist:${list.id}` === filter)
+    : null;
+  const activeScreen = filter.startsWith('screen:')
+    ? screens.find(screen => `screen:${screen.id}` === filter)
+    : null;
+  const activeFilter = (filter.startsWith('watchlist:') && !activeWatchlist) || (filter.startsWith('screen:') && !activeScreen)
+    ? 'all'
+    : filter;
+
+  const toggleWatchlistSymbol = (id, symbol) => setWatchlists(watchlists.map(list => (
+    list.id === id ? toggleSymbol(list, symbol) : list
+  )));
+
+  const matchingStocks = stocks.filter(stock => {
+    if (activeWatchlist) return activeWatchlist.symbols.includes(stock.symbol);
+    if (activeScreen) return matchesScreen(stock, activeScreen);
+    if (activeFilter === 'bullish') return stock.prediction === 'BULLISH';
+    if (activeFilter === 'bearish') return stock.prediction === 'BEARISH';
+    if (activeFilter === 'gainers') return stock.isHighProbability;
     return true;
   });
 
-  // Sort gainers by probability
-  if (filter === 'gainers') {
-    filteredStocks.sort((a, b) => b.gainProbability - a.gainProbability);
-  }
-
-  const SignalBadge = ({ signal }) => (
-    <div className={`inline-flex items-center px-2 py-1 rounded text-xs ${
-      signal.type === 'bullish' ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
-    }`}>
-      <span className="font-semibold">{signal.indicator}:</span>
-      <span className="ml-1">{signal.reason}</span>
-    </div>
-  );
+  // A chosen sort column wins; otherwise gainers sort by probability and
+  // everything else keeps the biggest movers first
+  const filteredStocks = sort ? sortStocks(matchingStocks, sort)
+    : activeFilter === 'gainers' ? [...matchingStocks].sort((a, b) => b.gainProbability - a.gainProbability)
+      : matchingStocks;
+
+  const pageCount = Math.max(1, Math.ceil(filteredStocks.length / PAGE_SIZE));
+  const currentPage = Math.min(page, pageCount - 1);
+  const pageStocks = filteredStocks.slice(currentPage * PAGE_SIZE, (currentPage + 1) * PAGE_SIZE);
+
+  // Exports are named after the view they came from and the session they cover
+  const exportName = `asx-${activeScreen?.name ?? activeWatchlist?.name ?? activeFilter}-${clock.session}`
+    .toLowerCase().replace(/[^a-z0-9-]+/g, '-');
+  const reportSession = clock.phase === 'closed' || clock.phase === 'preOpen' ? clock.nextOpen : clock.session;
+  const preMarketReport = () => buildPreMarketReport({ stocks, strategy, breadth, session: reportSession });
+
+  const changeFilter = (value) => {
+    setFilter(value);
+    setPage(0);
+  };
 
-  if (loading) {
+  // Only the first load and analysis blank the screen; later reloads update in place
+  const hasHistories = Object.keys(histories).length > 0;
+  if ((loading && !hasHistories) || (hasHistories && !analysed)) {
     return (
       <div className="flex items-center justify-center h-screen bg-gray-900">
-        <div className="text-center">
-          <RefreshCw className="w-12 h-12 text-blue-500 animate-spin mx-auto mb-4" />
+        <div className="text-center w-64">
+          {analysisError
+            ? <AlertCircle className="w-12 h-12 text-red-400 mx-auto mb-4" />
+            : <RefreshCw className="w-12 h-12 text-blue-500 animate-spin mx-auto mb-4" />}
           <p className="text-white text-lg">Analyzing ASX Market...</p>
+          {analysisProgress && analysisProgress.total > 0 && (
+            <>
+              <p className="text-gray-400 text-sm mt-2">{analysisProgress.done} / {analysisProgress.total} stocks</p>
+              <div className="h-2 bg-gray-700 rounded mt-2 overflow-hidden">
+                <div
+                  className="h-full bg-blue-500"
+                  style={{ width: `${(analysisProgress.done / analysisProgress.total) * 100}%` }}
+                />
+              </div>
+            </>
+          )}
+          {analysisError && (
+            <>
+              <p className="text-red-400 text-sm mt-2">Analysis failed: {analysisError}</p>
+              <button
+                onClick={retryAnalysis}
+                className="mt-3 px-3 py-1 rounded bg-blue-600 hover:bg-blue-500 text-white text-sm"
+              >
+                Retry
+              </button>
+            </>
+          )}
         </div>
       </div>
     );
@@ -383,25 +364,64 @@ const ASXTradingDashboard = () => {
             <Activity className="mr-3 text-blue-500" />
             ASX Day Trading Dashboard
           </h1>
-          <p className="text-gray-400">
+          <p className="text-gray-400 flex items-center">
             Real-time market analysis & trend prediction • Last updated: {lastUpdate.toLocaleTimeString()}
+            {loading && <RefreshCw className="ml-2 w-4 h-4 text-blue-500 animate-spin" />}
+            {quoteStream && (
+              <span className={`ml-3 text-xs px-2 py-0.5 rounded ${
+                streamStatus === 'live' ? 'bg-green-900/50 text-green-300' : 'bg-yellow-900/50 text-yellow-300'
+              }`}>
+                {streamStatus === 'live' ? `Live quotes (${quoteStream.name})` : `Quotes ${streamStatus}...`}
+              </span>
+            )}
           </p>
+          <p className="text-sm mt-1 flex items-center">
+            <span className={`w-2 h-2 rounded-full mr-2 ${
+              clock.isOpen ? 'bg-green-400' : clock.phase === 'closed' ? 'bg-gray-500' : 'bg-yellow-400'
+            }`} />
+            <span className="text-gray-300">ASX {clock.label}</span>
+            <span className="text-gray-500 ml-2">
+              {clock.time} Sydney
+              {!clock.isOpen && ` • Next session ${formatSessionDate(clock.nextOpen)} 10:00`}
+            </span>
+          </p>
+          {dataError && (
+            <p className="text-sm text-yellow-400 mt-1 flex items-center">
+              <AlertCircle className="mr-2 w-4 h-4" />
+              {dataError}
+            </p>
+          )}
+          {journal.saveFailed && (
+            <p className="text-sm text-red-400 mt-1 flex items-center">
+              <AlertCircle className="mr-2 w-4 h-4" />
+              Prediction journal not saved: browser storage is full. Export and clear the journal to keep recording.
+            </p>
+          )}
+          {analysisError && (
+            <p className="text-sm text-red-400 mt-1 flex items-center">
+              <AlertCircle className="mr-2 w-4 h-4" />
+              Analysis failed: {analysisError}
+            </p>
+          )}
         </div>
 
+        {/* Market Overview */}
+        <MarketOverview breadth={breadth} regime={strategy.gain.regime} />
+
         {/* Filter Tabs */}
         <div className="flex gap-4 mb-6 flex-wrap items-center">
           <button
-            onClick={() => setFilter('all')}
+            onClick={() => changeFilter('all')}
             className={`px-6 py-2 rounded-lg font-semibold transition ${
-              filter === 'all' ? 'bg-blue-600' : 'bg-gray-800 hover:bg-gray-700'
+              activeFilter === 'all' ? 'bg-blue-600' : 'bg-gray-800 hover:bg-gray-700'
             }`}
           >
             All Stocks ({stocks.length})
           </button>
           <button
-            onClick={() => setFilter('gainers')}
+            onClick={() => changeFilter('gainers')}
             className={`px-6 py-3 rounded-lg font-semibold transition flex items-center ${
-              filter === 'gainers' ? 'bg-purple-600 shadow-lg shadow-purple-500/50' : 'bg-gray-800 hover:bg-gray-700'
+              activeFilter === 'gainers' ? 'bg-purple-600 shadow-lg shadow-purple-500/50' : 'bg-gray-800 hover:bg-gray-700'
             }`}
           >
             <TrendingUp className="mr-2 w-5 h-5" />
@@ -414,46 +434,247 @@ const ASXTradingDashboard = () => {
             </span>
           </button>
           <button
-            onClick={() => setFilter('bullish')}
+            onClick={() => changeFilter('bullish')}
             className={`px-6 py-2 rounded-lg font-semibold transition flex items-center ${
-              filter === 'bullish' ? 'bg-green-600' : 'bg-gray-800 hover:bg-gray-700'
+              activeFilter === 'bullish' ? 'bg-green-600' : 'bg-gray-800 hover:bg-gray-700'
             }`}
           >
             <TrendingUp className="mr-2 w-4 h-4" />
             Bullish ({stocks.filter(s => s.prediction === 'BULLISH').length})
           </button>
           <button
-            onClick={() => setFilter('bearish')}
+            onClick={() => changeFilter('bearish')}
             className={`px-6 py-2 rounded-lg font-semibold transition flex items-center ${
-              filter === 'bearish' ? 'bg-red-600' : 'bg-gray-800 hover:bg-gray-700'
+              activeFilter === 'bearish' ? 'bg-red-600' : 'bg-gray-800 hover:bg-gray-700'
             }`}
           >
             <TrendingDown className="mr-2 w-4 h-4" />
             Bearish ({stocks.filter(s => s.prediction === 'BEARISH').length})
           </button>
+
+          {/* Watchlist Tabs */}
+          {watchlists.map(list => (
+            <button
+              key={list.id}
+              onClick={() => changeFilter(`watchlist:${list.id}`)}
+              className={`px-6 py-2 rounded-lg font-semibold transition flex items-center ${
+                activeWatchlist?.id === list.id ? 'bg-yellow-600' : 'bg-gray-800 hover:bg-gray-700'
+              }`}
+            >
+              <Star className="mr-2 w-4 h-4" />
+              {list.name} ({stocks.filter(s => list.symbols.includes(s.symbol)).length})
+            </button>
+          ))}
+
+          {/* Saved Screen Tabs */}
+          {screens.map(screen => (
+            <button
+              key={screen.id}
+              onClick={() => changeFilter(`screen:${screen.id}`)}
+              className={`px-6 py-2 rounded-lg font-semibold transition flex items-center ${
+                activeScreen?.id === screen.id ? 'bg-cyan-600' : 'bg-gray-800 hover:bg-gray-700'
+              }`}
+            >
+              <Filter className="mr-2 w-4 h-4" />
+              {screen.name} ({stocks.filter(s => matchesScreen(s, screen)).length})
+            </button>
+          ))}
           
+          {/* Alerts Toggle */}
+          <button
+            onClick={() => { setShowAlerts(!showAlerts); alerts.markRead(); }}
+            className={`ml-auto px-6 py-2 rounded-lg font-semibold transition flex items-center ${
+              showAlerts ? 'bg-pink-600' : 'bg-gray-800 hover:bg-gray-700 border-2 border-pink-500'
+            }`}
+          >
+            <Bell className="mr-2 w-4 h-4" />
+            Alerts
+            {alerts.unread > 0 && (
+              <span className="ml-2 bg-pink-700 px-2 rounded text-sm">{alerts.unread}</span>
+            )}
+          </button>
+
+          {/* Portfolio Toggle */}
+          <button
+            onClick={() => setShowPortfolio(!showPortfolio)}
+            className={`px-6 py-2 rounded-lg font-semibold transition flex items-center ${
+              showPortfolio ? 'bg-emerald-600' : 'bg-gray-800 hover:bg-gray-700 border-2 border-emerald-500'
+            }`}
+          >
+            <Wallet className="mr-2 w-4 h-4" />
+            Portfolio
+          </button>
+
+          {/* Paper Trading Toggle */}
+          <button
+            onClick={() => setShowPaperTrading(!showPaperTrading)}
+            className={`px-6 py-2 rounded-lg font-semibold transition flex items-center ${
+              showPaperTrading ? 'bg-indigo-600' : 'bg-gray-800 hover:bg-gray-700 border-2 border-indigo-500'
+            }`}
+          >
+            <Briefcase className="mr-2 w-4 h-4" />
+            Paper Trading ({paperTrading.positions.filter(position => position.status === 'open').length})
+          </button>
+
+          {/* Screener Toggle */}
+          <button
+            onClick={() => setShowScreener(!showScreener)}
+            className={`px-6 py-2 rounded-lg font-semibold transition flex items-center ${
+              showScreener ? 'bg-cyan-600' : 'bg-gray-800 hover:bg-gray-700 border-2 border-cyan-500'
+            }`}
+          >
+            <Filter className="mr-2 w-4 h-4" />
+            Screener
+          </button>
+
+          {/* Watchlists Toggle */}
+          <button
+            onClick={() => setShowWatchlists(!showWatchlists)}
+            className={`px-6 py-2 rounded-lg font-semibold transition flex items-center ${
+              showWatchlists ? 'bg-yellow-600' : 'bg-gray-800 hover:bg-gray-700 border-2 border-yellow-500'
+            }`}
+          >
+            <Star className="mr-2 w-4 h-4" />
+            Watchlists
+          </button>
+
+          {/* Universe Toggle */}
+          <button
+            onClick={() => setShowUniverse(!showUniverse)}
+            className={`px-6 py-2 rounded-lg font-semibold transition flex items-center ${
+              showUniverse ? 'bg-teal-600' : 'bg-gray-800 hover:bg-gray-700 border-2 border-teal-500'
+            }`}
+          >
+            <List className="mr-2 w-4 h-4" />
+            Universe ({universe.length})
+          </button>
+
+          {/* Strategy Toggle */}
+          <button
+            onClick={() => setShowStrategy(!showStrategy)}
+            className={`px-6 py-2 rounded-lg font-semibold transition flex items-center ${
+              showStrategy ? 'bg-blue-600' : 'bg-gray-800 hover:bg-gray-700 border-2 border-blue-500'
+            }`}
+          >
+            <Settings className="mr-2 w-4 h-4" />
+            Strategy: {strategy.name}
+          </button>
+
+          {/* Optimiser Toggle */}
+          <button
+            onClick={() => setShowOptimiser(!showOptimiser)}
+            className={`px-6 py-2 rounded-lg font-semibold transition flex items-center ${
+              showOptimiser ? 'bg-lime-600' : 'bg-gray-800 hover:bg-gray-700 border-2 border-lime-500'
+            }`}
+          >
+            <FlaskConical className="mr-2 w-4 h-4" />
+            Optimise
+          </button>
+
           {/* Backtest Toggle */}
           <button
             onClick={() => setShowBacktest(!showBacktest)}
-            className={`ml-auto px-6 py-2 rounded-lg font-semibold transition flex items-center ${
+            className={`px-6 py-2 rounded-lg font-semibold transition flex items-center ${
               showBacktest ? 'bg-orange-600' : 'bg-gray-800 hover:bg-gray-700 border-2 border-orange-500'
             }`}
           >
             <Activity className="mr-2 w-4 h-4" />
-            {showBacktest ? 'Hide' : 'Show'} 7-Day Accuracy
+            {showBacktest ? 'Hide' : 'Show'} {backtestConfig.sessions}-Day Accuracy
           </button>
         </div>
 
+        {showAlerts && (
+          <AlertsPanel alerts={alerts} symbols={symbols} onClose={() => setShowAlerts(false)} />
+        )}
+
+        {showPortfolio && (
+          <PortfolioPanel
+            trades={portfolioTrades}
+            onTradesChange={setPortfolioTrades}
+            stocks={stocks}
+            universeSymbols={symbols}
+            onAddToUniverse={addToUniverse}
+            onSelect={setSelectedSymbol}
+            onClose={() => setShowPortfolio(false)}
+          />
+        )}
+
+        {showPaperTrading && (
+          <PaperTradingPanel trading={paperTrading} stocks={stocks} onClose={() => setShowPaperTrading(false)} />
+        )}
+
+        {showScreener && (
+          <ScreenerPanel
+            screens={screens}
+            onChange={setScreens}
+            stocks={stocks}
+            onApply={id => changeFilter(`screen:${id}`)}
+            onClose={() => setShowScreener(false)}
+          />
+        )}
+
+        {showWatchlists && (
+          <WatchlistManager
+            watchlists={watchlists}
+            onChange={setWatchlists}
+            onClose={() => setShowWatchlists(false)}
+          />
+        )}
+
+        {showUniverse && (
+          <UniverseManager
+            universe={universe}
+            onUniverseChange={setUniverse}
+            catalog={catalog}
+            onCatalogChange={setCatalog}
+            onClose={() => setShowUniverse(false)}
+          />
+        )}
+
+        {showStrategy && (
+          <StrategySettings
+            profiles={strategyProfiles}
+            onChange={setStrategyProfiles}
+            onClose={() => setShowStrategy(false)}
+          />
+        )}
+
+        {showOptimiser && (
+          <OptimiserPanel
+            strategy={strategy}
+            backtestConfig={backtestConfig}
+            optimiser={optimiser}
+            onRun={runSweep}
+            onApply={saveOptimisedProfile}
+            onClose={() => setShowOptimiser(false)}
+          />
+        )}
+
         {/* 7-Day Backtest Results */}
-        {showBacktest && backtestData.length > 0 && (
+        {showBacktest && (
           <div className="mb-8 bg-gradient-to-br from-orange-900/20 to-red-900/20 border-2 border-orange-500 rounded-lg p-6">
             <div className="flex items-center justify-between mb-6">
               <div>
                 <h2 className="text-3xl font-bold mb-2 flex items-center">
                   <Activity className="mr-3 text-orange-500" />
-                  7-Day Prediction Accuracy
+                  {accuracySource === 'journal' ? 'Prediction Journal Accuracy' : `${backtestConfig.sessions}-Day Prediction Accuracy`}
                 </h2>
-                <p className="text-gray-400">Historical performance of High Probability Gainer predictions</p>
+                <p className="text-gray-400">
+                  {accuracySource === 'journal'
+                    ? 'Real outcomes of the High Probability Gainer picks and trend calls recorded by this dashboard'
+                    : `Walk-forward replay of High Probability Gainer predictions, scored ${backtestConfig.holdingPeriod} session(s) after entry`}
+                </p>
+              </div>
+              <div className="ml-auto flex rounded-lg overflow-hidden text-sm">
+                {[['journal', 'Journal'], ['backtest', 'Backtest replay']].map(([source, label]) => (
+                  <button
+                    key={source}
+                    onClick={() => setAccuracySource(source)}
+                    className={`px-3 py-1 ${accuracySource === source ? 'bg-orange-600' : 'bg-gray-800 hover:bg-gray-700'}`}
+                  >
+                    {label}
+                  </button>
+                ))}
               </div>
               <button
                 onClick={() => setShowBacktest(false)}
@@ -463,166 +684,237 @@ const ASXTradingDashboard = () => {
               </button>
             </div>
 
-            {/* Overall Statistics */}
-            <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
-              {(() => {
-                const totalPreds = backtestData.reduce((sum, day) => sum + day.totalPredictions, 0);
-                const totalSuccess = backtestData.reduce((sum, day) => sum + day.successfulPredictions, 0);
-                const overallWinRate = totalPreds > 0 ? (totalSuccess / totalPreds) * 100 : 0;
-                const avgDailyGain = backtestData.reduce((sum, day) => sum + day.avgGain, 0) / backtestData.length;
-
-                return (
-                  <>
-                    <div className="bg-gray-800 rounded-lg p-4">
-                      <div className="text-gray-400 text-sm mb-1">Total Predictions</div>
-                      <div className="text-3xl font-bold text-blue-400">{totalPreds}</div>
-                      <div className="text-xs text-gray-500 mt-1">Last 7 days</div>
-                    </div>
-                    <div className="bg-gray-800 rounded-lg p-4">
-                      <div className="text-gray-400 text-sm mb-1">Overall Win Rate</div>
-                      <div className={`text-3xl font-bold ${overallWinRate >= 70 ? 'text-green-400' : overallWinRate >= 60 ? 'text-yellow-400' : 'text-red-400'}`}>
-                        {overallWinRate.toFixed(1)}%
-                      </div>
-                      <div className="text-xs text-gray-500 mt-1">{totalSuccess} wins / {totalPreds - totalSuccess} losses</div>
-                    </div>
-                    <div className="bg-gray-800 rounded-lg p-4">
-                      <div className="text-gray-400 text-sm mb-1">Avg Gain Per Trade</div>
-                      <div className={`text-3xl font-bold ${avgDailyGain >= 1 ? 'text-green-400' : 'text-orange-400'}`}>
-                        {avgDailyGain >= 0 ? '+' : ''}{avgDailyGain.toFixed(2)}%
-                      </div>
-                      <div className="text-xs text-gray-500 mt-1">Across all predictions</div>
-                    </div>
-                    <div className="bg-gray-800 rounded-lg p-4">
-                      <div className="text-gray-400 text-sm mb-1">Best Day</div>
-                      <div className="text-3xl font-bold text-purple-400">
-                        {Math.max(...backtestData.map(d => d.winRate)).toFixed(0)}%
-                      </div>
-                      <div className="text-xs text-gray-500 mt-1">Win rate on best day</div>
-                    </div>
-                  </>
-                );
-              })()}
-            </div>
+            {accuracySource === 'journal' ? (
+              <JournalControls
+                entries={journal.entries}
+                saveFailed={journal.saveFailed}
+                range={journalRange}
+                onRangeChange={setJournalRange}
+                onClear={journal.clear}
+              />
+            ) : (
+              <BacktestSettings config={backtestConfig} onChange={setBacktestConfig} />
+            )}
 
-            {/* Win Rate Chart */}
-            <div className="bg-gray-800 rounded-lg p-6 mb-6">
-              <h3 className="text-xl font-semibold mb-4">Daily Win Rate Trend</h3>
-              <ResponsiveContainer width="100%" height={250}>
-                <LineChart data={backtestData}>
-                  <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
-                  <XAxis dataKey="date" stroke="#9CA3AF" />
-                  <YAxis stroke="#9CA3AF" domain={[0, 100]} />
-                  <Tooltip 
-                    contentStyle={{ backgroundColor: '#1F2937', border: '1px solid #374151' }}
-                    labelStyle={{ color: '#9CA3AF' }}
-                  />
-                  <Legend />
-                  <Line 
-                    type="monotone" 
-                    dataKey="winRate" 
-                    name="Win Rate %" 
-                    stroke="#10B981" 
-                    strokeWidth={3} 
-                    dot={{ fill: '#10B981', r: 6 }}
-                  />
-                </LineChart>
-              </ResponsiveContainer>
-              <div className="mt-4 text-center text-sm text-gray-400">
-                Target: 70%+ win rate for profitable day trading
+            {accuracyDays.length === 0 && (
+              <div className="bg-gray-800 rounded-lg p-6 text-gray-400">
+                {accuracySource === 'journal'
+                  ? `No resolved predictions in this range yet. Calls are scored ${backtestConfig.holdingPeriod} session(s) after they are recorded, once that session closes.`
+                  : 'Replaying history...'}
               </div>
-            </div>
-
-            {/* Predictions vs Outcomes */}
-            <div className="bg-gray-800 rounded-lg p-6 mb-6">
-              <h3 className="text-xl font-semibold mb-4">Successful vs Failed Predictions</h3>
-              <ResponsiveContainer width="100%" height={250}>
-                <BarChart data={backtestData}>
-                  <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
-                  <XAxis dataKey="date" stroke="#9CA3AF" />
-                  <YAxis stroke="#9CA3AF" />
-                  <Tooltip 
-                    contentStyle={{ backgroundColor: '#1F2937', border: '1px solid #374151' }}
-                    labelStyle={{ color: '#9CA3AF' }}
-                  />
-                  <Legend />
-                  <Bar dataKey="successfulPredictions" name="Successful (1%+ gain)" fill="#10B981" stackId="a" />
-                  <Bar dataKey="failedPredictions" name="Failed (<1% gain)" fill="#EF4444" stackId="a" />
-                </BarChart>
-              </ResponsiveContainer>
-            </div>
+            )}
 
-            {/* Daily Breakdown */}
-            <div className="bg-gray-800 rounded-lg p-6">
-              <h3 className="text-xl font-semibold mb-4">Daily Breakdown</h3>
-              <div className="space-y-4">
-                {backtestData.map((day, idx) => (
-                  <div key={idx} className="bg-gray-900 rounded-lg p-4">
-                    <div className="flex justify-between items-start mb-3">
-                      <div>
-                        <div className="text-lg font-bold">{day.date}</div>
-                        <div className="text-sm text-gray-400">{day.totalPredictions} predictions made</div>
-                      </div>
-                      <div className="text-right">
-                        <div className={`text-2xl font-bold ${
-                          day.winRate >= 70 ? 'text-green-400' : 
-                          day.winRate >= 60 ? 'text-yellow-400' : 'text-red-400'
-                        }`}>
-                          {day.winRate.toFixed(0)}%
+            {accuracyDays.length > 0 && (
+              <>
+                {/* Overall Statistics */}
+                <div className="grid grid-cols-1 md:grid-cols-5 gap-4 mb-6">
+                  {(() => {
+                    const totalPreds = performance.trades;
+                    const totalSuccess = performance.wins;
+                    const overallWinRate = performance.winRate;
+                    // Weighted by trades, so a session with one pick counts for one trade, not a whole day
+                    const avgGainPerTrade = performance.avgGain;
+                    const trendCalls = accuracyDays.reduce((sum, day) => sum + day.trendCalls, 0);
+                    const trendCorrect = accuracyDays.reduce((sum, day) => sum + day.trendCorrect, 0);
+                    const trendAccuracy = trendCalls > 0 ? (trendCorrect / trendCalls) * 100 : 0;
+
+                    return (
+                      <>
+                        <div className="bg-gray-800 rounded-lg p-4">
+                          <div className="text-gray-400 text-sm mb-1">Total Predictions</div>
+                          <div className="text-3xl font-bold text-blue-400">{totalPreds}</div>
+                          <div className="text-xs text-gray-500 mt-1">Last {accuracyDays.length} sessions</div>
                         </div>
-                        <div className="text-sm text-gray-400">Win Rate</div>
-                      </div>
-                    </div>
+                        <div className="bg-gray-800 rounded-lg p-4">
+                          <div className="text-gray-400 text-sm mb-1">Overall Win Rate</div>
+                          <div className={`text-3xl font-bold ${overallWinRate >= 70 ? 'text-green-400' : overallWinRate >= 60 ? 'text-yellow-400' : 'text-red-400'}`}>
+                            {overallWinRate.toFixed(1)}%
+                          </div>
+                          <div className="text-xs text-gray-500 mt-1">{totalSuccess} wins / {totalPreds - totalSuccess} losses</div>
+                        </div>
+                        <div className="bg-gray-800 rounded-lg p-4">
+                          <div className="text-gray-400 text-sm mb-1">Avg Gain Per Trade</div>
+                          <div className={`text-3xl font-bold ${avgGainPerTrade >= 1 ? 'text-green-400' : 'text-orange-400'}`}>
+                            {avgGainPerTrade >= 0 ? '+' : ''}{avgGainPerTrade.toFixed(2)}%
+                          </div>
+                          <div className="text-xs text-gray-500 mt-1">Across all predictions</div>
+                        </div>
+                        <div className="bg-gray-800 rounded-lg p-4">
+                          <div className="text-gray-400 text-sm mb-1">Best Day</div>
+                          <div className="text-3xl font-bold text-purple-400">
+                            {Math.max(...accuracyDays.map(d => d.winRate)).toFixed(0)}%
+                          </div>
+                          <div className="text-xs text-gray-500 mt-1">Win rate on best day</div>
+                        </div>
+                        <div className="bg-gray-800 rounded-lg p-4">
+                          <div className="text-gray-400 text-sm mb-1">Trend Call Accuracy</div>
+                          <div className="text-3xl font-bold text-blue-400">{trendAccuracy.toFixed(1)}%</div>
+                          <div className="text-xs text-gray-500 mt-1">{trendCorrect} / {trendCalls} BULLISH/BEARISH calls</div>
+                        </div>
+                      </>
+                    );
+                  })()}
+                </div>
 
-                    {/* Stats */}
-                    <div className="grid grid-cols-3 gap-4 mb-3">
-                      <div className="bg-green-900/20 border border-green-500/30 rounded p-2 text-center">
-                        <div className="text-green-400 font-bold text-lg">{day.successfulPredictions}</div>
-                        <div className="text-xs text-gray-400">Wins</div>
-                      </div>
-                      <div className="bg-red-900/20 border border-red-500/30 rounded p-2 text-center">
-                        <div className="text-red-400 font-bold text-lg">{day.failedPredictions}</div>
-                        <div className="text-xs text-gray-400">Losses</div>
-                      </div>
-                      <div className="bg-blue-900/20 border border-blue-500/30 rounded p-2 text-center">
-                        <div className={`font-bold text-lg ${day.avgGain >= 1 ? 'text-green-400' : 'text-orange-400'}`}>
-                          {day.avgGain >= 0 ? '+' : ''}{day.avgGain.toFixed(2)}%
+                <PerformanceAnalytics report={performance} successThreshold={backtestConfig.successThreshold} />
+
+                {accuracySource === 'backtest' && benchmarkReport && <BenchmarkComparison report={benchmarkReport} />}
+
+                {/* Win Rate Chart */}
+                <div className="bg-gray-800 rounded-lg p-6 mb-6">
+                  <h3 className="text-xl font-semibold mb-4">Daily Win Rate Trend</h3>
+                  <ResponsiveContainer width="100%" height={250}>
+                    <LineChart data={accuracyDays}>
+                      <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                      <XAxis dataKey="date" stroke="#9CA3AF" />
+                      <YAxis stroke="#9CA3AF" domain={[0, 100]} />
+                      <Tooltip 
+                        contentStyle={{ backgroundColor: '#1F2937', border: '1px solid #374151' }}
+                        labelStyle={{ color: '#9CA3AF' }}
+                      />
+                      <Legend />
+                      <Line 
+                        type="monotone" 
+                        dataKey="winRate" 
+                        name="Win Rate %" 
+                        stroke="#10B981" 
+                        strokeWidth={3} 
+                        dot={{ fill: '#10B981', r: 6 }}
+                      />
+                    </LineChart>
+                  </ResponsiveContainer>
+                  <div className="mt-4 text-center text-sm text-gray-400">
+                    Target: 70%+ win rate for profitable day trading
+                  </div>
+                </div>
+
+                {/* Probability Calibration */}
+                {accuracySource === 'backtest' && calibrationReport.reliability.length > 0 && (
+                  <div className="bg-gray-800 rounded-lg p-6 mb-6">
+                    <h3 className="text-xl font-semibold mb-1">Probability Calibration</h3>
+                    <p className="text-sm text-gray-400 mb-4">
+                      How often stocks shown at each gain probability actually gained {backtestConfig.successThreshold}%+
+                      ({backtestConfig.calibrationMethod} calibration fitted on the {backtestConfig.calibrationSessions} sessions before this window)
+                    </p>
+                    <ReliabilityChart bins={calibrationReport.reliability} brierScore={calibrationReport.brierScore} />
+                  </div>
+                )}
+
+                {/* Predictions vs Outcomes */}
+                <div className="bg-gray-800 rounded-lg p-6 mb-6">
+                  <h3 className="text-xl font-semibold mb-4">Successful vs Failed Predictions</h3>
+                  <ResponsiveContainer width="100%" height={250}>
+                    <BarChart data={accuracyDays}>
+                      <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                      <XAxis dataKey="date" stroke="#9CA3AF" />
+                      <YAxis stroke="#9CA3AF" />
+                      <Tooltip 
+                        contentStyle={{ backgroundColor: '#1F2937', border: '1px solid #374151' }}
+                        labelStyle={{ color: '#9CA3AF' }}
+                      />
+                      <Legend />
+                      <Bar dataKey="successfulPredictions" name={`Successful (${backtestConfig.successThreshold}%+ gain)`} fill="#10B981" stackId="a" />
+                      <Bar dataKey="failedPredictions" name={`Failed (<${backtestConfig.successThreshold}% gain)`} fill="#EF4444" stackId="a" />
+                    </BarChart>
+                  </ResponsiveContainer>
+                </div>
+
+                {/* Daily Breakdown */}
+                <div className="bg-gray-800 rounded-lg p-6">
+                  <div className="flex flex-wrap items-center gap-2 mb-4">
+                    <h3 className="text-xl font-semibold mr-auto">Daily Breakdown</h3>
+                    <button
+                      onClick={() => downloadFile(`${accuracySource}-sessions.csv`, exportBacktestDaysCsv(accuracyDays), 'text/csv')}
+                      className="px-3 py-1 rounded text-sm bg-gray-700 hover:bg-gray-600 flex items-center"
+                    >
+                      <Download className="mr-1 w-4 h-4" />
+                      Sessions CSV
+                    </button>
+                    <button
+                      onClick={() => downloadFile(`${accuracySource}-trades.csv`, exportBacktestTradesCsv(accuracyDays), 'text/csv')}
+                      className="px-3 py-1 rounded text-sm bg-gray-700 hover:bg-gray-600 flex items-center"
+                    >
+                      <Download className="mr-1 w-4 h-4" />
+                      Trades CSV
+                    </button>
+                  </div>
+                  <div className="space-y-4">
+                    {accuracyDays.map((day, idx) => (
+                      <div key={idx} className="bg-gray-900 rounded-lg p-4">
+                        <div className="flex justify-between items-start mb-3">
+                          <div>
+                            <div className="text-lg font-bold">{day.date}</div>
+                            <div className="text-sm text-gray-400">{day.totalPredictions} predictions made</div>
+                          </div>
+                          <div className="text-right">
+                            <div className={`text-2xl font-bold ${
+                              day.winRate >= 70 ? 'text-green-400' : 
+                              day.winRate >= 60 ? 'text-yellow-400' : 'text-red-400'
+                            }`}>
+                              {day.winRate.toFixed(0)}%
+                            </div>
+                            <div className="text-sm text-gray-400">Win Rate</div>
+                          </div>
                         </div>
-                        <div className="text-xs text-gray-400">Avg Gain</div>
-                      </div>
-                    </div>
 
-                    {/* Top Predictions for that day */}
-                    {day.predictions.length > 0 && (
-                      <div className="mt-3 pt-3 border-t border-gray-700">
-                        <div className="text-sm font-semibold text-gray-400 mb-2">Sample Predictions:</div>
-                        <div className="space-y-2">
-                          {day.predictions.slice(0, 3).map((pred, pidx) => (
-                            <div key={pidx} className="flex justify-between items-center text-sm bg-gray-800 rounded p-2">
-                              <div className="flex items-center">
-                                <span className="font-semibold mr-2">{pred.symbol}</span>
-                                <span className="text-gray-400 text-xs">
-                                  Predicted: {pred.predictedProb.toFixed(0)}%
-                                </span>
-                              </div>
-                              <div className="flex items-center">
-                                <span className={`font-bold mr-2 ${pred.actualGain >= 1 ? 'text-green-400' : 'text-red-400'}`}>
-                                  {pred.actualGain >= 0 ? '+' : ''}{pred.actualGain.toFixed(2)}%
-                                </span>
-                                {pred.success ? (
-                                  <span className="bg-green-600 text-white text-xs px-2 py-1 rounded">✓ Win</span>
-                                ) : (
-                                  <span className="bg-red-600 text-white text-xs px-2 py-1 rounded">✗ Loss</span>
-                                )}
-                              </div>
+                        {/* Stats */}
+                        <div className="grid grid-cols-4 gap-4 mb-3">
+                          <div className="bg-green-900/20 border border-green-500/30 rounded p-2 text-center">
+                            <div className="text-green-400 font-bold text-lg">{day.successfulPredictions}</div>
+                            <div className="text-xs text-gray-400">Wins</div>
+                          </div>
+                          <div className="bg-red-900/20 border border-red-500/30 rounded p-2 text-center">
+                            <div className="text-red-400 font-bold text-lg">{day.failedPredictions}</div>
+                            <div className="text-xs text-gray-400">Losses</div>
+                          </div>
+                          <div className="bg-blue-900/20 border border-blue-500/30 rounded p-2 text-center">
+                            <div className={`font-bold text-lg ${day.avgGain >= 1 ? 'text-green-400' : 'text-orange-400'}`}>
+                              {day.avgGain >= 0 ? '+' : ''}{day.avgGain.toFixed(2)}%
                             </div>
-                          ))}
+                            <div className="text-xs text-gray-400">Avg Gain</div>
+                          </div>
+                          <div className="bg-gray-800 border border-gray-600/30 rounded p-2 text-center">
+                            <div className={`font-bold text-lg ${day.benchmarkGain === null ? 'text-gray-500' : day.benchmarkGain >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                              {day.benchmarkGain === null ? '—' : `${day.benchmarkGain >= 0 ? '+' : ''}${day.benchmarkGain.toFixed(2)}%`}
+                            </div>
+                            <div className="text-xs text-gray-400">{benchmarkReport?.code ?? 'Index'} Return</div>
+                          </div>
                         </div>
+
+                        {/* Top Predictions for that day */}
+                        {day.predictions.length > 0 && (
+                          <div className="mt-3 pt-3 border-t border-gray-700">
+                            <div className="text-sm font-semibold text-gray-400 mb-2">Sample Predictions:</div>
+                            <div className="space-y-2">
+                              {day.predictions.slice(0, 3).map((pred, pidx) => (
+                                <div key={pidx} className="flex justify-between items-center text-sm bg-gray-800 rounded p-2">
+                                  <div className="flex items-center">
+                                    <span className="font-semibold mr-2">{pred.symbol}</span>
+                                    <span className="text-gray-400 text-xs">
+                                      Predicted: {pred.predictedProb.toFixed(0)}%
+                                    </span>
+                                  </div>
+                                  <div className="flex items-center">
+                                    <span className={`font-bold mr-2 ${pred.success ? 'text-green-400' : 'text-red-400'}`}>
+                                      {pred.actualGain >= 0 ? '+' : ''}{pred.actualGain.toFixed(2)}%
+                                    </span>
+                                    {pred.success ? (
+                                      <span className="bg-green-600 text-white text-xs px-2 py-1 rounded">✓ Win</span>
+                                    ) : (
+                                      <span className="bg-red-600 text-white text-xs px-2 py-1 rounded">✗ Loss</span>
+                                    )}
+                                  </div>
+                                </div>
+                              ))}
+                            </div>
+                          </div>
+                        )}
                       </div>
-                    )}
+                    ))}
                   </div>
-                ))}
-              </div>
-            </div>
+                </div>
+              </>
+            )}
 
             {/* Interpretation Guide */}
             <div className="mt-6 bg-blue-900/20 border border-blue-500 rounded-lg p-4">
@@ -638,104 +930,262 @@ const ASXTradingDashboard = () => {
           </div>
         )}
 
-        {/* Market Movers Grid */}
-        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-8">
-          {filteredStocks.slice(0, 10).map((stock) => (
-            <div
-              key={stock.symbol}
-              onClick={() => setSelectedStock(stock)}
-              className="bg-gray-800 rounded-lg p-6 cursor-pointer hover:bg-gray-750 transition border-2 border-transparent hover:border-blue-500"
+        {activeFilter === 'gainers' && !clock.isOpen && (
+          <div className="mb-6 bg-gray-800 border border-purple-500/50 rounded-lg p-4 text-sm text-gray-300 flex items-center">
+            <AlertCircle className="mr-3 text-purple-400 w-5 h-5 flex-shrink-0" />
+            Intraday gain predictions are suppressed outside market hours (10:00–16:00 Sydney time).
+            They resume when the next session opens on {formatSessionDate(clock.nextOpen)}.
+          </div>
+        )}
+
+        {/* View and Sort */}
+        <div className="flex flex-wrap items-center gap-3 mb-4 text-sm">
+          <div className="flex rounded-lg overflow-hidden">
+            {[['cards', 'Cards', LayoutGrid], ['table', 'Table', Table]].map(([mode, label, Icon]) => (
+              <button
+                key={mode}
+                onClick={() => setViewMode(mode)}
+                className={`px-3 py-1 flex items-center ${viewMode === mode ? 'bg-blue-600' : 'bg-gray-800 hover:bg-gray-700'}`}
+              >
+                <Icon className="mr-1 w-4 h-4" />
+                {label}
+              </button>
+            ))}
+          </div>
+          <button
+            onClick={() => setCompareMode(!compareMode)}
+            className={`px-3 py-1 rounded-lg flex items-center ${compareMode ? 'bg-sky-600' : 'bg-gray-800 hover:bg-gray-700'}`}
+          >
+            <GitCompare className="mr-1 w-4 h-4" />
+            Compare ({compareStocks.length})
+          </button>
+          <span className="text-gray-400">Sort by</span>
+          <select
+            value={sort?.key ?? ''}
+            onChange={(e) => setSort(e.target.value ? { key: e.target.value, direction: sort?.direction ?? 'desc' } : null)}
+            className="bg-gray-800 border border-gray-700 rounded px-2 py-1"
+          >
+            <option value="">Default</option>
+            {Object.entries(SCREEN_FIELDS).map(([key, field]) => <option key={key} value={key}>{field.label}</option>)}
+          </select>
+          {sort && (
+            <button
+              onClick={() => setSort({ ...sort, direction: sort.direction === 'asc' ? 'desc' : 'asc' })}
+              className="px-3 py-1 rounded bg-gray-800 hover:bg-gray-700"
             >
-              <div className="flex justify-between items-start mb-4">
-                <div>
-                  <h3 className="text-2xl font-bold">{stock.symbol}</h3>
-                  <p className="text-gray-400">{stock.name}</p>
-                </div>
-                <div className="text-right">
-                  <div className="text-2xl font-bold">${stock.currentPrice.toFixed(2)}</div>
-                  <div className={`text-lg font-semibold ${stock.change >= 0 ? 'text-green-400' : 'text-red-400'}`}>
-                    {stock.change >= 0 ? '+' : ''}{stock.change.toFixed(2)} ({stock.changePercent.toFixed(2)}%)
-                  </div>
-                </div>
-              </div>
+              {sort.direction === 'asc' ? 'Ascending' : 'Descending'}
+            </button>
+          )}
+          <span className="text-gray-500">{filteredStocks.length} stocks</span>
+          <div className="ml-auto flex flex-wrap gap-2">
+            <button
+              onClick={() => downloadFile(`${exportName}.csv`, exportStocksCsv(filteredStocks), 'text/csv')}
+              className="px-3 py-1 rounded bg-gray-800 hover:bg-gray-700 flex items-center"
+            >
+              <Download className="mr-1 w-4 h-4" />
+              CSV
+            </button>
+            <button
+              onClick={() => downloadFile(`${exportName}.json`, exportStocksJson(filteredStocks), 'application/json')}
+              className="px-3 py-1 rounded bg-gray-800 hover:bg-gray-700 flex items-center"
+            >
+              <Download className="mr-1 w-4 h-4" />
+              JSON
+            </button>
+            <button
+              onClick={() => printHtml(preMarketReport())}
+              className="px-3 py-1 rounded bg-gray-800 hover:bg-gray-700 flex items-center"
+            >
+              <Printer className="mr-1 w-4 h-4" />
+              Pre-market report
+            </button>
+            <button
+              onClick={() => downloadFile(`asx-pre-market-${reportSession}.html`, preMarketReport(), 'text/html')}
+              className="px-3 py-1 rounded bg-gray-800 hover:bg-gray-700 flex items-center"
+            >
+              <Download className="mr-1 w-4 h-4" />
+              Report HTML
+            </button>
+          </div>
+        </div>
 
-              {/* Prediction Banner */}
-              <div className={`mb-4 p-3 rounded-lg flex items-center justify-between ${
-                filter === 'gainers' ? 'bg-purple-900/30 border-2 border-purple-500' :
-                stock.prediction === 'BULLISH' ? 'bg-green-900/30 border border-green-500' :
-                stock.prediction === 'BEARISH' ? 'bg-red-900/30 border border-red-500' :
-                'bg-gray-700 border border-gray-600'
-              }`}>
-                <div className="flex items-center">
-                  {filter === 'gainers' ? (
-                    <>
-                      <TrendingUp className="mr-2 text-purple-400 w-6 h-6" />
-                      <div>
-                        <span className="font-bold text-lg">INTRADAY GAINER</span>
-                        <div className="text-xs text-purple-300">Next few hours prediction</div>
+        {compareMode && (
+          <ComparePanel
+            stocks={compareStocks}
+            onRemove={symbol => setCompareSymbols(prev => prev.filter(item => item !== symbol))}
+            onOpen={setSelectedSymbol}
+            onClear={() => setCompareSymbols([])}
+            onClose={() => setCompareMode(false)}
+          />
+        )}
+
+        {viewMode === 'table' ? (
+          <StockTable
+            stocks={filteredStocks}
+            sort={sort}
+            onSortChange={setSort}
+            onSelect={selectStock}
+            selected={compareMode ? compareSymbols : []}
+          />
+        ) : (
+          <>
+            {/* Market Movers Grid */}
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-8">
+              {pageStocks.map((stock) => (
+                <div
+                  key={stock.symbol}
+                  onClick={() => selectStock(stock.symbol)}
+                  className={`bg-gray-800 rounded-lg p-6 cursor-pointer hover:bg-gray-750 transition duration-500 border-2 hover:border-blue-500 ${
+                    compareMode && compareSymbols.includes(stock.symbol) ? 'border-sky-500' :
+                    flashes[stock.symbol] === 'up' ? 'border-green-400' :
+                    flashes[stock.symbol] === 'down' ? 'border-red-400' : 'border-transparent'
+                  }`}
+                >
+                  <div className="flex justify-between items-start mb-4">
+                    <div>
+                      <h3 className="text-2xl font-bold flex items-center">
+                        {stock.symbol}
+                        <span className="ml-2">
+                          <WatchlistStar symbol={stock.symbol} watchlists={watchlists} onToggle={toggleWatchlistSymbol} />
+                        </span>
+                      </h3>
+                      <p className="text-gray-400">{stock.name}</p>
+                      {heldUnits[stock.symbol] && (
+                        <span className="inline-flex items-center text-xs px-2 py-0.5 rounded bg-emerald-900/50 text-emerald-300">
+                          <Wallet className="w-3 h-3 mr-1" />
+                          Held {heldUnits[stock.symbol].toLocaleString()}
+                        </span>
+                      )}
+                      <p className="text-xs text-gray-500">
+                        {stock.sector ?? 'Unclassified'}{stock.marketCap ? ` • ${formatMarketCap(stock.marketCap)}` : ''}
+                      </p>
+                    </div>
+                    <div className="text-right">
+                      <div className={`text-2xl font-bold transition-colors duration-500 ${
+                        flashes[stock.symbol] === 'up' ? 'text-green-300' : flashes[stock.symbol] === 'down' ? 'text-red-300' : ''
+                      }`}>
+                        ${stock.currentPrice.toFixed(2)}
                       </div>
-                    </>
-                  ) : (
-                    <>
-                      {stock.prediction === 'BULLISH' ? <TrendingUp className="mr-2 text-green-400" /> :
-                       stock.prediction === 'BEARISH' ? <TrendingDown className="mr-2 text-red-400" /> :
-                       <Activity className="mr-2 text-gray-400" />}
-                      <span className="font-bold text-lg">{stock.prediction}</span>
-                    </>
-                  )}
-                </div>
-                <div className="text-right">
-                  <div className="text-sm text-gray-400">
-                    {filter === 'gainers' ? 'Gain Probability' : 'Confidence'}
+                      <div className={`text-lg font-semibold ${stock.change >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                        {stock.change >= 0 ? '+' : ''}{stock.change.toFixed(2)} ({stock.changePercent.toFixed(2)}%)
+                      </div>
+                    </div>
                   </div>
-                  <div className="text-lg font-bold">
-                    {filter === 'gainers' ? stock.gainProbability.toFixed(0) : stock.confidence.toFixed(0)}%
+
+                  {/* Prediction Banner */}
+                  <div className={`mb-4 p-3 rounded-lg flex items-center justify-between ${
+                    activeFilter === 'gainers' ? 'bg-purple-900/30 border-2 border-purple-500' :
+                    stock.prediction === 'BULLISH' ? 'bg-green-900/30 border border-green-500' :
+                    stock.prediction === 'BEARISH' ? 'bg-red-900/30 border border-red-500' :
+                    'bg-gray-700 border border-gray-600'
+                  }`}>
+                    <div className="flex items-center">
+                      {activeFilter === 'gainers' ? (
+                        <>
+                          <TrendingUp className="mr-2 text-purple-400 w-6 h-6" />
+                          <div>
+                            <span className="font-bold text-lg">INTRADAY GAINER</span>
+                            <div className="text-xs text-purple-300">Next few hours prediction</div>
+                          </div>
+                        </>
+                      ) : (
+                        <>
+                          {stock.prediction === 'BULLISH' ? <TrendingUp className="mr-2 text-green-400" /> :
+                           stock.prediction === 'BEARISH' ? <TrendingDown className="mr-2 text-red-400" /> :
+                           <Activity className="mr-2 text-gray-400" />}
+                          <span className="font-bold text-lg">{stock.prediction}</span>
+                        </>
+                      )}
+                    </div>
+                    <div className="text-right">
+                      <div className="text-sm text-gray-400">
+                        {activeFilter === 'gainers' ? 'Gain Probability' : 'Confidence'}
+                      </div>
+                      <div className="text-lg font-bold">
+                        {activeFilter === 'gainers' ? stock.gainProbability.toFixed(0) : stock.confidence.toFixed(0)}%
+                      </div>
+                    </div>
                   </div>
-                </div>
-              </div>
 
-              {/* Show gain reasons when in gainers mode */}
-              {filter === 'gainers' && stock.gainReasons.length > 0 && (
-                <div className="mb-4 bg-purple-900/20 border border-purple-500/30 rounded-lg p-3">
-                  <div className="font-semibold text-purple-300 mb-2 text-sm">Why This Stock:</div>
-                  {stock.gainReasons.map((reason, idx) => (
-                    <div key={idx} className="text-xs text-gray-300 mb-1 flex items-start">
-                      <span className="text-purple-400 mr-2">✓</span>
-                      {reason}
+                  {/* Show gain reasons when in gainers mode */}
+                  {activeFilter === 'gainers' && stock.gainReasons.length > 0 && (
+                    <div className="mb-4 bg-purple-900/20 border border-purple-500/30 rounded-lg p-3">
+                      <div className="font-semibold text-purple-300 mb-2 text-sm">Why This Stock:</div>
+                      {stock.gainReasons.map((reason, idx) => (
+                        <div key={idx} className="text-xs text-gray-300 mb-1 flex items-start">
+                          <span className="text-purple-400 mr-2">✓</span>
+                          {reason}
+                        </div>
+                      ))}
                     </div>
-                  ))}
-                </div>
-              )}
+                  )}
 
-              {/* Technical Indicators */}
-              <div className="grid grid-cols-3 gap-4 mb-4 text-sm">
-                <div>
-                  <div className="text-gray-400">RSI</div>
-                  <div className={`font-bold ${
-                    stock.rsi < 30 ? 'text-green-400' : stock.rsi > 70 ? 'text-red-400' : 'text-white'
-                  }`}>
-                    {stock.rsi.toFixed(1)}
+                  {/* Technical Indicators */}
+                  <div className="grid grid-cols-3 gap-4 mb-4 text-sm">
+                    <div>
+                      <div className="text-gray-400">RSI</div>
+                      <div className={`font-bold ${
+                        stock.rsi < 30 ? 'text-green-400' : stock.rsi > 70 ? 'text-red-400' : 'text-white'
+                      }`}>
+                        {stock.rsi.toFixed(1)}
+                      </div>
+                    </div>
+                    <div>
+                      <div className="text-gray-400">SMA 20</div>
+                      <div className="font-bold">${stock.sma20.toFixed(2)}</div>
+                    </div>
+                    <div>
+                      <div className="text-gray-400">SMA 50</div>
+                      <div className="font-bold">${stock.sma50.toFixed(2)}</div>
+                    </div>
                   </div>
+
+                  {/* Signals */}
+                  <div className="flex flex-wrap gap-2">
+                    {stock.signals.slice(0, 3).map((signal, idx) => (
+                      <SignalBadge key={idx} signal={signal} />
+                    ))}
+                  </div>
+
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      setSelectedSymbol(stock.symbol);
+                      setTicketSymbol(stock.symbol);
+                    }}
+                    className="mt-4 text-sm px-3 py-1 rounded bg-gray-700 hover:bg-indigo-600 flex items-center"
+                  >
+                    <Briefcase className="mr-2 w-4 h-4" />
+                    Paper Trade
+                  </button>
                 </div>
-                <div>
-                  <div className="text-gray-400">SMA 20</div>
-                  <div className="font-bold">${stock.sma20.toFixed(2)}</div>
-                </div>
-                <div>
-                  <div className="text-gray-400">SMA 50</div>
-                  <div className="font-bold">${stock.sma50.toFixed(2)}</div>
-                </div>
-              </div>
+              ))}
+            </div>
 
-              {/* Signals */}
-              <div className="flex flex-wrap gap-2">
-                {stock.signals.slice(0, 3).map((signal, idx) => (
-                  <SignalBadge key={idx} signal={signal} />
-                ))}
+            {/* Pagination */}
+            {pageCount > 1 && (
+              <div className="flex items-center justify-center gap-4 mb-8">
+                <button
+                  onClick={() => setPage(currentPage - 1)}
+                  disabled={currentPage === 0}
+                  className="px-4 py-2 rounded-lg bg-gray-800 hover:bg-gray-700 disabled:opacity-40 disabled:cursor-not-allowed"
+                >
+                  ← Previous
+                </button>
+                <span className="text-gray-400">
+                  Page {currentPage + 1} of {pageCount} • {filteredStocks.length} stocks
+                </span>
+                <button
+                  onClick={() => setPage(currentPage + 1)}
+                  disabled={currentPage >= pageCount - 1}
+                  className="px-4 py-2 rounded-lg bg-gray-800 hover:bg-gray-700 disabled:opacity-40 disabled:cursor-not-allowed"
+                >
+                  Next →
+                </button>
               </div>
-            </div>
-          ))}
-        </div>
+            )}
+          </>
+        )}
 
         {/* Detailed View */}
         {selectedStock && (
@@ -745,121 +1195,262 @@ const ASXTradingDashboard = () => {
                 <h2 className="text-3xl font-bold mb-2">{selectedStock.symbol} - Detailed Analysis</h2>
                 <p className="text-gray-400">Click anywhere to close</p>
               </div>
-              <button
-                onClick={() => setSelectedStock(null)}
-                className="text-gray-400 hover:text-white text-2xl"
-              >
-                ×
-              </button>
+              <div className="flex items-center gap-4">
+                <button
+                  onClick={() => {
+                    if (!compareSymbols.includes(selectedStock.symbol)) setCompareSymbols(prev => toggleCompare(prev, selectedStock.symbol));
+                    setCompareMode(true);
+                  }}
+                  className="px-4 py-2 rounded-lg bg-gray-700 hover:bg-sky-600 font-semibold flex items-center"
+                >
+                  <GitCompare className="mr-2 w-4 h-4" />
+                  Compare
+                </button>
+                <button
+                  onClick={() => setTicketSymbol(selectedStock.symbol)}
+                  className="px-4 py-2 rounded-lg bg-indigo-600 hover:bg-indigo-500 font-semibold flex items-center"
+                >
+                  <Briefcase className="mr-2 w-4 h-4" />
+                  Paper Trade
+                </button>
+                <button
+                  onClick={() => setSelectedSymbol(null)}
+                  className="text-gray-400 hover:text-white text-2xl"
+                >
+                  ×
+                </button>
+              </div>
             </div>
 
-            {/* Price Chart */}
-            <div className="mb-6">
-              <h3 className="text-xl font-semibold mb-4">Price History (60 Days)</h3>
-              <ResponsiveContainer width="100%" height={300}>
-                <LineChart data={selectedStock.prices.map((price, idx) => ({
-                  date: selectedStock.dates[idx],
-                  price,
-                  sma20: idx >= 19 ? selectedStock.sma20 : null,
-                  sma50: idx >= 49 ? selectedStock.sma50 : null
-                }))}>
-                  <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
-                  <XAxis dataKey="date" stroke="#9CA3AF" />
-                  <YAxis stroke="#9CA3AF" />
-                  <Tooltip 
-                    contentStyle={{ backgroundColor: '#1F2937', border: '1px solid #374151' }}
-                    labelStyle={{ color: '#9CA3AF' }}
-                  />
-                  <Legend />
-                  <Line type="monotone" dataKey="price" stroke="#3B82F6" strokeWidth={2} dot={false} />
-                  <Line type="monotone" dataKey="sma20" stroke="#10B981" strokeWidth={1} dot={false} />
-                  <Line type="monotone" dataKey="sma50" stroke="#F59E0B" strokeWidth={1} dot={false} />
-                </LineChart>
-              </ResponsiveContainer>
-            </div>
+            {ticketSymbol === selectedStock.symbol && (
+              <TradeTicket
+                key={selectedStock.symbol}
+                stock={selectedStock}
+                plan={sizePosition(selectedStock, riskSettings)}
+                onSubmit={(ticket) => {
+                  paperTrading.open(ticket);
+                  setTicketSymbol(null);
+                  setShowPaperTrading(true);
+                }}
+                onCancel={() => setTicketSymbol(null)}
+              />
+            )}
 
-            {/* Volume Chart */}
+            {/* Price Chart */}
             <div className="mb-6">
-              <h3 className="text-xl font-semibold mb-4">Volume Analysis</h3>
-              <ResponsiveContainer width="100%" height={200}>
-                <BarChart data={selectedStock.volume.slice(-30).map((vol, idx) => ({
-                  date: selectedStock.dates.slice(-30)[idx],
-                  volume: vol
-                }))}>
-                  <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
-                  <XAxis dataKey="date" stroke="#9CA3AF" />
-                  <YAxis stroke="#9CA3AF" />
-                  <Tooltip 
-                    contentStyle={{ backgroundColor: '#1F2937', border: '1px solid #374151' }}
-                    labelStyle={{ color: '#9CA3AF' }}
-                  />
-                  <Bar dataKey="volume" fill="#8B5CF6" />
-                </BarChart>
-              </ResponsiveContainer>
+              <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+                <h3 className="text-xl font-semibold">
+                  {TIMEFRAMES[timeframe].label} Price History ({TIMEFRAMES[timeframe].days} Sessions)
+                </h3>
+                <div className="flex gap-2">
+                  {Object.entries(TIMEFRAMES).map(([key, { label }]) => (
+                    <button
+                      key={key}
+                      onClick={() => setTimeframe(key)}
+                      className={`px-3 py-1 rounded text-sm font-semibold transition ${
+                        timeframe === key ? 'bg-blue-600' : 'bg-gray-700 hover:bg-gray-600'
+                      }`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              {detailStock ? (
+                <>
+                  {timeframe !== '1d' && (
+                    <div className="text-sm text-gray-400 mb-3">
+                      {TIMEFRAMES[timeframe].label} outlook:{' '}
+                      <span className={`font-semibold ${
+                        detailStock.prediction === 'BULLISH' ? 'text-green-400' :
+                        detailStock.prediction === 'BEARISH' ? 'text-red-400' : 'text-gray-300'
+                      }`}>
+                        {detailStock.prediction}
+                      </span>
+                      {' '}({detailStock.confidence.toFixed(0)}% confidence) • gain score {detailStock.gainScore}
+                    </div>
+                  )}
+                  <StockCharts stock={detailStock} />
+                  {timeframe === '1d' && (
+                    <RelativeStrengthPanel
+                      stock={detailStock}
+                      benchmarks={BENCHMARKS
+                        .filter(benchmark => benchmarkHistories[benchmark.symbol])
+                        .map(benchmark => ({ ...benchmark, bars: benchmarkHistories[benchmark.symbol] }))}
+                    />
+                  )}
+                </>
+              ) : (
+                <div className="h-64 flex items-center justify-center text-gray-400">
+                  {intraday.error ?? `Loading ${TIMEFRAMES[timeframe].label} bars...`}
+                </div>
+              )}
             </div>
 
-            {/* All Signals */}
-            <div className="mb-6">
-              <h3 className="text-xl font-semibold mb-4">Trading Signals</h3>
-              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                {selectedStock.signals.map((signal, idx) => (
-                  <div key={idx} className={`p-4 rounded-lg ${
-                    signal.type === 'bullish' ? 'bg-green-900/20 border border-green-500' : 'bg-red-900/20 border border-red-500'
-                  }`}>
-                    <div className="flex items-center mb-2">
-                      {signal.type === 'bullish' ? 
-                        <TrendingUp className="mr-2 text-green-400" /> : 
-                        <TrendingDown className="mr-2 text-red-400" />
-                      }
-                      <span className="font-bold text-lg">{signal.indicator}</span>
+            {detailStock && (
+              <>
+                {/* Range Levels */}
+                <div className="grid grid-cols-2 md:grid-cols-3 gap-4 mb-6 text-sm">
+                  <div className="bg-gray-900 rounded-lg p-4">
+                    <div className="text-gray-400">ATR (14)</div>
+                    <div className="font-bold text-lg">
+                      ${detailStock.atr.toFixed(2)}
+                      <span className="text-gray-400 text-sm ml-2">
+                        ({((detailStock.atr / detailStock.currentPrice) * 100).toFixed(2)}%)
+                      </span>
                     </div>
-                    <p className="text-gray-300">{signal.reason}</p>
                   </div>
-                ))}
-              </div>
-            </div>
-
-            {/* Intraday Gain Prediction */}
-            {selectedStock.isHighProbability && (
-              <div className="bg-gradient-to-r from-purple-900/40 to-pink-900/40 border-2 border-purple-500 rounded-lg p-6">
-                <div className="flex items-center mb-4">
-                  <TrendingUp className="w-8 h-8 text-purple-400 mr-3" />
-                  <div>
-                    <h3 className="text-2xl font-bold">🚀 High Probability Intraday Gainer</h3>
-                    <p className="text-purple-300">Likely to gain 1%+ in the next few hours</p>
+                  <div className="bg-gray-900 rounded-lg p-4">
+                    <div className="text-gray-400">Support (10-{barUnit} low)</div>
+                    <div className="font-bold text-lg text-green-400">${detailStock.support.toFixed(2)}</div>
                   </div>
-                </div>
-                
-                <div className="mb-4">
-                  <div className="flex justify-between items-center mb-2">
-                    <span className="text-gray-300">Gain Probability</span>
-                    <span className="text-3xl font-bold text-purple-400">{selectedStock.gainProbability.toFixed(0)}%</span>
+                  <div className="bg-gray-900 rounded-lg p-4">
+                    <div className="text-gray-400">Resistance (10-{barUnit} high)</div>
+                    <div className="font-bold text-lg text-red-400">${detailStock.resistance.toFixed(2)}</div>
                   </div>
-                  <div className="w-full bg-gray-700 rounded-full h-3">
-                    <div 
-                      className="bg-gradient-to-r from-purple-500 to-pink-500 h-3 rounded-full transition-all duration-500"
-                      style={{ width: `${selectedStock.gainProbability}%` }}
-                    ></div>
+                  <div className="bg-gray-900 rounded-lg p-4">
+                    <div className="text-gray-400">VWAP (20)</div>
+                    <div className="font-bold text-lg">
+                      {detailStock.vwap !== null ? `$${detailStock.vwap.toFixed(2)}` : '-'}
+                    </div>
+                  </div>
+                  <div className="bg-gray-900 rounded-lg p-4">
+                    <div className="text-gray-400">ADX / Stochastic %K</div>
+                    <div className="font-bold text-lg">
+                      {detailStock.adx.adx !== null ? detailStock.adx.adx.toFixed(0) : '-'}
+                      {' / '}
+                      {detailStock.stochastic.k !== null ? detailStock.stochastic.k.toFixed(0) : '-'}
+                    </div>
+                  </div>
+                  <div className="bg-gray-900 rounded-lg p-4">
+                    <div className="text-gray-400">Bollinger Bandwidth</div>
+                    <div className="font-bold text-lg">
+                      {detailStock.bollinger.bandwidth !== null ? `${(detailStock.bollinger.bandwidth * 100).toFixed(1)}%` : '-'}
+                      {detailStock.bollinger.squeeze && <span className="text-yellow-400 text-sm ml-2">Squeeze</span>}
+                    </div>
+                  </div>
+                  <div className="bg-gray-900 rounded-lg p-4">
+                    <div className="text-gray-400">Pivot Support / Resistance</div>
+                    <div className="font-bold text-lg">
+                      <span className="text-green-400">
+                        {detailStock.patterns.support !== null ? `$${detailStock.patterns.support.toFixed(2)}` : '-'}
+                      </span>
+                      {' / '}
+                      <span className="text-red-400">
+                        {detailStock.patterns.resistance !== null ? `$${detailStock.patterns.resistance.toFixed(2)}` : '-'}
+                      </span>
+                    </div>
+                  </div>
+                  <div className="bg-gray-900 rounded-lg p-4">
+                    <div className="text-gray-400">Swing Structure</div>
+                    <div className={`font-bold text-lg ${
+                      detailStock.patterns.structure.trend === 'up' ? 'text-green-400' :
+                      detailStock.patterns.structure.trend === 'down' ? 'text-red-400' : ''
+                    }`}>
+                      {detailStock.patterns.structure.trend === 'up' ? 'Higher highs / lows'
+                        : detailStock.patterns.structure.trend === 'down' ? 'Lower highs / lows' : 'Mixed'}
+                    </div>
+                  </div>
+                  <div className="bg-gray-900 rounded-lg p-4">
+                    <div className="text-gray-400">Latest Pattern</div>
+                    <div className="font-bold text-lg">
+                      {(() => {
+                        const event = detailStock.patterns.events.filter(item => item.kind !== 'swing').slice(-1)[0];
+                        return event ? `${event.label} (${event.date.slice(5)})` : '-';
+                      })()}
+                    </div>
                   </div>
                 </div>
+              </>
+            )}
 
-                <div className="bg-black/30 rounded-lg p-4">
-                  <div className="font-semibold text-purple-300 mb-3">Key Indicators Supporting This Prediction:</div>
-                  <div className="space-y-2">
-                    {selectedStock.gainReasons.map((reason, idx) => (
-                      <div key={idx} className="flex items-start">
-                        <span className="text-purple-400 mr-2 text-lg">✓</span>
-                        <span className="text-gray-200">{reason}</span>
+            <RiskPanel stock={selectedStock} settings={riskSettings} onChange={setRiskSettings} />
+
+            {detailStock && (
+              <>
+                {/* All Signals */}
+                <div className="mb-6">
+                  <h3 className="text-xl font-semibold mb-4">Trading Signals</h3>
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    {detailStock.signals.map((signal, idx) => (
+                      <div key={idx} className={`p-4 rounded-lg ${
+                        signal.type === 'bullish' ? 'bg-green-900/20 border border-green-500' : 'bg-red-900/20 border border-red-500'
+                      }`}>
+                        <div className="flex items-center mb-2">
+                          {signal.type === 'bullish' ? 
+                            <TrendingUp className="mr-2 text-green-400" /> : 
+                            <TrendingDown className="mr-2 text-red-400" />
+                          }
+                          <span className="font-bold text-lg">{signal.indicator}</span>
+                        </div>
+                        <p className="text-gray-300">{signal.reason}</p>
                       </div>
                     ))}
                   </div>
                 </div>
 
-                <div className="mt-4 bg-yellow-900/20 border border-yellow-500/50 rounded p-3 text-sm text-yellow-200">
-                  <strong>Trading Note:</strong> This prediction is based on current momentum and technical patterns. 
-                  Set stop-loss orders and monitor closely. Intraday predictions are most reliable during high-volume trading hours.
-                </div>
-              </div>
+                {/* Intraday Gain Prediction */}
+                {detailStock.isHighProbability && (
+                  <div className="bg-gradient-to-r from-purple-900/40 to-pink-900/40 border-2 border-purple-500 rounded-lg p-6">
+                    <div className="flex items-center mb-4">
+                      <TrendingUp className="w-8 h-8 text-purple-400 mr-3" />
+                      <div>
+                        <h3 className="text-2xl font-bold">🚀 High Probability Intraday Gainer</h3>
+                        <p className="text-purple-300">Likely to gain 1%+ in the next few hours</p>
+                      </div>
+                    </div>
+                
+                    <div className="mb-4">
+                      <div className="flex justify-between items-center mb-2">
+                        <span className="text-gray-300">Gain Probability</span>
+                        <span className="text-3xl font-bold text-purple-400">{detailStock.gainProbability.toFixed(0)}%</span>
+                      </div>
+                      <div className="text-xs text-gray-400 mb-2">
+                        {detailStock.isCalibrated
+                          ? `Historical hit rate for a rule score of ${detailStock.gainScore}`
+                          : `Uncalibrated rule score (${detailStock.gainScore} points)`}
+                      </div>
+                      <div className="w-full bg-gray-700 rounded-full h-3">
+                        <div 
+                          className="bg-gradient-to-r from-purple-500 to-pink-500 h-3 rounded-full transition-all duration-500"
+                          style={{ width: `${detailStock.gainProbability}%` }}
+                        ></div>
+                      </div>
+                    </div>
+
+                    <div className="bg-black/30 rounded-lg p-4">
+                      <div className="font-semibold text-purple-300 mb-3">Key Indicators Supporting This Prediction:</div>
+                      <div className="space-y-2">
+                        {detailStock.gainReasons.map((reason, idx) => (
+                          <div key={idx} className="flex items-start">
+                            <span className="text-purple-400 mr-2 text-lg">✓</span>
+                            <span className="text-gray-200">{reason}</span>
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+
+                    <div className="mt-4 bg-yellow-900/20 border border-yellow-500/50 rounded p-3 text-sm text-yellow-200">
+                      <strong>Trading Note:</strong> This prediction is based on current momentum and technical patterns. 
+                      Set stop-loss orders and monitor closely. Intraday predictions are most reliable during high-volume trading hours.
+                    </div>
+                  </div>
+                )}
+
+                {detailStock.regimeBlocks?.length > 0 && detailStock.gainScore >= strategy.gain.highProbabilityThreshold && (
+                  <div className="bg-gray-900 border border-yellow-500/50 rounded-lg p-4 mb-4 text-sm text-gray-300">
+                    Gain score {detailStock.gainScore} would flag an intraday gainer, but the breadth regime filter is
+                    holding picks back: {detailStock.regimeBlocks.join(', ')}.
+                  </div>
+                )}
+
+                {detailStock.intradaySuppressed && detailStock.gainScore >= strategy.gain.highProbabilityThreshold && (
+                  <div className="bg-gray-900 border border-purple-500/50 rounded-lg p-4 text-sm text-gray-300">
+                    Gain score {detailStock.gainScore} would flag an intraday gainer, but intraday predictions are
+                    suppressed while the ASX is {clock.label.toLowerCase()}.
+                  </div>
+                )}
+              </>
             )}
           </div>
         )}
@@ -0,0 +1,104 @@
+// Alert rules evaluated on each data refresh by comparing every stock with its
+// previous snapshot, so conditions fire when they become true rather than on
+// every refresh while they stay true. Cooldowns stop a flapping condition from
+// firing again too soon.
+//
+// A rule is { id, symbol ('*' for any stock), type, level, cooldownMinutes, enabled }.
+
+export const ALERT_TYPES = {
+  priceAbove: {
+    label: 'Price crosses above',
+    needsLevel: true,
+    check: (prev, curr, level) => prev.currentPrice < level && curr.currentPrice >= level,
+    message: (stock, level) => `${stock.symbol} crossed above $${level.toFixed(2)} (now $${stock.currentPrice.toFixed(2)})`
+  },
+  priceBelow: {
+    label: 'Price crosses below',
+    needsLevel: true,
+    check: (prev, curr, level) => prev.currentPrice > level && curr.currentPrice <= level,
+    message: (stock, level) => `${stock.symbol} crossed below $${level.toFixed(2)} (now $${stock.currentPrice.toFixed(2)})`
+  },
+  rsiOverbought: {
+    label: 'RSI enters overbought',
+    needsLevel: true,
+    defaultLevel: 70,
+    check: (prev, curr, level) => prev.rsi <= level && curr.rsi > level,
+    message: (stock) => `${stock.symbol} RSI overbought at ${stock.rsi.toFixed(1)}`
+  },
+  rsiOversold: {
+    label: 'RSI enters oversold',
+    needsLevel: true,
+    defaultLevel: 30,
+    check: (prev, curr, level) => prev.rsi >= level && curr.rsi < level,
+    message: (stock) => `${stock.symbol} RSI oversold at ${stock.rsi.toFixed(1)}`
+  },
+  highProbability: {
+    label: 'Becomes High Probability Gainer',
+    needsLevel: false,
+    // Compared with the unsuppressed flag, so stocks already qualifying before the
+    // open don't all fire when the session starts
+    check: (prev, curr) => !(prev.intradaySuppressed ? prev.suppressedHighProbability : prev.isHighProbability)
+      && curr.isHighProbability,
+    message: (stock) => `${stock.symbol} is now a High Probability Gainer (${stock.gainProbability.toFixed(0)}%)`
+  },
+  bullishToBearish: {
+    label: 'Flips BULLISH → BEARISH',
+    needsLevel: false,
+    check: (prev, curr) => prev.prediction === 'BULLISH' && curr.prediction === 'BEARISH',
+    message: (stock) => `${stock.symbol} flipped from BULLISH to BEARISH`
+  },
+  bearishToBullish: {
+    label: 'Flips BEARISH → BULLISH',
+    needsLevel: false,
+    check: (prev, curr) => prev.prediction === 'BEARISH' && curr.prediction === 'BULLISH',
+    message: (stock) => `${stock.symbol} flipped from BEARISH to BULLISH`
+  }
+};
+
+export const createAlertRule = ({ symbol = '*', type, level = null, cooldownMinutes = 30 }) => ({
+  id: `al-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+  symbol,
+  type,
+  level: ALERT_TYPES[type].needsLevel ? Number(level ?? ALERT_TYPES[type].defaultLevel) : null,
+  cooldownMinutes,
+  enabled: true
+});
+
+export const describeAlertRule = (rule) => {
+  const type = ALERT_TYPES[rule.type];
+  const target = rule.symbol === '*' ? 'Any stock' : rule.symbol;
+  return `${target}: ${type.label}${type.needsLevel ? ` ${rule.level}` : ''}`;
+};
+
+// previous/current: { [symbol]: stock }. lastFired: { [`${ruleId}:${symbol}`]: epoch ms }.
+// Returns the events that fired and the updated lastFired map.
+export const evaluateAlerts = (rules, previous, current, lastFired = {}, now = Date.now()) => {
+  const events = [];
+  const fired = { ...lastFired };
+
+  rules.filter(rule => rule.enabled && ALERT_TYPES[rule.type]).forEach(rule => {
+    const symbols = rule.symbol === '*' ? Object.keys(current) : [rule.symbol];
+
+    symbols.forEach(symbol => {
+      const prev = previous[symbol];
+      const curr = current[symbol];
+      if (!prev || !curr) return;
+
+      const key = `${rule.id}:${symbol}`;
+      if (fired[key] && now - fired[key] < rule.cooldownMinutes * 60000) return;
+      if (!ALERT_TYPES[rule.type].check(prev, curr, rule.level)) return;
+
+      fired[key] = now;
+      events.push({
+        id: `${key}:${now}`,
+        ruleId: rule.id,
+        symbol,
+        type: rule.type,
+        message: ALERT_TYPES[rule.type].message(curr, rule.level),
+        firedAt: now
+      });
+    });
+  });
+
+  return { events, lastFired: fired };
+};
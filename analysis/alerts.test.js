@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest';
+import { createAlertRule, evaluateAlerts } from './alerts.js';
+import { applyMarketSession } from './stockAnalysis.js';
+
+const stock = (fields) => ({ symbol: 'CBA.AX', currentPrice: 100, rsi: 50, gainProbability: 80, isHighProbability: false, ...fields });
+const bySymbol = (...stocks) => Object.fromEntries(stocks.map(item => [item.symbol, item]));
+
+const NOW = Date.UTC(2026, 9, 19, 0, 0);
+const CLOSED = { isOpen: false };
+const OPEN = { isOpen: true };
+
+describe('evaluateAlerts', () => {
+  it('fires a price cross once and then respects the cooldown', () => {
+    const rule = createAlertRule({ type: 'priceAbove', level: 101, cooldownMinutes: 30 });
+    const first = evaluateAlerts([rule], bySymbol(stock({})), bySymbol(stock({ currentPrice: 102 })), {}, NOW);
+    expect(first.events.map(event => event.message)).toEqual(['CBA.AX crossed above $101.00 (now $102.00)']);
+
+    const again = evaluateAlerts([rule], bySymbol(stock({})), bySymbol(stock({ currentPrice: 102 })), first.lastFired, NOW + 10 * 60000);
+    expect(again.events).toEqual([]);
+  });
+
+  describe('highProbability', () => {
+    const rule = createAlertRule({ type: 'highProbability' });
+
+    it('does not fire for stocks that already qualified before the open', () => {
+      const beforeOpen = applyMarketSession(stock({ isHighProbability: true }), CLOSED);
+      const atOpen = applyMarketSession(stock({ isHighProbability: true }), OPEN);
+      expect(beforeOpen.isHighProbability).toBe(false);
+      expect(evaluateAlerts([rule], bySymbol(beforeOpen), bySymbol(atOpen)).events).toEqual([]);
+    });
+
+    it('fires when a stock starts qualifying at the open', () => {
+      const beforeOpen = applyMarketSession(stock({}), CLOSED);
+      const atOpen = applyMarketSession(stock({ isHighProbability: true }), OPEN);
+      expect(evaluateAlerts([rule], bySymbol(beforeOpen), bySymbol(atOpen)).events).toHaveLength(1);
+    });
+
+    it('stays quiet while calls are suppressed', () => {
+      const before = applyMarketSession(stock({}), CLOSED);
+      const after = applyMarketSession(stock({ isHighProbability: true }), CLOSED);
+      expect(evaluateAlerts([rule], bySymbol(before), bySymbol(after)).events).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,6 @@
+// Web Worker hosting one analysis engine of the pool (see engine.js for messages)
+import { createEngineHandler } from './engine.js';
+
+const handle = createEngineHandler(message => self.postMessage(message));
+
+self.onmessage = ({ data }) => handle(data);
@@ -0,0 +1,176 @@
+import { buildStockData, applyRegimeFilter } from './stockAnalysis.js';
+import { DEFAULT_STRATEGY } from './strategy.js';
+import { fitCalibration, applyCalibration, reliabilityDiagram, brierScore } from './calibration.js';
+import { findBenchmark } from '../data/benchmarks.js';
+
+// Walk-forward backtest. For each past session the stock is analysed using only
+// the bars up to and including that session, then the call is scored against
+// the bars that actually followed. Gain probabilities in the test window come
+// from a calibration fitted on the sessions just before it, never on the
+// sessions being scored.
+
+export const DEFAULT_BACKTEST_CONFIG = {
+  sessions: 7,               // Number of past sessions to replay
+  holdingPeriod: 1,          // Sessions between entry (close) and exit (close)
+  successThreshold: 1.0,     // % gain needed for a gainer pick to count as a win
+  lookback: 60,              // Bars of history the analysis sees at each session
+  calibrationSessions: 60,   // Sessions used to fit the probability calibration
+  calibrationMethod: 'isotonic'
+};
+
+// Bars of history a backtest with this config needs per symbol
+export const requiredHistory = ({ sessions, holdingPeriod, lookback, calibrationSessions }) => (
+  lookback + calibrationSessions + sessions + holdingPeriod
+);
+
+const percentChange = (from, to) => ((to - from) / from) * 100;
+
+// Trading dates seen across the universe that already have `holdingPeriod` sessions after them
+const scorableDates = (histories, holdingPeriod) => {
+  const allDates = [...new Set(Object.values(histories).flatMap(bars => bars.map(bar => bar.date)))].sort();
+  return allDates.slice(0, allDates.length - holdingPeriod);
+};
+
+// Analyse every symbol at each date and pair it with the return that followed.
+// The regime filter, when enabled, sees that session's breadth across the universe.
+export const replaySessions = (histories, dates, { holdingPeriod, lookback }, strategy = DEFAULT_STRATEGY, benchmarks = {}) => (
+  dates.map(date => {
+    const outcomes = Object.entries(histories).flatMap(([symbol, bars]) => {
+      const index = bars.findIndex(bar => bar.date === date);
+      const exitBar = bars[index + holdingPeriod];
+      // Need two bars to analyse and a future bar to score against
+      if (index < 1 || !exitBar) return [];
+
+      const stock = buildStockData(symbol, bars.slice(Math.max(0, index + 1 - lookback), index + 1), strategy, null, benchmarks);
+      return [{ symbol, stock, exitPrice: exitBar.close, actualGain: percentChange(stock.currentPrice, exitBar.close) }];
+    });
+
+    const stocks = applyRegimeFilter(outcomes.map(outcome => outcome.stock), strategy);
+    return { date, outcomes: outcomes.map((outcome, index) => ({ ...outcome, stock: stocks[index] })) };
+  })
+);
+
+// Score/hit pairs for fitting a calibration
+export const calibrationSamples = (sessions, successThreshold) => sessions.flatMap(session => (
+  session.outcomes.map(({ stock, actualGain }) => ({ score: stock.gainScore, hit: actualGain >= successThreshold }))
+));
+
+// Index return over the holding period from a session's close, or null without index bars
+const benchmarkGain = (bars, date, holdingPeriod) => {
+  const index = bars ? bars.findIndex(bar => bar.date === date) : -1;
+  const exitBar = index >= 0 ? bars[index + holdingPeriod] : null;
+  return exitBar ? percentChange(bars[index].close, exitBar.close) : null;
+};
+
+// Per-session returns compounded over the window
+const compound = (returns) => (returns.reduce((total, gain) => total * (1 + gain / 100), 1) - 1) * 100;
+
+// histories: { [symbol]: bar[] } sorted oldest first; benchmarks: index bars by symbol.
+// Returns the per-session breakdown, a reliability diagram of the test window,
+// the strategy's returns against its benchmark index and `liveCalibration`,
+// refitted on the most recent sessions for scoring today's bars.
+export const runWalkForwardBacktest = (histories, config = DEFAULT_BACKTEST_CONFIG, strategy = DEFAULT_STRATEGY, benchmarks = {}) => {
+  const settings = { ...DEFAULT_BACKTEST_CONFIG, ...config };
+  const { sessions, successThreshold, calibrationSessions, calibrationMethod } = settings;
+
+  const dates = scorableDates(histories, settings.holdingPeriod);
+  const testDates = dates.slice(-sessions);
+  const trainingDates = dates.slice(0, dates.length - testDates.length).slice(-calibrationSessions);
+
+  const replayed = replaySessions(histories, [...trainingDates, ...testDates], settings, strategy, benchmarks);
+  const index = findBenchmark(strategy.benchmark);
+  const indexBars = index ? benchmarks[index.symbol] : null;
+  const training = replayed.slice(0, trainingDates.length);
+  const calibration = fitCalibration(calibrationSamples(training, successThreshold), calibrationMethod);
+  const toProbability = (stock) => (calibration ? applyCalibration(calibration, stock.gainScore) * 100 : stock.gainProbability);
+
+  const scored = [];
+  const days = replayed.slice(trainingDates.length).map(({ date, outcomes }) => {
+    const predictions = [];
+    let trendCalls = 0;
+    let trendCorrect = 0;
+
+    outcomes.forEach(({ symbol, stock, exitPrice, actualGain }) => {
+      const probability = toProbability(stock);
+      scored.push({ probability, hit: actualGain >= successThreshold });
+
+      if (stock.prediction !== 'NEUTRAL') {
+        trendCalls++;
+        if ((stock.prediction === 'BULLISH') === (actualGain > 0)) trendCorrect++;
+      }
+
+      // The strategy's own cutoff decides the picks, as on the dashboard and in the optimiser
+      if (stock.isHighProbability) {
+        predictions.push({
+          symbol,
+          predictedProb: probability,
+          gainScore: stock.gainScore,
+          prediction: stock.prediction,
+          entryPrice: stock.currentPrice,
+          exitPrice,
+          actualGain,
+          success: actualGain >= successThreshold
+        });
+      }
+    });
+
+    predictions.sort((a, b) => b.predictedProb - a.predictedProb);
+
+    const totalPredictions = predictions.length;
+    const successfulPredictions = predictions.filter(pred => pred.success).length;
+    const totalGain = predictions.reduce((sum, pred) => sum + pred.actualGain, 0);
+    const fullDate = new Date(`${date}T00:00:00`);
+
+    return {
+      date: fullDate.toLocaleDateString('en-AU', { month: 'short', day: 'numeric' }),
+      fullDate,
+      session: date,
+      totalPredictions,
+      successfulPredictions,
+      failedPredictions: totalPredictions - successfulPredictions,
+      winRate: totalPredictions > 0 ? (successfulPredictions / totalPredictions) * 100 : 0,
+      avgGain: totalPredictions > 0 ? totalGain / totalPredictions : 0,
+      benchmarkGain: benchmarkGain(indexBars, date, settings.holdingPeriod),
+      trendCalls,
+      trendCorrect,
+      trendAccuracy: trendCalls > 0 ? (trendCorrect / trendCalls) * 100 : 0,
+      predictions
+    };
+  });
+
+  // The strategy holds an equal-weighted basket of its picks each session (cash on
+  // sessions without any) against simply holding the index. Each return spans
+  // `holdingPeriod` sessions, so only every holdingPeriod-th session is compounded:
+  // chaining overlapping holds would count the same moves several times.
+  const benchmarkDays = days.filter(day => day.benchmarkGain !== null);
+  const heldDays = benchmarkDays.filter((_, i) => i % settings.holdingPeriod === 0);
+  const strategyReturn = compound(heldDays.map(day => day.avgGain));
+  const benchmarkReturn = compound(heldDays.map(day => day.benchmarkGain));
+  const curve = heldDays.map((day, i) => ({
+    date: day.date,
+    strategy: compound(heldDays.slice(0, i + 1).map(item => item.avgGain)),
+    benchmark: compound(heldDays.slice(0, i + 1).map(item => item.benchmarkGain))
+  }));
+
+  return {
+    days,
+    benchmark: index && benchmarkDays.length > 0 ? {
+      ...index,
+      sessions: benchmarkDays.length,
+      holds: heldDays.length,
+      holdingPeriod: settings.holdingPeriod,
+      strategyReturn,
+      benchmarkReturn,
+      excessReturn: strategyReturn - benchmarkReturn,
+      sessionsAhead: benchmarkDays.filter(day => day.avgGain > day.benchmarkGain).length,
+      curve
+    } : null,
+    calibration,
+    liveCalibration: fitCalibration(
+      calibrationSamples(replayed.slice(-calibrationSessions), successThreshold),
+      calibrationMethod
+    ),
+    reliability: reliabilityDiagram(scored),
+    brierScore: brierScore(scored)
+  };
+};
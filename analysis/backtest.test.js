@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import { runWalkForwardBacktest, requiredHistory } from './backtest.js';
+import { DEFAULT_STRATEGY } from './strategy.js';
+
+// Bars rising `step`% every session, on consecutive dates from 1 July 2024
+const rising = (count, start, step) => Array.from({ length: count }, (_, i) => {
+  const close = start * (1 + step / 100) ** i;
+  const date = new Date(Date.UTC(2024, 6, 1 + i)).toISOString().slice(0, 10);
+  return { date, open: close, high: close * 1.005, low: close * 0.995, close, volume: 100000 };
+});
+
+const backtest = (holdingPeriod, strategy = DEFAULT_STRATEGY) => {
+  const config = { sessions: 9, holdingPeriod, lookback: 30, calibrationSessions: 5 };
+  const count = requiredHistory({ ...config, holdingPeriod: 3 });
+  return runWalkForwardBacktest(
+    { 'CBA.AX': rising(count, 100, 1) },
+    config,
+    strategy,
+    { '^AXJO': rising(count, 8000, 1) }
+  );
+};
+
+describe('runWalkForwardBacktest', () => {
+  it('compounds one-session holds every session', () => {
+    const { benchmark } = backtest(1);
+    expect(benchmark.sessions).toBe(9);
+    expect(benchmark.benchmarkReturn).toBeCloseTo((1.01 ** 9 - 1) * 100, 8);
+  });
+
+  it('compounds multi-session holds without counting overlaps', () => {
+    const { days, benchmark } = backtest(3);
+    // Every session's index return spans three sessions...
+    expect(days[0].benchmarkGain).toBeCloseTo((1.01 ** 3 - 1) * 100, 8);
+    // ...so nine sessions are three back-to-back holds, not nine stacked ones
+    expect(benchmark).toMatchObject({ sessions: 9, holds: 3, holdingPeriod: 3 });
+    expect(benchmark.benchmarkReturn).toBeCloseTo((1.01 ** 9 - 1) * 100, 8);
+    expect(benchmark.curve).toHaveLength(3);
+  });
+
+  it('takes picks on the strategy\'s own high probability cutoff', () => {
+    const lenient = { ...DEFAULT_STRATEGY, gain: { ...DEFAULT_STRATEGY.gain, highProbabilityThreshold: 0 } };
+    expect(backtest(1, lenient).days.every(day => day.totalPredictions === 1)).toBe(true);
+    const strict = { ...DEFAULT_STRATEGY, gain: { ...DEFAULT_STRATEGY.gain, highProbabilityThreshold: 1000 } };
+    expect(backtest(1, strict).days.every(day => day.totalPredictions === 0)).toBe(true);
+  });
+});
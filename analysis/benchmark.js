@@ -0,0 +1,76 @@
+// Performance of a stock relative to a benchmark index. Benchmark bars are
+// matched to the stock's bars by date, so only sessions the stock traded (and
+// never anything after its last bar) are read - replays can pass the full index.
+
+// Sessions of paired daily returns used for beta and correlation
+export const BETA_PERIOD = 60;
+
+const closesByDate = (benchmarkBars) => new Map(benchmarkBars.map(bar => [bar.date, bar.close]));
+
+// Stock price over index level, rebased to 100 at the first shared session.
+// Rising means the stock is outperforming the index; null where the index has no bar.
+export const relativeStrengthLine = (bars, benchmarkBars) => {
+  const levels = closesByDate(benchmarkBars);
+  const first = bars.find(bar => levels.has(bar.date));
+  if (!first) return bars.map(() => null);
+  const base = first.close / levels.get(first.date);
+  return bars.map(bar => (levels.has(bar.date) ? (bar.close / levels.get(bar.date) / base) * 100 : null));
+};
+
+// Stock return minus index return (percentage points) over the last `period` sessions
+export const relativeReturn = (bars, benchmarkBars, period) => {
+  if (bars.length <= period) return null;
+  const levels = closesByDate(benchmarkBars);
+  const from = bars[bars.length - 1 - period];
+  const to = bars[bars.length - 1];
+  if (!levels.has(from.date) || !levels.has(to.date)) return null;
+  const stockReturn = (to.close / from.close - 1) * 100;
+  const indexReturn = (levels.get(to.date) / levels.get(from.date) - 1) * 100;
+  return stockReturn - indexReturn;
+};
+
+// Beta and correlation of daily returns over the last `period` sessions both traded
+export const betaStats = (bars, benchmarkBars, period = BETA_PERIOD) => {
+  const levels = closesByDate(benchmarkBars);
+  const pairs = [];
+  for (let i = 1; i < bars.length; i++) {
+    const previous = levels.get(bars[i - 1].date);
+    const current = levels.get(bars[i].date);
+    if (previous && current) pairs.push([bars[i].close / bars[i - 1].close - 1, current / previous - 1]);
+  }
+  const recent = pairs.slice(-period);
+  if (recent.length < 10) return { beta: null, correlation: null, sessions: recent.length };
+
+  const meanStock = recent.reduce((sum, [stock]) => sum + stock, 0) / recent.length;
+  const meanIndex = recent.reduce((sum, [, index]) => sum + index, 0) / recent.length;
+  let covariance = 0;
+  let stockVariance = 0;
+  let indexVariance = 0;
+  recent.forEach(([stock, index]) => {
+    covariance += (stock - meanStock) * (index - meanIndex);
+    stockVariance += (stock - meanStock) ** 2;
+    indexVariance += (index - meanIndex) ** 2;
+  });
+
+  return {
+    beta: indexVariance > 0 ? covariance / indexVariance : null,
+    correlation: stockVariance > 0 && indexVariance > 0 ? covariance / Math.sqrt(stockVariance * indexVariance) : null,
+    sessions: recent.length
+  };
+};
+
+// Everything the scoring rules and the detailed view need about one benchmark.
+// `benchmark` is { symbol, code, name, bars }; returns null without index bars.
+export const compareToBenchmark = (bars, benchmark) => {
+  if (!benchmark?.bars?.length) return null;
+  return {
+    symbol: benchmark.symbol,
+    code: benchmark.code,
+    name: benchmark.name,
+    line: relativeStrengthLine(bars, benchmark.bars),
+    today: relativeReturn(bars, benchmark.bars, 1),
+    week: relativeReturn(bars, benchmark.bars, 5),
+    month: relativeReturn(bars, benchmark.bars, 20),
+    ...betaStats(bars, benchmark.bars)
+  };
+};
@@ -0,0 +1,51 @@
+// Market breadth: how the analysed universe is moving as a whole. Computed from
+// analysed stock models, so it works for the live dashboard and for each
+// replayed session in the backtest.
+
+const percentOf = (count, total) => (total > 0 ? (count / total) * 100 : 0);
+const average = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0);
+
+const tally = (stocks) => ({
+  count: stocks.length,
+  averageChange: average(stocks.map(stock => stock.changePercent)),
+  bullish: stocks.filter(stock => stock.prediction === 'BULLISH').length,
+  bearish: stocks.filter(stock => stock.prediction === 'BEARISH').length
+});
+
+export const computeBreadth = (stocks) => {
+  const advancers = stocks.filter(stock => stock.change > 0).length;
+  const decliners = stocks.filter(stock => stock.change < 0).length;
+
+  const bySector = {};
+  stocks.forEach(stock => {
+    const sector = stock.sector ?? 'Unclassified';
+    (bySector[sector] = bySector[sector] ?? []).push(stock);
+  });
+
+  return {
+    ...tally(stocks),
+    advancers,
+    decliners,
+    unchanged: stocks.length - advancers - decliners,
+    advancePercent: percentOf(advancers, stocks.length),
+    aboveSma20: percentOf(stocks.filter(stock => stock.currentPrice > stock.sma20).length, stocks.length),
+    aboveSma50: percentOf(stocks.filter(stock => stock.currentPrice > stock.sma50).length, stocks.length),
+    averageRsi: average(stocks.map(stock => stock.rsi)),
+    sectors: Object.entries(bySector)
+      .map(([sector, members]) => ({ sector, symbols: members.map(stock => stock.symbol), ...tally(members) }))
+      .sort((a, b) => b.averageChange - a.averageChange)
+  };
+};
+
+// Breadth readings the gain regime filter can require a minimum of
+export const REGIME_CHECKS = [
+  { key: 'minAdvancing', label: 'Min % advancing', metric: 'advancePercent' },
+  { key: 'minAboveSma20', label: 'Min % above SMA 20', metric: 'aboveSma20' },
+  { key: 'minAboveSma50', label: 'Min % above SMA 50', metric: 'aboveSma50' },
+  { key: 'minAverageRsi', label: 'Min average RSI', metric: 'averageRsi' }
+];
+
+// Failed regime checks as readable reasons; empty when the market qualifies
+export const regimeFailures = (breadth, regime) => REGIME_CHECKS
+  .filter(check => breadth[check.metric] < regime[check.key])
+  .map(check => `${check.label.replace('Min ', '')} ${breadth[check.metric].toFixed(0)} < ${regime[check.key]}`);
@@ -0,0 +1,112 @@
+// Probability calibration. The gain rules produce a raw points score; these
+// functions fit that score to the hit rates actually observed on historical
+// data so a displayed probability means what it says.
+//
+// A calibration is plain data ({ method, ... }) so it can be stored or posted
+// between threads; applyCalibration turns a raw score into a probability (0-1).
+
+export const CALIBRATION_METHODS = ['isotonic', 'logistic', 'none'];
+
+// Pool-adjacent-violators: the non-decreasing step function of score that best
+// fits the hit/miss samples. Each block carries its score range and hit rate.
+export const fitIsotonic = (samples) => {
+  const byScore = new Map();
+  samples.forEach(({ score, hit }) => {
+    const group = byScore.get(score) ?? { minScore: score, maxScore: score, hits: 0, count: 0 };
+    group.hits += hit ? 1 : 0;
+    group.count += 1;
+    byScore.set(score, group);
+  });
+
+  const blocks = [];
+  [...byScore.values()].sort((a, b) => a.minScore - b.minScore).forEach(group => {
+    blocks.push({ ...group });
+    // Merge backwards while the step function would decrease
+    while (blocks.length > 1) {
+      const current = blocks[blocks.length - 1];
+      const previous = blocks[blocks.length - 2];
+      if (previous.hits / previous.count <= current.hits / current.count) break;
+      blocks.splice(-2, 2, {
+        minScore: previous.minScore,
+        maxScore: current.maxScore,
+        hits: previous.hits + current.hits,
+        count: previous.count + current.count
+      });
+    }
+  });
+
+  // Laplace smoothing keeps thin blocks away from a hard 0% or 100%
+  return {
+    method: 'isotonic',
+    sampleCount: samples.length,
+    blocks: blocks.map(block => ({ ...block, probability: (block.hits + 1) / (block.count + 2) }))
+  };
+};
+
+// Logistic regression of hit on score (scaled to 0-1) fitted with Newton's method
+export const fitLogistic = (samples, iterations = 25) => {
+  let intercept = 0;
+  let slope = 0;
+
+  for (let iter = 0; iter < iterations; iter++) {
+    let g0 = 0, g1 = 0, h00 = 0, h01 = 0, h11 = 0;
+    samples.forEach(({ score, hit }) => {
+      const x = score / 100;
+      const p = 1 / (1 + Math.exp(-(intercept + slope * x)));
+      const w = Math.max(p * (1 - p), 1e-9);
+      g0 += (hit ? 1 : 0) - p;
+      g1 += ((hit ? 1 : 0) - p) * x;
+      h00 += w;
+      h01 += w * x;
+      h11 += w * x * x;
+    });
+    const det = h00 * h11 - h01 * h01;
+    if (Math.abs(det) < 1e-12) break;
+    intercept += (h11 * g0 - h01 * g1) / det;
+    slope += (h00 * g1 - h01 * g0) / det;
+  }
+
+  return { method: 'logistic', sampleCount: samples.length, intercept, slope };
+};
+
+// Fit the requested method, or null when there is nothing to learn from
+export const fitCalibration = (samples, method = 'isotonic') => {
+  if (method === 'none' || samples.length === 0) return null;
+  return method === 'logistic' ? fitLogistic(samples) : fitIsotonic(samples);
+};
+
+export const applyCalibration = (calibration, score) => {
+  if (calibration.method === 'logistic') {
+    return 1 / (1 + Math.exp(-(calibration.intercept + calibration.slope * (score / 100))));
+  }
+
+  const { blocks } = calibration;
+  const block = blocks.find(item => score <= item.maxScore) ?? blocks[blocks.length - 1];
+  return block.probability;
+};
+
+// Reliability diagram: bucket predictions by predicted probability (0-100) and
+// compare the mean prediction with the observed hit rate in each bucket.
+export const reliabilityDiagram = (predictions, binSize = 10) => {
+  const bins = [];
+  for (let start = 0; start < 100; start += binSize) {
+    const inBin = predictions.filter(({ probability }) => (
+      probability >= start && (probability < start + binSize || (start + binSize >= 100 && probability <= 100))
+    ));
+    if (inBin.length === 0) continue;
+    bins.push({
+      bin: `${start}-${start + binSize}%`,
+      predicted: inBin.reduce((sum, item) => sum + item.probability, 0) / inBin.length,
+      observed: (inBin.filter(item => item.hit).length / inBin.length) * 100,
+      count: inBin.length
+    });
+  }
+  return bins;
+};
+
+// Mean squared error of the predicted probabilities (lower is better)
+export const brierScore = (predictions) => (
+  predictions.length > 0
+    ? predictions.reduce((sum, { probability, hit }) => sum + (probability / 100 - (hit ? 1 : 0)) ** 2, 0) / predictions.length
+    : null
+);
@@ -0,0 +1,112 @@
+import { describe, it, expect } from 'vitest';
+import { applyCalibration, brierScore, fitCalibration, fitIsotonic, fitLogistic, reliabilityDiagram } from './calibration.js';
+
+// `hits` hits out of `count` samples at `score`
+const samplesAt = (score, hits, count) => Array.from({ length: count }, (_, i) => ({ score, hit: i < hits }));
+
+const sigmoid = (z) => 1 / (1 + Math.exp(-z));
+
+describe('fitIsotonic', () => {
+  it('pools adjacent scores whose hit rates decrease', () => {
+    const calibration = fitIsotonic([...samplesAt(20, 1, 4), ...samplesAt(10, 3, 4), ...samplesAt(30, 4, 4)]);
+
+    expect(calibration).toMatchObject({ method: 'isotonic', sampleCount: 12 });
+    expect(calibration.blocks).toEqual([
+      // 4 hits in 8, Laplace-smoothed
+      { minScore: 10, maxScore: 20, hits: 4, count: 8, probability: 5 / 10 },
+      { minScore: 30, maxScore: 30, hits: 4, count: 4, probability: 5 / 6 }
+    ]);
+  });
+
+  it('merges back through earlier blocks until the steps are non-decreasing', () => {
+    // 60%, 70%, then 20% pulls both earlier blocks down into one
+    const calibration = fitIsotonic([...samplesAt(10, 6, 10), ...samplesAt(20, 7, 10), ...samplesAt(30, 2, 10), ...samplesAt(40, 9, 10)]);
+
+    expect(calibration.blocks.map(({ minScore, maxScore, hits, count }) => [minScore, maxScore, hits, count])).toEqual([
+      [10, 30, 15, 30],
+      [40, 40, 9, 10]
+    ]);
+  });
+
+  it('gives a probability that never falls as the score rises', () => {
+    // Noisy hit rates around a rising trend
+    const samples = [0, 10, 20, 30, 40, 50, 60, 70, 80, 90].flatMap((score, i) => samplesAt(score, [2, 1, 4, 3, 3, 6, 5, 8, 7, 9][i], 10));
+    const calibration = fitIsotonic(samples);
+    const rates = calibration.blocks.map(block => block.hits / block.count);
+    const curve = Array.from({ length: 101 }, (_, score) => applyCalibration(calibration, score));
+
+    rates.slice(1).forEach((rate, i) => expect(rate).toBeGreaterThan(rates[i]));
+    curve.slice(1).forEach((probability, i) => expect(probability).toBeGreaterThanOrEqual(curve[i]));
+    expect(calibration.blocks.reduce((sum, block) => sum + block.count, 0)).toBe(samples.length);
+  });
+
+  it('maps a score to its block, and beyond the last block to the last block', () => {
+    const calibration = fitIsotonic([...samplesAt(20, 1, 4), ...samplesAt(10, 3, 4), ...samplesAt(30, 4, 4)]);
+    expect(applyCalibration(calibration, 15)).toBe(0.5);
+    expect(applyCalibration(calibration, 25)).toBe(5 / 6);
+    expect(applyCalibration(calibration, 90)).toBe(5 / 6);
+  });
+});
+
+describe('fitLogistic', () => {
+  it('recovers the curve the hits were drawn from', () => {
+    // Hit rates exactly on sigmoid(-2 + 4 * score / 100), to the nearest in 1000
+    const samples = [0, 10, 20, 30, 40, 50, 60, 70, 80, 90, 100].flatMap(score => (
+      samplesAt(score, Math.round(sigmoid(-2 + 4 * (score / 100)) * 1000), 1000)
+    ));
+    const calibration = fitLogistic(samples);
+
+    expect(calibration).toMatchObject({ method: 'logistic', sampleCount: samples.length });
+    expect(calibration.intercept).toBeCloseTo(-2, 2);
+    expect(calibration.slope).toBeCloseTo(4, 2);
+    expect(applyCalibration(calibration, 50)).toBeCloseTo(0.5, 2);
+  });
+
+  it('fits a flat line when the score carries no information', () => {
+    const calibration = fitLogistic([20, 50, 80].flatMap(score => samplesAt(score, 3, 10)));
+    expect(calibration.slope).toBeCloseTo(0, 8);
+    expect(applyCalibration(calibration, 0)).toBeCloseTo(0.3, 8);
+  });
+});
+
+describe('fitCalibration', () => {
+  it('fits the requested method, or nothing', () => {
+    const samples = samplesAt(50, 1, 2);
+    expect(fitCalibration(samples).method).toBe('isotonic');
+    expect(fitCalibration(samples, 'logistic').method).toBe('logistic');
+    expect(fitCalibration(samples, 'none')).toBeNull();
+    expect(fitCalibration([], 'isotonic')).toBeNull();
+  });
+});
+
+describe('reliabilityDiagram', () => {
+  it('buckets predictions by probability and skips empty bins', () => {
+    const bins = reliabilityDiagram([
+      { probability: 5, hit: false },
+      { probability: 8, hit: true },
+      { probability: 10, hit: false },
+      { probability: 95, hit: true },
+      { probability: 100, hit: true }
+    ]);
+
+    expect(bins).toEqual([
+      { bin: '0-10%', predicted: 6.5, observed: 50, count: 2 },
+      // The lower edge belongs to the bin above
+      { bin: '10-20%', predicted: 10, observed: 0, count: 1 },
+      // and 100% to the last bin
+      { bin: '90-100%', predicted: 97.5, observed: 100, count: 2 }
+    ]);
+  });
+
+  it('uses the bin size given', () => {
+    const bins = reliabilityDiagram([{ probability: 30, hit: true }, { probability: 70, hit: false }], 50);
+    expect(bins.map(({ bin, count }) => [bin, count])).toEqual([['0-50%', 1], ['50-100%', 1]]);
+  });
+});
+
+describe('brierScore', () => {
+  it('averages the squared error of each prediction', () => {
+    expect(brierScore([{ probability: 80, hit: true }, { probability: 40, hit: false }])).toBeCloseTo((0.04 + 0.16) / 2, 10);
+    expect(brierScore([])).toBeNull();
+  });
+});
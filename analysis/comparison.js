@@ -0,0 +1,67 @@
+// Side-by-side comparison of a handful of analysed stocks: closes rebased to 100
+// on the first session they all traded, and the correlation of their daily
+// returns over the sessions they share.
+
+export const MIN_COMPARE = 2;
+export const MAX_COMPARE = 6;
+
+// Sessions of daily returns used for the correlation matrix
+export const CORRELATION_PERIOD = 60;
+
+// Add or remove a symbol, ignoring additions past MAX_COMPARE
+export const toggleCompare = (symbols, symbol) => {
+  if (symbols.includes(symbol)) return symbols.filter(item => item !== symbol);
+  return symbols.length >= MAX_COMPARE ? symbols : [...symbols, symbol];
+};
+
+const closesByDate = (stock) => new Map(stock.bars.map(bar => [bar.date, bar.close]));
+
+// Dates every stock has a bar for, oldest first
+const sharedDates = (stocks, closes) => stocks[0].bars
+  .map(bar => bar.date)
+  .filter(date => closes.every(levels => levels.has(date)));
+
+// Rows { date, [symbol]: close rebased to 100 } for charting on one axis
+export const rebasedPerformance = (stocks) => {
+  if (stocks.length === 0) return [];
+  const closes = stocks.map(closesByDate);
+  const dates = sharedDates(stocks, closes);
+  if (dates.length === 0) return [];
+
+  return dates.map(date => ({
+    date,
+    ...Object.fromEntries(stocks.map((stock, i) => [stock.symbol, (closes[i].get(date) / closes[i].get(dates[0])) * 100]))
+  }));
+};
+
+const pearson = (a, b) => {
+  const meanA = a.reduce((sum, value) => sum + value, 0) / a.length;
+  const meanB = b.reduce((sum, value) => sum + value, 0) / b.length;
+  let covariance = 0;
+  let varianceA = 0;
+  let varianceB = 0;
+  a.forEach((value, i) => {
+    covariance += (value - meanA) * (b[i] - meanB);
+    varianceA += (value - meanA) ** 2;
+    varianceB += (b[i] - meanB) ** 2;
+  });
+  return varianceA > 0 && varianceB > 0 ? covariance / Math.sqrt(varianceA * varianceB) : null;
+};
+
+// Correlation of daily returns between every pair over the last `period` shared
+// sessions. `matrix[i][j]` pairs stocks[i] with stocks[j]; null with too few sessions.
+export const correlationMatrix = (stocks, period = CORRELATION_PERIOD) => {
+  const closes = stocks.map(closesByDate);
+  const dates = stocks.length > 0 ? sharedDates(stocks, closes).slice(-(period + 1)) : [];
+  const returns = closes.map(levels => dates.slice(1).map((date, i) => levels.get(date) / levels.get(dates[i]) - 1));
+  const sessions = Math.max(dates.length - 1, 0);
+
+  return {
+    symbols: stocks.map(stock => stock.symbol),
+    sessions,
+    matrix: returns.map((a, i) => returns.map((b, j) => {
+      if (sessions < 10) return null;
+      return i === j ? 1 : pearson(a, b);
+    }))
+  };
+};
@@ -0,0 +1,92 @@
+// Analysis engine run inside each pool worker. It keeps every symbol's bars and
+// indicator state between requests, so a refresh only recomputes indicators for
+// symbols whose bars actually changed, and a strategy or calibration change only
+// re-scores. When the new bars only move the latest bar or add one after it (a
+// live quote), the running indicator state is carried forward and only that bar
+// is recomputed; any other change rebuilds the symbol. Messages are plain data:
+//   { id, type: 'analyse', symbols, bars: { [symbol]: bar[] }, strategy, calibration, benchmarks }
+//     `bars` holds new or changed symbols only; `benchmarks` is null when unchanged.
+//     Replies { id, type: 'result', result: { stocks, removed } } with only the
+//     stocks that were re-scored, after { id, type: 'progress', done, total } updates.
+//   { id, type: 'backtest', histories, config, strategy, benchmarks }
+//     Replies { id, type: 'result', result } with the walk-forward backtest.
+// Failures reply { id, type: 'error', message }.
+import { computeIndicators, scoreStock, strategyBenchmark } from './stockAnalysis.js';
+import { advanceIndicatorState, continuesBars, createIndicatorState } from './liveIndicators.js';
+import { runWalkForwardBacktest } from './backtest.js';
+
+// Identifies a bar history by its span and latest bar, which is all a reload or
+// live tick changes, so identical reloads hit the cache
+const barsKey = (bars) => {
+  const latest = bars[bars.length - 1];
+  return latest
+    ? `${bars.length}:${bars[0].date}:${latest.date}:${latest.open}:${latest.high}:${latest.low}:${latest.close}:${latest.volume}`
+    : 'empty';
+};
+
+export const createAnalysisEngine = () => {
+  // symbol -> { bars, indicatorsKey, indicators, indicatorBars, benchmarkKey, live, scoreKey }
+  const entries = new Map();
+  let benchmarks = {};
+
+  const analyse = ({ symbols, bars, strategy, calibration, benchmarks: changedBenchmarks }, onProgress = () => {}) => {
+    if (changedBenchmarks) benchmarks = changedBenchmarks;
+    Object.entries(bars).forEach(([symbol, symbolBars]) => {
+      entries.set(symbol, { ...entries.get(symbol), bars: symbolBars });
+    });
+
+    const wanted = new Set(symbols);
+    const removed = [...entries.keys()].filter(symbol => !wanted.has(symbol));
+    removed.forEach(symbol => entries.delete(symbol));
+
+    const benchmark = strategyBenchmark(strategy, benchmarks);
+    const benchmarkKey = benchmark ? `${benchmark.symbol}:${barsKey(benchmark.bars)}` : 'none';
+    const contextKey = JSON.stringify([strategy, calibration]);
+
+    const stale = symbols.filter(symbol => {
+      const entry = entries.get(symbol);
+      return entry && entry.scoreKey !== `${barsKey(entry.bars)}|${benchmarkKey}|${contextKey}`;
+    });
+
+    const stocks = {};
+    stale.forEach((symbol, i) => {
+      const entry = entries.get(symbol);
+      const indicatorsKey = `${barsKey(entry.bars)}|${benchmarkKey}`;
+      if (entry.indicatorsKey !== indicatorsKey) {
+        const ticked = entry.indicatorBars && entry.benchmarkKey === benchmarkKey && continuesBars(entry.indicatorBars, entry.bars);
+        // The first tick builds the running state; later ones only move it on
+        entry.live = ticked
+          ? (entry.live ? advanceIndicatorState(entry.live, entry.bars) : createIndicatorState(entry.bars))
+          : null;
+        entry.indicators = computeIndicators(symbol, entry.bars, benchmark, entry.live?.series);
+        entry.indicatorsKey = indicatorsKey;
+        entry.indicatorBars = entry.bars;
+        entry.benchmarkKey = benchmarkKey;
+      }
+      entry.scoreKey = `${indicatorsKey}|${contextKey}`;
+      stocks[symbol] = scoreStock(entry.indicators, strategy, calibration);
+      onProgress(i + 1, stale.length);
+    });
+
+    return { stocks, removed };
+  };
+
+  return { analyse };
+};
+
+// Message handler shared by the worker script and the in-thread fallback
+export const createEngineHandler = (post) => {
+  const engine = createAnalysisEngine();
+
+  return (message) => {
+    const { id, type } = message;
+    try {
+      const result = type === 'analyse'
+        ? engine.analyse(message, (done, total) => post({ id, type: 'progress', done, total }))
+        : runWalkForwardBacktest(message.histories, message.config, message.strategy, message.benchmarks);
+      post({ id, type: 'result', result });
+    } catch (err) {
+      post({ id, type: 'error', message: err.message });
+    }
+  };
+};
@@ -0,0 +1,114 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createAnalysisEngine } from './engine.js';
+import { buildStockData, computeIndicators } from './stockAnalysis.js';
+import { DEFAULT_STRATEGY } from './strategy.js';
+
+// Count indicator rebuilds while still computing them for real
+vi.mock('./stockAnalysis.js', async (importOriginal) => {
+  const actual = await importOriginal();
+  return { ...actual, computeIndicators: vi.fn(actual.computeIndicators) };
+});
+
+beforeEach(() => {
+  computeIndicators.mockClear();
+});
+
+// Wobbling daily bars on consecutive dates from 1 July 2024
+const fixture = (count, start = 100) => Array.from({ length: count }, (_, i) => {
+  const close = start + i * 0.3 + Math.sin(i * 0.7) * 4;
+  const date = new Date(Date.UTC(2024, 6, 1 + i)).toISOString().slice(0, 10);
+  return { date, open: close - 0.5, high: close + 1, low: close - 1, close, volume: 100000 + (i % 7) * 5000 };
+});
+
+const request = (bars, fields = {}) => ({
+  symbols: Object.keys(bars), bars, strategy: DEFAULT_STRATEGY, calibration: null, benchmarks: null, ...fields
+});
+
+describe('createAnalysisEngine', () => {
+  it('follows live ticks to the same result as a fresh analysis', () => {
+    const engine = createAnalysisEngine();
+    const bars = fixture(80);
+    engine.analyse(request({ 'CBA.AX': bars }));
+
+    const last = bars[79];
+    const ticked = [...bars.slice(0, -1), { ...last, high: last.high + 2, close: last.close + 1.5, volume: last.volume + 900 }];
+    const next = [...ticked, { date: '2024-09-19', open: 130, high: 131, low: 126, close: 127, volume: 4000 }];
+    [ticked, next].forEach(symbolBars => {
+      const { stocks } = engine.analyse(request({ 'CBA.AX': symbolBars }));
+      const fresh = buildStockData('CBA.AX', symbolBars);
+      expect(stocks['CBA.AX'].rsi).toBeCloseTo(fresh.rsi, 8);
+      expect(stocks['CBA.AX'].macd.histogram).toBeCloseTo(fresh.macd.histogram, 8);
+      expect(stocks['CBA.AX'].adx.adx).toBeCloseTo(fresh.adx.adx, 8);
+      expect(stocks['CBA.AX'].gainScore).toBe(fresh.gainScore);
+      expect(stocks['CBA.AX'].prediction).toBe(fresh.prediction);
+    });
+  });
+
+  it('skips symbols whose bars are unchanged', () => {
+    const engine = createAnalysisEngine();
+    const bars = { 'CBA.AX': fixture(80), 'BHP.AX': fixture(80, 40) };
+    expect(Object.keys(engine.analyse(request(bars)).stocks)).toEqual(['CBA.AX', 'BHP.AX']);
+    expect(computeIndicators).toHaveBeenCalledTimes(2);
+    computeIndicators.mockClear();
+
+    // Nothing sent, and the same bars sent again as a reload would
+    expect(engine.analyse(request({}, { symbols: ['CBA.AX', 'BHP.AX'] })).stocks).toEqual({});
+    expect(engine.analyse(request({ 'CBA.AX': fixture(80) }, { symbols: ['CBA.AX', 'BHP.AX'] })).stocks).toEqual({});
+    expect(computeIndicators).not.toHaveBeenCalled();
+  });
+
+  it('only re-scores on a strategy or calibration change', () => {
+    const engine = createAnalysisEngine();
+    const bars = fixture(80);
+    engine.analyse(request({ 'CBA.AX': bars }));
+    computeIndicators.mockClear();
+
+    const strategy = { ...DEFAULT_STRATEGY, gain: { ...DEFAULT_STRATEGY.gain, highProbabilityThreshold: 0 } };
+    const restrategised = engine.analyse(request({}, { symbols: ['CBA.AX'], strategy })).stocks['CBA.AX'];
+    expect(restrategised.isHighProbability).toBe(true);
+
+    const calibration = { method: 'isotonic', sampleCount: 2, blocks: [{ minScore: 0, maxScore: 100, hits: 1, count: 2, probability: 0.42 }] };
+    const calibrated = engine.analyse(request({}, { symbols: ['CBA.AX'], strategy, calibration })).stocks['CBA.AX'];
+    expect(calibrated.gainProbability).toBeCloseTo(42, 8);
+    expect(calibrated).toEqual(buildStockData('CBA.AX', bars, strategy, calibration));
+
+    expect(computeIndicators).not.toHaveBeenCalled();
+  });
+
+  it('rebuilds indicators when the benchmark changes', () => {
+    const engine = createAnalysisEngine();
+    const bars = fixture(80);
+    const first = { '^AXJO': fixture(80, 50), '^AORD': fixture(80, 70) };
+    engine.analyse(request({ 'CBA.AX': bars }, { benchmarks: first }));
+    computeIndicators.mockClear();
+
+    // Unchanged benchmarks aren't sent again
+    expect(engine.analyse(request({}, { symbols: ['CBA.AX'] })).stocks).toEqual({});
+    expect(computeIndicators).not.toHaveBeenCalled();
+
+    const moved = { ...first, '^AXJO': [...first['^AXJO'].slice(0, -1), { ...first['^AXJO'][79], close: 80 }] };
+    const { stocks } = engine.analyse(request({}, { symbols: ['CBA.AX'], benchmarks: moved }));
+    expect(computeIndicators).toHaveBeenCalledTimes(1);
+    expect(stocks['CBA.AX']).toEqual(buildStockData('CBA.AX', bars, DEFAULT_STRATEGY, null, moved));
+
+    // So does switching the strategy to another index
+    const strategy = { ...DEFAULT_STRATEGY, benchmark: '^AORD' };
+    const switched = engine.analyse(request({}, { symbols: ['CBA.AX'], strategy })).stocks['CBA.AX'];
+    expect(computeIndicators).toHaveBeenCalledTimes(2);
+    expect(switched).toEqual(buildStockData('CBA.AX', bars, strategy, null, moved));
+  });
+
+  it('reports and forgets symbols no longer requested', () => {
+    const engine = createAnalysisEngine();
+    engine.analyse(request({ 'CBA.AX': fixture(80), 'BHP.AX': fixture(80, 40) }));
+
+    expect(engine.analyse(request({}, { symbols: ['CBA.AX'] }))).toEqual({ stocks: {}, removed: ['BHP.AX'] });
+    expect(engine.analyse(request({}, { symbols: ['CBA.AX'] })).removed).toEqual([]);
+
+    // A symbol added back needs its bars again
+    computeIndicators.mockClear();
+    expect(engine.analyse(request({}, { symbols: ['CBA.AX', 'BHP.AX'] })).stocks).toEqual({});
+    expect(Object.keys(engine.analyse(request({ 'BHP.AX': fixture(80, 40) }, { symbols: ['CBA.AX', 'BHP.AX'] })).stocks)).toEqual(['BHP.AX']);
+    expect(computeIndicators).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,203 @@
+// Technical indicator library. Every function returns a series aligned with its
+// input (same length, oldest first), holding null until enough data exists.
+
+export const last = (series) => (series.length > 0 ? series[series.length - 1] : null);
+
+// Simple moving average
+export const sma = (values, period) => {
+  let sum = 0;
+  return values.map((value, i) => {
+    sum += value;
+    if (i >= period) sum -= values[i - period];
+    return i >= period - 1 ? sum / period : null;
+  });
+};
+
+// Exponential moving average, seeded with the SMA of the first `period` values.
+// Leading nulls (e.g. from another indicator's warm-up) are skipped.
+export const ema = (values, period) => {
+  const start = values.findIndex(value => value !== null);
+  const result = values.map(() => null);
+  if (start === -1 || values.length - start < period) return result;
+
+  const multiplier = 2 / (period + 1);
+  let current = values.slice(start, start + period).reduce((a, b) => a + b, 0) / period;
+  result[start + period - 1] = current;
+
+  for (let i = start + period; i < values.length; i++) {
+    current = (values[i] - current) * multiplier + current;
+    result[i] = current;
+  }
+
+  return result;
+};
+
+// Wilder smoothing (RMA): like an EMA with alpha = 1 / period
+const wilder = (values, period) => {
+  const result = values.map(() => null);
+  if (values.length < period) return result;
+
+  let current = values.slice(0, period).reduce((a, b) => a + b, 0) / period;
+  result[period - 1] = current;
+
+  for (let i = period; i < values.length; i++) {
+    current = (current * (period - 1) + values[i]) / period;
+    result[i] = current;
+  }
+
+  return result;
+};
+
+// Relative Strength Index with Wilder-smoothed average gain and loss
+export const rsi = (closes, period = 14) => {
+  const changes = closes.slice(1).map((close, i) => close - closes[i]);
+  const avgGains = wilder(changes.map(change => Math.max(change, 0)), period);
+  const avgLosses = wilder(changes.map(change => Math.max(-change, 0)), period);
+
+  return closes.map((_, i) => {
+    const avgGain = avgGains[i - 1];
+    const avgLoss = avgLosses[i - 1];
+    if (avgGain == null || avgLoss == null) return null;
+    if (avgLoss === 0) return avgGain === 0 ? 50 : 100;
+    return 100 - (100 / (1 + avgGain / avgLoss));
+  });
+};
+
+// MACD line (fast EMA - slow EMA), its signal EMA and the histogram between them
+export const macd = (closes, { fast = 12, slow = 26, signal: signalPeriod = 9 } = {}) => {
+  const fastEma = ema(closes, fast);
+  const slowEma = ema(closes, slow);
+  const line = closes.map((_, i) => (
+    fastEma[i] !== null && slowEma[i] !== null ? fastEma[i] - slowEma[i] : null
+  ));
+  const signal = ema(line, signalPeriod);
+  const histogram = line.map((value, i) => (
+    value !== null && signal[i] !== null ? value - signal[i] : null
+  ));
+
+  return { macd: line, signal, histogram };
+};
+
+// True range per bar; the first bar has no previous close so uses high - low
+export const trueRange = (bars) => bars.map((bar, i) => {
+  if (i === 0) return bar.high - bar.low;
+  const prevClose = bars[i - 1].close;
+  return Math.max(bar.high - bar.low, Math.abs(bar.high - prevClose), Math.abs(bar.low - prevClose));
+});
+
+// Average True Range with Wilder smoothing (first bar's range is left out)
+export const atr = (bars, period = 14) => {
+  const smoothed = wilder(trueRange(bars).slice(1), period);
+  return [null, ...smoothed].slice(0, bars.length);
+};
+
+// Bollinger Bands: SMA middle band +/- `multiplier` population standard deviations.
+// bandwidth = (upper - lower) / middle, low values mark a volatility squeeze.
+export const bollinger = (closes, period = 20, multiplier = 2) => {
+  const middle = sma(closes, period);
+  const upper = [];
+  const lower = [];
+  const bandwidth = [];
+
+  closes.forEach((_, i) => {
+    if (middle[i] === null) {
+      upper.push(null);
+      lower.push(null);
+      bandwidth.push(null);
+      return;
+    }
+    const window = closes.slice(i - period + 1, i + 1);
+    const variance = window.reduce((sum, value) => sum + (value - middle[i]) ** 2, 0) / period;
+    const deviation = Math.sqrt(variance) * multiplier;
+    upper.push(middle[i] + deviation);
+    lower.push(middle[i] - deviation);
+    bandwidth.push(middle[i] !== 0 ? (2 * deviation) / middle[i] : null);
+  });
+
+  return { upper, middle, lower, bandwidth };
+};
+
+// Volume-weighted average of the typical price (H+L+C)/3. With a period it is a
+// rolling VWAP, without one it is anchored at the first bar.
+export const vwap = (bars, period = null) => {
+  let priceVolume = 0;
+  let totalVolume = 0;
+
+  return bars.map((bar, i) => {
+    priceVolume += ((bar.high + bar.low + bar.close) / 3) * bar.volume;
+    totalVolume += bar.volume;
+    if (period && i >= period) {
+      const old = bars[i - period];
+      priceVolume -= ((old.high + old.low + old.close) / 3) * old.volume;
+      totalVolume -= old.volume;
+    }
+    if (period && i < period - 1) return null;
+    return totalVolume > 0 ? priceVolume / totalVolume : null;
+  });
+};
+
+// Stochastic oscillator: %K = close within the `period` high/low range, %D = SMA of %K
+export const stochastic = (bars, period = 14, smoothing = 3) => {
+  const k = bars.map((bar, i) => {
+    if (i < period - 1) return null;
+    const window = bars.slice(i - period + 1, i + 1);
+    const highest = Math.max(...window.map(b => b.high));
+    const lowest = Math.min(...window.map(b => b.low));
+    return highest === lowest ? 50 : ((bar.close - lowest) / (highest - lowest)) * 100;
+  });
+  const warmup = period - 1;
+  const d = [...k.slice(0, warmup), ...sma(k.slice(warmup), smoothing)];
+
+  return { k, d };
+};
+
+// On-Balance Volume: running total of volume signed by the close-to-close direction
+export const obv = (bars) => {
+  let total = 0;
+  return bars.map((bar, i) => {
+    if (i > 0) {
+      if (bar.close > bars[i - 1].close) total += bar.volume;
+      else if (bar.close < bars[i - 1].close) total -= bar.volume;
+    }
+    return total;
+  });
+};
+
+// Average Directional Index with +DI/-DI, all Wilder-smoothed
+export const adx = (bars, period = 14) => {
+  const plusDM = [];
+  const minusDM = [];
+  bars.slice(1).forEach((bar, i) => {
+    const upMove = bar.high - bars[i].high;
+    const downMove = bars[i].low - bar.low;
+    plusDM.push(upMove > downMove && upMove > 0 ? upMove : 0);
+    minusDM.push(downMove > upMove && downMove > 0 ? downMove : 0);
+  });
+
+  const smoothedTR = wilder(trueRange(bars).slice(1), period);
+  const smoothedPlus = wilder(plusDM, period);
+  const smoothedMinus = wilder(minusDM, period);
+
+  // No range at all means no directional movement either
+  const directional = (tr, dm) => {
+    if (tr === null) return null;
+    return tr > 0 ? (dm / tr) * 100 : 0;
+  };
+  const plusDI = smoothedTR.map((tr, i) => directional(tr, smoothedPlus[i]));
+  const minusDI = smoothedTR.map((tr, i) => directional(tr, smoothedMinus[i]));
+  const dx = plusDI.map((plus, i) => {
+    if (plus === null || minusDI[i] === null) return null;
+    const sum = plus + minusDI[i];
+    return sum === 0 ? 0 : (Math.abs(plus - minusDI[i]) / sum) * 100;
+  });
+
+  const warmup = period - 1;
+  const adxLine = [...dx.slice(0, warmup), ...wilder(dx.slice(warmup), period)];
+
+  // Shift by one so every series lines up with `bars` again
+  return {
+    adx: [null, ...adxLine],
+    plusDI: [null, ...plusDI],
+    minusDI: [null, ...minusDI]
+  };
+};
@@ -0,0 +1,145 @@
+import { describe, it, expect } from 'vitest';
+import { sma, ema, rsi, macd, trueRange, atr, bollinger, stochastic, obv, adx, last } from './indicators.js';
+
+const bar = (high, low, close, volume = 1000) => ({ open: close, high, low, close, volume });
+const flatBars = (count, price = 10) => Array.from({ length: count }, () => bar(price, price, price));
+
+// Compare a series against expected values, nulls exactly and numbers to `digits` places
+const expectSeries = (actual, expected, digits = 6) => {
+  expect(actual).toHaveLength(expected.length);
+  expected.forEach((value, i) => {
+    if (value === null) expect(actual[i]).toBeNull();
+    else expect(actual[i]).toBeCloseTo(value, digits);
+  });
+};
+
+describe('sma', () => {
+  it('averages the trailing window after the warm-up', () => {
+    expectSeries(sma([1, 2, 3, 4, 5], 3), [null, null, 2, 3, 4]);
+  });
+
+  it('is all null when there is not enough data', () => {
+    expectSeries(sma([1, 2], 3), [null, null]);
+  });
+});
+
+describe('ema', () => {
+  it('seeds with the SMA and then smooths with 2 / (period + 1)', () => {
+    expectSeries(ema([10, 11, 12, 11, 13, 14], 3), [null, null, 11, 11, 12, 13]);
+  });
+
+  it('skips leading nulls from another indicator', () => {
+    expectSeries(ema([null, null, 10, 11, 12, 11, 13, 14], 3), [null, null, null, null, 11, 11, 12, 13]);
+  });
+});
+
+describe('rsi', () => {
+  // Wilder RSI(14) on the StockCharts ChartSchool closes. Their table rounds the first
+  // averages and reads about 0.07 higher; these are the unrounded (TA-Lib) values.
+  const closes = [
+    44.34, 44.09, 44.15, 43.61, 44.33, 44.83, 45.10, 45.42, 45.84, 46.08, 45.89, 46.03, 45.61, 46.28, 46.28,
+    46.00, 46.03, 46.41, 46.22, 45.64
+  ];
+
+  it('matches Wilder-smoothed reference values', () => {
+    const values = rsi(closes, 14);
+    expectSeries(values.slice(0, 14), Array(14).fill(null));
+    [70.46, 66.25, 66.48, 69.35, 66.29, 57.92].forEach((expected, i) => {
+      expect(values[14 + i]).toBeCloseTo(expected, 1);
+    });
+  });
+
+  it('is 100 with no losses and 50 on a flat series', () => {
+    const rising = Array.from({ length: 20 }, (_, i) => 10 + i);
+    expect(last(rsi(rising, 14))).toBe(100);
+    expect(last(rsi(Array(20).fill(10), 14))).toBe(50);
+  });
+});
+
+describe('macd', () => {
+  it('is the fast EMA minus the slow EMA with a signal EMA', () => {
+    const { macd: line, signal, histogram } = macd([1, 2, 3, 4, 5, 6], { fast: 2, slow: 3, signal: 2 });
+    // On a straight line the 2-period EMA lags by 0.5 and the 3-period EMA by 1
+    expectSeries(line, [null, null, 0.5, 0.5, 0.5, 0.5]);
+    expectSeries(signal, [null, null, null, 0.5, 0.5, 0.5]);
+    expectSeries(histogram, [null, null, null, 0, 0, 0]);
+  });
+
+  it('is zero on a flat series', () => {
+    const { macd: line, histogram } = macd(Array(40).fill(10));
+    expect(last(line)).toBe(0);
+    expect(last(histogram)).toBe(0);
+  });
+});
+
+describe('atr', () => {
+  it('uses the previous close across gaps', () => {
+    expect(trueRange([bar(11, 9, 10), bar(15, 13, 14)])).toEqual([2, 5]);
+  });
+
+  it('Wilder-smooths true range from the second bar', () => {
+    const bars = [bar(11, 9, 10), bar(11, 9, 10), bar(12, 8, 10), bar(11, 9, 10), bar(11, 9, 10)];
+    // True ranges 2, 4, 2 seed 8/3, then (8/3 * 2 + 2) / 3
+    expectSeries(atr(bars, 3), [null, null, null, 8 / 3, 22 / 9]);
+  });
+
+  it('is zero on a flat series', () => {
+    expect(last(atr(flatBars(20), 14))).toBe(0);
+  });
+});
+
+describe('bollinger', () => {
+  it('uses the population standard deviation', () => {
+    // Mean 5, population standard deviation 2
+    const { upper, middle, lower, bandwidth } = bollinger([2, 4, 4, 4, 5, 5, 7, 9], 8, 2);
+    expectSeries(middle, [...Array(7).fill(null), 5]);
+    expectSeries(upper, [...Array(7).fill(null), 9]);
+    expectSeries(lower, [...Array(7).fill(null), 1]);
+    expectSeries(bandwidth, [...Array(7).fill(null), 1.6]);
+  });
+
+  it('collapses to the price on a flat series', () => {
+    const { upper, lower, bandwidth } = bollinger(Array(20).fill(10), 20);
+    expect(last(upper)).toBe(10);
+    expect(last(lower)).toBe(10);
+    expect(last(bandwidth)).toBe(0);
+  });
+});
+
+describe('stochastic', () => {
+  it('places the close in the high/low range and smooths %D', () => {
+    const bars = [bar(10, 8, 9), bar(12, 9, 11), bar(13, 10, 12), bar(14, 11, 11), bar(13, 12, 13)];
+    const { k, d } = stochastic(bars, 3, 2);
+    expectSeries(k, [null, null, 80, 40, 75]);
+    expectSeries(d, [null, null, null, 60, 57.5]);
+  });
+
+  it('is 50 when the range is zero', () => {
+    expect(last(stochastic(flatBars(20), 14).k)).toBe(50);
+  });
+});
+
+describe('obv', () => {
+  it('adds volume on up closes and subtracts it on down closes', () => {
+    const bars = [bar(10, 10, 10, 100), bar(11, 11, 11, 200), bar(11, 11, 11, 300), bar(10, 10, 10, 400), bar(12, 12, 12, 500)];
+    expect(obv(bars)).toEqual([0, 200, 200, -200, 300]);
+  });
+});
+
+describe('adx', () => {
+  it('is 100 for a steady uptrend', () => {
+    const bars = Array.from({ length: 8 }, (_, i) => bar(11 + i, 9 + i, 10 + i));
+    const { adx: line, plusDI, minusDI } = adx(bars, 3);
+    // DI needs `period` true ranges, ADX another `period - 1` DX values on top
+    expectSeries(plusDI, [null, null, null, 50, 50, 50, 50, 50]);
+    expectSeries(minusDI, [null, null, null, 0, 0, 0, 0, 0]);
+    expectSeries(line, [null, null, null, null, null, 100, 100, 100]);
+  });
+
+  it('is zero rather than undefined when there is no range', () => {
+    const { adx: line, plusDI, minusDI } = adx(flatBars(8), 3);
+    expectSeries(plusDI, [null, null, null, 0, 0, 0, 0, 0]);
+    expectSeries(minusDI, [null, null, null, 0, 0, 0, 0, 0]);
+    expectSeries(line, [null, null, null, null, null, 0, 0, 0]);
+  });
+});
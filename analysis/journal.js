@@ -0,0 +1,201 @@
+// Prediction journal: every High Probability Gainer pick and BULLISH/BEARISH call
+// is recorded once per symbol and session with the price, scores and inputs at the
+// time, then resolved as a hit or miss from the bars that follow. Entries are
+// compact plain data so a large universe still fits in browser storage:
+//   { kind: 'gainer' | 'trend', symbol, session, recordedAt, price,
+//     call: 'GAIN' | 'BULLISH' | 'BEARISH', score, probability,
+//     inputs: { rsi, changePercent, macdHistogram, rules }, strategy, horizon, threshold,
+//     status: 'open' | 'hit' | 'miss', exitSession, exitPrice, outcome }
+// `score` is the gain score for a gainer pick and the trend confidence for a call;
+// `inputs.rules` lists the ids of the gain or trend rules that fired.
+// A gainer hits when the close `horizon` sessions later is `threshold`% or more
+// above the recorded price; a trend call hits when price moved its way.
+import { addDays } from '../data/asxCalendar.js';
+
+// Entries for sessions more than this many days old are dropped
+export const JOURNAL_MAX_AGE_DAYS = 90;
+
+// Backstop for very large universes; the oldest entries go first
+export const MAX_JOURNAL_ENTRIES = 8000;
+
+const percentChange = (from, to) => ((to - from) / from) * 100;
+
+const round = (value, digits) => (value === null || value === undefined ? null : Number(value.toFixed(digits)));
+
+const entryKey = (kind, symbol, session) => `${kind}:${symbol}:${session}`;
+
+const createEntry = (kind, stock, session, { strategy, horizon, threshold, now }) => ({
+  kind,
+  symbol: stock.symbol,
+  session,
+  recordedAt: now,
+  price: round(stock.currentPrice, 4),
+  call: kind === 'gainer' ? 'GAIN' : stock.prediction,
+  score: round(kind === 'gainer' ? stock.gainScore : stock.confidence, 2),
+  probability: round(stock.gainProbability, 2),
+  inputs: {
+    rsi: round(stock.rsi, 2),
+    changePercent: round(stock.changePercent, 2),
+    macdHistogram: round(stock.macd?.histogram, 4),
+    rules: (kind === 'gainer' ? stock.gainRules : stock.trendRules) ?? []
+  },
+  strategy,
+  horizon,
+  threshold,
+  status: 'open',
+  exitSession: null,
+  exitPrice: null,
+  outcome: null
+});
+
+// Add entries for calls not yet journalled this session. `options` is
+// { strategy, horizon, threshold, now } with `now` in ms. Returns `entries`
+// itself when nothing is new, so callers can skip a save.
+export const recordPredictions = (entries, stocks, options) => {
+  const known = new Set(entries.map(entry => entryKey(entry.kind, entry.symbol, entry.session)));
+  const added = [];
+
+  stocks.forEach(stock => {
+    const session = stock.dates[stock.dates.length - 1];
+    const calls = [
+      stock.isHighProbability && 'gainer',
+      stock.prediction !== 'NEUTRAL' && 'trend'
+    ].filter(Boolean);
+    calls.forEach(kind => {
+      if (known.has(entryKey(kind, stock.symbol, session))) return;
+      added.push(createEntry(kind, stock, session, options));
+    });
+  });
+
+  return added.length > 0 ? [...added, ...entries].slice(0, MAX_JOURNAL_ENTRIES) : entries;
+};
+
+// Entries saved before the journal went compact carried longer inputs and the
+// reasons as text, which are kept: those entries have no rule ids
+const compactLegacyEntry = ({ kind, symbol, session, recordedAt, price, prediction, probability, confidence,
+  inputs = {}, reasons = [], strategy, horizon, threshold, status, exitSession, exitPrice, outcome }) => ({
+  kind,
+  symbol,
+  session,
+  recordedAt: recordedAt ?? null,
+  price,
+  call: prediction,
+  score: round(kind === 'gainer' ? inputs.gainScore : confidence, 2),
+  probability: round(probability, 2),
+  inputs: {
+    rsi: round(inputs.rsi, 2),
+    changePercent: round(inputs.changePercent, 2),
+    macdHistogram: round(inputs.macdHistogram, 4),
+    rules: [],
+    sma20: round(inputs.sma20, 4),
+    sma50: round(inputs.sma50, 4),
+    reasons
+  },
+  strategy,
+  horizon,
+  threshold,
+  status,
+  exitSession,
+  exitPrice,
+  outcome
+});
+
+// Drop entries older than JOURNAL_MAX_AGE_DAYS before `session` and compact any
+// legacy ones. Returns `entries` itself when nothing changed.
+export const pruneJournal = (entries, session) => {
+  const cutoff = addDays(session, -JOURNAL_MAX_AGE_DAYS);
+  const kept = entries.filter(entry => entry.session >= cutoff);
+  const legacy = kept.some(entry => entry.call === undefined);
+  if (kept.length === entries.length && !legacy) return entries;
+  return legacy ? kept.map(entry => (entry.call === undefined ? compactLegacyEntry(entry) : entry)) : kept;
+};
+
+const isHit = (entry, outcome) => (
+  entry.kind === 'gainer' ? outcome >= entry.threshold
+    : entry.call === 'BULLISH' ? outcome > 0 : outcome < 0
+);
+
+// Resolve open entries whose exit session has finished trading. `histories`
+// holds daily bars by symbol and `clock` is the current marketClock().
+// Returns `entries` itself when nothing resolved.
+export const resolvePredictions = (entries, histories, clock) => {
+  let changed = false;
+  const resolved = entries.map(entry => {
+    if (entry.status !== 'open' || !histories[entry.symbol]) return entry;
+    const bars = histories[entry.symbol];
+    const index = bars.findIndex(bar => bar.date === entry.session);
+    const exitBar = index >= 0 ? bars[index + entry.horizon] : null;
+    if (!exitBar) return entry;
+
+    // The exit bar is only final once its session has closed
+    const finished = exitBar.date < clock.session || (exitBar.date === clock.session && clock.phase === 'closed');
+    if (!finished) return entry;
+
+    changed = true;
+    const outcome = percentChange(entry.price, exitBar.close);
+    return {
+      ...entry,
+      status: isHit(entry, outcome) ? 'hit' : 'miss',
+      exitSession: exitBar.date,
+      exitPrice: exitBar.close,
+      outcome
+    };
+  });
+  return changed ? resolved : entries;
+};
+
+// Resolved entries from `from` to `to` (inclusive 'YYYY-MM-DD', either may be
+// null), as per-session days shaped like the backtest's so the accuracy panel
+// can show either source
+export const journalDays = (entries, { from = null, to = null } = {}) => {
+  const inRange = entries.filter(entry => (
+    entry.status !== 'open' && (!from || entry.session >= from) && (!to || entry.session <= to)
+  ));
+  const sessions = [...new Set(inRange.map(entry => entry.session))].sort();
+
+  return sessions.map(session => {
+    const dayEntries = inRange.filter(entry => entry.session === session);
+    const predictions = dayEntries
+      .filter(entry => entry.kind === 'gainer')
+      .map(entry => ({
+        symbol: entry.symbol,
+        predictedProb: entry.probability,
+        gainScore: entry.score,
+        prediction: entry.call,
+        entryPrice: entry.price,
+        exitPrice: entry.exitPrice,
+        actualGain: entry.outcome,
+        success: entry.status === 'hit'
+      }))
+      .sort((a, b) => b.predictedProb - a.predictedProb);
+    const trend = dayEntries.filter(entry => entry.kind === 'trend');
+
+    const totalPredictions = predictions.length;
+    const successfulPredictions = predictions.filter(pred => pred.success).length;
+    const trendCorrect = trend.filter(entry => entry.status === 'hit').length;
+    const fullDate = new Date(`${session}T00:00:00`);
+
+    return {
+      date: fullDate.toLocaleDateString('en-AU', { month: 'short', day: 'numeric' }),
+      fullDate,
+      session,
+      totalPredictions,
+      successfulPredictions,
+      failedPredictions: totalPredictions - successfulPredictions,
+      winRate: totalPredictions > 0 ? (successfulPredictions / totalPredictions) * 100 : 0,
+      avgGain: totalPredictions > 0 ? predictions.reduce((sum, pred) => sum + pred.actualGain, 0) / totalPredictions : 0,
+      benchmarkGain: null,
+      trendCalls: trend.length,
+      trendCorrect,
+      trendAccuracy: trend.length > 0 ? (trendCorrect / trend.length) * 100 : 0,
+      predictions
+    };
+  });
+};
+
+export const journalSummary = (entries) => ({
+  total: entries.length,
+  open: entries.filter(entry => entry.status === 'open').length,
+  hits: entries.filter(entry => entry.status === 'hit').length,
+  misses: entries.filter(entry => entry.status === 'miss').length
+});
@@ -0,0 +1,116 @@
+import { describe, it, expect } from 'vitest';
+import {
+  JOURNAL_MAX_AGE_DAYS, MAX_JOURNAL_ENTRIES, journalDays, pruneJournal, recordPredictions, resolvePredictions
+} from './journal.js';
+
+// Monday 19 Oct 2026, 11am in Sydney
+const NOW = Date.UTC(2026, 9, 19, 0, 0);
+const OPTIONS = { strategy: 'Default', horizon: 1, threshold: 1, now: NOW };
+
+// Analysed stock as the journal sees it, last bar on `session`
+const stock = (symbol, session, fields = {}) => ({
+  symbol,
+  dates: [session],
+  currentPrice: 100,
+  isHighProbability: true,
+  prediction: 'BULLISH',
+  confidence: 40.123456,
+  gainScore: 72.654321,
+  gainProbability: 68.987654,
+  rsi: 61.23456,
+  changePercent: 1.23456,
+  macd: { macd: 0.5, signal: 0.3, histogram: 0.2345678 },
+  gainReasons: ['RSI in range', 'Volume spike'],
+  gainRules: ['rsiRange', 'volumeSpike'],
+  signals: [{ type: 'bullish', indicator: 'MACD', reason: 'MACD above signal' }],
+  trendRules: ['macd'],
+  ...fields
+});
+
+const bars = (...closes) => closes.map(([date, close]) => ({ date, open: close, high: close, low: close, close, volume: 1000 }));
+
+// Tuesday 20 Oct 2026 after the close
+const CLOSED_TUESDAY = { session: '2026-10-20', phase: 'closed' };
+
+describe('recordPredictions', () => {
+  it('stores compact entries, once per symbol and session', () => {
+    const entries = recordPredictions([], [stock('CBA.AX', '2026-10-19')], OPTIONS);
+    expect(entries).toEqual([
+      {
+        kind: 'gainer', symbol: 'CBA.AX', session: '2026-10-19', recordedAt: NOW, price: 100, call: 'GAIN', score: 72.65,
+        probability: 68.99, inputs: { rsi: 61.23, changePercent: 1.23, macdHistogram: 0.2346, rules: ['rsiRange', 'volumeSpike'] },
+        strategy: 'Default', horizon: 1, threshold: 1, status: 'open', exitSession: null, exitPrice: null, outcome: null
+      },
+      {
+        kind: 'trend', symbol: 'CBA.AX', session: '2026-10-19', recordedAt: NOW, price: 100, call: 'BULLISH', score: 40.12,
+        probability: 68.99, inputs: { rsi: 61.23, changePercent: 1.23, macdHistogram: 0.2346, rules: ['macd'] },
+        strategy: 'Default', horizon: 1, threshold: 1, status: 'open', exitSession: null, exitPrice: null, outcome: null
+      }
+    ]);
+    expect(recordPredictions(entries, [stock('CBA.AX', '2026-10-19', { currentPrice: 101 })], OPTIONS)).toBe(entries);
+  });
+
+  it('keeps a full journal well inside the browser storage quota', () => {
+    const symbols = Array.from({ length: 300 }, (_, i) => `S${String(i).padStart(3, '0')}.AX`);
+    let entries = [];
+    for (let day = 1; day <= 30; day++) {
+      const session = `2026-09-${String(day).padStart(2, '0')}`;
+      entries = recordPredictions(entries, symbols.map(symbol => stock(symbol, session, { currentPrice: 12.345678 })), OPTIONS);
+    }
+    expect(entries).toHaveLength(MAX_JOURNAL_ENTRIES);
+    // Browsers allow about five million characters per origin
+    expect(JSON.stringify(entries).length).toBeLessThan(3000000);
+  });
+});
+
+describe('resolvePredictions', () => {
+  it('scores calls against the close `horizon` sessions later once it is final', () => {
+    const entries = recordPredictions([], [stock('CBA.AX', '2026-10-19')], OPTIONS);
+    const histories = { 'CBA.AX': bars(['2026-10-19', 100], ['2026-10-20', 100.5]) };
+
+    expect(resolvePredictions(entries, histories, { session: '2026-10-20', phase: 'open' })).toBe(entries);
+
+    const [gainer, trend] = resolvePredictions(entries, histories, CLOSED_TUESDAY);
+    expect(gainer).toMatchObject({ status: 'miss', exitSession: '2026-10-20', exitPrice: 100.5 });
+    expect(gainer.outcome).toBeCloseTo(0.5, 10);
+    expect(trend.status).toBe('hit');
+  });
+
+  it('feeds the accuracy panel', () => {
+    const entries = recordPredictions([], [stock('CBA.AX', '2026-10-19')], OPTIONS);
+    const resolved = resolvePredictions(entries, { 'CBA.AX': bars(['2026-10-19', 100], ['2026-10-20', 102]) }, CLOSED_TUESDAY);
+    const [day] = journalDays(resolved);
+
+    expect(day).toMatchObject({ session: '2026-10-19', totalPredictions: 1, successfulPredictions: 1, trendCalls: 1, trendCorrect: 1 });
+    expect(day.predictions[0]).toMatchObject({ symbol: 'CBA.AX', predictedProb: 68.99, gainScore: 72.65, prediction: 'GAIN' });
+  });
+});
+
+describe('pruneJournal', () => {
+  it(`drops sessions more than ${JOURNAL_MAX_AGE_DAYS} days old`, () => {
+    const entries = [
+      ...recordPredictions([], [stock('CBA.AX', '2026-10-19')], OPTIONS),
+      ...recordPredictions([], [stock('CBA.AX', '2026-07-01')], OPTIONS)
+    ];
+    expect(pruneJournal(entries, '2026-10-20').map(entry => entry.session)).toEqual(['2026-10-19', '2026-10-19']);
+    expect(pruneJournal(entries, '2026-09-01')).toBe(entries);
+  });
+
+  it('compacts entries saved in the old format, keeping their time and inputs', () => {
+    const legacy = {
+      id: 'pj-gainer:CBA.AX:2026-10-19', kind: 'gainer', symbol: 'CBA.AX', session: '2026-10-19', recordedAt: NOW,
+      price: 100, prediction: 'GAIN', probability: 68.987654, confidence: 40,
+      inputs: { gainScore: 72.654321, changePercent: 1.23456, rsi: 55, macdHistogram: 0.2345678, sma20: 99.123456, sma50: 98 },
+      reasons: ['RSI in range'], strategy: 'Default', horizon: 1, threshold: 1,
+      status: 'hit', exitSession: '2026-10-20', exitPrice: 102, outcome: 2
+    };
+    expect(pruneJournal([legacy], '2026-10-20')).toEqual([{
+      kind: 'gainer', symbol: 'CBA.AX', session: '2026-10-19', recordedAt: NOW, price: 100, call: 'GAIN', score: 72.65,
+      probability: 68.99,
+      inputs: {
+        rsi: 55, changePercent: 1.23, macdHistogram: 0.2346, rules: [], sma20: 99.1235, sma50: 98, reasons: ['RSI in range']
+      },
+      strategy: 'Default', horizon: 1, threshold: 1, status: 'hit', exitSession: '2026-10-20', exitPrice: 102, outcome: 2
+    }]);
+  });
+});
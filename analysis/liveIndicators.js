@@ -0,0 +1,219 @@
+// Indicator series kept up to date tick by tick. The state holds the running
+// values (moving sums, EMAs, Wilder averages, OBV) as of the bar before the
+// latest, so a live quote that moves the latest bar only recomputes that bar,
+// and a new session folds the finished bar in first. Series match
+// indicatorSeries() in stockAnalysis.js, which rebuilds them from scratch:
+//   { bars, running, series }
+
+const SMA_FAST = 20;
+const SMA_SLOW = 50;
+const RSI_PERIOD = 14;
+const MACD = { fast: 12, slow: 26, signal: 9 };
+const WILDER_PERIOD = 14;
+const BOLLINGER = { period: 20, multiplier: 2 };
+const VWAP_PERIOD = 20;
+const STOCHASTIC = { period: 14, smoothing: 3 };
+
+const SERIES_KEYS = [
+  'sma20', 'sma50', 'rsi', 'macd', 'signal', 'histogram', 'atr', 'bbUpper', 'bbMiddle', 'bbLower', 'bbWidth',
+  'vwap', 'stochK', 'stochD', 'obv', 'adx', 'plusDI', 'minusDI'
+];
+
+const emaAlpha = (period) => 2 / (period + 1);
+
+// Seeded with the mean of the first `period` values, then smoothed by `alpha`
+// (an EMA, or Wilder's average with alpha = 1 / period). Leading nulls, from
+// another indicator's warm-up, are skipped.
+const smoother = () => ({ count: 0, sum: 0, value: null });
+
+const smooth = (state, value, period, alpha) => {
+  if (value === null) return state;
+  const count = state.count + 1;
+  if (count < period) return { count, sum: state.sum + value, value: null };
+  if (count === period) return { count, sum: state.sum + value, value: (state.sum + value) / period };
+  return { count, sum: state.sum, value: state.value + (value - state.value) * alpha };
+};
+
+const wilder = (state, value) => smooth(state, value, WILDER_PERIOD, 1 / WILDER_PERIOD);
+
+// Sum over the `period - 1` bars before the latest one
+const windowSum = (sum, bars, index, period, read) => (
+  sum + read(bars[index]) - (index - period + 1 >= 0 ? read(bars[index - period + 1]) : 0)
+);
+
+const close = (bar) => bar.close;
+const priceVolume = (bar) => ((bar.high + bar.low + bar.close) / 3) * bar.volume;
+const volume = (bar) => bar.volume;
+
+const trueRange = (bar, previous) => Math.max(
+  bar.high - bar.low,
+  Math.abs(bar.high - previous.close),
+  Math.abs(bar.low - previous.close)
+);
+
+const directional = (tr, dm) => {
+  if (tr === null) return null;
+  return tr > 0 ? (dm / tr) * 100 : 0;
+};
+
+const INITIAL_RUNNING = {
+  sum20: 0,
+  sum50: 0,
+  pv: 0,
+  volume: 0,
+  fast: smoother(),
+  slow: smoother(),
+  signal: smoother(),
+  gain: smoother(),
+  loss: smoother(),
+  tr: smoother(),
+  plusDM: smoother(),
+  minusDM: smoother(),
+  adx: smoother(),
+  obv: 0
+};
+
+// Indicator values for `bars[index]` from the running state of the bars before
+// it, and the running state once that bar is final. `series` holds the values
+// already computed for earlier bars.
+const step = (running, bars, index, series) => {
+  const bar = bars[index];
+  const previous = index > 0 ? bars[index - 1] : null;
+
+  const sma20 = index >= SMA_FAST - 1 ? (running.sum20 + bar.close) / SMA_FAST : null;
+  const sma50 = index >= SMA_SLOW - 1 ? (running.sum50 + bar.close) / SMA_SLOW : null;
+
+  const fast = smooth(running.fast, bar.close, MACD.fast, emaAlpha(MACD.fast));
+  const slow = smooth(running.slow, bar.close, MACD.slow, emaAlpha(MACD.slow));
+  const macd = fast.value !== null && slow.value !== null ? fast.value - slow.value : null;
+  const signal = smooth(running.signal, macd, MACD.signal, emaAlpha(MACD.signal));
+  const histogram = macd !== null && signal.value !== null ? macd - signal.value : null;
+
+  // Bands need the spread of the whole window, which is only `period` closes
+  let bands = { bbUpper: null, bbMiddle: null, bbLower: null, bbWidth: null };
+  if (sma20 !== null) {
+    const window = bars.slice(index - BOLLINGER.period + 1, index + 1);
+    const variance = window.reduce((sum, item) => sum + (item.close - sma20) ** 2, 0) / BOLLINGER.period;
+    const deviation = Math.sqrt(variance) * BOLLINGER.multiplier;
+    bands = {
+      bbUpper: sma20 + deviation,
+      bbMiddle: sma20,
+      bbLower: sma20 - deviation,
+      bbWidth: sma20 !== 0 ? (2 * deviation) / sma20 : null
+    };
+  }
+
+  const totalVolume = running.volume + bar.volume;
+  const vwap = index >= VWAP_PERIOD - 1 && totalVolume > 0 ? (running.pv + priceVolume(bar)) / totalVolume : null;
+
+  let stochK = null;
+  if (index >= STOCHASTIC.period - 1) {
+    const window = bars.slice(index - STOCHASTIC.period + 1, index + 1);
+    const highest = Math.max(...window.map(item => item.high));
+    const lowest = Math.min(...window.map(item => item.low));
+    stochK = highest === lowest ? 50 : ((bar.close - lowest) / (highest - lowest)) * 100;
+  }
+  const recentK = [...series.stochK.slice(index - STOCHASTIC.smoothing + 1, index), stochK];
+  const stochD = index >= STOCHASTIC.period + STOCHASTIC.smoothing - 2 && recentK.every(k => k !== null)
+    ? recentK.reduce((sum, k) => sum + k, 0) / STOCHASTIC.smoothing
+    : null;
+
+  // Everything below needs the previous bar: the first bar only seeds OBV
+  let next = { ...running, fast, slow, signal };
+  let rsi = null;
+  let atr = null;
+  let adx = null;
+  let plusDI = null;
+  let minusDI = null;
+  let obv = running.obv;
+  if (previous) {
+    const change = bar.close - previous.close;
+    const gain = wilder(running.gain, Math.max(change, 0));
+    const loss = wilder(running.loss, Math.max(-change, 0));
+    if (gain.value !== null && loss.value !== null) {
+      rsi = loss.value === 0 ? (gain.value === 0 ? 50 : 100) : 100 - (100 / (1 + gain.value / loss.value));
+    }
+
+    const tr = wilder(running.tr, trueRange(bar, previous));
+    atr = tr.value;
+
+    const upMove = bar.high - previous.high;
+    const downMove = previous.low - bar.low;
+    const plusDM = wilder(running.plusDM, upMove > downMove && upMove > 0 ? upMove : 0);
+    const minusDM = wilder(running.minusDM, downMove > upMove && downMove > 0 ? downMove : 0);
+    plusDI = directional(tr.value, plusDM.value);
+    minusDI = directional(tr.value, minusDM.value);
+    let dx = null;
+    if (plusDI !== null && minusDI !== null) {
+      const sum = plusDI + minusDI;
+      dx = sum === 0 ? 0 : (Math.abs(plusDI - minusDI) / sum) * 100;
+    }
+    const adxState = wilder(running.adx, dx);
+    adx = adxState.value;
+
+    if (change > 0) obv += bar.volume;
+    else if (change < 0) obv -= bar.volume;
+
+    next = { ...next, gain, loss, tr, plusDM, minusDM, adx: adxState };
+  }
+
+  next = {
+    ...next,
+    sum20: windowSum(running.sum20, bars, index, SMA_FAST, close),
+    sum50: windowSum(running.sum50, bars, index, SMA_SLOW, close),
+    pv: windowSum(running.pv, bars, index, VWAP_PERIOD, priceVolume),
+    volume: windowSum(running.volume, bars, index, VWAP_PERIOD, volume),
+    obv
+  };
+
+  return {
+    values: {
+      sma20, sma50, rsi, macd, signal: signal.value, histogram, atr, ...bands,
+      vwap, stochK, stochD, obv, adx, plusDI, minusDI
+    },
+    next
+  };
+};
+
+const sameBar = (a, b) => a === b || (
+  a.date === b.date && a.open === b.open && a.high === b.high && a.low === b.low && a.close === b.close && a.volume === b.volume
+);
+
+// True when `bars` only moves the latest bar of `previous` (a live tick in the
+// same session) or adds one bar after it (the next session's first tick)
+export const continuesBars = (previous, bars) => {
+  const added = bars.length - previous.length;
+  if (previous.length === 0 || (added !== 0 && added !== 1)) return false;
+  if (added === 0 && bars[bars.length - 1].date !== previous[previous.length - 1].date) return false;
+  const settled = added === 0 ? previous.length - 1 : previous.length;
+  for (let i = 0; i < settled; i++) {
+    if (!sameBar(previous[i], bars[i])) return false;
+  }
+  return true;
+};
+
+// Running state and full series for a bar history (oldest first)
+export const createIndicatorState = (bars) => {
+  const series = Object.fromEntries(SERIES_KEYS.map(key => [key, []]));
+  let running = INITIAL_RUNNING;
+  bars.forEach((_, index) => {
+    const { values, next } = step(running, bars, index, series);
+    SERIES_KEYS.forEach(key => series[key].push(values[key]));
+    if (index < bars.length - 1) running = next;
+  });
+  return { bars, running, series };
+};
+
+// The state for `bars` after a live tick, recomputing only the latest bar; null
+// when `bars` doesn't continue the state's bars (see continuesBars). The series
+// are new arrays, so earlier results that share them are left as they were.
+export const advanceIndicatorState = (state, bars) => {
+  if (!continuesBars(state.bars, bars)) return null;
+  const index = bars.length - 1;
+  const running = bars.length > state.bars.length
+    ? step(state.running, bars, index - 1, state.series).next
+    : state.running;
+  const { values } = step(running, bars, index, state.series);
+  const series = Object.fromEntries(SERIES_KEYS.map(key => [key, [...state.series[key].slice(0, index), values[key]]]));
+  return { bars, running, series };
+};
@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import { advanceIndicatorState, continuesBars, createIndicatorState } from './liveIndicators.js';
+import { indicatorSeries } from './stockAnalysis.js';
+import { applyQuote } from '../data/quoteStream.js';
+
+// Wobbling daily bars on consecutive dates from 1 July 2024
+const fixture = (count) => Array.from({ length: count }, (_, i) => {
+  const close = 100 + i * 0.3 + Math.sin(i * 0.7) * 4;
+  const date = new Date(Date.UTC(2024, 6, 1 + i)).toISOString().slice(0, 10);
+  return { date, open: close - Math.cos(i), high: close + 1 + (i % 3), low: close - 1 - (i % 2), close, volume: 100000 + (i % 7) * 5000 };
+});
+
+// Every value of every series matches a rebuild from scratch
+const expectSameSeries = (series, bars) => {
+  const expected = indicatorSeries(bars);
+  Object.entries(expected).forEach(([key, values]) => {
+    expect(series[key], key).toHaveLength(values.length);
+    values.forEach((value, i) => {
+      if (value === null) expect(series[key][i], `${key}[${i}]`).toBeNull();
+      else expect(series[key][i], `${key}[${i}]`).toBeCloseTo(value, 8);
+    });
+  });
+};
+
+// Sydney trading time on a session, in ms (UTC+10 in winter)
+const during = (session, minute) => Date.parse(`${session}T00:${String(minute).padStart(2, '0')}:00Z`) + 60 * 60 * 1000;
+
+describe('createIndicatorState', () => {
+  it('builds the same series as a full rebuild', () => {
+    const bars = fixture(80);
+    expectSameSeries(createIndicatorState(bars).series, bars);
+    expectSameSeries(createIndicatorState(bars.slice(0, 5)).series, bars.slice(0, 5));
+  });
+});
+
+describe('advanceIndicatorState', () => {
+  it('follows live ticks and a new session without a rebuild', () => {
+    // 60 sessions up to Friday 16 Aug 2024, then ticks on Friday and Monday
+    let bars = fixture(60).map((bar, i) => ({ ...bar, date: new Date(Date.UTC(2024, 5, 18 + i)).toISOString().slice(0, 10) }));
+    let state = createIndicatorState(bars);
+    const ticks = [
+      { session: bars[59].date, price: bars[59].close * 1.01 },
+      { session: bars[59].date, price: bars[59].close * 0.98 },
+      { session: '2024-08-19', price: bars[59].close * 0.99 },
+      { session: '2024-08-19', price: bars[59].close * 1.02 }
+    ];
+    ticks.forEach(({ session, price }, i) => {
+      const next = applyQuote(bars, { symbol: 'CBA.AX', price, volume: 500, time: during(session, 10 + i) });
+      expect(next).not.toBe(bars);
+      state = advanceIndicatorState(state, next);
+      bars = next;
+      expectSameSeries(state.series, bars);
+    });
+    expect(bars).toHaveLength(61);
+  });
+
+  it('leaves the previous series untouched', () => {
+    const bars = fixture(40);
+    const state = createIndicatorState(bars);
+    const before = state.series.rsi.slice();
+    advanceIndicatorState(state, [...bars.slice(0, -1), { ...bars[39], close: bars[39].close + 5 }]);
+    expect(state.series.rsi).toEqual(before);
+  });
+
+  it('refuses bars that rewrite history', () => {
+    const bars = fixture(40);
+    const state = createIndicatorState(bars);
+    const revised = bars.map((bar, i) => (i === 10 ? { ...bar, close: bar.close + 1 } : bar));
+    expect(advanceIndicatorState(state, revised)).toBeNull();
+    expect(continuesBars(bars, bars.slice(1))).toBe(false);
+    expect(continuesBars(bars, [...bars, fixture(41)[40]])).toBe(true);
+  });
+});
@@ -0,0 +1,163 @@
+// Parameter sweep for the gain scoring. Every combination of the swept values
+// is scored on the same replayed sessions: the indicators for each symbol and
+// session are computed once, then only the gain rules are re-run per
+// combination. Sessions are split chronologically into a training window, where
+// combinations are ranked, and a later test window that checks whether the
+// ranking holds up out of sample.
+import { replaySessions } from './backtest.js';
+import { predictIntradayGain } from './stockAnalysis.js';
+import { computeBreadth } from './breadth.js';
+
+export const DEFAULT_OPTIMISER_CONFIG = {
+  sessions: 120,        // Past sessions replayed (training + test)
+  trainFraction: 0.7,   // Share of those sessions, oldest first, used for ranking
+  minTrades: 10,        // Training trades a combination needs to be ranked
+  objective: 'avgGain'  // Metric combinations are ranked on
+};
+
+// Combinations beyond this are refused rather than left to run for minutes
+export const MAX_COMBINATIONS = 600;
+
+// Win-rate drop (percentage points) from training to test that flags overfitting
+export const OVERFIT_GAP = 15;
+
+const gainRuleParam = (type, key) => ({
+  read: strategy => strategy.gain.rules.find(rule => rule.type === type)?.params[key] ?? null,
+  apply: (strategy, value) => ({
+    ...strategy,
+    gain: {
+      ...strategy.gain,
+      rules: strategy.gain.rules.map(rule => (rule.type === type ? { ...rule, params: { ...rule.params, [key]: value } } : rule))
+    }
+  })
+});
+
+// Parameters that can be swept, with their default grids
+export const SWEEP_PARAMETERS = {
+  threshold: {
+    label: 'High probability cutoff',
+    values: [40, 50, 60, 70, 80],
+    read: strategy => strategy.gain.highProbabilityThreshold,
+    apply: (strategy, value) => ({ ...strategy, gain: { ...strategy.gain, highProbabilityThreshold: value } })
+  },
+  rsiMin: { label: 'RSI band low', values: [30, 35, 40, 45, 50], ...gainRuleParam('rsiRange', 'min') },
+  rsiMax: { label: 'RSI band high', values: [55, 60, 65, 70, 75], ...gainRuleParam('rsiRange', 'max') },
+  volumeMultiplier: { label: 'Volume spike multiplier', values: [1.2, 1.5, 2, 2.5], ...gainRuleParam('volumeSpike', 'multiplier') }
+};
+
+// `better(a, b)` is true when metric value a beats b
+export const OBJECTIVES = {
+  avgGain: { label: 'Average gain %', digits: 2, better: (a, b) => a > b },
+  winRate: { label: 'Win rate %', digits: 1, better: (a, b) => a > b },
+  maxDrawdown: { label: 'Max drawdown %', digits: 2, better: (a, b) => a < b },
+  trades: { label: 'Trades', digits: 0, better: (a, b) => a > b }
+};
+
+// Every combination of the grid's values: [{ [parameter]: value }]
+export const expandGrid = (grid) => Object.entries(grid).reduce(
+  (combos, [id, values]) => combos.flatMap(combo => values.map(value => ({ ...combo, [id]: value }))),
+  [{}]
+);
+
+export const applyCombination = (strategy, values) => Object.entries(values).reduce(
+  (current, [id, value]) => SWEEP_PARAMETERS[id].apply(current, value),
+  strategy
+);
+
+// Trade statistics for a run of consecutive sessions, each a list of the picks'
+// returns over `holdingPeriod` sessions. Total return and drawdown follow an
+// equal-weighted basket of each session's picks (cash on sessions without any),
+// compounded over back-to-back holds only so overlapping holds don't count the
+// same move twice; drawdown is reported as a positive percentage.
+export const summariseSessions = (sessions, successThreshold, holdingPeriod = 1) => {
+  const gains = sessions.flat();
+  let equity = 1;
+  let peak = 1;
+  let maxDrawdown = 0;
+  sessions.forEach((picks, i) => {
+    if (i % holdingPeriod !== 0 || picks.length === 0) return;
+    equity *= 1 + picks.reduce((sum, gain) => sum + gain, 0) / picks.length / 100;
+    peak = Math.max(peak, equity);
+    maxDrawdown = Math.max(maxDrawdown, (1 - equity / peak) * 100);
+  });
+
+  return {
+    trades: gains.length,
+    winRate: gains.length > 0 ? (gains.filter(gain => gain >= successThreshold).length / gains.length) * 100 : 0,
+    avgGain: gains.length > 0 ? gains.reduce((sum, gain) => sum + gain, 0) / gains.length : 0,
+    totalReturn: (equity - 1) * 100,
+    maxDrawdown
+  };
+};
+
+// A combination looks overfit when its test results fall well short of training
+export const isOverfit = (train, test) => test.trades > 0 && (
+  train.winRate - test.winRate > OVERFIT_GAP || (train.avgGain > 0 && test.avgGain <= 0)
+);
+
+// Rank combinations on their training results; ones short of `minTrades` go last
+export const rankCombinations = (combos, { objective, minTrades }) => {
+  const { better } = OBJECTIVES[objective];
+  return [...combos].sort((a, b) => {
+    const eligibleA = a.train.trades >= minTrades;
+    const eligibleB = b.train.trades >= minTrades;
+    if (eligibleA !== eligibleB) return eligibleA ? -1 : 1;
+    if (better(a.train[objective], b.train[objective])) return -1;
+    if (better(b.train[objective], a.train[objective])) return 1;
+    return 0;
+  });
+};
+
+// histories: { [symbol]: bar[] } oldest first; `grid` maps SWEEP_PARAMETERS ids to
+// the values to try. `backtest` supplies holdingPeriod, successThreshold and
+// lookback. `onProgress({ phase, done, total })` is called as work completes.
+export const runOptimisation = (histories, { grid, config, backtest }, strategy, benchmarks = {}, onProgress = () => {}) => {
+  const settings = { ...DEFAULT_OPTIMISER_CONFIG, ...config };
+  const { holdingPeriod, successThreshold, lookback } = backtest;
+  const combinations = expandGrid(grid);
+  if (combinations.length > MAX_COMBINATIONS) {
+    throw new Error(`${combinations.length} combinations is more than the ${MAX_COMBINATIONS} allowed - trim the grid`);
+  }
+
+  const allDates = [...new Set(Object.values(histories).flatMap(bars => bars.map(bar => bar.date)))].sort();
+  const dates = allDates.slice(0, allDates.length - holdingPeriod).slice(-settings.sessions);
+  const trainCount = Math.round(dates.length * settings.trainFraction);
+  if (trainCount === 0 || trainCount === dates.length) {
+    throw new Error('Not enough sessions to split into training and test windows');
+  }
+
+  // Indicators once per symbol and session; breadth once per session for the regime filter
+  const replayed = dates.map((date, i) => {
+    const [session] = replaySessions(histories, [date], { holdingPeriod, lookback }, strategy, benchmarks);
+    onProgress({ phase: 'replay', done: i + 1, total: dates.length });
+    return { ...session, breadth: computeBreadth(session.outcomes.map(outcome => outcome.stock)) };
+  });
+
+  const score = (values) => {
+    const combined = applyCombination(strategy, values);
+    const sessions = replayed.map(({ outcomes, breadth }) => outcomes
+      .filter(({ stock }) => predictIntradayGain(stock, combined, null, breadth).isHighProbability)
+      .map(({ actualGain }) => actualGain));
+    const train = summariseSessions(sessions.slice(0, trainCount), successThreshold, holdingPeriod);
+    const test = summariseSessions(sessions.slice(trainCount), successThreshold, holdingPeriod);
+    return { values, train, test, overfit: isOverfit(train, test) };
+  };
+
+  const combos = combinations.map((values, i) => {
+    const combo = score(values);
+    onProgress({ phase: 'sweep', done: i + 1, total: combinations.length });
+    return combo;
+  });
+  const ranked = rankCombinations(combos, settings);
+  const current = Object.fromEntries(Object.keys(grid).map(id => [id, SWEEP_PARAMETERS[id].read(strategy)]));
+
+  return {
+    parameters: Object.keys(grid),
+    config: settings,
+    train: { from: dates[0], to: dates[trainCount - 1], sessions: trainCount },
+    test: { from: dates[trainCount], to: dates[dates.length - 1], sessions: dates.length - trainCount },
+    combos: ranked,
+    best: ranked[0].train.trades >= settings.minTrades ? ranked[0] : null,
+    current: score(current)
+  };
+};
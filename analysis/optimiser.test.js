@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import {
+  MAX_COMBINATIONS, OVERFIT_GAP, SWEEP_PARAMETERS, applyCombination, expandGrid, isOverfit, rankCombinations,
+  runOptimisation, summariseSessions
+} from './optimiser.js';
+import { DEFAULT_STRATEGY } from './strategy.js';
+
+const stats = (fields) => ({ trades: 20, winRate: 50, avgGain: 0.5, totalReturn: 0, maxDrawdown: 0, ...fields });
+
+describe('expandGrid', () => {
+  it('builds every combination of the swept values', () => {
+    expect(expandGrid({ threshold: [40, 60], rsiMin: [30, 35, 40] })).toEqual([
+      { threshold: 40, rsiMin: 30 }, { threshold: 40, rsiMin: 35 }, { threshold: 40, rsiMin: 40 },
+      { threshold: 60, rsiMin: 30 }, { threshold: 60, rsiMin: 35 }, { threshold: 60, rsiMin: 40 }
+    ]);
+    expect(expandGrid({})).toEqual([{}]);
+  });
+
+  it('is refused past MAX_COMBINATIONS before any work is done', () => {
+    const values = Array.from({ length: 25 }, (_, i) => i);
+    const grid = { threshold: values, rsiMin: values };
+    expect(expandGrid(grid).length).toBeGreaterThan(MAX_COMBINATIONS);
+    expect(() => runOptimisation({}, { grid, config: {}, backtest: { holdingPeriod: 1, successThreshold: 1, lookback: 60 } }, DEFAULT_STRATEGY))
+      .toThrow(`625 combinations is more than the ${MAX_COMBINATIONS} allowed`);
+  });
+});
+
+describe('applyCombination', () => {
+  it('sets each swept parameter on a copy of the strategy', () => {
+    const combined = applyCombination(DEFAULT_STRATEGY, { threshold: 45, rsiMin: 35 });
+    expect(SWEEP_PARAMETERS.threshold.read(combined)).toBe(45);
+    expect(SWEEP_PARAMETERS.rsiMin.read(combined)).toBe(35);
+    expect(SWEEP_PARAMETERS.threshold.read(DEFAULT_STRATEGY)).not.toBe(45);
+  });
+});
+
+describe('summariseSessions', () => {
+  it('compounds each session for one-session holds', () => {
+    const summary = summariseSessions([[2, 0], [], [-2]], 1);
+    expect(summary).toMatchObject({ trades: 3, winRate: (1 / 3) * 100 });
+    expect(summary.totalReturn).toBeCloseTo((1.01 * 0.98 - 1) * 100, 10);
+    expect(summary.maxDrawdown).toBeCloseTo(2, 10);
+  });
+
+  it('compounds only back-to-back holds when they span several sessions', () => {
+    // Each 2-session hold gains 2%; the overlapping ones between them are skipped
+    const summary = summariseSessions([[2], [2], [2], [2]], 1, 2);
+    expect(summary.trades).toBe(4);
+    expect(summary.avgGain).toBe(2);
+    expect(summary.totalReturn).toBeCloseTo((1.02 ** 2 - 1) * 100, 10);
+  });
+});
+
+describe('rankCombinations', () => {
+  it('ranks on the training objective with too few trades last', () => {
+    const combos = [
+      { values: { threshold: 40 }, train: stats({ avgGain: 0.2 }) },
+      { values: { threshold: 50 }, train: stats({ avgGain: 0.9, trades: 3 }) },
+      { values: { threshold: 60 }, train: stats({ avgGain: 0.6 }) }
+    ];
+    expect(rankCombinations(combos, { objective: 'avgGain', minTrades: 10 }).map(combo => combo.values.threshold))
+      .toEqual([60, 40, 50]);
+  });
+
+  it('puts the smallest drawdown first', () => {
+    const combos = [
+      { values: { threshold: 40 }, train: stats({ maxDrawdown: 8 }) },
+      { values: { threshold: 60 }, train: stats({ maxDrawdown: 3 }) }
+    ];
+    expect(rankCombinations(combos, { objective: 'maxDrawdown', minTrades: 10 })[0].values.threshold).toBe(60);
+  });
+});
+
+describe('isOverfit', () => {
+  it(`flags a win rate more than ${OVERFIT_GAP} points down out of sample`, () => {
+    expect(isOverfit(stats({ winRate: 60 }), stats({ winRate: 60 - OVERFIT_GAP - 1 }))).toBe(true);
+    expect(isOverfit(stats({ winRate: 60 }), stats({ winRate: 60 - OVERFIT_GAP }))).toBe(false);
+  });
+
+  it('flags a profitable combination that loses money out of sample', () => {
+    expect(isOverfit(stats({ avgGain: 0.5 }), stats({ avgGain: -0.1 }))).toBe(true);
+  });
+
+  it('needs test trades to judge', () => {
+    expect(isOverfit(stats({ winRate: 90 }), stats({ trades: 0, winRate: 0 }))).toBe(false);
+  });
+});
@@ -0,0 +1,19 @@
+// Web Worker running a parameter sweep off the UI thread. Receives
+// { histories, sweep, strategy, benchmarks } and posts
+// { type: 'progress', progress }, then { type: 'done', result } or { type: 'error', message }.
+import { runOptimisation } from './optimiser.js';
+
+self.onmessage = ({ data }) => {
+  try {
+    const result = runOptimisation(
+      data.histories,
+      data.sweep,
+      data.strategy,
+      data.benchmarks,
+      progress => self.postMessage({ type: 'progress', progress })
+    );
+    self.postMessage({ type: 'done', result });
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message });
+  }
+};
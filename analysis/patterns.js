@@ -0,0 +1,226 @@
+// Price pattern recognition on a bar history (oldest first): swing pivots,
+// support/resistance levels, volume-confirmed breakouts, gaps, higher-high /
+// higher-low structure and engulfing, hammer and doji candles. Every detected
+// event carries its bar index and date so the chart can mark it:
+//   { index, date, kind, direction: 'bullish' | 'bearish' | 'neutral', label, price }
+// Pivots only count once `pivotStrength` bars have printed after them, so an
+// event never depends on bars that came later.
+
+export const PATTERN_DEFAULTS = {
+  lookback: 120,          // Bars scanned for pivots and events
+  pivotStrength: 3,       // Bars either side a swing high/low must stand out from
+  levelTolerance: 1.5,    // % within which pivots are treated as the same level
+  minTouches: 2,          // Pivots needed to form a level
+  volumeMultiplier: 1.5,  // Breakout volume needed vs the average
+  volumePeriod: 20,       // Bars in that volume average
+  minGap: 0.5,            // % between bars to count as a gap
+  trendBars: 5            // Bars of decline a hammer must follow
+};
+
+const average = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+
+const percentChange = (from, to) => ((to - from) / from) * 100;
+
+// Swing highs and lows: bars whose high (low) beats the `strength` bars either side
+export const findPivots = (bars, strength = PATTERN_DEFAULTS.pivotStrength) => {
+  const pivots = [];
+  for (let i = strength; i < bars.length - strength; i++) {
+    const around = [...bars.slice(i - strength, i), ...bars.slice(i + 1, i + strength + 1)];
+    if (around.every(bar => bars[i].high > bar.high)) pivots.push({ index: i, kind: 'high', price: bars[i].high });
+    if (around.every(bar => bars[i].low < bar.low)) pivots.push({ index: i, kind: 'low', price: bars[i].low });
+  }
+  return pivots;
+};
+
+// Cluster pivot prices that sit within `tolerance`% of each other into levels.
+// A level keeps the indexes of its pivots so callers can tell when it formed.
+export const findLevels = (pivots, { levelTolerance, minTouches } = PATTERN_DEFAULTS) => {
+  const clusters = [];
+  [...pivots].sort((a, b) => a.price - b.price).forEach(pivot => {
+    const current = clusters[clusters.length - 1];
+    if (current && pivot.price <= average(current.map(item => item.price)) * (1 + levelTolerance / 100)) {
+      current.push(pivot);
+    } else {
+      clusters.push([pivot]);
+    }
+  });
+
+  return clusters
+    .filter(cluster => cluster.length >= minTouches)
+    .map(cluster => ({
+      price: average(cluster.map(item => item.price)),
+      touches: cluster.length,
+      pivots: cluster.map(item => item.index).sort((a, b) => a - b)
+    }));
+};
+
+// Closes through a level that had formed before the bar, on above-average volume
+const detectBreakouts = (bars, levels, options) => {
+  const { pivotStrength, minTouches, volumeMultiplier, volumePeriod } = options;
+  const events = [];
+
+  for (let i = volumePeriod; i < bars.length; i++) {
+    const previous = bars[i - 1].close;
+    const close = bars[i].close;
+    const volumeRatio = bars[i].volume / average(bars.slice(i - volumePeriod, i).map(bar => bar.volume));
+    if (!(volumeRatio >= volumeMultiplier)) continue;
+
+    levels.forEach(level => {
+      const formed = level.pivots.filter(index => index + pivotStrength < i).length >= minTouches;
+      if (!formed) return;
+      const direction = previous <= level.price && close > level.price ? 'bullish'
+        : previous >= level.price && close < level.price ? 'bearish' : null;
+      if (!direction) return;
+      events.push({
+        index: i,
+        kind: 'breakout',
+        direction,
+        label: direction === 'bullish' ? 'Breakout' : 'Breakdown',
+        price: level.price,
+        volumeRatio
+      });
+    });
+  }
+  return events;
+};
+
+// Bars that open clear of the previous bar's range. A gap is filled once a later
+// bar trades back to the previous bar's high (gap up) or low (gap down).
+const detectGaps = (bars, { minGap }) => {
+  const events = [];
+  for (let i = 1; i < bars.length; i++) {
+    const prev = bars[i - 1];
+    const bar = bars[i];
+    const up = bar.low > prev.high * (1 + minGap / 100);
+    const down = bar.high < prev.low * (1 - minGap / 100);
+    if (!up && !down) continue;
+
+    const later = bars.slice(i + 1);
+    events.push({
+      index: i,
+      kind: 'gap',
+      direction: up ? 'bullish' : 'bearish',
+      label: up ? 'Gap up' : 'Gap down',
+      price: up ? prev.high : prev.low,
+      size: up ? percentChange(prev.high, bar.low) : percentChange(prev.low, bar.high),
+      filled: up ? later.some(item => item.low <= prev.high) : later.some(item => item.high >= prev.low)
+    });
+  }
+  return events;
+};
+
+// Label each confirmed swing against the previous one of its kind (HH/LH, HL/LL)
+// and read the trend off the latest two highs and lows
+const swingStructure = (pivots) => {
+  const events = [];
+  const previous = { high: null, low: null };
+
+  pivots.forEach(pivot => {
+    const prior = previous[pivot.kind];
+    previous[pivot.kind] = pivot;
+    if (!prior) return;
+    const higher = pivot.price > prior.price;
+    const label = pivot.kind === 'high' ? (higher ? 'HH' : 'LH') : (higher ? 'HL' : 'LL');
+    events.push({
+      index: pivot.index,
+      kind: 'swing',
+      direction: higher ? 'bullish' : 'bearish',
+      label,
+      price: pivot.price,
+      pivot: pivot.kind
+    });
+  });
+
+  const latest = (kind) => events.filter(event => event.pivot === kind).slice(-1)[0]?.label ?? null;
+  const high = latest('high');
+  const low = latest('low');
+  const trend = high === 'HH' && low === 'HL' ? 'up' : high === 'LH' && low === 'LL' ? 'down' : 'mixed';
+
+  // Consecutive swings (of either kind) agreeing with the trend, newest back
+  let count = 0;
+  if (trend !== 'mixed') {
+    const wanted = trend === 'up' ? 'bullish' : 'bearish';
+    for (let i = events.length - 1; i >= 0 && events[i].direction === wanted; i--) count++;
+  }
+
+  return { events, structure: { trend, high, low, count } };
+};
+
+// Engulfing candles, hammers after a decline and dojis
+const detectCandles = (bars, { trendBars }) => {
+  const events = [];
+  bars.forEach((bar, i) => {
+    const range = bar.high - bar.low;
+    if (range <= 0) return;
+    const body = Math.abs(bar.close - bar.open);
+    const upperShadow = bar.high - Math.max(bar.open, bar.close);
+    const lowerShadow = Math.min(bar.open, bar.close) - bar.low;
+    const prev = bars[i - 1];
+
+    if (body <= range * 0.1) {
+      events.push({ index: i, kind: 'doji', direction: 'neutral', label: 'Doji', price: bar.high });
+      return;
+    }
+
+    // Engulfing: a full-bodied candle swallowing the body of an opposite, non-trivial one
+    const prevBody = prev ? Math.abs(prev.close - prev.open) : 0;
+    if (prev && body >= range * 0.5 && prevBody >= (prev.high - prev.low) * 0.3) {
+      if (prev.close < prev.open && bar.close > bar.open && bar.open <= prev.close && bar.close >= prev.open && body > prevBody) {
+        events.push({ index: i, kind: 'engulfing', direction: 'bullish', label: 'Bullish engulfing', price: bar.low });
+        return;
+      }
+      if (prev.close > prev.open && bar.close < bar.open && bar.open >= prev.close && bar.close <= prev.open && body > prevBody) {
+        events.push({ index: i, kind: 'engulfing', direction: 'bearish', label: 'Bearish engulfing', price: bar.high });
+        return;
+      }
+    }
+
+    const declining = i > trendBars && bars[i - 1].close < bars[i - 1 - trendBars].close;
+    if (declining && lowerShadow >= body * 2 && upperShadow <= body) {
+      events.push({ index: i, kind: 'hammer', direction: 'bullish', label: 'Hammer', price: bar.low });
+    }
+  });
+  return events;
+};
+
+// Every pattern over the last `lookback` bars. `support` and `resistance` are the
+// nearest levels below and above the latest close (null when none has formed).
+export const detectPatterns = (allBars, overrides = {}) => {
+  const options = { ...PATTERN_DEFAULTS, ...overrides };
+  const offset = Math.max(0, allBars.length - options.lookback);
+  const bars = allBars.slice(offset);
+  const close = bars.length > 0 ? bars[bars.length - 1].close : null;
+
+  const pivots = findPivots(bars, options.pivotStrength);
+  const levels = findLevels(pivots, options);
+  const swings = swingStructure(pivots);
+
+  const events = [
+    ...detectBreakouts(bars, levels, options),
+    ...detectGaps(bars, options),
+    ...swings.events,
+    ...detectCandles(bars, options)
+  ]
+    .map(event => ({ ...event, index: event.index + offset, date: bars[event.index].date }))
+    .sort((a, b) => a.index - b.index);
+
+  const below = levels.filter(level => level.price < close);
+  const above = levels.filter(level => level.price >= close);
+
+  return {
+    levels: levels.map(level => ({
+      ...level,
+      pivots: level.pivots.map(index => index + offset),
+      kind: level.price < close ? 'support' : 'resistance'
+    })),
+    support: below.length > 0 ? below[below.length - 1].price : null,
+    resistance: above.length > 0 ? above[0].price : null,
+    structure: swings.structure,
+    events
+  };
+};
+
+// Events printed on the last `bars` bars of a history `length` long
+export const recentEvents = (patterns, length, bars, kinds = null) => patterns.events.filter(event => (
+  event.index >= length - bars && (!kinds || kinds.includes(event.kind))
+));
@@ -0,0 +1,163 @@
+import { describe, it, expect } from 'vitest';
+import { detectPatterns, findLevels, findPivots } from './patterns.js';
+
+const day = (index) => new Date(Date.UTC(2026, 0, 5 + index)).toISOString().slice(0, 10);
+
+const bar = (index, open, high, low, close, volume = 1000) => ({ date: day(index), open, high, low, close, volume });
+
+// Bars centred on `mids` with a 0.5 wick either side and a small up body
+const zigzag = (mids) => mids.map((mid, i) => bar(i, mid - 0.2, mid + 0.5, mid - 0.5, mid + 0.2));
+
+// A flat range under 9.5 with swing highs at 10 on bars 5 and `secondTouch`
+const resistanceBase = (count, secondTouch) => Array.from({ length: count }, (_, i) => (
+  i === 5 || i === secondTouch ? bar(i, 9, 10, 8.5, 9) : bar(i, 9, 9.5, 8.5, 9)
+));
+
+const ofKind = (patterns, kind) => patterns.events.filter(event => event.kind === kind);
+
+describe('findPivots', () => {
+  it('marks bars that stand out from the bars either side', () => {
+    const bars = [1, 2, 3, 5, 3, 2, 1].map((high, i) => bar(i, high, high, high - 1, high));
+    expect(findPivots(bars, 3)).toEqual([{ index: 3, kind: 'high', price: 5 }]);
+    // The first and last `strength` bars can't be pivots yet
+    expect(findPivots(bars.slice(0, 6), 3)).toEqual([]);
+  });
+
+  it('ignores a tie with a neighbouring bar', () => {
+    const bars = [1, 2, 5, 5, 2, 1].map((high, i) => bar(i, high, high, high - 1, high));
+    expect(findPivots(bars, 2)).toEqual([]);
+  });
+});
+
+describe('findLevels', () => {
+  it('clusters pivots within the tolerance and drops single touches', () => {
+    const pivots = [
+      { index: 9, kind: 'high', price: 10.1 },
+      { index: 2, kind: 'high', price: 10 },
+      { index: 5, kind: 'low', price: 12 },
+      { index: 7, kind: 'low', price: 12.05 },
+      { index: 11, kind: 'high', price: 15 }
+    ];
+    const levels = findLevels(pivots, { levelTolerance: 1.5, minTouches: 2 });
+
+    expect(levels).toHaveLength(2);
+    expect(levels[0]).toMatchObject({ touches: 2, pivots: [2, 9] });
+    expect(levels[0].price).toBeCloseTo(10.05, 8);
+    expect(levels[1]).toMatchObject({ touches: 2, pivots: [5, 7] });
+    expect(levels[1].price).toBeCloseTo(12.025, 8);
+  });
+});
+
+describe('breakouts', () => {
+  it('flags a close through a formed level on above-average volume', () => {
+    const bars = resistanceBase(26, 12);
+    bars[22] = bar(22, 9, 10.6, 8.9, 10.5, 3000);
+    const [breakout] = ofKind(detectPatterns(bars), 'breakout');
+
+    expect(breakout).toMatchObject({ index: 22, direction: 'bullish', label: 'Breakout', price: 10, volumeRatio: 3 });
+  });
+
+  it('needs above-average volume', () => {
+    const bars = resistanceBase(26, 12);
+    bars[22] = bar(22, 9, 10.6, 8.9, 10.5, 1200);
+    expect(ofKind(detectPatterns(bars), 'breakout')).toEqual([]);
+  });
+
+  it('only counts a level that formed before the breakout bar', () => {
+    // The second swing high at 10.1 on bar 20 isn't confirmed until bar 23, so
+    // the close through the level on bar 22 can't use it
+    const bars = resistanceBase(26, 20);
+    bars[20] = bar(20, 9, 10.1, 8.5, 9);
+    bars[22] = bar(22, 9, 10.08, 8.9, 10.06, 3000);
+    const patterns = detectPatterns(bars);
+
+    expect(patterns.levels.map(level => level.pivots)).toContainEqual([5, 20]);
+    expect(ofKind(patterns, 'breakout')).toEqual([]);
+  });
+});
+
+describe('gaps', () => {
+  const gapUp = [
+    bar(0, 10, 10.2, 9.8, 10),
+    bar(1, 10.6, 10.8, 10.5, 10.7),
+    bar(2, 10.7, 10.9, 10.4, 10.5)
+  ];
+
+  it('flags a gap up and leaves it open until a bar trades back to the prior high', () => {
+    const [gap] = ofKind(detectPatterns(gapUp), 'gap');
+    expect(gap).toMatchObject({ index: 1, direction: 'bullish', label: 'Gap up', price: 10.2, filled: false });
+    expect(gap.size).toBeCloseTo(((10.5 - 10.2) / 10.2) * 100, 8);
+
+    const filled = ofKind(detectPatterns([...gapUp, bar(3, 10.5, 10.6, 10.1, 10.2)]), 'gap');
+    expect(filled).toEqual([expect.objectContaining({ index: 1, filled: true })]);
+  });
+
+  it('flags a gap down and fills it on a trade back to the prior low', () => {
+    const bars = [
+      bar(0, 10, 10.2, 9.8, 10),
+      bar(1, 9.5, 9.6, 9.3, 9.4),
+      bar(2, 9.4, 9.9, 9.3, 9.8)
+    ];
+    const [gap] = ofKind(detectPatterns(bars), 'gap');
+    expect(gap).toMatchObject({ index: 1, direction: 'bearish', label: 'Gap down', price: 9.8, filled: true });
+  });
+
+  it('ignores a move smaller than the minimum gap', () => {
+    const bars = [bar(0, 10, 10.2, 9.8, 10), bar(1, 10.22, 10.4, 10.21, 10.3)];
+    expect(ofKind(detectPatterns(bars), 'gap')).toEqual([]);
+  });
+});
+
+describe('swing structure', () => {
+  it('labels higher highs and higher lows as an uptrend', () => {
+    const patterns = detectPatterns(zigzag([10, 12, 11, 13, 12, 14, 13, 15, 14]), { pivotStrength: 1 });
+
+    expect(ofKind(patterns, 'swing').map(event => [event.index, event.label])).toEqual([
+      [3, 'HH'], [4, 'HL'], [5, 'HH'], [6, 'HL'], [7, 'HH']
+    ]);
+    expect(patterns.structure).toEqual({ trend: 'up', high: 'HH', low: 'HL', count: 5 });
+  });
+
+  it('labels lower highs and lower lows as a downtrend', () => {
+    const patterns = detectPatterns(zigzag([20, 18, 19, 17, 18, 16, 17]), { pivotStrength: 1 });
+
+    expect(ofKind(patterns, 'swing').map(event => event.label)).toEqual(['LL', 'LH', 'LL']);
+    expect(patterns.structure).toEqual({ trend: 'down', high: 'LH', low: 'LL', count: 3 });
+  });
+
+  it('calls a higher high after a lower low mixed', () => {
+    const patterns = detectPatterns(zigzag([10, 12, 11, 13, 10, 14, 13]), { pivotStrength: 1 });
+    expect(patterns.structure).toMatchObject({ trend: 'mixed', high: 'HH', low: 'LL', count: 0 });
+  });
+});
+
+describe('candles', () => {
+  // Closes falling 0.2 a bar, each a bearish body clear of being a doji
+  const decline = [11, 10.8, 10.6, 10.4, 10.2, 10].map((close, i) => bar(i, close + 0.15, close + 0.2, close - 0.05, close));
+  const candles = (bars) => detectPatterns(bars).events.filter(event => ['engulfing', 'hammer', 'doji'].includes(event.kind));
+
+  it('finds bullish and bearish engulfing candles', () => {
+    expect(candles([bar(0, 10, 10.1, 9.4, 9.5), bar(1, 9.4, 10.25, 9.35, 10.2)])).toEqual([
+      expect.objectContaining({ index: 1, kind: 'engulfing', direction: 'bullish', price: 9.35 })
+    ]);
+    expect(candles([bar(0, 9.5, 10.1, 9.4, 10), bar(1, 10.1, 10.15, 9.25, 9.3)])).toEqual([
+      expect.objectContaining({ index: 1, kind: 'engulfing', direction: 'bearish', price: 10.15 })
+    ]);
+  });
+
+  it('finds a hammer only after a decline', () => {
+    const hammer = (index) => bar(index, 9.9, 9.97, 9.7, 9.95);
+    expect(candles([...decline, hammer(6)])).toEqual([
+      expect.objectContaining({ index: 6, kind: 'hammer', direction: 'bullish', price: 9.7 })
+    ]);
+
+    const rise = [9, 9.2, 9.4, 9.6, 9.8, 10].map((close, i) => bar(i, close - 0.15, close + 0.05, close - 0.2, close));
+    expect(candles([...rise, hammer(6)])).toEqual([]);
+  });
+
+  it('finds a doji', () => {
+    expect(candles([bar(0, 10, 10.3, 9.7, 10.01)])).toEqual([
+      expect.objectContaining({ index: 0, kind: 'doji', direction: 'neutral', price: 10.3 })
+    ]);
+  });
+});
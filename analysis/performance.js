@@ -0,0 +1,141 @@
+// Risk-adjusted performance of gainer picks, from per-session days as produced by
+// the backtest or the prediction journal ({ session, date, predictions: [{ symbol,
+// predictedProb, actualGain, success }] }). The portfolio holds an equal-weighted
+// basket of each session's picks and sits in cash on sessions without any. Each
+// return spans `holdingPeriod` sessions, so only back-to-back holds are compounded:
+// chaining overlapping holds would count the same moves several times.
+import { nextTradingDay } from '../data/asxCalendar.js';
+
+// Sessions per year for annualising Sharpe and Sortino
+export const SESSIONS_PER_YEAR = 252;
+
+// Width of the predicted-probability buckets, in percentage points
+export const PROBABILITY_BUCKET = 10;
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+const mean = (values) => (values.length > 0 ? sum(values) / values.length : 0);
+
+// A win is a pick that reached the success threshold, everywhere in the report
+
+// Trade counts, win rate and returns for a list of picks
+const tradeStats = (trades) => ({
+  trades: trades.length,
+  wins: trades.filter(trade => trade.success).length,
+  winRate: trades.length > 0 ? (trades.filter(trade => trade.success).length / trades.length) * 100 : 0,
+  avgGain: mean(trades.map(trade => trade.actualGain)),
+  totalGain: sum(trades.map(trade => trade.actualGain))
+});
+
+// Longest run of consecutive trades with `success === wanted`
+const longestStreak = (trades, wanted) => {
+  let longest = 0;
+  let current = 0;
+  trades.forEach(trade => {
+    current = trade.success === wanted ? current + 1 : 0;
+    longest = Math.max(longest, current);
+  });
+  return longest;
+};
+
+// The session `count` trading days after `session`
+const sessionsLater = (session, count) => {
+  let date = session;
+  for (let i = 0; i < count; i++) date = nextTradingDay(date);
+  return date;
+};
+
+// Days whose hold starts once the previous one has been sold, oldest first
+export const backToBackDays = (days, holdingPeriod = 1) => {
+  let free = null;
+  return days.filter(day => {
+    if (free && day.session < free) return false;
+    free = sessionsLater(day.session, holdingPeriod);
+    return true;
+  });
+};
+
+// Compounded equity (% return) and drawdown from the running peak after each hold
+export const equityCurve = (days, holdingPeriod = 1) => {
+  let equity = 1;
+  let peak = 1;
+  return backToBackDays(days, holdingPeriod).map(day => {
+    const holdReturn = day.predictions.length > 0 ? mean(day.predictions.map(pred => pred.actualGain)) : 0;
+    equity *= 1 + holdReturn / 100;
+    peak = Math.max(peak, equity);
+    return {
+      date: day.date,
+      session: day.session,
+      holdReturn,
+      equity: (equity - 1) * 100,
+      drawdown: (equity / peak - 1) * 100
+    };
+  });
+};
+
+// Mean over deviation of per-hold returns, annualised by the holds in a year;
+// Sortino only counts the downside. Null when undefined.
+const sharpeRatio = (returns, holdsPerYear) => {
+  const average = mean(returns);
+  const deviation = Math.sqrt(mean(returns.map(value => (value - average) ** 2)));
+  return deviation > 0 ? (average / deviation) * Math.sqrt(holdsPerYear) : null;
+};
+
+const sortinoRatio = (returns, holdsPerYear) => {
+  const downside = Math.sqrt(mean(returns.map(value => Math.min(value, 0) ** 2)));
+  return downside > 0 ? (mean(returns) / downside) * Math.sqrt(holdsPerYear) : null;
+};
+
+// Stats per predicted-probability bucket, lowest bucket first
+const probabilityBuckets = (trades) => {
+  const buckets = {};
+  trades.forEach(trade => {
+    const floor = Math.min(Math.floor(trade.predictedProb / PROBABILITY_BUCKET) * PROBABILITY_BUCKET, 100 - PROBABILITY_BUCKET);
+    (buckets[floor] = buckets[floor] ?? []).push(trade);
+  });
+  return Object.keys(buckets).map(Number).sort((a, b) => a - b).map(floor => ({
+    label: `${floor}–${floor + PROBABILITY_BUCKET}%`,
+    from: floor,
+    avgProbability: mean(buckets[floor].map(trade => trade.predictedProb)),
+    ...tradeStats(buckets[floor])
+  }));
+};
+
+// `holdingPeriod` is the sessions each pick is held for
+export const performanceReport = (days, holdingPeriod = 1) => {
+  const trades = days.flatMap(day => day.predictions.map(pred => ({ ...pred, session: day.session })));
+  const curve = equityCurve(days, holdingPeriod);
+  const returns = curve.map(point => point.holdReturn);
+  const holdsPerYear = SESSIONS_PER_YEAR / holdingPeriod;
+  const gains = trades.map(trade => trade.actualGain);
+  const grossProfit = sum(gains.filter(gain => gain > 0));
+  const grossLoss = -sum(gains.filter(gain => gain < 0));
+  const winners = trades.filter(trade => trade.success).map(trade => trade.actualGain);
+  const losers = trades.filter(trade => !trade.success).map(trade => trade.actualGain);
+
+  const bySymbol = {};
+  trades.forEach(trade => (bySymbol[trade.symbol] = bySymbol[trade.symbol] ?? []).push(trade));
+
+  return {
+    ...tradeStats(trades),
+    sessions: days.length,
+    holds: curve.length,
+    holdingPeriod,
+    curve,
+    totalReturn: curve.length > 0 ? curve[curve.length - 1].equity : 0,
+    maxDrawdown: curve.length > 0 ? -Math.min(...curve.map(point => point.drawdown)) : 0,
+    sharpe: sharpeRatio(returns, holdsPerYear),
+    sortino: sortinoRatio(returns, holdsPerYear),
+    // Null when there are no losing trades to divide by
+    profitFactor: grossLoss > 0 ? grossProfit / grossLoss : null,
+    // Expected return per trade: P(win) x average win + P(miss) x average miss
+    averageWin: mean(winners),
+    averageLoss: mean(losers),
+    expectancy: trades.length > 0 ? (winners.length / trades.length) * mean(winners) + (losers.length / trades.length) * mean(losers) : 0,
+    longestWinStreak: longestStreak(trades, true),
+    longestLossStreak: longestStreak(trades, false),
+    bySymbol: Object.entries(bySymbol)
+      .map(([symbol, symbolTrades]) => ({ symbol, ...tradeStats(symbolTrades) }))
+      .sort((a, b) => b.trades - a.trades || b.totalGain - a.totalGain),
+    byProbability: probabilityBuckets(trades)
+  };
+};
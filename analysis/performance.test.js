@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { SESSIONS_PER_YEAR, equityCurve, performanceReport } from './performance.js';
+
+// Consecutive ASX sessions from Monday 19 Oct 2026
+const SESSIONS = ['2026-10-19', '2026-10-20', '2026-10-21', '2026-10-22', '2026-10-23', '2026-10-26'];
+
+// One pick per session gaining `gain`%, a win when it reaches 1%
+const day = (session, ...gains) => ({
+  session,
+  date: session,
+  predictions: gains.map((actualGain, i) => ({
+    symbol: `S${i}.AX`, predictedProb: 60, actualGain, success: actualGain >= 1
+  }))
+});
+
+describe('equityCurve', () => {
+  it('compounds every session for one-session holds', () => {
+    const curve = equityCurve(SESSIONS.slice(0, 3).map(session => day(session, 1)));
+    expect(curve).toHaveLength(3);
+    expect(curve[2].equity).toBeCloseTo((1.01 ** 3 - 1) * 100, 10);
+  });
+
+  it('compounds only back-to-back holds when they span several sessions', () => {
+    // Each 3-session hold gains 3%; the overlapping ones in between are skipped
+    const curve = equityCurve(SESSIONS.map(session => day(session, 3)), 3);
+    expect(curve.map(point => point.session)).toEqual(['2026-10-19', '2026-10-22']);
+    expect(curve[1].equity).toBeCloseTo((1.03 ** 2 - 1) * 100, 10);
+  });
+
+  it('steps over gaps in journal sessions by the calendar', () => {
+    const curve = equityCurve([day('2026-10-19', 2), day('2026-10-20', 2), day('2026-10-21', 2), day('2026-10-26', 2)], 2);
+    expect(curve.map(point => point.session)).toEqual(['2026-10-19', '2026-10-21', '2026-10-26']);
+  });
+});
+
+describe('performanceReport', () => {
+  it('annualises per-hold returns by the holds in a year', () => {
+    const days = SESSIONS.map((session, i) => day(session, i % 3 === 0 ? [4, -2][i / 3] : 0));
+    const report = performanceReport(days, 3);
+    expect(report.holds).toBe(2);
+    expect(report.totalReturn).toBeCloseTo((1.04 * 0.98 - 1) * 100, 10);
+    expect(report.maxDrawdown).toBeCloseTo(2, 10);
+    // Returns 4 and -2: mean 1, deviation 3
+    expect(report.sharpe).toBeCloseTo((1 / 3) * Math.sqrt(SESSIONS_PER_YEAR / 3), 10);
+  });
+
+  it('counts wins as threshold hits for streaks and averages alike', () => {
+    const report = performanceReport([day('2026-10-19', 2, 0.5, 0.4, -1, 1.5)]);
+    expect(report.wins).toBe(2);
+    expect(report.longestWinStreak).toBe(1);
+    expect(report.longestLossStreak).toBe(3);
+    expect(report.averageWin).toBeCloseTo(1.75, 10);
+    expect(report.averageLoss).toBeCloseTo(-0.1 / 3, 10);
+    expect(report.expectancy).toBeCloseTo(3.4 / 5, 10);
+  });
+});
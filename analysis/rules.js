@@ -0,0 +1,267 @@
+// Rule registry for the scoring engine. A strategy only names rule types and
+// their points/params; the evaluation logic for each type lives here.
+//
+// Gain rules return a reason string when they fire (null otherwise).
+// Trend rules return a signal { type: 'bullish' | 'bearish', indicator, reason } or null.
+// `params` describes the tunable parameters so the settings UI can render inputs.
+import { sma, last } from './indicators.js';
+import { relativeReturn } from './benchmark.js';
+import { recentEvents, PATTERN_DEFAULTS } from './patterns.js';
+
+const average = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+
+// Latest detected pattern event of the given kinds in the last `bars` bars
+const latestEvent = ({ patterns, bars }, kinds, within) => (
+  recentEvents(patterns, bars.length, within, kinds).slice(-1)[0] ?? null
+);
+
+const near = (price, level) => level !== null && Math.abs(price - level) / level * 100 <= PATTERN_DEFAULTS.levelTolerance;
+
+export const GAIN_RULES = {
+  momentum: {
+    label: 'Positive momentum today',
+    params: [{ key: 'min', label: 'Min change %', step: 0.1 }, { key: 'max', label: 'Max change %', step: 0.1 }],
+    evaluate: ({ changePercent }, { min, max }) => (
+      changePercent > min && changePercent < max
+        ? 'Positive momentum today (+' + changePercent.toFixed(2) + '%)'
+        : null
+    )
+  },
+  rsiRange: {
+    label: 'RSI in sweet spot',
+    params: [{ key: 'min', label: 'Min RSI', step: 1 }, { key: 'max', label: 'Max RSI', step: 1 }],
+    evaluate: ({ rsi }, { min, max }) => (
+      rsi > min && rsi < max ? 'RSI in ideal range (' + rsi.toFixed(1) + ') - room to climb' : null
+    )
+  },
+  macdBullish: {
+    label: 'MACD above signal line',
+    params: [],
+    evaluate: ({ macd }) => (macd.histogram > 0 ? 'Bullish MACD - momentum building' : null)
+  },
+  volumeSpike: {
+    label: 'Volume spike',
+    params: [
+      { key: 'multiplier', label: 'x average', step: 0.1 },
+      { key: 'recent', label: 'Recent bars', step: 1 },
+      { key: 'average', label: 'Average bars', step: 1 }
+    ],
+    evaluate: ({ volume }, { multiplier, recent, average: averageBars }) => (
+      average(volume.slice(-recent)) > average(volume.slice(-averageBars)) * multiplier
+        ? 'Volume spike detected - strong buying interest'
+        : null
+    )
+  },
+  midRange: {
+    label: 'Price in mid-range',
+    params: [{ key: 'min', label: 'Min position', step: 0.05 }, { key: 'max', label: 'Max position', step: 0.05 }],
+    evaluate: ({ currentPrice, support, resistance }, { min, max }) => {
+      const position = (currentPrice - support) / (resistance - support);
+      return position > min && position < max ? 'Price in mid-range - good entry position' : null;
+    }
+  },
+  shortTermBreakout: {
+    label: 'Breaking above short average',
+    params: [{ key: 'period', label: 'Period', step: 1 }],
+    evaluate: ({ prices, currentPrice, changePercent }, { period }) => (
+      currentPrice > average(prices.slice(-period)) && changePercent > 0
+        ? `Breaking above ${period}-day average`
+        : null
+    )
+  },
+  aboveVwap: {
+    label: 'Trading above VWAP',
+    params: [],
+    evaluate: ({ vwap, currentPrice }) => (
+      vwap !== null && currentPrice > vwap ? 'Trading above VWAP ($' + vwap.toFixed(2) + ')' : null
+    )
+  },
+  bollingerSqueeze: {
+    label: 'Bollinger squeeze breakout',
+    params: [],
+    evaluate: ({ bollinger, currentPrice }) => (
+      bollinger.squeeze && currentPrice > bollinger.middle ? 'Bollinger squeeze - breakout setup' : null
+    )
+  },
+  adxTrend: {
+    label: 'Trend strength (ADX)',
+    params: [{ key: 'minAdx', label: 'Min ADX', step: 1 }],
+    evaluate: ({ adx }, { minAdx }) => (
+      adx.adx > minAdx && adx.plusDI > adx.minusDI
+        ? 'Trend strength confirmed (ADX ' + adx.adx.toFixed(0) + ')'
+        : null
+    )
+  },
+  outperformingIndex: {
+    label: 'Outperforming the index today',
+    params: [{ key: 'minExcess', label: 'Min excess %', step: 0.1 }],
+    evaluate: ({ relative }, { minExcess }) => (
+      relative?.today != null && relative.today >= minExcess
+        ? `Outperforming ${relative.code} by ${relative.today.toFixed(2)}% today`
+        : null
+    )
+  },
+  levelBreakout: {
+    label: 'Breakout through resistance on volume',
+    params: [{ key: 'within', label: 'Within bars', step: 1 }],
+    evaluate: (stockData, { within }) => {
+      const event = latestEvent(stockData, ['breakout'], within);
+      return event?.direction === 'bullish'
+        ? `Broke resistance at $${event.price.toFixed(2)} on ${event.volumeRatio.toFixed(1)}x volume`
+        : null;
+    }
+  }
+};
+
+export const TREND_RULES = {
+  rsi: {
+    label: 'RSI oversold / overbought',
+    params: [{ key: 'oversold', label: 'Oversold', step: 1 }, { key: 'overbought', label: 'Overbought', step: 1 }],
+    evaluate: ({ rsi }, { oversold, overbought }) => {
+      if (rsi < oversold) return { type: 'bullish', indicator: 'RSI', reason: `Oversold (${rsi.toFixed(1)})` };
+      if (rsi > overbought) return { type: 'bearish', indicator: 'RSI', reason: `Overbought (${rsi.toFixed(1)})` };
+      return null;
+    }
+  },
+  macd: {
+    label: 'MACD vs signal line',
+    params: [],
+    evaluate: ({ macd }) => (
+      macd.histogram > 0
+        ? { type: 'bullish', indicator: 'MACD', reason: 'Positive momentum (above signal line)' }
+        : { type: 'bearish', indicator: 'MACD', reason: 'Negative momentum (below signal line)' }
+    )
+  },
+  movingAverages: {
+    label: 'Price vs SMA 20/50',
+    params: [],
+    evaluate: ({ currentPrice, sma20, sma50 }) => {
+      if (currentPrice > sma20 && sma20 > sma50) return { type: 'bullish', indicator: 'MA', reason: 'Price above MAs, uptrend' };
+      if (currentPrice < sma20 && sma20 < sma50) return { type: 'bearish', indicator: 'MA', reason: 'Price below MAs, downtrend' };
+      return null;
+    }
+  },
+  volume: {
+    label: 'High volume move',
+    params: [{ key: 'multiplier', label: 'x average', step: 0.1 }],
+    evaluate: ({ volume, changePercent }, { multiplier }) => {
+      if (volume[volume.length - 1] <= average(volume.slice(-20)) * multiplier) return null;
+      return changePercent > 0
+        ? { type: 'bullish', indicator: 'Volume', reason: 'High volume + price increase' }
+        : { type: 'bearish', indicator: 'Volume', reason: 'High volume + price decrease' };
+    }
+  },
+  bollinger: {
+    label: 'Close outside Bollinger Bands',
+    params: [],
+    evaluate: ({ bollinger, currentPrice }) => {
+      if (bollinger.lower !== null && currentPrice < bollinger.lower) {
+        return { type: 'bullish', indicator: 'Bollinger', reason: 'Closed below lower band - stretched' };
+      }
+      if (bollinger.upper !== null && currentPrice > bollinger.upper) {
+        return { type: 'bearish', indicator: 'Bollinger', reason: 'Closed above upper band - stretched' };
+      }
+      return null;
+    }
+  },
+  stochastic: {
+    label: 'Stochastic cross in extreme zone',
+    params: [{ key: 'oversold', label: 'Oversold', step: 1 }, { key: 'overbought', label: 'Overbought', step: 1 }],
+    evaluate: ({ stochastic, series }, { oversold, overbought }) => {
+      const prevK = series.stochK[series.stochK.length - 2];
+      const prevD = series.stochD[series.stochD.length - 2];
+      const { k, d } = stochastic;
+      if (k === null || d === null || prevK == null || prevD == null) return null;
+      if (k < oversold && prevK <= prevD && k > d) {
+        return { type: 'bullish', indicator: 'Stochastic', reason: `Bullish cross in oversold zone (${k.toFixed(0)})` };
+      }
+      if (k > overbought && prevK >= prevD && k < d) {
+        return { type: 'bearish', indicator: 'Stochastic', reason: `Bearish cross in overbought zone (${k.toFixed(0)})` };
+      }
+      return null;
+    }
+  },
+  adx: {
+    label: 'Strong trend (ADX)',
+    params: [{ key: 'minAdx', label: 'Min ADX', step: 1 }],
+    evaluate: ({ adx }, { minAdx }) => {
+      if (adx.adx === null || adx.adx <= minAdx) return null;
+      return adx.plusDI > adx.minusDI
+        ? { type: 'bullish', indicator: 'ADX', reason: `Strong uptrend (ADX ${adx.adx.toFixed(0)})` }
+        : { type: 'bearish', indicator: 'ADX', reason: `Strong downtrend (ADX ${adx.adx.toFixed(0)})` };
+    }
+  },
+  obv: {
+    label: 'OBV confirms price',
+    params: [{ key: 'lookback', label: 'Price lookback', step: 1 }],
+    evaluate: ({ series, prices, currentPrice }, { lookback }) => {
+      const obvAverage = last(sma(series.obv, 20));
+      if (obvAverage === null || prices.length <= lookback) return null;
+      const obvNow = last(series.obv);
+      const priceTrend = currentPrice - prices[prices.length - 1 - lookback];
+      if (obvNow > obvAverage && priceTrend > 0) {
+        return { type: 'bullish', indicator: 'OBV', reason: 'Accumulation - volume flow confirms rise' };
+      }
+      if (obvNow < obvAverage && priceTrend < 0) {
+        return { type: 'bearish', indicator: 'OBV', reason: 'Distribution - volume flow confirms fall' };
+      }
+      return null;
+    }
+  },
+  relativeStrength: {
+    label: 'Relative strength vs index',
+    params: [{ key: 'period', label: 'Sessions', step: 1 }, { key: 'threshold', label: 'Min excess %', step: 0.5 }],
+    evaluate: ({ bars, benchmark }, { period, threshold }) => {
+      if (!benchmark) return null;
+      const excess = relativeReturn(bars, benchmark.bars, period);
+      if (excess === null || Math.abs(excess) < threshold) return null;
+      const reason = `${excess > 0 ? 'Outperformed' : 'Underperformed'} ${benchmark.code} by ${Math.abs(excess).toFixed(1)}% over ${period} sessions`;
+      return { type: excess > 0 ? 'bullish' : 'bearish', indicator: 'RS', reason };
+    }
+  },
+  breakout: {
+    label: 'Volume-confirmed breakout',
+    params: [{ key: 'within', label: 'Within bars', step: 1 }],
+    evaluate: (stockData, { within }) => {
+      const event = latestEvent(stockData, ['breakout'], within);
+      if (!event) return null;
+      const side = event.direction === 'bullish' ? 'above resistance' : 'below support';
+      return { type: event.direction, indicator: 'Pattern', reason: `Closed ${side} at $${event.price.toFixed(2)} on ${event.volumeRatio.toFixed(1)}x volume` };
+    }
+  },
+  gap: {
+    label: 'Unfilled price gap',
+    params: [{ key: 'minGap', label: 'Min gap %', step: 0.1 }],
+    evaluate: (stockData, { minGap }) => {
+      const event = latestEvent(stockData, ['gap'], 1);
+      if (!event || event.filled || Math.abs(event.size) < minGap) return null;
+      return { type: event.direction, indicator: 'Gap', reason: `${event.label} ${Math.abs(event.size).toFixed(1)}%` };
+    }
+  },
+  swingStructure: {
+    label: 'Higher highs / lower lows',
+    params: [{ key: 'minSwings', label: 'Min swings', step: 1 }],
+    evaluate: ({ patterns }, { minSwings }) => {
+      const { trend, count } = patterns.structure;
+      if (trend === 'mixed' || count < minSwings) return null;
+      return trend === 'up'
+        ? { type: 'bullish', indicator: 'Structure', reason: `Higher highs and higher lows (${count} swings)` }
+        : { type: 'bearish', indicator: 'Structure', reason: `Lower highs and lower lows (${count} swings)` };
+    }
+  },
+  candlestick: {
+    label: 'Candlestick patterns',
+    params: [{ key: 'within', label: 'Within bars', step: 1 }],
+    evaluate: (stockData, { within }) => {
+      const event = latestEvent(stockData, ['engulfing', 'hammer', 'doji'], within);
+      if (!event) return null;
+      if (event.kind !== 'doji') return { type: event.direction, indicator: 'Candle', reason: event.label };
+
+      // A doji is indecision: it only signals when it prints at a level
+      const { currentPrice, patterns } = stockData;
+      if (near(currentPrice, patterns.support)) return { type: 'bullish', indicator: 'Candle', reason: 'Doji at support' };
+      if (near(currentPrice, patterns.resistance)) return { type: 'bearish', indicator: 'Candle', reason: 'Doji at resistance' };
+      return null;
+    }
+  }
+};
@@ -0,0 +1,98 @@
+// Stock screener: named screens of conditions on the analysed stock fields.
+// A screen is plain data so it can be persisted:
+//   { id, name, match: 'all' | 'any', groups: [{ match: 'all' | 'any', conditions }] }
+// Conditions inside a group combine with the group's match (AND for 'all', OR for
+// 'any') and groups combine with the screen's. A condition is
+//   { field, min, max }   for numeric fields (either bound may be null), or
+//   { field, values }     for choice fields (matches any of the values).
+
+const average = (values) => (values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0);
+const percentFrom = (value, base) => (base ? (value / base - 1) * 100 : null);
+
+// Today's volume against the 20-session average
+const volumeRatio = ({ volume }) => {
+  const baseline = average(volume.slice(-21, -1));
+  return baseline > 0 ? volume[volume.length - 1] / baseline : null;
+};
+
+// Fields screens can filter and the table can sort on. `value` reads the field
+// from an analysed stock; `digits` is the display precision of numeric fields.
+export const SCREEN_FIELDS = {
+  symbol: { label: 'Symbol', kind: 'text', value: stock => stock.symbol },
+  currentPrice: { label: 'Price', kind: 'number', digits: 2, value: stock => stock.currentPrice },
+  changePercent: { label: 'Change %', kind: 'number', digits: 2, value: stock => stock.changePercent },
+  rsi: { label: 'RSI', kind: 'number', digits: 1, value: stock => stock.rsi },
+  priceVsSma20: { label: 'vs SMA 20 %', kind: 'number', digits: 2, value: stock => percentFrom(stock.currentPrice, stock.sma20) },
+  priceVsSma50: { label: 'vs SMA 50 %', kind: 'number', digits: 2, value: stock => percentFrom(stock.currentPrice, stock.sma50) },
+  volumeRatio: { label: 'Volume ratio', kind: 'number', digits: 2, value: volumeRatio },
+  gainProbability: { label: 'Gain prob. %', kind: 'number', digits: 0, value: stock => stock.gainProbability },
+  confidence: { label: 'Confidence %', kind: 'number', digits: 0, value: stock => stock.confidence },
+  prediction: { label: 'Outlook', kind: 'choice', value: stock => stock.prediction },
+  sector: { label: 'Sector', kind: 'choice', value: stock => stock.sector ?? 'Unclassified' }
+};
+
+// Fields offered in the condition builder (everything but the symbol itself)
+export const CONDITION_FIELDS = Object.keys(SCREEN_FIELDS).filter(key => SCREEN_FIELDS[key].kind !== 'text');
+
+const newId = () => `sc-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+export const createCondition = (field) => (
+  SCREEN_FIELDS[field].kind === 'choice' ? { field, values: [] } : { field, min: null, max: null }
+);
+
+export const createGroup = () => ({ match: 'all', conditions: [] });
+
+export const createScreen = (name, groups = [createGroup()]) => ({ id: newId(), name, match: 'all', groups });
+
+// Values a choice field takes across the stocks, for the builder's options
+export const choiceOptions = (field, stocks) => (
+  [...new Set(stocks.map(SCREEN_FIELDS[field].value))].sort()
+);
+
+// Incomplete conditions (no bounds, no values) don't constrain anything
+const isActive = (condition) => (
+  SCREEN_FIELDS[condition.field]?.kind === 'choice'
+    ? condition.values?.length > 0
+    : condition.min != null || condition.max != null
+);
+
+const matchesCondition = (stock, condition) => {
+  const value = SCREEN_FIELDS[condition.field].value(stock);
+  if (SCREEN_FIELDS[condition.field].kind === 'choice') return condition.values.includes(value);
+  if (value === null || !Number.isFinite(value)) return false;
+  return (condition.min == null || value >= condition.min) && (condition.max == null || value <= condition.max);
+};
+
+const combine = (match, results) => (match === 'any' ? results.some(Boolean) : results.every(Boolean));
+
+const matchesGroup = (stock, group) => {
+  const conditions = group.conditions.filter(isActive);
+  return conditions.length === 0 || combine(group.match, conditions.map(condition => matchesCondition(stock, condition)));
+};
+
+export const matchesScreen = (stock, screen) => {
+  const groups = screen.groups.filter(group => group.conditions.some(isActive));
+  return groups.length === 0 || combine(screen.match, groups.map(group => matchesGroup(stock, group)));
+};
+
+export const runScreen = (stocks, screen) => stocks.filter(stock => matchesScreen(stock, screen));
+
+// Sort by any screen field; { key, direction: 'asc' | 'desc' }. Missing values sort last.
+export const sortStocks = (stocks, { key, direction }) => {
+  const field = SCREEN_FIELDS[key];
+  if (!field) return stocks;
+  const sign = direction === 'asc' ? 1 : -1;
+  return [...stocks].sort((a, b) => {
+    const left = field.value(a);
+    const right = field.value(b);
+    if (left == null || right == null) return (left == null) - (right == null);
+    return (typeof left === 'string' ? left.localeCompare(right) : left - right) * sign;
+  });
+};
+
+export const formatField = (key, stock) => {
+  const field = SCREEN_FIELDS[key];
+  const value = field.value(stock);
+  if (field.kind !== 'number') return value;
+  return value === null || !Number.isFinite(value) ? '—' : value.toFixed(field.digits);
+};
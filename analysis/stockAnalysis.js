@@ -0,0 +1,223 @@
+// Technical analysis for a single stock. Pure functions of its bar history so the
+// same code scores the live dashboard and historical replays in the backtester.
+import * as indicators from './indicators.js';
+import { GAIN_RULES, TREND_RULES } from './rules.js';
+import { DEFAULT_STRATEGY } from './strategy.js';
+import { applyCalibration } from './calibration.js';
+import { computeBreadth, regimeFailures } from './breadth.js';
+import { compareToBenchmark } from './benchmark.js';
+import { detectPatterns } from './patterns.js';
+import { findBenchmark } from '../data/benchmarks.js';
+
+const { last } = indicators;
+
+// Predict intraday 1%+ gain probability. The points of every enabled gain rule
+// that fires are summed into a raw score; with a calibration the displayed
+// probability is the hit rate historically observed at that score, without one
+// it falls back to the capped score. With market `breadth` and the strategy's
+// regime filter enabled, no stock is flagged while the market fails the filter.
+export const predictIntradayGain = (stockData, strategy = DEFAULT_STRATEGY, calibration = null, breadth = null) => {
+  const { rules, cap, highProbabilityThreshold, regime } = strategy.gain;
+  let gainScore = 0;
+  const reasons = [];
+  const fired = [];
+
+  rules.filter(rule => rule.enabled).forEach(rule => {
+    const reason = GAIN_RULES[rule.type].evaluate(stockData, rule.params);
+    if (reason) {
+      gainScore += rule.points;
+      reasons.push(reason);
+      fired.push(rule.type);
+    }
+  });
+
+  const regimeBlocks = regime?.enabled && breadth ? regimeFailures(breadth, regime) : [];
+
+  return {
+    gainScore,
+    gainProbability: calibration ? applyCalibration(calibration, gainScore) * 100 : Math.min(gainScore, cap),
+    isCalibrated: Boolean(calibration),
+    gainReasons: reasons,
+    gainRules: fired,
+    regimeBlocks,
+    isHighProbability: gainScore >= highProbabilityThreshold && regimeBlocks.length === 0
+  };
+};
+
+// Analyze trend and generate prediction from the strategy's trend rules
+export const analyzeTrend = (stockData, strategy = DEFAULT_STRATEGY) => {
+  const { rules, bullishCutoff, bearishCutoff } = strategy.trend;
+  const signals = [];
+  const fired = [];
+  let bullishScore = 0;
+  let bearishScore = 0;
+
+  rules.filter(rule => rule.enabled).forEach(rule => {
+    const signal = TREND_RULES[rule.type].evaluate(stockData, rule.params);
+    if (!signal) return;
+    signals.push(signal);
+    fired.push(rule.type);
+    if (signal.type === 'bullish') bullishScore += rule.points;
+    else bearishScore += rule.points;
+  });
+
+  const totalScore = bullishScore + bearishScore;
+  const bullishConfidence = totalScore > 0 ? (bullishScore / totalScore) * 100 : 50;
+  const prediction = bullishConfidence > bullishCutoff ? 'BULLISH' : bullishConfidence < bearishCutoff ? 'BEARISH' : 'NEUTRAL';
+
+  return {
+    prediction,
+    confidence: Math.abs(bullishConfidence - 50) * 2,
+    signals,
+    trendRules: fired,
+    bullishScore,
+    bearishScore
+  };
+};
+
+// Re-score gain predictions against the breadth of the whole universe when the
+// strategy's regime filter is on (breadth needs every stock analysed first)
+export const applyRegimeFilter = (stocks, strategy, calibration = null) => {
+  if (!strategy.gain.regime?.enabled) return stocks;
+  const breadth = computeBreadth(stocks);
+  return stocks.map(stock => ({ ...stock, ...predictIntradayGain(stock, strategy, calibration, breadth) }));
+};
+
+// Intraday gain calls only apply while the market is trading: outside the
+// session nothing is flagged and the call is marked as suppressed, keeping the
+// flag it would carry in `suppressedHighProbability`
+export const applyMarketSession = (stock, clock) => (
+  clock.isOpen ? stock : {
+    ...stock,
+    isHighProbability: false,
+    intradaySuppressed: true,
+    suppressedHighProbability: stock.isHighProbability
+  }
+);
+
+// The strategy's benchmark index with its bars, or null without them
+export const strategyBenchmark = (strategy, benchmarks = {}) => {
+  const index = findBenchmark(strategy.benchmark);
+  return index && benchmarks[index.symbol] ? { ...index, bars: benchmarks[index.symbol] } : null;
+};
+
+// Full indicator series for a bar history, for charting; the latest values drive
+// the scoring. liveIndicators.js keeps the same series up to date tick by tick.
+export const indicatorSeries = (bars) => {
+  const prices = bars.map(bar => bar.close);
+  const macdSeries = indicators.macd(prices);
+  const bands = indicators.bollinger(prices);
+  const stochSeries = indicators.stochastic(bars);
+  const adxSeries = indicators.adx(bars);
+  return {
+    sma20: indicators.sma(prices, 20),
+    sma50: indicators.sma(prices, 50),
+    rsi: indicators.rsi(prices),
+    macd: macdSeries.macd,
+    signal: macdSeries.signal,
+    histogram: macdSeries.histogram,
+    atr: indicators.atr(bars),
+    bbUpper: bands.upper,
+    bbMiddle: bands.middle,
+    bbLower: bands.lower,
+    bbWidth: bands.bandwidth,
+    vwap: indicators.vwap(bars, 20),
+    stochK: stochSeries.k,
+    stochD: stochSeries.d,
+    obv: indicators.obv(bars),
+    adx: adxSeries.adx,
+    plusDI: adxSeries.plusDI,
+    minusDI: adxSeries.minusDI
+  };
+};
+
+// Indicator state for a stock: everything derived from its bars (and the
+// benchmark's), before any strategy scoring. This is the expensive part, so
+// callers that re-score often can cache it per symbol, and pass `series` when
+// they already keep the indicator series up to date.
+export const computeIndicators = (symbol, bars, benchmark = null, series = indicatorSeries(bars)) => {
+  const prices = bars.map(bar => bar.close);
+  const volume = bars.map(bar => bar.volume);
+  const dates = bars.map(bar => bar.date);
+
+  const currentPrice = prices[prices.length - 1];
+
+  const rsi = last(series.rsi) ?? 50;
+  const macd = {
+    macd: last(series.macd) ?? 0,
+    signal: last(series.signal) ?? 0,
+    histogram: last(series.histogram) ?? 0
+  };
+  const sma20 = last(series.sma20) ?? currentPrice;
+  const sma50 = last(series.sma50) ?? currentPrice;
+  const atr = last(series.atr) ?? 0;
+  const vwap = last(series.vwap);
+  const stochastic = { k: last(series.stochK), d: last(series.stochD) };
+  const adx = { adx: last(series.adx), plusDI: last(series.plusDI), minusDI: last(series.minusDI) };
+
+  // Squeeze: today's bandwidth sits in the narrowest 20% of the last 50 sessions
+  const recentWidths = series.bbWidth.slice(-50).filter(width => width !== null);
+  const bandwidth = last(series.bbWidth);
+  const narrowerCount = recentWidths.filter(width => width < bandwidth).length;
+  const bollinger = {
+    upper: last(series.bbUpper),
+    middle: last(series.bbMiddle),
+    lower: last(series.bbLower),
+    bandwidth,
+    squeeze: bandwidth !== null && recentWidths.length >= 20 && narrowerCount / recentWidths.length <= 0.2
+  };
+
+  // Support/resistance from the real lows and highs of the last 10 sessions
+  const recentBars = bars.slice(-10);
+  const support = Math.min(...recentBars.map(bar => bar.low));
+  const resistance = Math.max(...recentBars.map(bar => bar.high));
+
+  // Pivot levels, breakouts, gaps, swing structure and candles for the pattern rules and chart
+  const patterns = detectPatterns(bars);
+
+  const relative = compareToBenchmark(bars, benchmark);
+
+  const previousPrice = prices[prices.length - 2];
+  const change = currentPrice - previousPrice;
+  const changePercent = (change / previousPrice) * 100;
+
+  return {
+    symbol,
+    name: symbol.replace('.AX', ''),
+    currentPrice,
+    change,
+    changePercent,
+    bars,
+    prices,
+    volume,
+    dates,
+    rsi,
+    macd,
+    sma20,
+    sma50,
+    atr,
+    bollinger,
+    vwap,
+    stochastic,
+    adx,
+    support,
+    resistance,
+    patterns,
+    benchmark,
+    relative,
+    series
+  };
+};
+
+// Trend call and gain prediction for indicator state from computeIndicators
+export const scoreStock = (stockData, strategy = DEFAULT_STRATEGY, calibration = null) => ({
+  ...stockData,
+  ...analyzeTrend(stockData, strategy),
+  ...predictIntradayGain(stockData, strategy, calibration)
+});
+
+// Build the analysed stock model from provider bars (oldest first). `benchmarks`
+// holds index bars by symbol; the strategy's benchmark feeds the relative-strength rules.
+export const buildStockData = (symbol, bars, strategy = DEFAULT_STRATEGY, calibration = null, benchmarks = {}) => (
+  scoreStock(computeIndicators(symbol, bars, strategyBenchmark(strategy, benchmarks)), strategy, calibration)
+);
@@ -0,0 +1,52 @@
+// Strategy definitions: plain JSON describing which scoring rules are enabled,
+// their points and parameters, and the cut-offs applied to the totals.
+import defaultStrategy from './defaultStrategy.json';
+import { GAIN_RULES, TREND_RULES } from './rules.js';
+import { REGIME_CHECKS } from './breadth.js';
+import { findBenchmark } from '../data/benchmarks.js';
+
+export const DEFAULT_STRATEGY = defaultStrategy;
+
+const toNumber = (value, fallback) => (Number.isFinite(Number(value)) ? Number(value) : fallback);
+
+// Merge a rule list over the defaults: unknown types are dropped and any field
+// missing from an edited or imported rule falls back to the default rule.
+const normaliseRules = (rules = [], defaults, registry) => rules
+  .filter(rule => registry[rule.type])
+  .map(rule => {
+    const fallback = defaults.find(item => item.type === rule.type) ?? { enabled: true, points: 0, params: {} };
+    const params = registry[rule.type].params.reduce((merged, param) => ({
+      ...merged,
+      [param.key]: toNumber(rule.params?.[param.key], fallback.params[param.key])
+    }), {});
+    return {
+      type: rule.type,
+      enabled: rule.enabled ?? fallback.enabled,
+      points: toNumber(rule.points, fallback.points),
+      params
+    };
+  });
+
+// Market breadth requirements for gain picks; off unless explicitly enabled
+const normaliseRegime = (regime = {}) => REGIME_CHECKS.reduce((merged, check) => ({
+  ...merged,
+  [check.key]: toNumber(regime[check.key], DEFAULT_STRATEGY.gain.regime[check.key])
+}), { enabled: Boolean(regime.enabled) });
+
+// Validate a strategy (e.g. parsed from user-edited JSON) into a complete definition
+export const normaliseStrategy = (strategy = {}) => ({
+  name: strategy.name || DEFAULT_STRATEGY.name,
+  // Index the relative-strength rules and the backtest compare against
+  benchmark: findBenchmark(strategy.benchmark) ? strategy.benchmark : DEFAULT_STRATEGY.benchmark,
+  gain: {
+    highProbabilityThreshold: toNumber(strategy.gain?.highProbabilityThreshold, DEFAULT_STRATEGY.gain.highProbabilityThreshold),
+    cap: toNumber(strategy.gain?.cap, DEFAULT_STRATEGY.gain.cap),
+    regime: normaliseRegime(strategy.gain?.regime),
+    rules: normaliseRules(strategy.gain?.rules ?? DEFAULT_STRATEGY.gain.rules, DEFAULT_STRATEGY.gain.rules, GAIN_RULES)
+  },
+  trend: {
+    bullishCutoff: toNumber(strategy.trend?.bullishCutoff, DEFAULT_STRATEGY.trend.bullishCutoff),
+    bearishCutoff: toNumber(strategy.trend?.bearishCutoff, DEFAULT_STRATEGY.trend.bearishCutoff),
+    rules: normaliseRules(strategy.trend?.rules ?? DEFAULT_STRATEGY.trend.rules, DEFAULT_STRATEGY.trend.rules, TREND_RULES)
+  }
+});
@@ -0,0 +1,93 @@
+// Pool of analysis workers. Each symbol always goes to the same worker (by a
+// stable hash of its code), so that worker's cached indicator state stays warm
+// across refreshes. Without Web Worker support (tests, old browsers) a single
+// engine runs on the main thread behind the same interface.
+import { createEngineHandler } from './engine.js';
+import { hashSeed } from '../data/simulate.js';
+
+const workersSupported = () => typeof Worker !== 'undefined';
+
+// Leave a core for the UI thread; more than four workers rarely pays off
+const defaultPoolSize = () => {
+  const cores = typeof navigator !== 'undefined' ? navigator.hardwareConcurrency : 0;
+  return cores ? Math.max(1, Math.min(cores - 1, 4)) : 2;
+};
+
+// Same postMessage/onmessage surface as a Worker, handled asynchronously in-thread
+const inlineWorker = () => {
+  const worker = { onmessage: null, onerror: null, terminate: () => {} };
+  const handle = createEngineHandler(message => worker.onmessage?.({ data: message }));
+  worker.postMessage = (message) => setTimeout(() => handle(message), 0);
+  return worker;
+};
+
+const createWorker = () => new Worker(new URL('./analysis.worker.js', import.meta.url), { type: 'module' });
+
+export const createAnalysisPool = (size = defaultPoolSize()) => {
+  const workers = workersSupported() ? Array.from({ length: size }, createWorker) : [inlineWorker()];
+  const pending = new Map();
+  let nextId = 0;
+  let nextWorker = 0;
+
+  workers.forEach(worker => {
+    worker.onmessage = ({ data }) => {
+      const request = pending.get(data.id);
+      if (!request) return;
+      if (data.type === 'progress') {
+        request.onProgress(data.done, data.total);
+        return;
+      }
+      pending.delete(data.id);
+      if (data.type === 'result') request.resolve(data.result);
+      else request.reject(new Error(data.message));
+    };
+    worker.onerror = (event) => {
+      // A crashed worker fails everything still waiting on it
+      [...pending.entries()].filter(([, request]) => request.worker === worker).forEach(([id, request]) => {
+        pending.delete(id);
+        request.reject(new Error(event.message || 'Analysis worker failed'));
+      });
+    };
+  });
+
+  const send = (worker, message, onProgress = () => {}) => new Promise((resolve, reject) => {
+    const id = ++nextId;
+    pending.set(id, { worker, resolve, reject, onProgress });
+    worker.postMessage({ ...message, id });
+  });
+
+  const workerFor = (symbol) => workers[hashSeed(symbol) % workers.length];
+
+  // Analyse the universe. `bars` holds new or changed symbols only; every worker
+  // hears about every request so removals and benchmark changes reach them all.
+  // `onProgress(done, total)` sums progress across workers.
+  const analyse = ({ symbols, bars, strategy, calibration, benchmarks }, onProgress = () => {}) => {
+    const counts = workers.map(() => ({ done: 0, total: 0 }));
+    const report = () => onProgress(
+      counts.reduce((sum, count) => sum + count.done, 0),
+      counts.reduce((sum, count) => sum + count.total, 0)
+    );
+
+    return Promise.all(workers.map((worker, index) => {
+      const shard = symbols.filter(symbol => workerFor(symbol) === worker);
+      const shardBars = Object.fromEntries(Object.entries(bars).filter(([symbol]) => workerFor(symbol) === worker));
+      return send(worker, { type: 'analyse', symbols: shard, bars: shardBars, strategy, calibration, benchmarks }, (done, total) => {
+        counts[index] = { done, total };
+        report();
+      });
+    })).then(results => ({
+      stocks: Object.assign({}, ...results.map(result => result.stocks)),
+      removed: results.flatMap(result => result.removed)
+    }));
+  };
+
+  // Walk-forward backtests are stateless, so they go to the workers in turn
+  const backtest = (histories, config, strategy, benchmarks) => {
+    const worker = workers[nextWorker++ % workers.length];
+    return send(worker, { type: 'backtest', histories, config, strategy, benchmarks });
+  };
+
+  const terminate = () => workers.forEach(worker => worker.terminate());
+
+  return { size: workers.length, analyse, backtest, terminate };
+};
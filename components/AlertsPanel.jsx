@@ -0,0 +1,117 @@
+import React, { useState } from 'react';
+import { Bell, Trash2 } from 'lucide-react';
+import { ALERT_TYPES, createAlertRule, describeAlertRule } from '../analysis/alerts.js';
+
+const inputClass = 'bg-gray-900 border border-gray-700 rounded px-2 py-1 text-white text-sm';
+
+// Alert rule editor and log of fired alerts
+const AlertsPanel = ({ alerts, symbols, onClose }) => {
+  const { rules, setRules, log, clearLog, permission, requestPermission } = alerts;
+  const [form, setForm] = useState({ symbol: '*', type: 'priceAbove', level: '', cooldownMinutes: 30 });
+
+  const type = ALERT_TYPES[form.type];
+  const levelMissing = type.needsLevel && !type.defaultLevel && !Number.isFinite(parseFloat(form.level));
+
+  const addRule = () => {
+    setRules([...rules, createAlertRule({
+      ...form,
+      level: form.level === '' ? null : parseFloat(form.level)
+    })]);
+    setForm({ ...form, level: '' });
+  };
+
+  const updateRule = (id, changes) => setRules(rules.map(rule => (rule.id === id ? { ...rule, ...changes } : rule)));
+
+  return (
+    <div className="mb-8 bg-gray-800 border-2 border-pink-500 rounded-lg p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h2 className="text-2xl font-bold flex items-center">
+            <Bell className="mr-3 text-pink-400" />
+            Alerts
+          </h2>
+          <p className="text-gray-400 text-sm">Checked on every data refresh</p>
+        </div>
+        <div className="flex items-center gap-3">
+          {permission === 'granted' && <span className="text-sm text-green-400">Browser notifications on</span>}
+          {permission === 'denied' && <span className="text-sm text-red-400">Notifications blocked in browser settings</span>}
+          {permission === 'unsupported' && <span className="text-sm text-gray-400">Notifications not supported</span>}
+          {permission === 'default' && (
+            <button onClick={requestPermission} className="px-3 py-1 rounded text-sm bg-pink-700 hover:bg-pink-600">
+              Enable browser notifications
+            </button>
+          )}
+          <button onClick={onClose} className="text-gray-400 hover:text-white text-2xl px-4">×</button>
+        </div>
+      </div>
+
+      {/* New rule */}
+      <div className="flex flex-wrap items-center gap-3 mb-4 text-sm">
+        <select value={form.symbol} onChange={(e) => setForm({ ...form, symbol: e.target.value })} className={inputClass}>
+          <option value="*">Any stock</option>
+          {symbols.map(symbol => <option key={symbol} value={symbol}>{symbol}</option>)}
+        </select>
+        <select value={form.type} onChange={(e) => setForm({ ...form, type: e.target.value, level: '' })} className={inputClass}>
+          {Object.entries(ALERT_TYPES).map(([key, item]) => <option key={key} value={key}>{item.label}</option>)}
+        </select>
+        {type.needsLevel && (
+          <input
+            type="number"
+            step="0.01"
+            value={form.level}
+            placeholder={type.defaultLevel ? String(type.defaultLevel) : 'Level'}
+            onChange={(e) => setForm({ ...form, level: e.target.value })}
+            className={`${inputClass} w-24`}
+          />
+        )}
+        <span className="text-gray-400">Cooldown (min)</span>
+        <input
+          type="number"
+          min="0"
+          value={form.cooldownMinutes}
+          onChange={(e) => setForm({ ...form, cooldownMinutes: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+          className={`${inputClass} w-20`}
+        />
+        <button
+          onClick={addRule}
+          disabled={levelMissing}
+          className="px-3 py-1 rounded bg-pink-700 hover:bg-pink-600 disabled:opacity-40 disabled:cursor-not-allowed"
+        >
+          Add alert
+        </button>
+      </div>
+
+      {/* Rules */}
+      <div className="space-y-2 mb-6">
+        {rules.length === 0 && <div className="text-gray-400 text-sm">No alert rules yet</div>}
+        {rules.map(rule => (
+          <div key={rule.id} className={`flex items-center gap-3 bg-gray-900 rounded p-2 text-sm ${rule.enabled ? '' : 'opacity-50'}`}>
+            <input type="checkbox" checked={rule.enabled} onChange={(e) => updateRule(rule.id, { enabled: e.target.checked })} />
+            <span className="flex-1">{describeAlertRule(rule)}</span>
+            <span className="text-gray-400">cooldown {rule.cooldownMinutes}m</span>
+            <button onClick={() => setRules(rules.filter(item => item.id !== rule.id))} className="text-gray-400 hover:text-red-400">
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+        ))}
+      </div>
+
+      {/* Log */}
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-lg font-semibold">Alert Log</h3>
+        {log.length > 0 && <button onClick={clearLog} className="text-sm text-gray-400 hover:text-white">Clear</button>}
+      </div>
+      <div className="bg-gray-900 rounded-lg p-2 max-h-64 overflow-y-auto text-sm">
+        {log.length === 0 && <div className="text-gray-400 p-1">Nothing has fired yet</div>}
+        {log.map(event => (
+          <div key={event.id} className="flex justify-between p-1 border-b border-gray-800 last:border-0">
+            <span>{event.message}</span>
+            <span className="text-gray-500 ml-4 whitespace-nowrap">{new Date(event.firedAt).toLocaleString('en-AU')}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default AlertsPanel;
@@ -0,0 +1,49 @@
+import React from 'react';
+import { CALIBRATION_METHODS } from '../analysis/calibration.js';
+
+const FIELDS = [
+  { key: 'sessions', label: 'Sessions', min: 1, max: 120, step: 1 },
+  { key: 'holdingPeriod', label: 'Holding (sessions)', min: 1, max: 20, step: 1 },
+  { key: 'successThreshold', label: 'Win threshold %', min: 0, max: 10, step: 0.1 },
+  { key: 'lookback', label: 'Lookback (bars)', min: 30, max: 250, step: 1 },
+  { key: 'calibrationSessions', label: 'Calibration sessions', min: 10, max: 250, step: 5 }
+];
+
+// Editable walk-forward backtest parameters
+const BacktestSettings = ({ config, onChange }) => (
+  <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+    {FIELDS.map(field => (
+      <label key={field.key} className="bg-gray-800 rounded-lg p-3 text-sm">
+        <div className="text-gray-400 mb-1">{field.label}</div>
+        <input
+          type="number"
+          min={field.min}
+          max={field.max}
+          step={field.step}
+          value={config[field.key]}
+          onChange={(e) => {
+            const value = parseFloat(e.target.value);
+            if (Number.isFinite(value)) {
+              onChange({ ...config, [field.key]: Math.min(Math.max(value, field.min), field.max) });
+            }
+          }}
+          className="w-full bg-gray-900 border border-gray-700 rounded px-2 py-1 text-white"
+        />
+      </label>
+    ))}
+    <label className="bg-gray-800 rounded-lg p-3 text-sm">
+      <div className="text-gray-400 mb-1">Calibration</div>
+      <select
+        value={config.calibrationMethod}
+        onChange={(e) => onChange({ ...config, calibrationMethod: e.target.value })}
+        className="w-full bg-gray-900 border border-gray-700 rounded px-2 py-1 text-white"
+      >
+        {CALIBRATION_METHODS.map(method => (
+          <option key={method} value={method}>{method}</option>
+        ))}
+      </select>
+    </label>
+  </div>
+);
+
+export default BacktestSettings;
@@ -0,0 +1,53 @@
+import React from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ReferenceLine, ResponsiveContainer } from 'recharts';
+
+const signed = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
+const returnClass = (value) => (value >= 0 ? 'text-green-400' : 'text-red-400');
+
+// Backtest returns against the strategy's benchmark index: the picks held each
+// session (cash on sessions without picks) compounded next to holding the index.
+const BenchmarkComparison = ({ report }) => (
+  <div className="bg-gray-800 rounded-lg p-6 mb-6">
+    <h3 className="text-xl font-semibold mb-1">Strategy vs {report.name}</h3>
+    <p className="text-sm text-gray-400 mb-4">
+      Compounded returns over {report.sessions} sessions, an equal-weighted basket of each session's picks against holding the {report.code}
+      {report.holdingPeriod > 1 && ` (${report.holds} back-to-back ${report.holdingPeriod}-session holds, so no move is counted twice)`}
+    </p>
+    <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+      <div className="bg-gray-900 rounded-lg p-4">
+        <div className="text-gray-400 text-sm">Strategy</div>
+        <div className={`text-2xl font-bold ${returnClass(report.strategyReturn)}`}>{signed(report.strategyReturn)}</div>
+      </div>
+      <div className="bg-gray-900 rounded-lg p-4">
+        <div className="text-gray-400 text-sm">{report.code}</div>
+        <div className={`text-2xl font-bold ${returnClass(report.benchmarkReturn)}`}>{signed(report.benchmarkReturn)}</div>
+      </div>
+      <div className="bg-gray-900 rounded-lg p-4">
+        <div className="text-gray-400 text-sm">Excess Return</div>
+        <div className={`text-2xl font-bold ${returnClass(report.excessReturn)}`}>{signed(report.excessReturn)}</div>
+      </div>
+      <div className="bg-gray-900 rounded-lg p-4">
+        <div className="text-gray-400 text-sm">Sessions Ahead</div>
+        <div className="text-2xl font-bold text-blue-400">{report.sessionsAhead} / {report.sessions}</div>
+      </div>
+    </div>
+    <ResponsiveContainer width="100%" height={220}>
+      <LineChart data={report.curve}>
+        <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+        <XAxis dataKey="date" stroke="#9CA3AF" />
+        <YAxis stroke="#9CA3AF" tickFormatter={value => `${value.toFixed(1)}%`} />
+        <Tooltip
+          contentStyle={{ backgroundColor: '#1F2937', border: '1px solid #374151' }}
+          labelStyle={{ color: '#9CA3AF' }}
+          formatter={value => signed(value)}
+        />
+        <Legend />
+        <ReferenceLine y={0} stroke="#6B7280" strokeDasharray="4 4" />
+        <Line type="monotone" dataKey="strategy" name="Strategy" stroke="#F59E0B" strokeWidth={2} dot={false} isAnimationActive={false} />
+        <Line type="monotone" dataKey="benchmark" name={report.code} stroke="#60A5FA" strokeWidth={2} dot={false} isAnimationActive={false} />
+      </LineChart>
+    </ResponsiveContainer>
+  </div>
+);
+
+export default BenchmarkComparison;
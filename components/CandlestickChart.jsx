@@ -0,0 +1,119 @@
+import React from 'react';
+import {
+  ComposedChart, BarChart, Bar, Line, Cell, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceDot, ReferenceLine
+} from 'recharts';
+
+const UP_COLOR = '#10B981';
+const DOWN_COLOR = '#EF4444';
+
+const tooltipStyle = {
+  contentStyle: { backgroundColor: '#1F2937', border: '1px solid #374151' },
+  labelStyle: { color: '#9CA3AF' }
+};
+
+// Draws one candle. Recharts hands us the pixel box of the [low, high] range bar,
+// so open/close are placed by interpolating inside that box.
+const Candle = ({ x, y, width, height, payload }) => {
+  const { open, high, low, close } = payload;
+  const up = close >= open;
+  const color = up ? UP_COLOR : DOWN_COLOR;
+  const range = high - low;
+  const toPixel = (value) => (range > 0 ? y + ((high - value) / range) * height : y);
+
+  const bodyTop = toPixel(Math.max(open, close));
+  const bodyHeight = Math.max(toPixel(Math.min(open, close)) - bodyTop, 1);
+  const centre = x + width / 2;
+
+  return (
+    <g>
+      <line x1={centre} x2={centre} y1={y} y2={y + height} stroke={color} strokeWidth={1} />
+      <rect x={x + width * 0.15} y={bodyTop} width={width * 0.7} height={bodyHeight} fill={color} stroke={color} />
+    </g>
+  );
+};
+
+const CandleTooltip = ({ active, payload, label }) => {
+  if (!active || !payload?.length) return null;
+  const bar = payload[0].payload;
+  return (
+    <div className="bg-gray-800 border border-gray-600 rounded p-2 text-xs">
+      <div className="text-gray-400 mb-1">{label}</div>
+      <div>O {bar.open.toFixed(2)} H {bar.high.toFixed(2)}</div>
+      <div>L {bar.low.toFixed(2)} C {bar.close.toFixed(2)}</div>
+      {payload.filter(item => item.dataKey !== 'range' && item.value != null).map(item => (
+        <div key={item.dataKey} style={{ color: item.color }}>{item.name}: {item.value.toFixed(2)}</div>
+      ))}
+    </div>
+  );
+};
+
+// Candlestick price pane with a volume pane underneath.
+// `data` rows are bars ({ date, open, high, low, close, volume }) plus any overlay keys;
+// `overlays` lists extra line series to draw over the candles: { key, name, color }.
+// `levels` are horizontal price lines ({ price, label, color }) and `markers` are
+// labelled dots on single bars ({ date, price, label, color, position: 'top' | 'bottom' }).
+const CandlestickChart = ({ data, overlays = [], levels = [], markers = [], height = 300, volumeHeight = 120 }) => {
+  const rows = data.map(bar => ({ ...bar, range: [bar.low, bar.high] }));
+
+  return (
+    <div>
+      <ResponsiveContainer width="100%" height={height}>
+        <ComposedChart data={rows} syncId="candles">
+          <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+          <XAxis dataKey="date" stroke="#9CA3AF" hide />
+          <YAxis stroke="#9CA3AF" domain={['auto', 'auto']} tickFormatter={value => value.toFixed(2)} />
+          <Tooltip content={<CandleTooltip />} />
+          <Legend />
+          <Bar dataKey="range" name="Price" fill={UP_COLOR} shape={<Candle />} isAnimationActive={false} />
+          {overlays.map(overlay => (
+            <Line
+              key={overlay.key}
+              type="monotone"
+              dataKey={overlay.key}
+              name={overlay.name}
+              stroke={overlay.color}
+              strokeWidth={1}
+              dot={false}
+              isAnimationActive={false}
+            />
+          ))}
+          {levels.map(level => (
+            <ReferenceLine
+              key={`${level.label}-${level.price}`}
+              y={level.price}
+              stroke={level.color}
+              strokeDasharray="4 4"
+              label={{ value: level.label, position: 'insideRight', fill: level.color, fontSize: 10 }}
+            />
+          ))}
+          {markers.map(marker => (
+            <ReferenceDot
+              key={`${marker.date}-${marker.label}-${marker.price}`}
+              x={marker.date}
+              y={marker.price}
+              r={3}
+              fill={marker.color}
+              stroke="none"
+              label={{ value: marker.label, position: marker.position, fill: marker.color, fontSize: 9 }}
+            />
+          ))}
+        </ComposedChart>
+      </ResponsiveContainer>
+      <ResponsiveContainer width="100%" height={volumeHeight}>
+        <BarChart data={rows} syncId="candles">
+          <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+          <XAxis dataKey="date" stroke="#9CA3AF" />
+          <YAxis stroke="#9CA3AF" tickFormatter={value => `${(value / 1e6).toFixed(1)}M`} />
+          <Tooltip {...tooltipStyle} />
+          <Bar dataKey="volume" name="Volume" isAnimationActive={false}>
+            {rows.map((bar, idx) => (
+              <Cell key={idx} fill={bar.close >= bar.open ? UP_COLOR : DOWN_COLOR} fillOpacity={0.6} />
+            ))}
+          </Bar>
+        </BarChart>
+      </ResponsiveContainer>
+    </div>
+  );
+};
+
+export default CandlestickChart;
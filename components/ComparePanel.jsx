@@ -0,0 +1,176 @@
+import React from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ReferenceLine, ResponsiveContainer } from 'recharts';
+import { GitCompare, X } from 'lucide-react';
+import { MIN_COMPARE, MAX_COMPARE, rebasedPerformance, correlationMatrix } from '../analysis/comparison.js';
+import { formatField } from '../analysis/screener.js';
+
+const LINE_COLORS = ['#60A5FA', '#F59E0B', '#10B981', '#EC4899', '#A78BFA', '#F97316'];
+
+const signedClass = (value) => (value === null ? 'text-gray-500' : value >= 0 ? 'text-green-400' : 'text-red-400');
+
+const outlookClass = (prediction) => (
+  prediction === 'BULLISH' ? 'text-green-400' : prediction === 'BEARISH' ? 'text-red-400' : 'text-gray-300'
+);
+
+// Metric rows of the comparison table; `render` returns the cell content for a stock
+const METRICS = [
+  { label: 'Price', render: stock => `$${formatField('currentPrice', stock)}` },
+  { label: 'Change', render: stock => <span className={signedClass(stock.changePercent)}>{formatField('changePercent', stock)}%</span> },
+  { label: 'RSI (14)', render: stock => formatField('rsi', stock) },
+  {
+    label: 'MACD histogram',
+    render: stock => (
+      <span className={signedClass(stock.macd.histogram)}>
+        {stock.macd.histogram.toFixed(3)} ({stock.macd.histogram > 0 ? 'above' : 'below'} signal)
+      </span>
+    )
+  },
+  { label: 'vs SMA 20', render: stock => <span className={signedClass(stock.currentPrice - stock.sma20)}>{formatField('priceVsSma20', stock)}%</span> },
+  { label: 'vs SMA 50', render: stock => <span className={signedClass(stock.currentPrice - stock.sma50)}>{formatField('priceVsSma50', stock)}%</span> },
+  { label: 'Gain probability', render: stock => `${formatField('gainProbability', stock)}%` },
+  { label: 'Outlook', render: stock => <span className={outlookClass(stock.prediction)}>{stock.prediction}</span> },
+  { label: 'Confidence', render: stock => `${formatField('confidence', stock)}%` },
+  { label: 'Sector', render: stock => formatField('sector', stock) }
+];
+
+// Blue for positive correlation, red for negative, stronger the closer to ±1
+const correlationStyle = (value) => {
+  if (value === null) return {};
+  const alpha = Math.min(Math.abs(value), 1) * 0.7;
+  return { backgroundColor: value >= 0 ? `rgba(59, 130, 246, ${alpha})` : `rgba(239, 68, 68, ${alpha})` };
+};
+
+// Compare mode: two to six stocks on one rebased chart, a metric table with a
+// column per stock, and the correlation matrix of their daily returns.
+const ComparePanel = ({ stocks, onRemove, onOpen, onClear, onClose }) => {
+  const ready = stocks.length >= MIN_COMPARE;
+  const performance = ready ? rebasedPerformance(stocks) : [];
+  const correlations = ready ? correlationMatrix(stocks) : null;
+  const periodReturn = (symbol) => (performance.length > 0 ? performance[performance.length - 1][symbol] - 100 : null);
+
+  return (
+    <div className="mb-8 bg-gray-800 border-2 border-sky-500 rounded-lg p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h2 className="text-2xl font-bold flex items-center">
+            <GitCompare className="mr-3 text-sky-400" />
+            Compare
+          </h2>
+          <p className="text-gray-400 text-sm">
+            Click cards or table rows to add or remove stocks ({stocks.length} of {MAX_COMPARE})
+          </p>
+        </div>
+        <div className="flex items-center gap-3">
+          <button onClick={onClear} disabled={stocks.length === 0} className="px-3 py-1 rounded text-sm bg-gray-700 hover:bg-gray-600 disabled:opacity-40">
+            Clear
+          </button>
+          <button onClick={onClose} className="text-gray-400 hover:text-white text-2xl px-4">×</button>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-2 mb-4">
+        {stocks.map((stock, idx) => (
+          <span key={stock.symbol} className="inline-flex items-center text-sm bg-gray-900 rounded px-2 py-1">
+            <span className="w-3 h-3 rounded-full mr-2" style={{ backgroundColor: LINE_COLORS[idx] }} />
+            <button onClick={() => onOpen(stock.symbol)} className="font-semibold hover:underline">{stock.symbol}</button>
+            <button onClick={() => onRemove(stock.symbol)} className="ml-2 text-gray-400 hover:text-white" title="Remove">
+              <X className="w-3 h-3" />
+            </button>
+          </span>
+        ))}
+      </div>
+
+      {!ready ? (
+        <p className="text-gray-400 text-sm">Pick at least {MIN_COMPARE} stocks to compare.</p>
+      ) : (
+        <>
+          <div className="text-sm font-semibold text-gray-400 mb-2">Performance (rebased to 100)</div>
+          <ResponsiveContainer width="100%" height={280}>
+            <LineChart data={performance}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+              <XAxis dataKey="date" stroke="#9CA3AF" />
+              <YAxis stroke="#9CA3AF" domain={['auto', 'auto']} tickFormatter={value => value.toFixed(0)} />
+              <Tooltip
+                contentStyle={{ backgroundColor: '#1F2937', border: '1px solid #374151' }}
+                labelStyle={{ color: '#9CA3AF' }}
+                formatter={value => value.toFixed(2)}
+              />
+              <Legend />
+              <ReferenceLine y={100} stroke="#6B7280" strokeDasharray="4 4" />
+              {stocks.map((stock, idx) => (
+                <Line
+                  key={stock.symbol}
+                  type="monotone"
+                  dataKey={stock.symbol}
+                  stroke={LINE_COLORS[idx]}
+                  strokeWidth={2}
+                  dot={false}
+                  isAnimationActive={false}
+                />
+              ))}
+            </LineChart>
+          </ResponsiveContainer>
+
+          <div className="overflow-x-auto mt-6">
+            <table className="w-full text-sm">
+              <thead className="text-left">
+                <tr>
+                  <th className="p-2 text-gray-400">Metric</th>
+                  {stocks.map((stock, idx) => (
+                    <th key={stock.symbol} className="p-2 whitespace-nowrap" style={{ color: LINE_COLORS[idx] }}>{stock.symbol}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                <tr className="border-t border-gray-700">
+                  <td className="p-2 text-gray-400">Return ({performance.length} sessions)</td>
+                  {stocks.map(stock => (
+                    <td key={stock.symbol} className={`p-2 whitespace-nowrap ${signedClass(periodReturn(stock.symbol))}`}>
+                      {periodReturn(stock.symbol) === null ? '—' : `${periodReturn(stock.symbol).toFixed(2)}%`}
+                    </td>
+                  ))}
+                </tr>
+                {METRICS.map(metric => (
+                  <tr key={metric.label} className="border-t border-gray-700">
+                    <td className="p-2 text-gray-400 whitespace-nowrap">{metric.label}</td>
+                    {stocks.map(stock => <td key={stock.symbol} className="p-2 whitespace-nowrap">{metric.render(stock)}</td>)}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="mt-6">
+            <div className="text-sm font-semibold text-gray-400 mb-2">
+              Correlation of daily returns ({correlations.sessions} sessions)
+            </div>
+            <div className="overflow-x-auto">
+              <table className="text-sm">
+                <thead>
+                  <tr>
+                    <th />
+                    {correlations.symbols.map(symbol => <th key={symbol} className="p-2 font-semibold">{symbol}</th>)}
+                  </tr>
+                </thead>
+                <tbody>
+                  {correlations.matrix.map((row, i) => (
+                    <tr key={correlations.symbols[i]}>
+                      <th className="p-2 text-left font-semibold">{correlations.symbols[i]}</th>
+                      {row.map((value, j) => (
+                        <td key={j} className="p-2 w-20 text-center rounded" style={correlationStyle(value)}>
+                          {value === null ? '—' : value.toFixed(2)}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ComparePanel;
@@ -0,0 +1,48 @@
+import React from 'react';
+import { ComposedChart, Line, Bar, Cell, XAxis, YAxis, CartesianGrid, Tooltip, ReferenceLine, ResponsiveContainer } from 'recharts';
+
+// Indicator sub-panel drawn under the price chart (shares its syncId).
+// `lines` and `bars` are { key, name, color } series keys on the data rows;
+// bars are coloured by sign. `levels` draws dashed horizontal reference lines.
+const IndicatorChart = ({ title, data, lines = [], bars = [], levels = [], domain = ['auto', 'auto'], height = 150 }) => (
+  <div className="mb-4">
+    <div className="text-sm font-semibold text-gray-400 mb-2">{title}</div>
+    <ResponsiveContainer width="100%" height={height}>
+      <ComposedChart data={data} syncId="candles">
+        <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+        <XAxis dataKey="date" stroke="#9CA3AF" hide />
+        <YAxis stroke="#9CA3AF" domain={domain} tickFormatter={value => value.toFixed(2)} />
+        <Tooltip
+          contentStyle={{ backgroundColor: '#1F2937', border: '1px solid #374151' }}
+          labelStyle={{ color: '#9CA3AF' }}
+          formatter={value => (value == null ? '-' : value.toFixed(2))}
+        />
+        {levels.map(level => (
+          <ReferenceLine key={level} y={level} stroke="#6B7280" strokeDasharray="4 4" />
+        ))}
+        {bars.map(bar => (
+          <Bar key={bar.key} dataKey={bar.key} name={bar.name} isAnimationActive={false}>
+            {data.map((row, idx) => (
+              <Cell key={idx} fill={row[bar.key] >= 0 ? '#10B981' : '#EF4444'} fillOpacity={0.6} />
+            ))}
+          </Bar>
+        ))}
+        {lines.map(line => (
+          <Line
+            key={line.key}
+            type="monotone"
+            dataKey={line.key}
+            name={line.name}
+            stroke={line.color}
+            strokeWidth={1.5}
+            dot={false}
+            connectNulls={false}
+            isAnimationActive={false}
+          />
+        ))}
+      </ComposedChart>
+    </ResponsiveContainer>
+  </div>
+);
+
+export default IndicatorChart;
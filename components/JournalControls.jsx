@@ -0,0 +1,63 @@
+import React from 'react';
+import { Download, Trash2 } from 'lucide-react';
+import { JOURNAL_MAX_AGE_DAYS, journalSummary } from '../analysis/journal.js';
+import { exportJournalCsv } from '../data/exports.js';
+import { downloadFile } from '../data/download.js';
+
+const inputClass = 'w-full bg-gray-900 border border-gray-700 rounded px-2 py-1 text-white';
+
+// Date range and housekeeping for the prediction journal view of the accuracy panel.
+// `range` is { from, to } as 'YYYY-MM-DD' (null = open ended).
+const JournalControls = ({ entries, saveFailed, range, onRangeChange, onClear }) => {
+  const summary = journalSummary(entries);
+
+  return (
+    <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6 text-sm">
+      <label className="bg-gray-800 rounded-lg p-3">
+        <div className="text-gray-400 mb-1">From session</div>
+        <input
+          type="date"
+          value={range.from ?? ''}
+          onChange={(e) => onRangeChange({ ...range, from: e.target.value || null })}
+          className={inputClass}
+        />
+      </label>
+      <label className="bg-gray-800 rounded-lg p-3">
+        <div className="text-gray-400 mb-1">To session</div>
+        <input
+          type="date"
+          value={range.to ?? ''}
+          onChange={(e) => onRangeChange({ ...range, to: e.target.value || null })}
+          className={inputClass}
+        />
+      </label>
+      <div className="bg-gray-800 rounded-lg p-3">
+        <div className="text-gray-400 mb-1">Journal</div>
+        <div>{summary.total} calls • {summary.hits} hits • {summary.misses} misses</div>
+        <div className="text-xs text-gray-500">{summary.open} waiting for their exit session to close</div>
+        <div className="text-xs text-gray-500">Sessions older than {JOURNAL_MAX_AGE_DAYS} days are dropped</div>
+        {saveFailed && <div className="text-xs text-red-400 mt-1">Not saved: browser storage is full</div>}
+      </div>
+      <div className="bg-gray-800 rounded-lg p-3 flex flex-col gap-2">
+        <button
+          onClick={() => downloadFile('prediction-journal.csv', exportJournalCsv(entries), 'text/csv')}
+          disabled={entries.length === 0}
+          className="px-3 py-1 rounded bg-gray-700 hover:bg-gray-600 flex items-center disabled:opacity-40"
+        >
+          <Download className="mr-1 w-4 h-4" />
+          Export journal CSV
+        </button>
+        <button
+          onClick={onClear}
+          disabled={entries.length === 0}
+          className="px-3 py-1 rounded bg-gray-700 hover:bg-red-700 flex items-center disabled:opacity-40"
+        >
+          <Trash2 className="mr-1 w-4 h-4" />
+          Clear journal
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default JournalControls;
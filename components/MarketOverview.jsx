@@ -0,0 +1,77 @@
+import React from 'react';
+import { regimeFailures } from '../analysis/breadth.js';
+
+// Heatmap tile colour: green/red with intensity scaled to a ±3% move
+const heatColor = (change) => {
+  const intensity = Math.min(Math.abs(change) / 3, 1) * 0.6 + 0.1;
+  return change >= 0 ? `rgba(16, 185, 129, ${intensity})` : `rgba(239, 68, 68, ${intensity})`;
+};
+
+const Stat = ({ label, children, detail }) => (
+  <div className="bg-gray-800 rounded-lg p-4">
+    <div className="text-gray-400 text-sm">{label}</div>
+    <div className="text-2xl font-bold">{children}</div>
+    {detail && <div className="text-xs text-gray-500 mt-1">{detail}</div>}
+  </div>
+);
+
+// Market-wide breadth readings and a sector heatmap for the analysed universe
+const MarketOverview = ({ breadth, regime }) => {
+  const blocks = regime.enabled ? regimeFailures(breadth, regime) : [];
+
+  return (
+    <div className="mb-6">
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-4">
+        <Stat label="Advance / Decline" detail={`${breadth.unchanged} unchanged`}>
+          <span className="text-green-400">{breadth.advancers}</span>
+          <span className="text-gray-500"> / </span>
+          <span className="text-red-400">{breadth.decliners}</span>
+          <div className="flex h-1.5 mt-2 rounded overflow-hidden bg-gray-700">
+            <div className="bg-green-500" style={{ width: `${breadth.advancePercent}%` }} />
+            <div className="bg-red-500" style={{ width: `${breadth.count > 0 ? (breadth.decliners / breadth.count) * 100 : 0}%` }} />
+          </div>
+        </Stat>
+        <Stat label="Above 20-day SMA">{breadth.aboveSma20.toFixed(0)}%</Stat>
+        <Stat label="Above 50-day SMA">{breadth.aboveSma50.toFixed(0)}%</Stat>
+        <Stat label="Average RSI">
+          <span className={breadth.averageRsi > 70 ? 'text-red-400' : breadth.averageRsi < 30 ? 'text-green-400' : ''}>
+            {breadth.averageRsi.toFixed(1)}
+          </span>
+        </Stat>
+        <Stat label="Bullish / Bearish" detail={`Avg change ${breadth.averageChange >= 0 ? '+' : ''}${breadth.averageChange.toFixed(2)}%`}>
+          <span className="text-green-400">{breadth.bullish}</span>
+          <span className="text-gray-500"> / </span>
+          <span className="text-red-400">{breadth.bearish}</span>
+        </Stat>
+      </div>
+
+      {/* Sector heatmap */}
+      <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-6 gap-2">
+        {breadth.sectors.map(sector => (
+          <div
+            key={sector.sector}
+            title={sector.symbols.join(', ')}
+            className="rounded-lg p-3 text-sm"
+            style={{ backgroundColor: heatColor(sector.averageChange) }}
+          >
+            <div className="font-semibold truncate">{sector.sector}</div>
+            <div className="text-lg font-bold">
+              {sector.averageChange >= 0 ? '+' : ''}{sector.averageChange.toFixed(2)}%
+            </div>
+            <div className="text-xs text-gray-200">
+              {sector.count} stock{sector.count === 1 ? '' : 's'} • ▲{sector.bullish} ▼{sector.bearish}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {regime.enabled && (
+        <div className={`mt-3 text-sm ${blocks.length > 0 ? 'text-yellow-400' : 'text-green-400'}`}>
+          Breadth regime filter: {blocks.length > 0 ? `gainer picks paused (${blocks.join(', ')})` : 'market qualifies for gainer picks'}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MarketOverview;
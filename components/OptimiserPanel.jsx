@@ -0,0 +1,281 @@
+import React, { useState } from 'react';
+import { FlaskConical } from 'lucide-react';
+import {
+  DEFAULT_OPTIMISER_CONFIG, SWEEP_PARAMETERS, OBJECTIVES, MAX_COMBINATIONS, OVERFIT_GAP, expandGrid
+} from '../analysis/optimiser.js';
+
+const inputClass = 'bg-gray-900 border border-gray-700 rounded px-2 py-1 text-white text-sm';
+const PARAMETER_IDS = Object.keys(SWEEP_PARAMETERS);
+const TOP_COMBOS = 10;
+
+// "40, 50, 60" -> [40, 50, 60]; anything that isn't a number is ignored
+const parseValues = (text) => [...new Set(text.split(',').map(value => parseFloat(value)).filter(Number.isFinite))]
+  .sort((a, b) => a - b);
+
+const formatMetric = (key, value) => value.toFixed(OBJECTIVES[key].digits);
+
+const sameValues = (combo, values, except) => Object.entries(values).every(([id, value]) => except.includes(id) || combo.values[id] === value);
+
+// Green for the best cell, red for the worst, on the chosen metric
+const heatStyle = (value, low, high, lowerIsBetter) => {
+  if (high === low) return { backgroundColor: 'rgba(16, 185, 129, 0.35)' };
+  const ratio = (value - low) / (high - low);
+  const score = lowerIsBetter ? 1 - ratio : ratio;
+  return { backgroundColor: `rgba(${Math.round(239 - score * 223)}, ${Math.round(68 + score * 117)}, ${Math.round(68 + score * 61)}, 0.55)` };
+};
+
+const MetricCells = ({ metrics }) => (
+  <>
+    <td className="p-2">{metrics.trades}</td>
+    <td className="p-2">{formatMetric('winRate', metrics.winRate)}%</td>
+    <td className={`p-2 ${metrics.avgGain >= 0 ? 'text-green-400' : 'text-red-400'}`}>{formatMetric('avgGain', metrics.avgGain)}%</td>
+    <td className="p-2 text-red-300">{formatMetric('maxDrawdown', metrics.maxDrawdown)}%</td>
+  </>
+);
+
+// Heatmap of one metric over two swept parameters. Parameters not on an axis are
+// held at the values of `anchor` (the best combination, or the current settings).
+const Heatmap = ({ result, anchor, xId, yId, metric, split }) => {
+  const axes = [xId, yId].filter(Boolean);
+  const cells = result.combos.filter(combo => sameValues(combo, anchor.values, axes));
+  const xValues = [...new Set(cells.map(combo => combo.values[xId]))].sort((a, b) => a - b);
+  const yValues = yId ? [...new Set(cells.map(combo => combo.values[yId]))].sort((a, b) => a - b) : [null];
+  const metricValues = cells.map(combo => combo[split][metric]);
+  const low = Math.min(...metricValues);
+  const high = Math.max(...metricValues);
+  const lowerIsBetter = OBJECTIVES[metric].better(0, 1);
+  const cellFor = (x, y) => cells.find(combo => combo.values[xId] === x && (yId ? combo.values[yId] === y : true));
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="text-sm">
+        <thead>
+          <tr>
+            <th className="p-2 text-left text-gray-400 font-normal">
+              {yId ? `${SWEEP_PARAMETERS[yId].label} ↓ / ` : ''}{SWEEP_PARAMETERS[xId].label} →
+            </th>
+            {xValues.map(x => <th key={x} className="p-2 font-semibold">{x}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {yValues.map(y => (
+            <tr key={y ?? 'row'}>
+              <th className="p-2 text-left font-semibold">{y ?? ''}</th>
+              {xValues.map(x => {
+                const combo = cellFor(x, y);
+                if (!combo) return <td key={x} className="p-2 text-gray-500">—</td>;
+                const value = combo[split][metric];
+                return (
+                  <td
+                    key={x}
+                    className={`p-2 w-20 text-center rounded ${combo.overfit ? 'ring-1 ring-yellow-400' : ''}`}
+                    style={heatStyle(value, low, high, lowerIsBetter)}
+                    title={`${combo[split].trades} trades${combo.overfit ? ' • overfit' : ''}`}
+                  >
+                    {formatMetric(metric, value)}
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+// Parameter sweep over historical sessions: grids per parameter, train/test
+// split settings, a progress bar while the worker runs, then the heatmap and
+// the top combinations with their out-of-sample results.
+const OptimiserPanel = ({ strategy, backtestConfig, optimiser, onRun, onApply, onClose }) => {
+  const [grids, setGrids] = useState(() => Object.fromEntries(PARAMETER_IDS.map(id => [id, SWEEP_PARAMETERS[id].values.join(', ')])));
+  const [enabled, setEnabled] = useState(['threshold', 'rsiMin', 'volumeMultiplier']);
+  const [config, setConfig] = useState(DEFAULT_OPTIMISER_CONFIG);
+  const [view, setView] = useState({ x: 'threshold', y: 'volumeMultiplier', metric: 'avgGain', window: 'test' });
+
+  const grid = Object.fromEntries(enabled.map(id => [id, parseValues(grids[id])]).filter(([, values]) => values.length > 0));
+  const combinations = Object.keys(grid).length > 0 ? expandGrid(grid).length : 0;
+  const running = optimiser.status === 'running';
+  const result = optimiser.result;
+
+  const toggleParameter = (id) => setEnabled(prev => (prev.includes(id) ? prev.filter(item => item !== id) : [...prev, id]));
+  const updateConfig = (key, value) => Number.isFinite(value) && setConfig({ ...config, [key]: value });
+
+  // Heatmap axes must be parameters of the finished sweep
+  const swept = result?.parameters ?? [];
+  const xId = swept.includes(view.x) ? view.x : swept[0];
+  const yId = swept.includes(view.y) && view.y !== xId ? view.y : swept.find(id => id !== xId) ?? null;
+  const anchor = result ? result.best ?? result.current : null;
+
+  return (
+    <div className="mb-8 bg-gray-800 border-2 border-lime-500 rounded-lg p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h2 className="text-2xl font-bold flex items-center">
+            <FlaskConical className="mr-3 text-lime-400" />
+            Optimise: {strategy.name}
+          </h2>
+          <p className="text-gray-400 text-sm">
+            Sweeps gain-scoring parameters over past sessions ({backtestConfig.holdingPeriod}-session hold,
+            {' '}{backtestConfig.successThreshold}% win threshold, {backtestConfig.lookback}-bar lookback)
+          </p>
+        </div>
+        <button onClick={onClose} className="text-gray-400 hover:text-white text-2xl px-4">×</button>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mb-4 text-sm">
+        {PARAMETER_IDS.map(id => (
+          <label key={id} className="flex items-center gap-3 bg-gray-900 rounded-lg p-3">
+            <input type="checkbox" checked={enabled.includes(id)} onChange={() => toggleParameter(id)} />
+            <span className="w-44">{SWEEP_PARAMETERS[id].label}</span>
+            <input
+              value={grids[id]}
+              onChange={(e) => setGrids({ ...grids, [id]: e.target.value })}
+              disabled={!enabled.includes(id)}
+              className={`${inputClass} flex-1 disabled:opacity-40`}
+            />
+            <span className="text-gray-500 text-xs">now {SWEEP_PARAMETERS[id].read(strategy) ?? '—'}</span>
+          </label>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3 mb-4 text-sm">
+        <label className="flex items-center gap-2">
+          Sessions
+          <input type="number" min={20} max={500} value={config.sessions} onChange={(e) => updateConfig('sessions', parseInt(e.target.value, 10))} className={`${inputClass} w-20`} />
+        </label>
+        <label className="flex items-center gap-2">
+          Training %
+          <input
+            type="number"
+            min={10}
+            max={90}
+            step={5}
+            value={Math.round(config.trainFraction * 100)}
+            onChange={(e) => updateConfig('trainFraction', Math.min(Math.max(parseFloat(e.target.value), 10), 90) / 100)}
+            className={`${inputClass} w-20`}
+          />
+        </label>
+        <label className="flex items-center gap-2">
+          Min trades
+          <input type="number" min={1} value={config.minTrades} onChange={(e) => updateConfig('minTrades', parseInt(e.target.value, 10))} className={`${inputClass} w-20`} />
+        </label>
+        <label className="flex items-center gap-2">
+          Rank by
+          <select value={config.objective} onChange={(e) => setConfig({ ...config, objective: e.target.value })} className={inputClass}>
+            {Object.entries(OBJECTIVES).map(([key, objective]) => <option key={key} value={key}>{objective.label}</option>)}
+          </select>
+        </label>
+        <span className={combinations > MAX_COMBINATIONS ? 'text-red-400' : 'text-gray-400'}>
+          {combinations} combinations{combinations > MAX_COMBINATIONS ? ` (max ${MAX_COMBINATIONS})` : ''}
+        </span>
+        {running ? (
+          <button onClick={optimiser.cancel} className="px-4 py-1 rounded bg-gray-700 hover:bg-gray-600">Cancel</button>
+        ) : (
+          <button
+            onClick={() => onRun({ grid, config })}
+            disabled={combinations === 0 || combinations > MAX_COMBINATIONS}
+            className="px-4 py-1 rounded bg-lime-700 hover:bg-lime-600 font-semibold disabled:opacity-40"
+          >
+            Run sweep
+          </button>
+        )}
+      </div>
+
+      {running && (
+        <div className="mb-4 text-sm text-gray-300">
+          {optimiser.progress
+            ? `${optimiser.progress.phase === 'replay' ? 'Replaying sessions' : 'Scoring combinations'} ${optimiser.progress.done} / ${optimiser.progress.total}`
+            : 'Loading history...'}
+          <div className="h-2 bg-gray-900 rounded mt-2">
+            <div
+              className="h-2 bg-lime-500 rounded"
+              style={{ width: `${optimiser.progress ? (optimiser.progress.done / optimiser.progress.total) * 100 : 0}%` }}
+            />
+          </div>
+        </div>
+      )}
+
+      {optimiser.status === 'error' && <p className="mb-4 text-sm text-red-400">{optimiser.error}</p>}
+
+      {result && (
+        <>
+          <p className="text-sm text-gray-400 mb-4">
+            Ranked on {result.train.sessions} training sessions ({result.train.from} to {result.train.to}),
+            checked on {result.test.sessions} test sessions ({result.test.from} to {result.test.to}).
+            Combinations whose test win rate drops more than {OVERFIT_GAP} points, or whose average gain turns
+            negative, are flagged as overfit.
+          </p>
+
+          {result.best ? (
+            <div className={`mb-6 p-4 rounded-lg border ${result.best.overfit ? 'border-yellow-500 bg-yellow-900/20' : 'border-lime-500 bg-lime-900/20'}`}>
+              <div className="flex flex-wrap items-center justify-between gap-3">
+                <div className="font-semibold">
+                  Best on training: {result.parameters.map(id => `${SWEEP_PARAMETERS[id].label} ${result.best.values[id]}`).join(' • ')}
+                  {result.best.overfit && <span className="ml-2 text-yellow-400">Overfit - does not hold up on the test window</span>}
+                </div>
+                <button onClick={() => onApply(result.best.values)} className="px-3 py-1 rounded bg-lime-700 hover:bg-lime-600 text-sm">
+                  Save as profile
+                </button>
+              </div>
+            </div>
+          ) : (
+            <p className="mb-6 text-sm text-yellow-400">No combination made {result.config.minTrades} training trades.</p>
+          )}
+
+          <div className="flex flex-wrap items-center gap-3 mb-3 text-sm">
+            <select value={xId} onChange={(e) => setView({ ...view, x: e.target.value })} className={inputClass}>
+              {swept.map(id => <option key={id} value={id}>X: {SWEEP_PARAMETERS[id].label}</option>)}
+            </select>
+            {swept.length > 1 && (
+              <select value={yId} onChange={(e) => setView({ ...view, y: e.target.value })} className={inputClass}>
+                {swept.filter(id => id !== xId).map(id => <option key={id} value={id}>Y: {SWEEP_PARAMETERS[id].label}</option>)}
+              </select>
+            )}
+            <select value={view.metric} onChange={(e) => setView({ ...view, metric: e.target.value })} className={inputClass}>
+              {Object.entries(OBJECTIVES).map(([key, objective]) => <option key={key} value={key}>{objective.label}</option>)}
+            </select>
+            <select value={view.window} onChange={(e) => setView({ ...view, window: e.target.value })} className={inputClass}>
+              <option value="train">Training window</option>
+              <option value="test">Test window</option>
+            </select>
+            {swept.length > 2 && (
+              <span className="text-gray-500">
+                Other parameters held at {result.best ? 'the best' : 'the current'} values
+              </span>
+            )}
+          </div>
+          <Heatmap result={result} anchor={anchor} xId={xId} yId={yId} metric={view.metric} split={view.window} />
+
+          <div className="overflow-x-auto mt-6">
+            <table className="w-full text-sm">
+              <thead className="text-gray-400 text-left">
+                <tr>
+                  {result.parameters.map(id => <th key={id} className="p-2">{SWEEP_PARAMETERS[id].label}</th>)}
+                  <th className="p-2">Train trades</th><th className="p-2">Win</th><th className="p-2">Avg</th><th className="p-2">DD</th>
+                  <th className="p-2">Test trades</th><th className="p-2">Win</th><th className="p-2">Avg</th><th className="p-2">DD</th>
+                  <th className="p-2" />
+                </tr>
+              </thead>
+              <tbody>
+                {[{ ...result.current, label: 'Current' }, ...result.combos.slice(0, TOP_COMBOS)].map((combo, idx) => (
+                  <tr key={idx} className={`border-t border-gray-700 ${combo.label ? 'text-gray-400' : ''}`}>
+                    {result.parameters.map(id => <td key={id} className="p-2">{combo.values[id] ?? '—'}</td>)}
+                    <MetricCells metrics={combo.train} />
+                    <MetricCells metrics={combo.test} />
+                    <td className="p-2 whitespace-nowrap">
+                      {combo.label && <span className="mr-2">{combo.label}</span>}
+                      {combo.overfit && <span className="text-yellow-400">Overfit</span>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default OptimiserPanel;
@@ -0,0 +1,120 @@
+import React from 'react';
+import { Briefcase } from 'lucide-react';
+import { positionPnl, summariseTrades } from '../trading/paperTrading.js';
+
+const money = (value) => `${value >= 0 ? '+' : '-'}$${Math.abs(value).toFixed(2)}`;
+const pnlClass = (value) => (value >= 0 ? 'text-green-400' : 'text-red-400');
+
+// P&L blotter for the paper-trading book: open positions and closed trade history
+const PaperTradingPanel = ({ trading, stocks, onClose }) => {
+  const { positions, close, clearHistory } = trading;
+  const summary = summariseTrades(positions);
+  const open = positions.filter(position => position.status === 'open');
+  const closed = positions.filter(position => position.status === 'closed');
+  const priceOf = (symbol, fallback) => stocks.find(stock => stock.symbol === symbol)?.currentPrice ?? fallback;
+
+  return (
+    <div className="mb-8 bg-gray-800 border-2 border-indigo-500 rounded-lg p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-2xl font-bold flex items-center">
+          <Briefcase className="mr-3 text-indigo-400" />
+          Paper Trading
+        </h2>
+        <button onClick={onClose} className="text-gray-400 hover:text-white text-2xl px-4">×</button>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+        <div className="bg-gray-900 rounded-lg p-4">
+          <div className="text-gray-400 text-sm">Open Positions</div>
+          <div className="text-2xl font-bold">{summary.openCount}</div>
+        </div>
+        <div className="bg-gray-900 rounded-lg p-4">
+          <div className="text-gray-400 text-sm">Unrealised P&L</div>
+          <div className={`text-2xl font-bold ${pnlClass(summary.unrealised)}`}>{money(summary.unrealised)}</div>
+        </div>
+        <div className="bg-gray-900 rounded-lg p-4">
+          <div className="text-gray-400 text-sm">Realised P&L</div>
+          <div className={`text-2xl font-bold ${pnlClass(summary.realised)}`}>{money(summary.realised)}</div>
+        </div>
+        <div className="bg-gray-900 rounded-lg p-4">
+          <div className="text-gray-400 text-sm">Win Rate</div>
+          <div className="text-2xl font-bold">{summary.winRate.toFixed(0)}%</div>
+          <div className="text-xs text-gray-500">{summary.closedCount} closed trades</div>
+        </div>
+      </div>
+
+      <h3 className="text-lg font-semibold mb-2">Open Positions</h3>
+      <div className="overflow-x-auto mb-6">
+        <table className="w-full text-sm">
+          <thead className="text-gray-400 text-left">
+            <tr>
+              <th className="p-2">Symbol</th><th className="p-2">Qty</th><th className="p-2">Entry</th><th className="p-2">Last</th>
+              <th className="p-2">Stop</th><th className="p-2">Target</th><th className="p-2">P&L</th><th className="p-2"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {open.length === 0 && (
+              <tr><td colSpan={8} className="p-2 text-gray-400">No open positions - use Paper Trade on a stock card or the detailed view</td></tr>
+            )}
+            {open.map(position => {
+              const { pnl, pnlPercent } = positionPnl(position);
+              return (
+                <tr key={position.id} className="border-t border-gray-700">
+                  <td className="p-2 font-semibold">{position.symbol}</td>
+                  <td className="p-2">{position.quantity}</td>
+                  <td className="p-2">${position.entryPrice.toFixed(2)}</td>
+                  <td className="p-2">${position.lastPrice.toFixed(2)}</td>
+                  <td className="p-2 text-red-400">${position.stopLoss.toFixed(2)}</td>
+                  <td className="p-2 text-green-400">${position.takeProfit.toFixed(2)}</td>
+                  <td className={`p-2 font-semibold ${pnlClass(pnl)}`}>{money(pnl)} ({pnlPercent.toFixed(2)}%)</td>
+                  <td className="p-2">
+                    <button
+                      onClick={() => close(position.id, priceOf(position.symbol, position.lastPrice))}
+                      className="px-2 py-1 rounded bg-gray-700 hover:bg-gray-600"
+                    >
+                      Close
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-lg font-semibold">Trade History</h3>
+        {closed.length > 0 && <button onClick={clearHistory} className="text-sm text-gray-400 hover:text-white">Clear history</button>}
+      </div>
+      <div className="overflow-x-auto max-h-80 overflow-y-auto">
+        <table className="w-full text-sm">
+          <thead className="text-gray-400 text-left">
+            <tr>
+              <th className="p-2">Closed</th><th className="p-2">Symbol</th><th className="p-2">Qty</th><th className="p-2">Entry</th>
+              <th className="p-2">Exit</th><th className="p-2">Reason</th><th className="p-2">P&L</th>
+            </tr>
+          </thead>
+          <tbody>
+            {closed.length === 0 && <tr><td colSpan={7} className="p-2 text-gray-400">No closed trades yet</td></tr>}
+            {closed.map(position => {
+              const { pnl, pnlPercent } = positionPnl(position);
+              return (
+                <tr key={position.id} className="border-t border-gray-700">
+                  <td className="p-2 text-gray-400">{new Date(position.closedAt).toLocaleString('en-AU')}</td>
+                  <td className="p-2 font-semibold">{position.symbol}</td>
+                  <td className="p-2">{position.quantity}</td>
+                  <td className="p-2">${position.entryPrice.toFixed(2)}</td>
+                  <td className="p-2">${position.exitPrice.toFixed(2)}</td>
+                  <td className="p-2">{position.exitReason}</td>
+                  <td className={`p-2 font-semibold ${pnlClass(pnl)}`}>{money(pnl)} ({pnlPercent.toFixed(2)}%)</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default PaperTradingPanel;
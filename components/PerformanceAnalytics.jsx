@@ -0,0 +1,113 @@
+import React from 'react';
+import { ComposedChart, Line, Area, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ReferenceLine, ResponsiveContainer } from 'recharts';
+
+const signed = (value, digits = 2) => `${value >= 0 ? '+' : ''}${value.toFixed(digits)}%`;
+const returnClass = (value) => (value >= 0 ? 'text-green-400' : 'text-red-400');
+const ratio = (value) => (value === null ? '—' : value.toFixed(2));
+
+const Stat = ({ label, value, className = '', note }) => (
+  <div className="bg-gray-900 rounded-lg p-4">
+    <div className="text-gray-400 text-sm">{label}</div>
+    <div className={`text-2xl font-bold ${className}`}>{value}</div>
+    {note && <div className="text-xs text-gray-500 mt-1">{note}</div>}
+  </div>
+);
+
+const BreakdownTable = ({ title, rows, labelKey, labelHeader, extra }) => (
+  <div className="bg-gray-900 rounded-lg p-4">
+    <h4 className="font-semibold mb-2">{title}</h4>
+    <div className="overflow-x-auto max-h-72 overflow-y-auto">
+      <table className="w-full text-sm">
+        <thead className="text-gray-400 text-left">
+          <tr>
+            <th className="p-2">{labelHeader}</th>
+            {extra && <th className="p-2">{extra.header}</th>}
+            <th className="p-2">Trades</th>
+            <th className="p-2">Win rate</th>
+            <th className="p-2">Avg gain</th>
+            <th className="p-2">Total</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => (
+            <tr key={row[labelKey]} className="border-t border-gray-700">
+              <td className="p-2 font-semibold">{row[labelKey]}</td>
+              {extra && <td className="p-2">{extra.render(row)}</td>}
+              <td className="p-2">{row.trades}</td>
+              <td className="p-2">{row.winRate.toFixed(1)}%</td>
+              <td className={`p-2 ${returnClass(row.avgGain)}`}>{signed(row.avgGain)}</td>
+              <td className={`p-2 ${returnClass(row.totalGain)}`}>{signed(row.totalGain)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  </div>
+);
+
+// Whether the picks make money, not just how often they hit: the compounded
+// equity curve with its drawdown, risk-adjusted ratios, streaks and breakdowns
+// by symbol and by the probability shown when the pick was made.
+const PerformanceAnalytics = ({ report, successThreshold }) => (
+  <div className="bg-gray-800 rounded-lg p-6 mb-6">
+    <h3 className="text-xl font-semibold mb-1">Performance Analytics</h3>
+    <p className="text-sm text-gray-400 mb-4">
+      An equal-weighted basket of each session's picks, in cash on sessions without any, over {report.sessions} sessions.
+      {report.holdingPeriod > 1 && ` Only ${report.holds} back-to-back ${report.holdingPeriod}-session holds are compounded, so no move is counted twice.`}
+      {' '}Sharpe and Sortino are annualised from per-hold returns.
+    </p>
+
+    <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+      <Stat label="Total Return" value={signed(report.totalReturn)} className={returnClass(report.totalReturn)} note="Compounded" />
+      <Stat label="Max Drawdown" value={`-${report.maxDrawdown.toFixed(2)}%`} className="text-red-400" note="From the running peak" />
+      <Stat label="Sharpe Ratio" value={ratio(report.sharpe)} className="text-blue-400" />
+      <Stat label="Sortino Ratio" value={ratio(report.sortino)} className="text-blue-400" />
+      <Stat
+        label="Profit Factor"
+        value={report.profitFactor === null ? (report.trades > 0 ? '∞' : '—') : report.profitFactor.toFixed(2)}
+        className={report.profitFactor === null || report.profitFactor >= 1 ? 'text-green-400' : 'text-red-400'}
+        note="Gross gains / gross losses"
+      />
+      <Stat
+        label="Expectancy"
+        value={signed(report.expectancy)}
+        className={returnClass(report.expectancy)}
+        note={`Avg win ${signed(report.averageWin)} • avg miss ${signed(report.averageLoss)}`}
+      />
+      <Stat label="Longest Win Streak" value={report.longestWinStreak} className="text-green-400" note={`Trades gaining ${successThreshold}%+`} />
+      <Stat label="Longest Loss Streak" value={report.longestLossStreak} className="text-red-400" note={`Trades under ${successThreshold}%`} />
+    </div>
+
+    <ResponsiveContainer width="100%" height={250}>
+      <ComposedChart data={report.curve}>
+        <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+        <XAxis dataKey="date" stroke="#9CA3AF" />
+        <YAxis stroke="#9CA3AF" tickFormatter={value => `${value.toFixed(1)}%`} />
+        <Tooltip
+          contentStyle={{ backgroundColor: '#1F2937', border: '1px solid #374151' }}
+          labelStyle={{ color: '#9CA3AF' }}
+          formatter={value => `${value.toFixed(2)}%`}
+        />
+        <Legend />
+        <ReferenceLine y={0} stroke="#6B7280" strokeDasharray="4 4" />
+        <Area type="monotone" dataKey="drawdown" name="Drawdown" stroke="#EF4444" fill="#EF4444" fillOpacity={0.25} isAnimationActive={false} />
+        <Line type="monotone" dataKey="equity" name="Equity" stroke="#10B981" strokeWidth={2} dot={false} isAnimationActive={false} />
+      </ComposedChart>
+    </ResponsiveContainer>
+
+    {report.trades > 0 && (
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 mt-4">
+        <BreakdownTable title="By Symbol" rows={report.bySymbol} labelKey="symbol" labelHeader="Symbol" />
+        <BreakdownTable
+          title="By Predicted Probability"
+          rows={report.byProbability}
+          labelKey="label"
+          labelHeader="Bucket"
+          extra={{ header: 'Avg shown', render: row => `${row.avgProbability.toFixed(1)}%` }}
+        />
+      </div>
+    )}
+  </div>
+);
+
+export default PerformanceAnalytics;
@@ -0,0 +1,211 @@
+import React, { useState } from 'react';
+import { Wallet, Upload, TrendingUp, TrendingDown, Activity } from 'lucide-react';
+import {
+  BROKER_FORMATS, TRADE_FIELDS, guessMapping, readTradesCsv, buildHoldings, valueHoldings, summariseHoldings
+} from '../trading/portfolio.js';
+import SignalBadge from './SignalBadge.jsx';
+
+const buttonClass = 'px-3 py-1 rounded text-sm bg-gray-700 hover:bg-gray-600';
+const selectClass = 'bg-gray-900 border border-gray-700 rounded px-2 py-1 text-white text-sm';
+
+const money = (value) => `${value < 0 ? '-' : ''}$${Math.abs(value).toLocaleString('en-AU', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+const pnlClass = (value) => (value >= 0 ? 'text-green-400' : 'text-red-400');
+
+const PredictionIcon = ({ prediction }) => (
+  prediction === 'BULLISH' ? <TrendingUp className="w-4 h-4 mr-1 text-green-400" /> :
+  prediction === 'BEARISH' ? <TrendingDown className="w-4 h-4 mr-1 text-red-400" /> :
+  <Activity className="w-4 h-4 mr-1 text-gray-400" />
+);
+
+// Holdings built from imported broker CSVs, marked to the latest analysed prices.
+// An upload is previewed first so the format (and generic column mapping) can be checked.
+const PortfolioPanel = ({ trades, onTradesChange, stocks, universeSymbols, onAddToUniverse, onSelect, onClose }) => {
+  const [pending, setPending] = useState(null);
+  const [error, setError] = useState(null);
+
+  const holdings = buildHoldings(trades);
+  const valued = valueHoldings(holdings, stocks);
+  const summary = summariseHoldings(valued, holdings);
+  const missing = valued.filter(holding => !universeSymbols.includes(holding.symbol)).map(holding => holding.symbol);
+
+  const loadFile = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    file.text().then(text => {
+      const { table, format } = readTradesCsv(text);
+      if (table.rows.length === 0) {
+        setError('No rows found in file');
+        return;
+      }
+      setPending({ fileName: file.name, table, format, mapping: guessMapping(table.header) });
+      setError(null);
+    });
+    event.target.value = '';
+  };
+
+  let preview = [];
+  let previewError = null;
+  if (pending) {
+    try {
+      preview = BROKER_FORMATS[pending.format].parse(pending.table, pending.mapping);
+    } catch (err) {
+      previewError = err.message;
+    }
+  }
+
+  const importPending = (replace) => {
+    onTradesChange(replace ? preview : [...trades, ...preview]);
+    setPending(null);
+  };
+
+  return (
+    <div className="mb-8 bg-gray-800 border-2 border-emerald-500 rounded-lg p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h2 className="text-2xl font-bold flex items-center">
+            <Wallet className="mr-3 text-emerald-400" />
+            Portfolio
+          </h2>
+          <p className="text-gray-400 text-sm">{valued.length} holdings from {trades.length} imported trades</p>
+        </div>
+        <button onClick={onClose} className="text-gray-400 hover:text-white text-2xl px-4">×</button>
+      </div>
+
+      {/* Import */}
+      <div className="flex flex-wrap items-center gap-3 mb-4">
+        <label className={`${buttonClass} cursor-pointer flex items-center`}>
+          <Upload className="w-4 h-4 mr-2" />
+          Import CSV
+          <input type="file" accept=".csv,text/csv" className="hidden" onChange={loadFile} />
+        </label>
+        {trades.length > 0 && <button onClick={() => onTradesChange([])} className={buttonClass}>Clear portfolio</button>}
+        {missing.length > 0 && (
+          <button onClick={() => onAddToUniverse(missing)} className={buttonClass}>
+            Add {missing.length} unlisted holding{missing.length === 1 ? '' : 's'} to universe
+          </button>
+        )}
+        <span className="text-xs text-gray-500">CommSec transactions or holdings, SelfWealth trades, or any CSV with mapped columns</span>
+      </div>
+      {error && <div className="text-red-400 text-sm mb-4">{error}</div>}
+
+      {pending && (
+        <div className="bg-gray-900 rounded-lg p-4 mb-4 text-sm">
+          <div className="flex flex-wrap items-center gap-3 mb-3">
+            <span className="font-semibold">{pending.fileName}</span>
+            <select
+              value={pending.format}
+              onChange={(e) => setPending({ ...pending, format: e.target.value })}
+              className={selectClass}
+            >
+              {Object.entries(BROKER_FORMATS).map(([key, format]) => (
+                <option key={key} value={key}>{format.label}</option>
+              ))}
+            </select>
+          </div>
+          {pending.format === 'generic' && (
+            <div className="grid grid-cols-2 md:grid-cols-6 gap-3 mb-3">
+              {Object.entries(TRADE_FIELDS).map(([field, { label, required }]) => (
+                <label key={field}>
+                  <div className="text-gray-400 mb-1">{label}{required ? ' *' : ''}</div>
+                  <select
+                    value={pending.mapping[field]}
+                    onChange={(e) => setPending({ ...pending, mapping: { ...pending.mapping, [field]: Number(e.target.value) } })}
+                    className={`${selectClass} w-full`}
+                  >
+                    <option value={-1}>—</option>
+                    {pending.table.header.map((column, index) => (
+                      <option key={index} value={index}>{column}</option>
+                    ))}
+                  </select>
+                </label>
+              ))}
+            </div>
+          )}
+          {previewError
+            ? <div className="text-red-400 mb-3">{previewError}</div>
+            : <div className="text-gray-400 mb-3">{preview.length} trades read from {pending.table.rows.length} rows</div>}
+          <div className="flex gap-3">
+            <button onClick={() => importPending(false)} disabled={preview.length === 0} className={`${buttonClass} disabled:opacity-40`}>Add to portfolio</button>
+            <button onClick={() => importPending(true)} disabled={preview.length === 0} className={`${buttonClass} disabled:opacity-40`}>Replace portfolio</button>
+            <button onClick={() => setPending(null)} className={buttonClass}>Cancel</button>
+          </div>
+        </div>
+      )}
+
+      {/* Summary */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+        <div className="bg-gray-900 rounded-lg p-4">
+          <div className="text-gray-400 text-sm">Market Value</div>
+          <div className="text-2xl font-bold">{money(summary.marketValue)}</div>
+          {summary.unpriced > 0 && <div className="text-xs text-gray-500">{summary.unpriced} holdings not in the universe</div>}
+        </div>
+        <div className="bg-gray-900 rounded-lg p-4">
+          <div className="text-gray-400 text-sm">Unrealised P&L</div>
+          <div className={`text-2xl font-bold ${pnlClass(summary.unrealised)}`}>{money(summary.unrealised)}</div>
+          <div className="text-xs text-gray-500">on {money(summary.costBase)} cost base</div>
+        </div>
+        <div className="bg-gray-900 rounded-lg p-4">
+          <div className="text-gray-400 text-sm">Realised P&L</div>
+          <div className={`text-2xl font-bold ${pnlClass(summary.realised)}`}>{money(summary.realised)}</div>
+        </div>
+        <div className="bg-gray-900 rounded-lg p-4">
+          <div className="text-gray-400 text-sm">Holdings Turned Bearish</div>
+          <div className={`text-2xl font-bold ${summary.bearish > 0 ? 'text-red-400' : ''}`}>{summary.bearish}</div>
+        </div>
+      </div>
+
+      {/* Holdings */}
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead className="text-gray-400 text-left">
+            <tr>
+              <th className="p-2">Symbol</th><th className="p-2">Units</th><th className="p-2">Avg Cost</th>
+              <th className="p-2">Cost Base</th><th className="p-2">Last</th><th className="p-2">Market Value</th>
+              <th className="p-2">Unrealised</th><th className="p-2">Weight</th><th className="p-2">Outlook</th>
+            </tr>
+          </thead>
+          <tbody>
+            {valued.length === 0 && (
+              <tr><td colSpan={9} className="p-2 text-gray-400">No holdings - import a broker CSV to get started</td></tr>
+            )}
+            {valued.map(holding => (
+              <tr
+                key={holding.symbol}
+                onClick={() => holding.stock && onSelect(holding.symbol)}
+                className={`border-t border-gray-700 align-top ${holding.stock ? 'cursor-pointer hover:bg-gray-700' : ''}`}
+              >
+                <td className="p-2 font-semibold">{holding.symbol}</td>
+                <td className="p-2">{holding.quantity.toLocaleString()}</td>
+                <td className="p-2">${holding.averageCost.toFixed(3)}</td>
+                <td className="p-2">{money(holding.costBase)}</td>
+                <td className="p-2">{holding.stock ? `$${holding.stock.currentPrice.toFixed(2)}` : '—'}</td>
+                <td className="p-2">{holding.stock ? money(holding.marketValue) : '—'}</td>
+                <td className={`p-2 font-semibold ${holding.stock ? pnlClass(holding.unrealised) : ''}`}>
+                  {holding.stock ? `${money(holding.unrealised)} (${holding.unrealisedPercent.toFixed(1)}%)` : '—'}
+                </td>
+                <td className="p-2">{holding.weight !== null ? `${holding.weight.toFixed(1)}%` : '—'}</td>
+                <td className="p-2">
+                  {holding.stock ? (
+                    <>
+                      <div className="flex items-center font-semibold mb-1">
+                        <PredictionIcon prediction={holding.stock.prediction} />
+                        {holding.stock.prediction} ({holding.stock.confidence.toFixed(0)}%)
+                      </div>
+                      <div className="flex flex-wrap gap-1">
+                        {holding.stock.signals.slice(0, 2).map((signal, idx) => (
+                          <SignalBadge key={idx} signal={signal} />
+                        ))}
+                      </div>
+                    </>
+                  ) : <span className="text-gray-500">Not in universe</span>}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default PortfolioPanel;
@@ -0,0 +1,64 @@
+import React from 'react';
+import IndicatorChart from './IndicatorChart.jsx';
+import { compareToBenchmark } from '../analysis/benchmark.js';
+
+const LINE_COLORS = ['#60A5FA', '#F59E0B'];
+
+const signed = (value) => (value === null ? '—' : `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`);
+const returnClass = (value) => (value === null ? 'text-gray-500' : value >= 0 ? 'text-green-400' : 'text-red-400');
+
+// Daily relative strength against each benchmark index: the price / index ratio
+// rebased to 100 (rising = outperforming), with beta, correlation and excess returns.
+// `benchmarks` is a list of { symbol, code, name, bars }.
+const RelativeStrengthPanel = ({ stock, benchmarks }) => {
+  const comparisons = benchmarks.map(benchmark => compareToBenchmark(stock.bars, benchmark)).filter(Boolean);
+  if (comparisons.length === 0) return null;
+
+  const rows = stock.bars.map((bar, idx) => ({
+    date: bar.date,
+    ...Object.fromEntries(comparisons.map(comparison => [comparison.code, comparison.line[idx]]))
+  }));
+
+  return (
+    <div className="mb-6">
+      <IndicatorChart
+        title="Relative Strength (rebased to 100)"
+        data={rows}
+        lines={comparisons.map((comparison, idx) => ({ key: comparison.code, name: `vs ${comparison.code}`, color: LINE_COLORS[idx % LINE_COLORS.length] }))}
+        levels={[100]}
+      />
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {comparisons.map(comparison => (
+          <div key={comparison.symbol} className="bg-gray-900 rounded-lg p-4 text-sm">
+            <div className="font-semibold mb-2">vs {comparison.name} ({comparison.code})</div>
+            <div className="grid grid-cols-5 gap-2">
+              <div>
+                <div className="text-gray-400">Beta</div>
+                <div className="font-bold">{comparison.beta === null ? '—' : comparison.beta.toFixed(2)}</div>
+              </div>
+              <div>
+                <div className="text-gray-400">Correlation</div>
+                <div className="font-bold">{comparison.correlation === null ? '—' : comparison.correlation.toFixed(2)}</div>
+              </div>
+              <div>
+                <div className="text-gray-400">Today</div>
+                <div className={`font-bold ${returnClass(comparison.today)}`}>{signed(comparison.today)}</div>
+              </div>
+              <div>
+                <div className="text-gray-400">5 days</div>
+                <div className={`font-bold ${returnClass(comparison.week)}`}>{signed(comparison.week)}</div>
+              </div>
+              <div>
+                <div className="text-gray-400">20 days</div>
+                <div className={`font-bold ${returnClass(comparison.month)}`}>{signed(comparison.month)}</div>
+              </div>
+            </div>
+            <div className="text-xs text-gray-500 mt-2">Beta over {comparison.sessions} sessions; returns are excess over the index</div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default RelativeStrengthPanel;
@@ -0,0 +1,32 @@
+import React from 'react';
+import { ComposedChart, Bar, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+
+// Reliability diagram: observed hit rate per predicted-probability bucket next to
+// the mean prediction. Well calibrated buckets have the two bars/points level.
+const ReliabilityChart = ({ bins, brierScore }) => (
+  <div>
+    <ResponsiveContainer width="100%" height={250}>
+      <ComposedChart data={bins}>
+        <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+        <XAxis dataKey="bin" stroke="#9CA3AF" />
+        <YAxis stroke="#9CA3AF" domain={[0, 100]} />
+        <Tooltip
+          contentStyle={{ backgroundColor: '#1F2937', border: '1px solid #374151' }}
+          labelStyle={{ color: '#9CA3AF' }}
+          formatter={(value, name) => (name === 'Samples' ? value : `${value.toFixed(1)}%`)}
+        />
+        <Legend />
+        <Bar dataKey="observed" name="Observed hit rate" fill="#10B981" />
+        <Line type="monotone" dataKey="predicted" name="Mean predicted" stroke="#F59E0B" strokeWidth={2} dot={{ r: 5 }} />
+        <Line dataKey="count" name="Samples" stroke="transparent" dot={false} legendType="none" />
+      </ComposedChart>
+    </ResponsiveContainer>
+    {brierScore !== null && (
+      <div className="mt-2 text-center text-sm text-gray-400">
+        Brier score {brierScore.toFixed(3)} (0 is perfect, 0.25 is a coin flip)
+      </div>
+    )}
+  </div>
+);
+
+export default ReliabilityChart;
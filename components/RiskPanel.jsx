@@ -0,0 +1,92 @@
+import React from 'react';
+import { STOP_METHODS, sizePosition } from '../trading/positionSizing.js';
+
+const FIELDS = [
+  { key: 'accountSize', label: 'Account size $', min: 0, step: 1000 },
+  { key: 'riskPercent', label: 'Max risk per trade %', min: 0, step: 0.25 },
+  { key: 'atrMultiple', label: 'Stop (ATR multiple)', min: 0.1, step: 0.1 },
+  { key: 'rewardRisk', label: 'Target (reward:risk)', min: 0.1, step: 0.1 },
+  { key: 'kellyMultiplier', label: 'Kelly multiplier', min: 0, step: 0.05 },
+  { key: 'brokerageFlat', label: 'Brokerage $', min: 0, step: 0.5 },
+  { key: 'brokeragePercent', label: 'Brokerage %', min: 0, step: 0.01 },
+  { key: 'minParcel', label: 'Min parcel $', min: 0, step: 50 }
+];
+
+const inputClass = 'w-full bg-gray-800 border border-gray-700 rounded px-2 py-1 text-white';
+
+// Position sizing and risk calculator for the selected stock
+const RiskPanel = ({ stock, settings, onChange }) => {
+  const plan = sizePosition(stock, settings);
+
+  const stats = [
+    { label: 'Stop', value: `$${plan.stop.toFixed(2)}`, detail: `-$${plan.stopDistance.toFixed(2)}/share`, className: 'text-red-400' },
+    { label: 'Target', value: `$${plan.target.toFixed(2)}`, className: 'text-green-400' },
+    { label: 'Quantity', value: plan.quantity.toLocaleString() },
+    { label: 'Exposure', value: `$${plan.exposure.toFixed(0)}`, detail: `${plan.exposurePercent.toFixed(1)}% of account` },
+    { label: 'Risk / Reward', value: `$${plan.riskAmount.toFixed(0)} / $${plan.rewardAmount.toFixed(0)}`, detail: `incl. $${plan.fees.toFixed(2)} brokerage` },
+    {
+      label: 'Expected Value*',
+      value: `${plan.expectedValue >= 0 ? '+' : '-'}$${Math.abs(plan.expectedValue).toFixed(2)}`,
+      detail: `Kelly* ${(plan.kelly * 100).toFixed(1)}%`,
+      className: plan.expectedValue >= 0 ? 'text-green-400' : 'text-red-400'
+    }
+  ];
+
+  return (
+    <div className="bg-gray-900 rounded-lg p-4 mb-6">
+      <h3 className="text-xl font-semibold mb-4">Position Sizing & Risk</h3>
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-3 mb-4 text-sm">
+        {FIELDS.map(field => (
+          <label key={field.key}>
+            <div className="text-gray-400 mb-1">{field.label}</div>
+            <input
+              type="number"
+              min={field.min}
+              step={field.step}
+              value={settings[field.key]}
+              onChange={(e) => {
+                const value = parseFloat(e.target.value);
+                if (Number.isFinite(value)) onChange({ ...settings, [field.key]: Math.max(value, field.min) });
+              }}
+              className={inputClass}
+            />
+          </label>
+        ))}
+        <label>
+          <div className="text-gray-400 mb-1">Stop from</div>
+          <select
+            value={settings.stopMethod}
+            onChange={(e) => onChange({ ...settings, stopMethod: e.target.value })}
+            className={inputClass}
+          >
+            {Object.entries(STOP_METHODS).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-6 gap-3 text-sm">
+        {stats.map(stat => (
+          <div key={stat.label} className="bg-gray-800 rounded-lg p-3">
+            <div className="text-gray-400">{stat.label}</div>
+            <div className={`font-bold text-lg ${stat.className ?? ''}`}>{stat.value}</div>
+            {stat.detail && <div className="text-xs text-gray-500">{stat.detail}</div>}
+          </div>
+        ))}
+      </div>
+
+      {plan.warnings.map(warning => (
+        <div key={warning} className="mt-3 text-sm text-yellow-400">⚠ {warning}</div>
+      ))}
+      <div className="mt-3 text-xs text-gray-500">
+        * Heuristic: expected value and the Kelly cap take the {stock.isCalibrated ? 'calibrated' : 'raw'} gain
+        probability of {stock.gainProbability.toFixed(0)}%, the chance of a next-session gain of at least the win
+        threshold, as the chance of reaching this target before this stop. That has not been measured, so treat
+        the size as a rough guide.
+      </div>
+    </div>
+  );
+};
+
+export default RiskPanel;
@@ -0,0 +1,185 @@
+import React, { useState } from 'react';
+import { Filter, X, Trash2 } from 'lucide-react';
+import {
+  SCREEN_FIELDS, CONDITION_FIELDS, createCondition, createGroup, createScreen, choiceOptions, runScreen
+} from '../analysis/screener.js';
+
+const buttonClass = 'px-3 py-1 rounded text-sm bg-gray-700 hover:bg-gray-600 disabled:opacity-40 disabled:cursor-not-allowed';
+const inputClass = 'bg-gray-900 border border-gray-700 rounded px-2 py-1 text-white text-sm';
+
+// Blank means no bound
+const BoundInput = ({ value, placeholder, onChange }) => (
+  <input
+    type="number"
+    value={value ?? ''}
+    placeholder={placeholder}
+    onChange={(e) => {
+      const number = parseFloat(e.target.value);
+      onChange(Number.isFinite(number) ? number : null);
+    }}
+    className={`${inputClass} w-24`}
+  />
+);
+
+const MatchSelect = ({ value, onChange, labels }) => (
+  <select value={value} onChange={(e) => onChange(e.target.value)} className={inputClass}>
+    <option value="all">{labels.all}</option>
+    <option value="any">{labels.any}</option>
+  </select>
+);
+
+const ConditionRow = ({ condition, stocks, onChange, onRemove }) => {
+  const field = SCREEN_FIELDS[condition.field];
+  const toggleValue = (value) => onChange({
+    ...condition,
+    values: condition.values.includes(value) ? condition.values.filter(item => item !== value) : [...condition.values, value]
+  });
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <select
+        value={condition.field}
+        onChange={(e) => onChange(createCondition(e.target.value))}
+        className={inputClass}
+      >
+        {CONDITION_FIELDS.map(key => <option key={key} value={key}>{SCREEN_FIELDS[key].label}</option>)}
+      </select>
+      {field.kind === 'choice' ? (
+        choiceOptions(condition.field, stocks).map(option => (
+          <label key={option} className="flex items-center text-xs bg-gray-800 rounded px-2 py-1">
+            <input type="checkbox" checked={condition.values.includes(option)} onChange={() => toggleValue(option)} className="mr-1" />
+            {option}
+          </label>
+        ))
+      ) : (
+        <>
+          <BoundInput value={condition.min} placeholder="min" onChange={min => onChange({ ...condition, min })} />
+          <span className="text-gray-500">to</span>
+          <BoundInput value={condition.max} placeholder="max" onChange={max => onChange({ ...condition, max })} />
+        </>
+      )}
+      <button onClick={onRemove} className="text-gray-400 hover:text-white" title="Remove condition">
+        <X className="w-4 h-4" />
+      </button>
+    </div>
+  );
+};
+
+// Screen builder. Groups of conditions are combined with AND/OR; the live match
+// count updates as the draft is edited. Saved screens show up as filter tabs.
+const ScreenerPanel = ({ screens, onChange, stocks, onApply, onClose }) => {
+  const [draft, setDraft] = useState(() => screens[0] ?? createScreen('New screen'));
+  const isSaved = screens.some(screen => screen.id === draft.id);
+  const matches = runScreen(stocks, draft);
+
+  const updateGroup = (index, changes) => setDraft({
+    ...draft,
+    groups: draft.groups.map((group, idx) => (idx === index ? { ...group, ...changes } : group))
+  });
+  const removeGroup = (index) => setDraft({ ...draft, groups: draft.groups.filter((_, idx) => idx !== index) });
+
+  const save = () => {
+    onChange(isSaved ? screens.map(screen => (screen.id === draft.id ? draft : screen)) : [...screens, draft]);
+  };
+  const saveAsNew = () => {
+    const copy = { ...createScreen(`${draft.name} copy`, draft.groups), match: draft.match };
+    onChange([...screens, copy]);
+    setDraft(copy);
+  };
+  const remove = () => {
+    const remaining = screens.filter(screen => screen.id !== draft.id);
+    onChange(remaining);
+    setDraft(remaining[0] ?? createScreen('New screen'));
+  };
+  const showResults = () => {
+    save();
+    onApply(draft.id);
+  };
+
+  return (
+    <div className="mb-8 bg-gray-800 border-2 border-cyan-500 rounded-lg p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h2 className="text-2xl font-bold flex items-center">
+            <Filter className="mr-3 text-cyan-400" />
+            Screener
+          </h2>
+          <p className="text-gray-400 text-sm">{matches.length} of {stocks.length} stocks match</p>
+        </div>
+        <button onClick={onClose} className="text-gray-400 hover:text-white text-2xl px-4">×</button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3 mb-4 text-sm">
+        <select
+          value={isSaved ? draft.id : ''}
+          onChange={(e) => setDraft(screens.find(screen => screen.id === e.target.value) ?? createScreen('New screen'))}
+          className={inputClass}
+        >
+          <option value="">New screen</option>
+          {screens.map(screen => <option key={screen.id} value={screen.id}>{screen.name}</option>)}
+        </select>
+        <input
+          value={draft.name}
+          onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+          className={`${inputClass} w-48`}
+        />
+        <MatchSelect
+          value={draft.match}
+          onChange={match => setDraft({ ...draft, match })}
+          labels={{ all: 'Match every group (AND)', any: 'Match any group (OR)' }}
+        />
+      </div>
+
+      <div className="space-y-3 mb-4">
+        {draft.groups.map((group, index) => (
+          <div key={index} className="bg-gray-900 rounded-lg p-4 text-sm">
+            <div className="flex items-center gap-3 mb-3">
+              <span className="font-semibold">Group {index + 1}</span>
+              <MatchSelect
+                value={group.match}
+                onChange={match => updateGroup(index, { match })}
+                labels={{ all: 'All conditions (AND)', any: 'Any condition (OR)' }}
+              />
+              <button onClick={() => removeGroup(index)} className="ml-auto text-gray-400 hover:text-red-400" title="Remove group">
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+            <div className="space-y-2">
+              {group.conditions.map((condition, conditionIndex) => (
+                <ConditionRow
+                  key={conditionIndex}
+                  condition={condition}
+                  stocks={stocks}
+                  onChange={updated => updateGroup(index, {
+                    conditions: group.conditions.map((item, idx) => (idx === conditionIndex ? updated : item))
+                  })}
+                  onRemove={() => updateGroup(index, { conditions: group.conditions.filter((_, idx) => idx !== conditionIndex) })}
+                />
+              ))}
+            </div>
+            <button
+              onClick={() => updateGroup(index, { conditions: [...group.conditions, createCondition('rsi')] })}
+              className={`${buttonClass} mt-3`}
+            >
+              + Condition
+            </button>
+          </div>
+        ))}
+        <button onClick={() => setDraft({ ...draft, groups: [...draft.groups, createGroup()] })} className={buttonClass}>
+          + Group
+        </button>
+      </div>
+
+      <div className="flex flex-wrap gap-3">
+        <button onClick={save} disabled={!draft.name.trim()} className={buttonClass}>Save</button>
+        <button onClick={saveAsNew} disabled={!isSaved} className={buttonClass}>Save as new</button>
+        <button onClick={remove} disabled={!isSaved} className={buttonClass}>Delete</button>
+        <button onClick={showResults} disabled={!draft.name.trim()} className="px-3 py-1 rounded text-sm bg-cyan-700 hover:bg-cyan-600 disabled:opacity-40">
+          Show results
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ScreenerPanel;
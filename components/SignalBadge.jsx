@@ -0,0 +1,12 @@
+import React from 'react';
+
+const SignalBadge = ({ signal }) => (
+  <div className={`inline-flex items-center px-2 py-1 rounded text-xs ${
+    signal.type === 'bullish' ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
+  }`}>
+    <span className="font-semibold">{signal.indicator}:</span>
+    <span className="ml-1">{signal.reason}</span>
+  </div>
+);
+
+export default SignalBadge;
@@ -0,0 +1,120 @@
+import React, { useState } from 'react';
+import CandlestickChart from './CandlestickChart.jsx';
+import IndicatorChart from './IndicatorChart.jsx';
+
+// Line series that can be drawn over the candles
+const OVERLAYS = [
+  { id: 'sma', label: 'SMA 20/50', lines: [
+    { key: 'sma20', name: 'SMA 20', color: '#3B82F6' },
+    { key: 'sma50', name: 'SMA 50', color: '#F59E0B' }
+  ] },
+  { id: 'bollinger', label: 'Bollinger (20, 2)', lines: [
+    { key: 'bbUpper', name: 'BB Upper', color: '#9CA3AF' },
+    { key: 'bbMiddle', name: 'BB Middle', color: '#6B7280' },
+    { key: 'bbLower', name: 'BB Lower', color: '#9CA3AF' }
+  ] },
+  { id: 'vwap', label: 'VWAP (20)', lines: [
+    { key: 'vwap', name: 'VWAP', color: '#EC4899' }
+  ] }
+];
+
+// Detected patterns drawn as markers (short labels keep busy charts readable)
+const PATTERN_LABELS = {
+  breakout: event => (event.direction === 'bullish' ? 'BO' : 'BD'),
+  gap: event => (event.direction === 'bullish' ? 'Gap▲' : 'Gap▼'),
+  swing: event => event.label,
+  engulfing: event => (event.direction === 'bullish' ? 'Eng▲' : 'Eng▼'),
+  hammer: () => 'Ham',
+  doji: () => 'Doji'
+};
+
+const PATTERN_COLORS = { bullish: '#10B981', bearish: '#EF4444', neutral: '#FBBF24' };
+
+const patternMarkers = (stock) => stock.patterns.events.map(event => ({
+  date: event.date,
+  price: event.price,
+  label: PATTERN_LABELS[event.kind](event),
+  color: PATTERN_COLORS[event.direction],
+  position: event.price >= stock.bars[event.index].close ? 'top' : 'bottom'
+}));
+
+const patternLevels = (stock) => stock.patterns.levels.map(level => ({
+  price: level.price,
+  label: `${level.kind === 'support' ? 'S' : 'R'} ${level.price.toFixed(2)} (${level.touches}x)`,
+  color: level.kind === 'support' ? '#34D399' : '#F87171'
+}));
+
+// Oscillators drawn in their own pane under the price chart
+const SUB_PANELS = [
+  { id: 'rsi', label: 'RSI (14)', lines: [{ key: 'rsi', name: 'RSI', color: '#A78BFA' }], levels: [30, 70], domain: [0, 100] },
+  { id: 'macd', label: 'MACD (12, 26, 9)', lines: [
+    { key: 'macd', name: 'MACD', color: '#3B82F6' },
+    { key: 'signal', name: 'Signal', color: '#F59E0B' }
+  ], bars: [{ key: 'histogram', name: 'Histogram' }], levels: [0] },
+  { id: 'stochastic', label: 'Stochastic (14, 3)', lines: [
+    { key: 'stochK', name: '%K', color: '#3B82F6' },
+    { key: 'stochD', name: '%D', color: '#F59E0B' }
+  ], levels: [20, 80], domain: [0, 100] },
+  { id: 'atr', label: 'ATR (14)', lines: [{ key: 'atr', name: 'ATR', color: '#F97316' }] },
+  { id: 'obv', label: 'On-Balance Volume', lines: [{ key: 'obv', name: 'OBV', color: '#14B8A6' }] },
+  { id: 'adx', label: 'ADX (14)', lines: [
+    { key: 'adx', name: 'ADX', color: '#FFFFFF' },
+    { key: 'plusDI', name: '+DI', color: '#10B981' },
+    { key: 'minusDI', name: '-DI', color: '#EF4444' }
+  ], levels: [25], domain: [0, 100] }
+];
+
+const Toggle = ({ active, label, onClick }) => (
+  <button
+    onClick={onClick}
+    className={`px-3 py-1 rounded text-xs font-semibold transition ${
+      active ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+    }`}
+  >
+    {label}
+  </button>
+);
+
+// Candlestick chart for a stock with toggleable overlays and indicator sub-panels
+const StockCharts = ({ stock }) => {
+  const [active, setActive] = useState(['sma', 'patterns', 'rsi', 'macd']);
+
+  const toggle = (id) => setActive(prev => (
+    prev.includes(id) ? prev.filter(item => item !== id) : [...prev, id]
+  ));
+
+  // One row per bar with every indicator series value for that bar
+  const rows = stock.bars.map((bar, idx) => ({
+    ...bar,
+    ...Object.fromEntries(Object.entries(stock.series).map(([key, values]) => [key, values[idx]]))
+  }));
+
+  return (
+    <div>
+      <div className="flex flex-wrap gap-2 mb-4">
+        {[...OVERLAYS, { id: 'patterns', label: 'Patterns' }, ...SUB_PANELS].map(item => (
+          <Toggle key={item.id} label={item.label} active={active.includes(item.id)} onClick={() => toggle(item.id)} />
+        ))}
+      </div>
+      <CandlestickChart
+        data={rows}
+        overlays={OVERLAYS.filter(item => active.includes(item.id)).flatMap(item => item.lines)}
+        levels={active.includes('patterns') ? patternLevels(stock) : []}
+        markers={active.includes('patterns') ? patternMarkers(stock) : []}
+      />
+      {SUB_PANELS.filter(item => active.includes(item.id)).map(panel => (
+        <IndicatorChart
+          key={panel.id}
+          title={panel.label}
+          data={rows}
+          lines={panel.lines}
+          bars={panel.bars}
+          levels={panel.levels}
+          domain={panel.domain}
+        />
+      ))}
+    </div>
+  );
+};
+
+export default StockCharts;
@@ -0,0 +1,65 @@
+import React from 'react';
+import { ChevronUp, ChevronDown } from 'lucide-react';
+import { SCREEN_FIELDS, formatField } from '../analysis/screener.js';
+
+const COLUMNS = Object.keys(SCREEN_FIELDS);
+
+const cellClass = (key, stock) => {
+  if (key === 'changePercent') return stock.changePercent >= 0 ? 'text-green-400' : 'text-red-400';
+  if (key === 'prediction') {
+    return stock.prediction === 'BULLISH' ? 'text-green-400' : stock.prediction === 'BEARISH' ? 'text-red-400' : 'text-gray-300';
+  }
+  return '';
+};
+
+// Table view of the filtered stocks. Clicking a header sorts on that column
+// (again to flip the direction); clicking a row opens the detailed view.
+// Symbols in `selected` (the comparison in compare mode) are highlighted.
+const StockTable = ({ stocks, sort, onSortChange, onSelect, selected = [] }) => {
+  const toggleSort = (key) => onSortChange(
+    sort?.key === key
+      ? { key, direction: sort.direction === 'asc' ? 'desc' : 'asc' }
+      : { key, direction: SCREEN_FIELDS[key].kind === 'number' ? 'desc' : 'asc' }
+  );
+
+  return (
+    <div className="overflow-x-auto bg-gray-800 rounded-lg mb-8">
+      <table className="w-full text-sm">
+        <thead className="text-gray-400 text-left">
+          <tr>
+            {COLUMNS.map(key => (
+              <th key={key} onClick={() => toggleSort(key)} className="p-3 cursor-pointer select-none hover:text-white whitespace-nowrap">
+                <span className="inline-flex items-center">
+                  {SCREEN_FIELDS[key].label}
+                  {sort?.key === key && (
+                    sort.direction === 'asc' ? <ChevronUp className="w-3 h-3 ml-1" /> : <ChevronDown className="w-3 h-3 ml-1" />
+                  )}
+                </span>
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {stocks.length === 0 && (
+            <tr><td colSpan={COLUMNS.length} className="p-3 text-gray-400">No stocks match</td></tr>
+          )}
+          {stocks.map(stock => (
+            <tr
+              key={stock.symbol}
+              onClick={() => onSelect(stock.symbol)}
+              className={`border-t border-gray-700 cursor-pointer hover:bg-gray-700 ${selected.includes(stock.symbol) ? 'bg-sky-900/40' : ''}`}
+            >
+              {COLUMNS.map(key => (
+                <td key={key} className={`p-3 whitespace-nowrap ${key === 'symbol' ? 'font-semibold' : ''} ${cellClass(key, stock)}`}>
+                  {formatField(key, stock)}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default StockTable;
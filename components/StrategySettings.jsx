@@ -0,0 +1,238 @@
+import React, { useState, useEffect } from 'react';
+import { GAIN_RULES, TREND_RULES } from '../analysis/rules.js';
+import { DEFAULT_STRATEGY, normaliseStrategy } from '../analysis/strategy.js';
+import { REGIME_CHECKS } from '../analysis/breadth.js';
+import { BENCHMARKS } from '../data/benchmarks.js';
+
+const inputClass = 'bg-gray-900 border border-gray-700 rounded px-2 py-1 text-white text-sm';
+
+const NumberInput = ({ value, step = 1, onChange, className = 'w-20' }) => (
+  <input
+    type="number"
+    step={step}
+    value={value}
+    onChange={(e) => {
+      const number = parseFloat(e.target.value);
+      if (Number.isFinite(number)) onChange(number);
+    }}
+    className={`${inputClass} ${className}`}
+  />
+);
+
+// One editable block of rules (gain or trend) with enable, points and params per rule
+const RuleList = ({ title, rules, registry, onChange }) => {
+  const updateRule = (index, changes) => onChange(rules.map((rule, idx) => (idx === index ? { ...rule, ...changes } : rule)));
+
+  return (
+    <div className="bg-gray-900 rounded-lg p-4">
+      <h4 className="font-semibold mb-3">{title}</h4>
+      <div className="space-y-2">
+        {rules.map((rule, index) => (
+          <div key={rule.type} className={`flex flex-wrap items-center gap-3 text-sm ${rule.enabled ? '' : 'opacity-50'}`}>
+            <label className="flex items-center w-56">
+              <input
+                type="checkbox"
+                checked={rule.enabled}
+                onChange={(e) => updateRule(index, { enabled: e.target.checked })}
+                className="mr-2"
+              />
+              {registry[rule.type].label}
+            </label>
+            <span className="text-gray-400">Points</span>
+            <NumberInput value={rule.points} onChange={points => updateRule(index, { points })} className="w-16" />
+            {registry[rule.type].params.map(param => (
+              <span key={param.key} className="flex items-center gap-1">
+                <span className="text-gray-400">{param.label}</span>
+                <NumberInput
+                  value={rule.params[param.key]}
+                  step={param.step}
+                  onChange={value => updateRule(index, { params: { ...rule.params, [param.key]: value } })}
+                />
+              </span>
+            ))}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// Strategy profile editor. `profiles` is { active, profiles: { [name]: strategy } };
+// the built-in Default profile can be copied but not overwritten or deleted.
+const StrategySettings = ({ profiles, onChange, onClose }) => {
+  const active = profiles.profiles[profiles.active] ?? DEFAULT_STRATEGY;
+  const [draft, setDraft] = useState(() => normaliseStrategy(active));
+  const [newName, setNewName] = useState('');
+  const [jsonText, setJsonText] = useState(null);
+  const [jsonError, setJsonError] = useState(null);
+
+  // Start from the stored profile again whenever another one is selected
+  useEffect(() => {
+    setDraft(normaliseStrategy(profiles.profiles[profiles.active] ?? DEFAULT_STRATEGY));
+  }, [profiles.active]);
+
+  const isDefault = profiles.active === DEFAULT_STRATEGY.name;
+  const updateSection = (section, changes) => setDraft({ ...draft, [section]: { ...draft[section], ...changes } });
+
+  const saveProfile = (name) => {
+    onChange({ active: name, profiles: { ...profiles.profiles, [name]: { ...draft, name } } });
+  };
+
+  const deleteProfile = () => {
+    const { [profiles.active]: removed, ...rest } = profiles.profiles;
+    onChange({ active: DEFAULT_STRATEGY.name, profiles: rest });
+  };
+
+  const applyJson = () => {
+    try {
+      setDraft(normaliseStrategy(JSON.parse(jsonText)));
+      setJsonText(null);
+      setJsonError(null);
+    } catch (err) {
+      setJsonError(err.message);
+    }
+  };
+
+  return (
+    <div className="mb-8 bg-gray-800 border-2 border-blue-500 rounded-lg p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h2 className="text-2xl font-bold">Strategy Settings</h2>
+          <p className="text-gray-400 text-sm">Scoring rules used by the stock cards and the backtest</p>
+        </div>
+        <button onClick={onClose} className="text-gray-400 hover:text-white text-2xl px-4">×</button>
+      </div>
+
+      {/* Profiles */}
+      <div className="flex flex-wrap items-center gap-3 mb-6 text-sm">
+        <span className="text-gray-400">Active profile</span>
+        <select
+          value={profiles.active}
+          onChange={(e) => onChange({ ...profiles, active: e.target.value })}
+          className={inputClass}
+        >
+          {[DEFAULT_STRATEGY.name, ...Object.keys(profiles.profiles).filter(name => name !== DEFAULT_STRATEGY.name)].map(name => (
+            <option key={name} value={name}>{name}</option>
+          ))}
+        </select>
+        <button
+          onClick={() => saveProfile(profiles.active)}
+          disabled={isDefault}
+          className="px-3 py-1 rounded bg-blue-600 hover:bg-blue-500 disabled:opacity-40 disabled:cursor-not-allowed"
+        >
+          Save
+        </button>
+        <button
+          onClick={deleteProfile}
+          disabled={isDefault}
+          className="px-3 py-1 rounded bg-gray-700 hover:bg-gray-600 disabled:opacity-40 disabled:cursor-not-allowed"
+        >
+          Delete
+        </button>
+        <input
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          placeholder="New profile name"
+          className={inputClass}
+        />
+        <button
+          onClick={() => { saveProfile(newName.trim()); setNewName(''); }}
+          disabled={!newName.trim() || newName.trim() === DEFAULT_STRATEGY.name}
+          className="px-3 py-1 rounded bg-green-700 hover:bg-green-600 disabled:opacity-40 disabled:cursor-not-allowed"
+        >
+          Save as new
+        </button>
+        <button
+          onClick={() => setJsonText(jsonText === null ? JSON.stringify(draft, null, 2) : null)}
+          className="ml-auto px-3 py-1 rounded bg-gray-700 hover:bg-gray-600"
+        >
+          {jsonText === null ? 'Edit JSON' : 'Close JSON'}
+        </button>
+      </div>
+
+      {jsonText !== null ? (
+        <div className="mb-4">
+          <textarea
+            value={jsonText}
+            onChange={(e) => setJsonText(e.target.value)}
+            rows={20}
+            className={`${inputClass} w-full font-mono text-xs`}
+          />
+          {jsonError && <div className="text-red-400 text-sm mt-1">{jsonError}</div>}
+          <button onClick={applyJson} className="mt-2 px-3 py-1 rounded bg-blue-600 hover:bg-blue-500 text-sm">
+            Apply JSON to draft
+          </button>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          <div className="flex flex-wrap gap-6 text-sm">
+            <label className="flex items-center gap-2">
+              <span className="text-gray-400">High probability at</span>
+              <NumberInput value={draft.gain.highProbabilityThreshold} onChange={value => updateSection('gain', { highProbabilityThreshold: value })} />
+            </label>
+            <label className="flex items-center gap-2">
+              <span className="text-gray-400">Probability cap</span>
+              <NumberInput value={draft.gain.cap} onChange={value => updateSection('gain', { cap: value })} />
+            </label>
+            <label className="flex items-center gap-2">
+              <span className="text-gray-400">BULLISH above</span>
+              <NumberInput value={draft.trend.bullishCutoff} onChange={value => updateSection('trend', { bullishCutoff: value })} />
+            </label>
+            <label className="flex items-center gap-2">
+              <span className="text-gray-400">BEARISH below</span>
+              <NumberInput value={draft.trend.bearishCutoff} onChange={value => updateSection('trend', { bearishCutoff: value })} />
+            </label>
+            <label className="flex items-center gap-2">
+              <span className="text-gray-400">Benchmark</span>
+              <select value={draft.benchmark} onChange={(e) => setDraft({ ...draft, benchmark: e.target.value })} className={inputClass}>
+                {BENCHMARKS.map(benchmark => (
+                  <option key={benchmark.symbol} value={benchmark.symbol}>{benchmark.name} ({benchmark.code})</option>
+                ))}
+              </select>
+            </label>
+          </div>
+          <div className={`bg-gray-900 rounded-lg p-4 text-sm ${draft.gain.regime.enabled ? '' : 'opacity-50'}`}>
+            <label className="flex items-center font-semibold mb-3">
+              <input
+                type="checkbox"
+                checked={draft.gain.regime.enabled}
+                onChange={(e) => updateSection('gain', { regime: { ...draft.gain.regime, enabled: e.target.checked } })}
+                className="mr-2"
+              />
+              Market regime filter - only flag gainers when breadth qualifies
+            </label>
+            <div className="flex flex-wrap gap-6">
+              {REGIME_CHECKS.map(check => (
+                <label key={check.key} className="flex items-center gap-2">
+                  <span className="text-gray-400">{check.label}</span>
+                  <NumberInput
+                    value={draft.gain.regime[check.key]}
+                    onChange={value => updateSection('gain', { regime: { ...draft.gain.regime, [check.key]: value } })}
+                  />
+                </label>
+              ))}
+            </div>
+          </div>
+          <RuleList
+            title="Intraday Gain Rules"
+            rules={draft.gain.rules}
+            registry={GAIN_RULES}
+            onChange={rules => updateSection('gain', { rules })}
+          />
+          <RuleList
+            title="Trend Rules"
+            rules={draft.trend.rules}
+            registry={TREND_RULES}
+            onChange={rules => updateSection('trend', { rules })}
+          />
+        </div>
+      )}
+
+      {isDefault && (
+        <p className="mt-4 text-xs text-gray-400">The Default profile is read-only - use "Save as new" to keep your edits.</p>
+      )}
+    </div>
+  );
+};
+
+export default StrategySettings;
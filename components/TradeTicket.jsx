@@ -0,0 +1,59 @@
+import React, { useState } from 'react';
+import { suggestTicket } from '../trading/paperTrading.js';
+
+const inputClass = 'w-full bg-gray-900 border border-gray-700 rounded px-2 py-1 text-white';
+
+// Order ticket for opening a simulated long position at the current price
+const TradeTicket = ({ stock, plan, onSubmit, onCancel }) => {
+  const [ticket, setTicket] = useState(() => suggestTicket(stock, plan));
+
+  const field = (key, label, step) => (
+    <label className="text-sm">
+      <div className="text-gray-400 mb-1">{label}</div>
+      <input
+        type="number"
+        step={step}
+        value={Number(ticket[key].toFixed(key === 'quantity' ? 0 : 3))}
+        onChange={(e) => {
+          const value = parseFloat(e.target.value);
+          if (Number.isFinite(value)) setTicket({ ...ticket, [key]: value });
+        }}
+        className={inputClass}
+      />
+    </label>
+  );
+
+  const risk = (ticket.entryPrice - ticket.stopLoss) * ticket.quantity;
+  const reward = (ticket.takeProfit - ticket.entryPrice) * ticket.quantity;
+  const valid = ticket.quantity > 0 && ticket.stopLoss < ticket.entryPrice && ticket.takeProfit > ticket.entryPrice;
+
+  return (
+    <div className="bg-gray-900 border border-blue-500 rounded-lg p-4 mb-6">
+      <h3 className="text-lg font-semibold mb-3">Paper Trade {stock.symbol} @ ${ticket.entryPrice.toFixed(2)}</h3>
+      <div className="grid grid-cols-3 gap-4 mb-3">
+        {field('quantity', 'Quantity', 1)}
+        {field('stopLoss', 'Stop-loss', 0.01)}
+        {field('takeProfit', 'Take-profit', 0.01)}
+      </div>
+      <div className="text-sm text-gray-400 mb-3">
+        Exposure ${(ticket.entryPrice * ticket.quantity).toFixed(2)} •
+        Risk <span className="text-red-400">${risk.toFixed(2)}</span> •
+        Reward <span className="text-green-400">${reward.toFixed(2)}</span>
+        {risk > 0 && ` • ${(reward / risk).toFixed(1)}R`}
+      </div>
+      {!valid && <div className="text-sm text-red-400 mb-3">Stop must be below and target above the entry price</div>}
+      <div className="flex gap-3">
+        <button
+          onClick={() => onSubmit({ ...ticket, symbol: stock.symbol, stock })}
+          disabled={!valid}
+          className="px-4 py-2 rounded bg-blue-600 hover:bg-blue-500 font-semibold disabled:opacity-40 disabled:cursor-not-allowed"
+        >
+          Open Position
+        </button>
+        <button onClick={onCancel} className="px-4 py-2 rounded bg-gray-700 hover:bg-gray-600">Cancel</button>
+      </div>
+    </div>
+  );
+};
+
+export default TradeTicket;
@@ -0,0 +1,143 @@
+import React, { useState } from 'react';
+import { Search, X, Upload } from 'lucide-react';
+import {
+  DEFAULT_UNIVERSE, normaliseSymbol, parseConstituentsCsv, mergeUniverse, searchUniverse, formatMarketCap
+} from '../data/universe.js';
+
+// Constituents file shipped with the app (public/universe)
+const SAMPLE_CONSTITUENTS_URL = '/universe/sample-constituents.csv';
+
+const buttonClass = 'px-3 py-1 rounded text-sm bg-gray-700 hover:bg-gray-600';
+
+// Manage the analysed universe: load constituent lists, search and add tickers, remove tickers.
+// `catalog` is every known constituent (searchable), `universe` the tickers being analysed.
+const UniverseManager = ({ universe, onUniverseChange, catalog, onCatalogChange, onClose }) => {
+  const [query, setQuery] = useState('');
+  const [error, setError] = useState(null);
+
+  const inUniverse = new Set(universe.map(entry => entry.symbol));
+  const results = searchUniverse(mergeUniverse(catalog, DEFAULT_UNIVERSE), query).slice(0, 20);
+  const typedSymbol = query.trim() ? normaliseSymbol(query) : null;
+  const canAddTyped = typedSymbol && /^[A-Z0-9]{2,6}\.[A-Z]{2}$/.test(typedSymbol)
+    && !inUniverse.has(typedSymbol) && !results.some(entry => entry.symbol === typedSymbol);
+
+  const loadConstituents = (text, replace) => {
+    try {
+      const entries = parseConstituentsCsv(text);
+      if (entries.length === 0) throw new Error('No constituents found in file');
+      onCatalogChange(mergeUniverse(entries, catalog));
+      onUniverseChange(replace ? entries : mergeUniverse(universe, entries));
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const loadFile = (event, replace) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    file.text().then(text => loadConstituents(text, replace));
+    event.target.value = '';
+  };
+
+  const loadSample = async () => {
+    try {
+      const response = await fetch(SAMPLE_CONSTITUENTS_URL);
+      if (!response.ok) throw new Error(`Could not load sample constituents (HTTP ${response.status})`);
+      loadConstituents(await response.text(), true);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const add = (entry) => onUniverseChange(mergeUniverse(universe, [entry]));
+  const remove = (symbol) => onUniverseChange(universe.filter(entry => entry.symbol !== symbol));
+
+  return (
+    <div className="mb-8 bg-gray-800 border-2 border-teal-500 rounded-lg p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h2 className="text-2xl font-bold">Stock Universe</h2>
+          <p className="text-gray-400 text-sm">{universe.length} tickers analysed • {catalog.length} constituents loaded</p>
+        </div>
+        <button onClick={onClose} className="text-gray-400 hover:text-white text-2xl px-4">×</button>
+      </div>
+
+      {/* Constituent lists */}
+      <div className="flex flex-wrap items-center gap-3 mb-4">
+        <label className={`${buttonClass} cursor-pointer flex items-center`}>
+          <Upload className="w-4 h-4 mr-2" />
+          Replace from CSV
+          <input type="file" accept=".csv,text/csv" className="hidden" onChange={(e) => loadFile(e, true)} />
+        </label>
+        <label className={`${buttonClass} cursor-pointer flex items-center`}>
+          <Upload className="w-4 h-4 mr-2" />
+          Add from CSV
+          <input type="file" accept=".csv,text/csv" className="hidden" onChange={(e) => loadFile(e, false)} />
+        </label>
+        <button onClick={loadSample} className={buttonClass}>Load sample large caps</button>
+        <button onClick={() => onUniverseChange(DEFAULT_UNIVERSE)} className={buttonClass}>Reset to default</button>
+        <span className="text-xs text-gray-500">CSV columns: Code, Company, Sector, Market Cap</span>
+      </div>
+      {error && <div className="text-red-400 text-sm mb-4">{error}</div>}
+
+      {/* Search */}
+      <div className="relative mb-4">
+        <Search className="absolute left-3 top-2.5 w-4 h-4 text-gray-400" />
+        <input
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search by code, company or sector - or type a ticker to add"
+          className="w-full bg-gray-900 border border-gray-700 rounded pl-9 pr-3 py-2 text-white"
+        />
+      </div>
+      {(results.length > 0 || canAddTyped) && (
+        <div className="bg-gray-900 rounded-lg p-2 mb-4 max-h-64 overflow-y-auto">
+          {canAddTyped && (
+            <div className="flex justify-between items-center p-2 text-sm">
+              <span>{typedSymbol} <span className="text-gray-500">(not in loaded constituents)</span></span>
+              <button
+                onClick={() => { add({ symbol: typedSymbol, name: typedSymbol.replace('.AX', ''), sector: null, marketCap: null }); setQuery(''); }}
+                className="px-2 py-1 rounded bg-teal-700 hover:bg-teal-600"
+              >
+                Add
+              </button>
+            </div>
+          )}
+          {results.map(entry => (
+            <div key={entry.symbol} className="flex justify-between items-center p-2 text-sm hover:bg-gray-800 rounded">
+              <span>
+                <span className="font-semibold mr-2">{entry.symbol}</span>
+                {entry.name}
+                <span className="text-gray-500 ml-2">{entry.sector ?? ''}</span>
+              </span>
+              {inUniverse.has(entry.symbol) ? (
+                <button onClick={() => remove(entry.symbol)} className="px-2 py-1 rounded bg-gray-700 hover:bg-gray-600">Remove</button>
+              ) : (
+                <button onClick={() => add(entry)} className="px-2 py-1 rounded bg-teal-700 hover:bg-teal-600">Add</button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Current universe */}
+      <div className="flex flex-wrap gap-2 max-h-48 overflow-y-auto">
+        {universe.map(entry => (
+          <span
+            key={entry.symbol}
+            title={`${entry.name}${entry.sector ? ` • ${entry.sector}` : ''} • ${formatMarketCap(entry.marketCap)}`}
+            className="inline-flex items-center bg-gray-900 border border-gray-700 rounded px-2 py-1 text-xs"
+          >
+            {entry.symbol}
+            <button onClick={() => remove(entry.symbol)} className="ml-1 text-gray-400 hover:text-red-400">
+              <X className="w-3 h-3" />
+            </button>
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default UniverseManager;
@@ -0,0 +1,114 @@
+import React, { useState } from 'react';
+import { Upload, Download, Trash2 } from 'lucide-react';
+import {
+  createWatchlist, exportWatchlistsJson, exportWatchlistsCsv, parseWatchlists, mergeWatchlists
+} from '../data/watchlists.js';
+import { downloadFile } from '../data/download.js';
+
+const buttonClass = 'px-3 py-1 rounded text-sm bg-gray-700 hover:bg-gray-600 flex items-center';
+
+// Create, rename, delete, import and export watchlists
+const WatchlistManager = ({ watchlists, onChange, onClose }) => {
+  const [newName, setNewName] = useState('');
+  const [error, setError] = useState(null);
+
+  const rename = (id, name) => onChange(watchlists.map(list => (list.id === id ? { ...list, name } : list)));
+  const remove = (id) => onChange(watchlists.filter(list => list.id !== id));
+  const removeSymbol = (id, symbol) => onChange(watchlists.map(list => (
+    list.id === id ? { ...list, symbols: list.symbols.filter(item => item !== symbol) } : list
+  )));
+
+  const create = () => {
+    onChange([...watchlists, createWatchlist(newName.trim())]);
+    setNewName('');
+  };
+
+  const importFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    try {
+      const imported = parseWatchlists(await file.text());
+      if (imported.length === 0) throw new Error('No watchlists found in file');
+      onChange(mergeWatchlists(watchlists, imported));
+      setError(null);
+    } catch (err) {
+      setError(`Import failed: ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="mb-8 bg-gray-800 border-2 border-yellow-500 rounded-lg p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h2 className="text-2xl font-bold">Watchlists</h2>
+          <p className="text-gray-400 text-sm">Star tickers from the stock cards; each list becomes a filter tab</p>
+        </div>
+        <button onClick={onClose} className="text-gray-400 hover:text-white text-2xl px-4">×</button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3 mb-4">
+        <input
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          onKeyDown={(e) => { if (e.key === 'Enter' && newName.trim()) create(); }}
+          placeholder="New watchlist name"
+          className="bg-gray-900 border border-gray-700 rounded px-2 py-1 text-white text-sm"
+        />
+        <button onClick={create} disabled={!newName.trim()} className={`${buttonClass} disabled:opacity-40`}>
+          Create
+        </button>
+        <label className={`${buttonClass} cursor-pointer ml-auto`}>
+          <Upload className="w-4 h-4 mr-2" />
+          Import JSON/CSV
+          <input type="file" accept=".json,.csv,application/json,text/csv" className="hidden" onChange={importFile} />
+        </label>
+        <button
+          onClick={() => downloadFile('watchlists.json', exportWatchlistsJson(watchlists), 'application/json')}
+          disabled={watchlists.length === 0}
+          className={`${buttonClass} disabled:opacity-40`}
+        >
+          <Download className="w-4 h-4 mr-2" />
+          Export JSON
+        </button>
+        <button
+          onClick={() => downloadFile('watchlists.csv', exportWatchlistsCsv(watchlists), 'text/csv')}
+          disabled={watchlists.length === 0}
+          className={`${buttonClass} disabled:opacity-40`}
+        >
+          <Download className="w-4 h-4 mr-2" />
+          Export CSV
+        </button>
+      </div>
+      {error && <div className="text-red-400 text-sm mb-4">{error}</div>}
+
+      <div className="space-y-3">
+        {watchlists.map(list => (
+          <div key={list.id} className="bg-gray-900 rounded-lg p-3">
+            <div className="flex items-center gap-3 mb-2">
+              <input
+                value={list.name}
+                onChange={(e) => rename(list.id, e.target.value)}
+                className="bg-transparent border-b border-gray-700 font-semibold text-white"
+              />
+              <span className="text-gray-400 text-sm">{list.symbols.length} tickers</span>
+              <button onClick={() => remove(list.id)} className="ml-auto text-gray-400 hover:text-red-400">
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+            <div className="flex flex-wrap gap-2">
+              {list.symbols.map(symbol => (
+                <span key={symbol} className="inline-flex items-center bg-gray-800 rounded px-2 py-1 text-xs">
+                  {symbol}
+                  <button onClick={() => removeSymbol(list.id, symbol)} className="ml-1 text-gray-400 hover:text-red-400">×</button>
+                </span>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default WatchlistManager;
@@ -0,0 +1,41 @@
+import React, { useState } from 'react';
+import { Star } from 'lucide-react';
+
+// Star button on a stock card. Opens a menu to add/remove the symbol from each watchlist.
+// Clicks are kept from bubbling so the card underneath doesn't get selected.
+const WatchlistStar = ({ symbol, watchlists, onToggle }) => {
+  const [open, setOpen] = useState(false);
+  const starred = watchlists.some(list => list.symbols.includes(symbol));
+
+  return (
+    <div className="relative inline-block" onClick={(e) => e.stopPropagation()}>
+      <button
+        onClick={() => setOpen(!open)}
+        title="Add to watchlist"
+        className="p-1 rounded hover:bg-gray-700"
+      >
+        <Star className={`w-5 h-5 ${starred ? 'text-yellow-400 fill-yellow-400' : 'text-gray-500'}`} />
+      </button>
+      {open && (
+        <div className="absolute z-10 left-0 mt-1 w-48 bg-gray-900 border border-gray-700 rounded-lg shadow-lg p-2 text-sm">
+          {watchlists.length === 0 && (
+            <div className="text-gray-400 p-1">No watchlists yet - create one from the Watchlists panel</div>
+          )}
+          {watchlists.map(list => (
+            <label key={list.id} className="flex items-center p-1 rounded hover:bg-gray-800 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={list.symbols.includes(symbol)}
+                onChange={() => onToggle(list.id, symbol)}
+                className="mr-2"
+              />
+              {list.name}
+            </label>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WatchlistStar;
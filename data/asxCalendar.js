@@ -0,0 +1,181 @@
+// ASX trading calendar: sessions, public holidays and the market phase right now.
+// Dates are 'YYYY-MM-DD' and times are minutes after midnight, both in Sydney
+// local time (AEST/AEDT), which is what the exchange runs on.
+
+export const ASX_TIME_ZONE = 'Australia/Sydney';
+
+// Normal session, in minutes after midnight
+const PRE_OPEN = 7 * 60;
+const OPEN = 10 * 60;
+const CLOSE = 16 * 60;
+// Closing single price auction: pre-CSPA from the close, match by 12 minutes past
+const AUCTION_MINUTES = 12;
+// Christmas Eve and New Year's Eve trade until 2pm
+const EARLY_CLOSE = 14 * 60;
+
+export const MARKET_PHASES = {
+  preOpen: 'Pre-open',
+  open: 'Open',
+  closingAuction: 'Closing auction',
+  closed: 'Closed'
+};
+
+// Date arithmetic in UTC so daylight saving never shifts a day
+const toUtc = (date) => new Date(`${date}T00:00:00Z`);
+const fromUtc = (utc) => utc.toISOString().slice(0, 10);
+export const addDays = (date, count) => {
+  const utc = toUtc(date);
+  utc.setUTCDate(utc.getUTCDate() + count);
+  return fromUtc(utc);
+};
+const weekday = (date) => toUtc(date).getUTCDay();
+const isWeekend = (date) => weekday(date) === 0 || weekday(date) === 6;
+const ymd = (year, month, day) => `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+// Easter Sunday (anonymous Gregorian algorithm)
+const easterSunday = (year) => {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return ymd(year, month, day);
+};
+
+// Second Monday of June
+const kingsBirthday = (year) => {
+  const first = ymd(year, 6, 1);
+  const offset = (8 - weekday(first)) % 7;
+  return addDays(first, offset + 7);
+};
+
+const holidayCache = {};
+
+// ASX trading holidays for a year: { 'YYYY-MM-DD': name }. Weekend holidays move
+// to the next free weekday, except Anzac Day which is not substituted.
+export const asxHolidays = (year) => {
+  if (holidayCache[year]) return holidayCache[year];
+  const holidays = {};
+  const observe = (date, name) => {
+    let observed = date;
+    while (isWeekend(observed) || holidays[observed]) observed = addDays(observed, 1);
+    holidays[observed] = name;
+  };
+
+  observe(ymd(year, 1, 1), "New Year's Day");
+  observe(ymd(year, 1, 26), 'Australia Day');
+  const easter = easterSunday(year);
+  holidays[addDays(easter, -2)] = 'Good Friday';
+  holidays[addDays(easter, 1)] = 'Easter Monday';
+  if (!isWeekend(ymd(year, 4, 25))) holidays[ymd(year, 4, 25)] = 'Anzac Day';
+  holidays[kingsBirthday(year)] = "King's Birthday";
+  observe(ymd(year, 12, 25), 'Christmas Day');
+  observe(ymd(year, 12, 26), 'Boxing Day');
+
+  holidayCache[year] = holidays;
+  return holidays;
+};
+
+export const holidayName = (date) => asxHolidays(Number(date.slice(0, 4)))[date] ?? null;
+
+export const isTradingDay = (date) => !isWeekend(date) && !holidayName(date);
+
+export const nextTradingDay = (date) => {
+  let next = addDays(date, 1);
+  while (!isTradingDay(next)) next = addDays(next, 1);
+  return next;
+};
+
+export const previousTradingDay = (date) => {
+  let previous = addDays(date, -1);
+  while (!isTradingDay(previous)) previous = addDays(previous, -1);
+  return previous;
+};
+
+// The last `count` trading days up to and including `endDate`, oldest first
+export const tradingDaysUntil = (endDate, count) => {
+  const days = [];
+  let date = isTradingDay(endDate) ? endDate : previousTradingDay(endDate);
+  while (days.length < count) {
+    days.unshift(date);
+    date = previousTradingDay(date);
+  }
+  return days;
+};
+
+// Session times for a trading day, in minutes after midnight
+export const sessionTimes = (date) => {
+  const monthDay = date.slice(5);
+  const close = monthDay === '12-24' || monthDay === '12-31' ? EARLY_CLOSE : CLOSE;
+  return { preOpen: PRE_OPEN, open: OPEN, close, auctionEnd: close + AUCTION_MINUTES };
+};
+
+export const formatMinutes = (minutes) => (
+  `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`
+);
+
+// Start times of the intraday bars in a session, e.g. ['10:00', '10:05', ...]
+export const sessionBarTimes = (date, interval) => {
+  const { open, close } = sessionTimes(date);
+  const times = [];
+  for (let minutes = open; minutes < close; minutes += interval) times.push(formatMinutes(minutes));
+  return times;
+};
+
+const sydneyFormat = new Intl.DateTimeFormat('en-CA', {
+  timeZone: ASX_TIME_ZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  hourCycle: 'h23'
+});
+
+// Wall-clock date and minutes in Sydney for an instant
+export const sydneyTime = (now = new Date()) => {
+  const parts = Object.fromEntries(sydneyFormat.formatToParts(now).map(part => [part.type, part.value]));
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+};
+
+// Phases in which trades print: continuous trading and the closing auction match
+export const isTradingPhase = (clock) => clock.phase === 'open' || clock.phase === 'closingAuction';
+
+// Where the market is right now. `session` is the date of the latest session
+// that has opened, i.e. the date today's bars belong to.
+export const marketClock = (now = new Date()) => {
+  const { date, minutes } = sydneyTime(now);
+  const tradingDay = isTradingDay(date);
+  const times = sessionTimes(date);
+
+  let phase = 'closed';
+  if (tradingDay && minutes >= times.preOpen && minutes < times.open) phase = 'preOpen';
+  else if (tradingDay && minutes >= times.open && minutes < times.close) phase = 'open';
+  else if (tradingDay && minutes >= times.close && minutes < times.auctionEnd) phase = 'closingAuction';
+
+  const opened = tradingDay && minutes >= times.open;
+  const reason = holidayName(date) ?? (isWeekend(date) ? 'Weekend' : null);
+
+  return {
+    date,
+    time: formatMinutes(minutes),
+    minutes,
+    phase,
+    label: phase === 'closed' && reason ? `${MARKET_PHASES.closed} (${reason})` : MARKET_PHASES[phase],
+    isOpen: phase === 'open',
+    session: opened ? date : previousTradingDay(date),
+    nextOpen: tradingDay && minutes < times.open ? date : nextTradingDay(date)
+  };
+};
@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest';
+import { asxHolidays, holidayName, isTradingDay, marketClock, nextTradingDay, tradingDaysUntil } from './asxCalendar.js';
+
+// Sydney wall-clock time to an instant: AEDT is UTC+11 from the first Sunday
+// in October to the first Sunday in April, AEST UTC+10 otherwise
+const sydney = (date, time, offsetHours) => new Date(Date.parse(`${date}T${time}:00Z`) - offsetHours * 60 * 60 * 1000);
+
+describe('asxHolidays', () => {
+  it('dates Easter from the Gregorian computus', () => {
+    expect(asxHolidays(2024)).toMatchObject({ '2024-03-29': 'Good Friday', '2024-04-01': 'Easter Monday' });
+    expect(asxHolidays(2025)).toMatchObject({ '2025-04-18': 'Good Friday', '2025-04-21': 'Easter Monday' });
+    expect(asxHolidays(2026)).toMatchObject({ '2026-04-03': 'Good Friday', '2026-04-06': 'Easter Monday' });
+    expect(asxHolidays(2027)).toMatchObject({ '2027-03-26': 'Good Friday', '2027-03-29': 'Easter Monday' });
+  });
+
+  it("moves a weekend New Year's Day to the Monday", () => {
+    expect(holidayName('2022-01-03')).toBe("New Year's Day");
+    expect(holidayName('2023-01-02')).toBe("New Year's Day");
+    expect(isTradingDay('2023-01-03')).toBe(true);
+  });
+
+  it('moves Christmas and Boxing Day past a weekend without doubling up', () => {
+    // Christmas on a Saturday: Monday and Tuesday off
+    expect(holidayName('2021-12-27')).toBe('Christmas Day');
+    expect(holidayName('2021-12-28')).toBe('Boxing Day');
+    // Christmas on a Sunday: Boxing Day keeps the Monday taken, so moves to Tuesday
+    expect(holidayName('2022-12-26')).toBe('Christmas Day');
+    expect(holidayName('2022-12-27')).toBe('Boxing Day');
+    expect(isTradingDay('2022-12-28')).toBe(true);
+  });
+
+  it('does not substitute Anzac Day', () => {
+    expect(holidayName('2025-04-25')).toBe('Anzac Day');
+    // Saturday 25 April 2026: the Monday trades
+    expect(Object.values(asxHolidays(2026))).not.toContain('Anzac Day');
+    expect(isTradingDay('2026-04-27')).toBe(true);
+  });
+
+  it("keeps the King's Birthday on the second Monday of June", () => {
+    expect(holidayName('2025-06-09')).toBe("King's Birthday");
+    // 1 June 2026 is itself a Monday
+    expect(holidayName('2026-06-08')).toBe("King's Birthday");
+    expect(isTradingDay('2026-06-01')).toBe(true);
+  });
+});
+
+describe('trading days', () => {
+  it('steps over weekends and holidays', () => {
+    expect(nextTradingDay('2026-04-02')).toBe('2026-04-07');
+    expect(tradingDaysUntil('2026-04-07', 3)).toEqual(['2026-04-01', '2026-04-02', '2026-04-07']);
+  });
+});
+
+describe('marketClock', () => {
+  // Monday 19 Oct 2026, AEDT
+  const at = (time) => marketClock(sydney('2026-10-19', time, 11));
+
+  it('moves through the phases of a session', () => {
+    expect(at('06:59').phase).toBe('closed');
+    expect(at('07:00').phase).toBe('preOpen');
+    expect(at('09:59').phase).toBe('preOpen');
+    expect(at('10:00').phase).toBe('open');
+    expect(at('15:59').phase).toBe('open');
+    expect(at('16:00').phase).toBe('closingAuction');
+    expect(at('16:11').phase).toBe('closingAuction');
+    expect(at('16:12').phase).toBe('closed');
+  });
+
+  it("belongs to the previous session until today's opens", () => {
+    expect(at('09:59')).toMatchObject({ session: '2026-10-16', nextOpen: '2026-10-19', isOpen: false });
+    expect(at('10:00')).toMatchObject({ session: '2026-10-19', isOpen: true });
+    expect(at('17:00')).toMatchObject({ session: '2026-10-19', nextOpen: '2026-10-20' });
+  });
+
+  it('closes early on Christmas Eve and names holidays', () => {
+    expect(marketClock(sydney('2026-12-24', '14:00', 11)).phase).toBe('closingAuction');
+    expect(marketClock(sydney('2026-12-25', '11:00', 11))).toMatchObject({ phase: 'closed', label: 'Closed (Christmas Day)' });
+  });
+
+  it('opens at 10am Sydney time either side of the daylight saving change', () => {
+    // Friday 2 Oct 2026 is AEST (UTC+10); Monday 5 Oct 2026 is AEDT (UTC+11)
+    expect(marketClock(new Date('2026-10-01T23:59:00Z')).phase).toBe('preOpen');
+    expect(marketClock(new Date('2026-10-02T00:00:00Z')).phase).toBe('open');
+    expect(marketClock(new Date('2026-10-04T22:59:00Z')).phase).toBe('preOpen');
+    expect(marketClock(new Date('2026-10-04T23:00:00Z')).phase).toBe('open');
+    // Back to AEST after Sunday 5 April 2026; Tuesday 7 April is the first session
+    expect(marketClock(new Date('2026-04-06T23:59:00Z')).phase).toBe('preOpen');
+    expect(marketClock(new Date('2026-04-07T00:00:00Z'))).toMatchObject({ phase: 'open', date: '2026-04-07' });
+  });
+});
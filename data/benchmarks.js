@@ -0,0 +1,10 @@
+// Benchmark indices the dashboard compares stocks and strategies against.
+// Symbols are the Yahoo-style index tickers providers are asked for.
+export const BENCHMARKS = [
+  { symbol: '^AXJO', code: 'XJO', name: 'S&P/ASX 200' },
+  { symbol: '^AORD', code: 'XAO', name: 'All Ordinaries' }
+];
+
+export const DEFAULT_BENCHMARK = BENCHMARKS[0].symbol;
+
+export const findBenchmark = (symbol) => BENCHMARKS.find(benchmark => benchmark.symbol === symbol) ?? null;
@@ -0,0 +1,29 @@
+// Minimal CSV reading for user-supplied files (constituent lists, broker exports)
+
+// Split one CSV line, honouring double-quoted cells ("Goodman Group, The") and
+// doubled quotes inside them, as written by csvCell
+export const splitCsvLine = (line) => {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"' && quoted && line[i + 1] === '"') {
+      cell += '"';
+      i++;
+    } else if (char === '"') quoted = !quoted;
+    else if (char === ',' && !quoted) {
+      cells.push(cell.trim());
+      cell = '';
+    } else cell += char;
+  }
+  cells.push(cell.trim());
+  return cells;
+};
+
+// Header row plus data rows as arrays of trimmed cells; blank lines are dropped
+export const parseCsvTable = (text) => {
+  const lines = text.trim().split(/\r?\n/).filter(line => line.trim());
+  if (lines.length === 0) return { header: [], rows: [] };
+  return { header: splitCsvLine(lines[0]), rows: lines.slice(1).map(splitCsvLine) };
+};
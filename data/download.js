@@ -0,0 +1,32 @@
+// Save generated content (CSV, JSON, ...) as a file download in the browser
+export const downloadFile = (filename, content, type = 'text/plain') => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+// Quote a CSV cell when it contains a delimiter, quote or newline
+export const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (header, rows) => [header, ...rows].map(row => row.map(csvCell).join(',')).join('\n');
+
+// Open an HTML document in a new window and bring up the print dialog, where
+// it can also be saved as a PDF. Returns false when a popup blocker stops it.
+export const printHtml = (html) => {
+  const printWindow = window.open('', '_blank');
+  if (!printWindow) return false;
+  printWindow.document.write(html);
+  printWindow.document.close();
+  printWindow.focus();
+  printWindow.print();
+  return true;
+};
@@ -0,0 +1,120 @@
+// Export of what the dashboard computes: the analysed stock list with its
+// indicator values, the backtest breakdown per session and per trade, and the
+// prediction journal.
+import { toCsv } from './download.js';
+
+const round = (value, digits = 4) => (value === null || value === undefined || !Number.isFinite(value) ? null : Number(value.toFixed(digits)));
+
+// One flat record per stock: latest indicator values, scores and the reasons behind them
+export const stockRecord = (stock) => ({
+  symbol: stock.symbol,
+  name: stock.name,
+  sector: stock.sector ?? null,
+  date: stock.dates[stock.dates.length - 1],
+  price: round(stock.currentPrice),
+  change: round(stock.change),
+  changePercent: round(stock.changePercent),
+  rsi: round(stock.rsi, 2),
+  macd: round(stock.macd.macd),
+  macdSignal: round(stock.macd.signal),
+  macdHistogram: round(stock.macd.histogram),
+  sma20: round(stock.sma20),
+  sma50: round(stock.sma50),
+  atr: round(stock.atr),
+  bollingerUpper: round(stock.bollinger.upper),
+  bollingerMiddle: round(stock.bollinger.middle),
+  bollingerLower: round(stock.bollinger.lower),
+  bollingerBandwidth: round(stock.bollinger.bandwidth),
+  squeeze: stock.bollinger.squeeze,
+  vwap: round(stock.vwap),
+  stochasticK: round(stock.stochastic.k, 2),
+  stochasticD: round(stock.stochastic.d, 2),
+  adx: round(stock.adx.adx, 2),
+  plusDI: round(stock.adx.plusDI, 2),
+  minusDI: round(stock.adx.minusDI, 2),
+  support: round(stock.support),
+  resistance: round(stock.resistance),
+  benchmark: stock.relative?.code ?? null,
+  relativeToday: round(stock.relative?.today, 2),
+  relative20: round(stock.relative?.month, 2),
+  beta: round(stock.relative?.beta, 3),
+  prediction: stock.prediction,
+  confidence: round(stock.confidence, 1),
+  gainScore: stock.gainScore,
+  gainProbability: round(stock.gainProbability, 1),
+  isHighProbability: stock.isHighProbability,
+  signals: stock.signals.map(signal => `${signal.indicator}: ${signal.reason}`),
+  gainReasons: stock.gainReasons
+});
+
+export const exportStocksJson = (stocks) => JSON.stringify(stocks.map(stockRecord), null, 2);
+
+// Reason lists are joined with ' | ' to keep one row per stock
+export const exportStocksCsv = (stocks) => {
+  const records = stocks.map(stockRecord);
+  if (records.length === 0) return '';
+  const header = Object.keys(records[0]);
+  return toCsv(header, records.map(record => header.map(key => (
+    Array.isArray(record[key]) ? record[key].join(' | ') : record[key]
+  ))));
+};
+
+// One row per replayed session
+export const exportBacktestDaysCsv = (days) => toCsv(
+  ['date', 'predictions', 'wins', 'losses', 'winRate', 'avgGain', 'benchmarkGain', 'trendCalls', 'trendCorrect', 'trendAccuracy'],
+  days.map(day => [
+    day.session,
+    day.totalPredictions,
+    day.successfulPredictions,
+    day.failedPredictions,
+    round(day.winRate, 2),
+    round(day.avgGain),
+    round(day.benchmarkGain),
+    day.trendCalls,
+    day.trendCorrect,
+    round(day.trendAccuracy, 2)
+  ])
+);
+
+// One row per pick taken in the backtest
+export const exportBacktestTradesCsv = (days) => toCsv(
+  ['date', 'symbol', 'predictedProbability', 'gainScore', 'prediction', 'entryPrice', 'exitPrice', 'actualGain', 'success'],
+  days.flatMap(day => day.predictions.map(pred => [
+    day.session,
+    pred.symbol,
+    round(pred.predictedProb, 1),
+    pred.gainScore,
+    pred.prediction,
+    round(pred.entryPrice),
+    round(pred.exitPrice),
+    round(pred.actualGain),
+    pred.success
+  ]))
+);
+
+// One row per journal entry, newest first
+export const exportJournalCsv = (entries) => toCsv(
+  ['session', 'recordedAt', 'kind', 'symbol', 'call', 'price', 'score', 'probability', 'rsi', 'changePercent',
+    'macdHistogram', 'rules', 'strategy', 'horizon', 'threshold', 'status', 'exitSession', 'exitPrice', 'outcome'],
+  entries.map(entry => [
+    entry.session,
+    entry.recordedAt ? new Date(entry.recordedAt).toISOString() : null,
+    entry.kind,
+    entry.symbol,
+    entry.call,
+    round(entry.price),
+    round(entry.score, 1),
+    round(entry.probability, 1),
+    entry.inputs?.rsi,
+    entry.inputs?.changePercent,
+    entry.inputs?.macdHistogram,
+    (entry.inputs?.rules ?? []).join(' | '),
+    entry.strategy,
+    entry.horizon,
+    entry.threshold,
+    entry.status,
+    entry.exitSession,
+    round(entry.exitPrice),
+    round(entry.outcome)
+  ])
+);
@@ -0,0 +1,155 @@
+import { generateSeededBars, generateSeededIntradayBars } from './simulate.js';
+
+// Market data providers. Every provider exposes
+//   getHistory(symbol, { days, interval }) => Promise<bar[]>
+// where a bar is { date, open, high, low, close, volume }, sorted oldest first,
+// and `days` counts trading sessions. Daily bars ('1d') are dated 'YYYY-MM-DD';
+// intraday bars are dated 'YYYY-MM-DD HH:mm' in exchange (Sydney) time.
+// The dashboard only ever talks to this interface.
+
+// Bar intervals the dashboard can chart, with the sessions of history each loads
+export const TIMEFRAMES = {
+  '1d': { label: 'Daily', minutes: null, days: 60 },
+  '15m': { label: '15 min', minutes: 15, days: 5 },
+  '5m': { label: '5 min', minutes: 5, days: 3 },
+  '1m': { label: '1 min', minutes: 1, days: 2 }
+};
+
+export const isIntraday = (interval) => Boolean(TIMEFRAMES[interval]?.minutes);
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// '2024-03-01', '2024-03-01T10:05:00+11:00' -> '2024-03-01' / '2024-03-01 10:05'
+const parseBarDate = (value) => {
+  const match = String(value ?? '').match(/^(\d{4}-\d{2}-\d{2})(?:[ T](\d{2}:\d{2}))?/);
+  if (!match) return null;
+  return match[2] ? `${match[1]} ${match[2]}` : match[1];
+};
+
+// Normalise raw rows (CSV or JSON) into clean, date-sorted bars
+export const normaliseBars = (rows) => rows
+  .map(row => {
+    const close = toNumber(row.close ?? row.Close);
+    return {
+      date: parseBarDate(row.date ?? row.Date ?? row.datetime ?? row.Datetime),
+      open: toNumber(row.open ?? row.Open) ?? close,
+      high: toNumber(row.high ?? row.High) ?? close,
+      low: toNumber(row.low ?? row.Low) ?? close,
+      close,
+      volume: toNumber(row.volume ?? row.Volume) ?? 0
+    };
+  })
+  .filter(bar => bar.close !== null && bar.date)
+  .sort((a, b) => a.date.localeCompare(b.date));
+
+// Parse OHLCV CSV. Accepts our own date,open,high,low,close,volume header and
+// Yahoo-style exports (Date or Datetime,Open,High,Low,Close,Adj Close,Volume).
+export const parseCsvBars = (text) => {
+  const lines = text.trim().split(/\r?\n/).filter(line => line.trim());
+  if (lines.length < 2) return [];
+
+  const header = lines[0].split(',').map(col => col.trim().toLowerCase());
+  const rows = lines.slice(1).map(line => {
+    const cells = line.split(',');
+    return header.reduce((row, col, idx) => ({ ...row, [col]: cells[idx]?.trim() }), {});
+  });
+
+  return normaliseBars(rows);
+};
+
+// Bars from the last `days` sessions (one bar per session for daily data)
+const lastDays = (bars, days) => {
+  if (!days) return bars;
+  const sessions = [...new Set(bars.map(bar => bar.date.slice(0, 10)))].slice(-days);
+  return bars.filter(bar => bar.date.slice(0, 10) >= sessions[0]);
+};
+
+// In-memory datasets keyed by symbol - handy for fixed test fixtures
+export const createStaticProvider = (datasets) => ({
+  name: 'static',
+  getHistory: async (symbol, { days } = {}) => {
+    const bars = datasets[symbol];
+    if (!bars) throw new Error(`No market data for ${symbol}`);
+    return lastDays(normaliseBars(bars), days);
+  }
+});
+
+// Static CSV or JSON files, one per symbol: `${baseUrl}/CBA.AX.csv` for daily
+// bars and `${baseUrl}/5m/CBA.AX.csv` for intraday intervals
+export const createFileProvider = ({ baseUrl = '/data/ohlcv', format = 'csv', fetchImpl = fetch } = {}) => ({
+  name: 'file',
+  getHistory: async (symbol, { days, interval = '1d' } = {}) => {
+    const folder = isIntraday(interval) ? `${baseUrl}/${interval}` : baseUrl;
+    const response = await fetchImpl(`${folder}/${symbol}.${format}`);
+    if (!response.ok) throw new Error(`No market data for ${symbol} (HTTP ${response.status})`);
+
+    if (format === 'json') {
+      const body = await response.json();
+      return lastDays(normaliseBars(Array.isArray(body) ? body : body.bars), days);
+    }
+    return lastDays(parseCsvBars(await response.text()), days);
+  }
+});
+
+// HTTP market data service, e.g. the local mock server (npm run mock:server)
+export const createHttpProvider = ({ baseUrl = 'http://localhost:8787', fetchImpl = fetch } = {}) => ({
+  name: 'http',
+  getHistory: async (symbol, { days = 60, interval = '1d' } = {}) => {
+    const response = await fetchImpl(`${baseUrl}/history/${encodeURIComponent(symbol)}?days=${days}&interval=${interval}`);
+    if (!response.ok) throw new Error(`No market data for ${symbol} (HTTP ${response.status})`);
+    const body = await response.json();
+    return normaliseBars(body.bars);
+  }
+});
+
+// Seeded random walk, for working on the UI without any data source
+export const createSimulatedProvider = () => ({
+  name: 'simulated',
+  getHistory: async (symbol, { days = 60, interval = '1d' } = {}) => (
+    isIntraday(interval)
+      ? generateSeededIntradayBars(symbol, { days, interval: TIMEFRAMES[interval].minutes })
+      : generateSeededBars(symbol, { days })
+  )
+});
+
+// Load daily history for `symbols` and the `benchmarks` indices from one provider.
+// Series need at least two bars to work out a day's change; symbols and benchmark
+// codes without them are listed in `failed`.
+export const loadStocks = async (provider, symbols, { days, benchmarks = [] } = {}) => {
+  const [results, benchmarkResults] = await Promise.all([
+    Promise.allSettled(symbols.map(symbol => provider.getHistory(symbol, { days }))),
+    Promise.allSettled(benchmarks.map(benchmark => provider.getHistory(benchmark.symbol, { days })))
+  ]);
+  const usable = (result) => result.status === 'fulfilled' && result.value.length >= 2;
+
+  const histories = {};
+  const loadedBenchmarks = {};
+  const failed = [];
+  results.forEach((result, index) => {
+    if (usable(result)) histories[symbols[index]] = result.value;
+    else failed.push(symbols[index]);
+  });
+  benchmarkResults.forEach((result, index) => {
+    if (usable(result)) loadedBenchmarks[benchmarks[index].symbol] = result.value;
+    else failed.push(benchmarks[index].code);
+  });
+
+  return { histories, benchmarks: loadedBenchmarks, failed };
+};
+
+// Pick a provider from Vite env: VITE_MARKET_DATA_SOURCE = simulated | file | http
+export const createMarketDataProvider = (config = {}) => {
+  const env = import.meta.env ?? {};
+  const source = config.source ?? env.VITE_MARKET_DATA_SOURCE ?? 'simulated';
+  const baseUrl = config.baseUrl ?? env.VITE_MARKET_DATA_URL;
+
+  if (source === 'file') {
+    return createFileProvider({ baseUrl, format: config.format ?? env.VITE_MARKET_DATA_FORMAT });
+  }
+  if (source === 'http') return createHttpProvider({ baseUrl });
+  if (source === 'simulated') return createSimulatedProvider();
+  throw new Error(`Unknown market data source: ${source}`);
+};
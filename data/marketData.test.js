@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import { createStaticProvider, loadStocks, parseCsvBars } from './marketData.js';
+import { BENCHMARKS } from './benchmarks.js';
+import { buildStockData } from '../analysis/stockAnalysis.js';
+import { DEFAULT_STRATEGY } from '../analysis/strategy.js';
+import { createAnalysisEngine } from '../analysis/engine.js';
+
+// Fixed daily bars: a steady climb with a wobble, dated from 1 July 2024
+const fixture = (count, start, step) => Array.from({ length: count }, (_, i) => {
+  const close = start + i * step + Math.sin(i) * 2;
+  const date = new Date(Date.UTC(2024, 6, 1 + i)).toISOString().slice(0, 10);
+  return { date, open: close - 0.5, high: close + 1, low: close - 1, close, volume: 100000 + i * 1000 };
+});
+
+const datasets = {
+  'CBA.AX': fixture(80, 100, 0.5),
+  'BHP.AX': fixture(80, 40, -0.1),
+  'NEW.AX': fixture(1, 10, 0),
+  '^AXJO': fixture(80, 7000, 5)
+};
+
+describe('createStaticProvider', () => {
+  it('serves the last `days` sessions of a dataset, oldest first', async () => {
+    const provider = createStaticProvider({ 'CBA.AX': [...datasets['CBA.AX']].reverse() });
+    const bars = await provider.getHistory('CBA.AX', { days: 60 });
+    expect(bars).toHaveLength(60);
+    expect(bars[0].date).toBe(datasets['CBA.AX'][20].date);
+    expect(bars[59]).toEqual(datasets['CBA.AX'][79]);
+  });
+
+  it('rejects symbols it has no data for', async () => {
+    await expect(createStaticProvider({}).getHistory('XYZ.AX')).rejects.toThrow('No market data for XYZ.AX');
+  });
+});
+
+describe('loadStocks', () => {
+  const provider = createStaticProvider(datasets);
+
+  it('loads histories and benchmarks and lists what failed', async () => {
+    const loaded = await loadStocks(provider, ['CBA.AX', 'BHP.AX', 'NEW.AX', 'XYZ.AX'], { days: 60, benchmarks: BENCHMARKS });
+    expect(Object.keys(loaded.histories)).toEqual(['CBA.AX', 'BHP.AX']);
+    expect(Object.keys(loaded.benchmarks)).toEqual(['^AXJO']);
+    // One bar is not enough for a day's change
+    expect(loaded.failed).toEqual(['NEW.AX', 'XYZ.AX', 'XAO']);
+  });
+
+  it('feeds the analysis with the fixed dataset', async () => {
+    const { histories, benchmarks } = await loadStocks(provider, ['CBA.AX', 'BHP.AX'], { days: 60, benchmarks: BENCHMARKS });
+    const cba = buildStockData('CBA.AX', histories['CBA.AX'], DEFAULT_STRATEGY, null, benchmarks);
+    const bars = datasets['CBA.AX'];
+
+    expect(cba.currentPrice).toBe(bars[79].close);
+    expect(cba.changePercent).toBeCloseTo(((bars[79].close - bars[78].close) / bars[78].close) * 100, 10);
+    expect(cba.sma20).toBeCloseTo(bars.slice(60).reduce((sum, bar) => sum + bar.close, 0) / 20, 10);
+    expect(cba.relative.code).toBe('XJO');
+    expect(['BULLISH', 'BEARISH', 'NEUTRAL']).toContain(cba.prediction);
+    expect(cba.gainProbability).toBeGreaterThanOrEqual(0);
+    expect(cba.gainProbability).toBeLessThanOrEqual(100);
+
+    // The worker engine gives the same answer from the same data
+    const { stocks } = createAnalysisEngine().analyse({
+      symbols: ['CBA.AX', 'BHP.AX'], bars: histories, strategy: DEFAULT_STRATEGY, calibration: null, benchmarks
+    });
+    expect(stocks['CBA.AX']).toEqual(cba);
+  });
+});
+
+describe('parseCsvBars', () => {
+  it('reads Yahoo-style exports', () => {
+    const bars = parseCsvBars('Date,Open,High,Low,Close,Adj Close,Volume\n2024-07-02,10,11,9,10.5,10.4,500\n2024-07-01,9,10,8,9.5,9.4,400\n');
+    expect(bars).toEqual([
+      { date: '2024-07-01', open: 9, high: 10, low: 8, close: 9.5, volume: 400 },
+      { date: '2024-07-02', open: 10, high: 11, low: 9, close: 10.5, volume: 500 }
+    ]);
+  });
+});
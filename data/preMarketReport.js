@@ -0,0 +1,106 @@
+// One-page pre-market report of the day's top gainer candidates, as a standalone
+// HTML document (inline styles and SVG charts) that prints cleanly to A4/PDF.
+
+// Gainer picks shown on the page
+export const REPORT_PICKS = 6;
+
+// Sessions drawn in each pick's chart
+const CHART_SESSIONS = 30;
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+})[char]);
+
+const signed = (value, digits = 2) => `${value >= 0 ? '+' : ''}${value.toFixed(digits)}%`;
+
+// Before the open the live flag is suppressed, so picks are the stocks that would
+// qualify on the latest bars: score over the threshold and no regime blocks
+export const reportPicks = (stocks, strategy, count = REPORT_PICKS) => stocks
+  .filter(stock => stock.gainScore >= strategy.gain.highProbabilityThreshold && stock.regimeBlocks.length === 0)
+  .sort((a, b) => b.gainProbability - a.gainProbability)
+  .slice(0, count);
+
+// Close line with its 20-day SMA over the last sessions, as an inline SVG
+export const chartSvg = (stock, width = 320, height = 90) => {
+  const closes = stock.prices.slice(-CHART_SESSIONS);
+  const sma = stock.series.sma20.slice(-CHART_SESSIONS);
+  const values = [...closes, ...sma.filter(value => value !== null)];
+  const low = Math.min(...values);
+  const span = Math.max(...values) - low || 1;
+  const x = (i) => (i / Math.max(closes.length - 1, 1)) * width;
+  const y = (value) => height - 4 - ((value - low) / span) * (height - 8);
+  const path = (series) => series
+    .map((value, i) => (value === null ? null : `${x(i).toFixed(1)},${y(value).toFixed(1)}`))
+    .filter(Boolean)
+    .join(' ');
+  const up = closes[closes.length - 1] >= closes[0];
+
+  return `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">`
+    + `<polyline points="${path(sma)}" fill="none" stroke="#f59e0b" stroke-width="1" stroke-dasharray="3 2" />`
+    + `<polyline points="${path(closes)}" fill="none" stroke="${up ? '#059669' : '#dc2626'}" stroke-width="1.5" />`
+    + '</svg>';
+};
+
+const pickCard = (stock) => `
+  <div class="pick">
+    <div class="pick-head">
+      <div><strong>${escapeHtml(stock.symbol)}</strong> <span class="muted">${escapeHtml(stock.name)}</span></div>
+      <div class="prob">${stock.gainProbability.toFixed(0)}%</div>
+    </div>
+    <div class="muted small">
+      ${escapeHtml(stock.sector ?? 'Unclassified')} • Last $${stock.currentPrice.toFixed(2)} (${signed(stock.changePercent)})
+      • ${escapeHtml(stock.prediction)} ${stock.confidence.toFixed(0)}% • RSI ${stock.rsi.toFixed(1)}
+    </div>
+    ${chartSvg(stock)}
+    <ul>${stock.gainReasons.map(reason => `<li>${escapeHtml(reason)}</li>`).join('')}</ul>
+  </div>`;
+
+// `session` is the date of the session the report is for ('YYYY-MM-DD')
+export const buildPreMarketReport = ({ stocks, strategy, breadth, session, generatedAt = new Date() }) => {
+  const picks = reportPicks(stocks, strategy);
+  const sessionLabel = new Date(`${session}T00:00:00Z`).toLocaleDateString('en-AU', {
+    weekday: 'long', day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC'
+  });
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>ASX Pre-Market Report ${escapeHtml(session)}</title>
+<style>
+  @page { size: A4; margin: 12mm; }
+  body { font-family: -apple-system, 'Segoe UI', Roboto, sans-serif; color: #111827; margin: 0; font-size: 12px; }
+  h1 { font-size: 20px; margin: 0 0 2px; }
+  .muted { color: #6b7280; }
+  .small { font-size: 11px; }
+  .breadth { display: flex; gap: 16px; margin: 10px 0; padding: 8px; background: #f3f4f6; border-radius: 6px; }
+  .picks { display: grid; grid-template-columns: 1fr 1fr; gap: 10px; }
+  .pick { border: 1px solid #d1d5db; border-radius: 6px; padding: 8px; break-inside: avoid; }
+  .pick-head { display: flex; justify-content: space-between; align-items: baseline; font-size: 14px; }
+  .prob { font-weight: 700; color: #7c3aed; }
+  ul { margin: 4px 0 0; padding-left: 16px; }
+  li { margin: 1px 0; }
+  footer { margin-top: 12px; font-size: 10px; color: #6b7280; }
+</style>
+</head>
+<body>
+  <h1>ASX Pre-Market Report — ${escapeHtml(sessionLabel)}</h1>
+  <div class="muted">Generated ${escapeHtml(generatedAt.toLocaleString('en-AU'))} • Strategy: ${escapeHtml(strategy.name)}
+    • Top ${REPORT_PICKS} intraday gainer candidates scoring ${strategy.gain.highProbabilityThreshold}+</div>
+  <div class="breadth">
+    <span>Advance / Decline <strong>${breadth.advancers} / ${breadth.decliners}</strong></span>
+    <span>Above 20-day SMA <strong>${breadth.aboveSma20.toFixed(0)}%</strong></span>
+    <span>Average RSI <strong>${breadth.averageRsi.toFixed(1)}</strong></span>
+    <span>Bullish / Bearish <strong>${breadth.bullish} / ${breadth.bearish}</strong></span>
+    <span>Avg change <strong>${signed(breadth.averageChange)}</strong></span>
+  </div>
+  ${picks.length > 0
+    ? `<div class="picks">${picks.map(pickCard).join('')}</div>`
+    : '<p>No stocks qualify as high probability gainers on the latest bars.</p>'}
+  <footer>
+    Charts show the last ${CHART_SESSIONS} sessions' closes with the 20-day SMA (dashed). Probabilities are
+    model estimates from the latest bars, not advice. Past performance does not guarantee future results.
+  </footer>
+</body>
+</html>`;
+};
@@ -0,0 +1,133 @@
+import { marketClock, isTradingPhase } from './asxCalendar.js';
+
+// Live quote streams. Every stream exposes
+//   subscribe(symbols, { onQuote, onStatus, lastPrice }) => unsubscribe
+// where a quote is { symbol, price, volume, time }: the traded price, the volume
+// traded since the previous quote and the trade time in ms. onStatus receives
+// 'connecting' | 'live' | 'reconnecting'. The dashboard folds quotes into the
+// daily bars with applyQuotes, so streams never need to know about bars.
+
+// Server-Sent Events: GET `${url}?symbols=CBA.AX,BHP.AX`, one `quote` event per trade.
+// EventSource reconnects on its own after a dropped connection.
+export const createSseStream = ({ url = 'http://localhost:8787/stream' } = {}) => ({
+  name: 'sse',
+  subscribe: (symbols, { onQuote, onStatus = () => {} }) => {
+    onStatus('connecting');
+    const source = new EventSource(`${url}?symbols=${encodeURIComponent(symbols.join(','))}`);
+    source.onopen = () => onStatus('live');
+    source.onerror = () => onStatus('reconnecting');
+    source.addEventListener('quote', (event) => onQuote(JSON.parse(event.data)));
+    return () => source.close();
+  }
+});
+
+// WebSocket feed: sends { type: 'subscribe', symbols } on connect and accepts a
+// quote or an array of quotes per message. Reconnects after a dropped connection.
+export const createWebSocketStream = ({ url = 'ws://localhost:8787/quotes', retryMs = 3000 } = {}) => ({
+  name: 'websocket',
+  subscribe: (symbols, { onQuote, onStatus = () => {} }) => {
+    let socket;
+    let retry;
+    let closed = false;
+
+    const connect = () => {
+      onStatus('connecting');
+      socket = new WebSocket(url);
+      socket.onopen = () => {
+        onStatus('live');
+        socket.send(JSON.stringify({ type: 'subscribe', symbols }));
+      };
+      socket.onmessage = (event) => {
+        const message = JSON.parse(event.data);
+        (Array.isArray(message) ? message : [message]).forEach(onQuote);
+      };
+      socket.onclose = () => {
+        if (closed) return;
+        onStatus('reconnecting');
+        retry = setTimeout(connect, retryMs);
+      };
+    };
+
+    connect();
+    return () => {
+      closed = true;
+      clearTimeout(retry);
+      socket.close();
+    };
+  }
+});
+
+// In-browser random ticks around the last known price, for working on the UI
+// without a quote server. Like the market, it only trades during the session.
+export const createSimulatedStream = ({ intervalMs = 1000, random = Math.random } = {}) => ({
+  name: 'simulated',
+  subscribe: (symbols, { onQuote, onStatus = () => {}, lastPrice }) => {
+    onStatus('live');
+    const timer = setInterval(() => {
+      if (!isTradingPhase(marketClock())) return;
+      const symbol = symbols[Math.floor(random() * symbols.length)];
+      const price = lastPrice?.(symbol);
+      if (!price) return;
+      onQuote({
+        symbol,
+        price: Math.max(price * (1 + (random() - 0.5) * 0.004), 0.001),
+        volume: Math.floor(random() * 5000) + 100,
+        time: Date.now()
+      });
+    }, intervalMs);
+    return () => clearInterval(timer);
+  }
+});
+
+// Pick a stream from Vite env: VITE_QUOTE_STREAM = none | simulated | sse | websocket.
+// 'none' (the default) returns null and the dashboard falls back to polling.
+export const createQuoteStream = (config = {}) => {
+  const env = import.meta.env ?? {};
+  const source = config.source ?? env.VITE_QUOTE_STREAM ?? 'none';
+  const url = config.url ?? env.VITE_QUOTE_STREAM_URL;
+
+  if (source === 'none') return null;
+  if (source === 'sse') return createSseStream({ url });
+  if (source === 'websocket') return createWebSocketStream({ url });
+  if (source === 'simulated') return createSimulatedStream();
+  throw new Error(`Unknown quote stream: ${source}`);
+};
+
+// Fold one quote into daily bars (oldest first). A quote updates the bar of the
+// session it belongs to, opening a new bar for a new session; stale quotes for
+// an older session, and stray quotes outside trading hours that would rewrite a
+// closed bar, are dropped. Returns the same array when nothing changes.
+export const applyQuote = (bars, quote) => {
+  const clock = marketClock(new Date(quote.time));
+  if (!isTradingPhase(clock)) return bars;
+  const date = clock.session;
+  const last = bars[bars.length - 1];
+  if (!last || date < last.date) return bars;
+
+  if (date === last.date) {
+    return [...bars.slice(0, -1), {
+      ...last,
+      high: Math.max(last.high, quote.price),
+      low: Math.min(last.low, quote.price),
+      close: quote.price,
+      volume: last.volume + (quote.volume ?? 0)
+    }];
+  }
+  return [...bars, { date, open: quote.price, high: quote.price, low: quote.price, close: quote.price, volume: quote.volume ?? 0 }];
+};
+
+// Apply a batch of quotes to the per-symbol histories. Only symbols that ticked
+// get new arrays, so everything else keeps its identity (and cached analysis).
+export const applyQuotes = (histories, quotes) => {
+  const next = { ...histories };
+  let changed = false;
+  quotes.forEach(quote => {
+    if (!next[quote.symbol]) return;
+    const bars = applyQuote(next[quote.symbol], quote);
+    if (bars !== next[quote.symbol]) {
+      next[quote.symbol] = bars;
+      changed = true;
+    }
+  });
+  return changed ? next : histories;
+};
@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest';
+import { applyQuote, applyQuotes } from './quoteStream.js';
+
+// Friday 16 Oct 2026's closed bar; Sydney is UTC+11
+const friday = { date: '2026-10-16', open: 100, high: 102, low: 99, close: 101, volume: 5000 };
+const quoteAt = (time, price) => ({ symbol: 'CBA.AX', price, volume: 100, time: new Date(time).getTime() });
+
+describe('applyQuote', () => {
+  it('opens a new bar on the first trade of a session', () => {
+    // Monday 10:30 Sydney
+    const bars = applyQuote([friday], quoteAt('2026-10-18T23:30:00Z', 103));
+    expect(bars).toEqual([friday, { date: '2026-10-19', open: 103, high: 103, low: 103, close: 103, volume: 100 }]);
+  });
+
+  it('updates the session bar during the closing auction', () => {
+    // Friday 16:05 Sydney
+    const [bar] = applyQuote([friday], quoteAt('2026-10-16T05:05:00Z', 98));
+    expect(bar).toEqual({ ...friday, low: 98, close: 98, volume: 5100 });
+  });
+
+  it('ignores quotes outside trading hours', () => {
+    const bars = [friday];
+    // Friday 17:00, Sunday midday and Monday pre-open, Sydney time
+    ['2026-10-16T06:00:00Z', '2026-10-18T01:00:00Z', '2026-10-18T22:30:00Z'].forEach(time => {
+      expect(applyQuote(bars, quoteAt(time, 120))).toBe(bars);
+    });
+  });
+});
+
+describe('applyQuotes', () => {
+  it('keeps the histories object when no quote applies', () => {
+    const histories = { 'CBA.AX': [friday] };
+    expect(applyQuotes(histories, [quoteAt('2026-10-18T01:00:00Z', 120), { ...quoteAt('2026-10-18T23:30:00Z', 1), symbol: 'XYZ.AX' }])).toBe(histories);
+  });
+});
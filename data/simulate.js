@@ -0,0 +1,196 @@
+// Simulated OHLCV history. Used by the simulated provider and the local mock
+// server so both hand out the same bars for the same symbol.
+import { marketClock, isTradingDay, nextTradingDay, sessionBarTimes } from './asxCalendar.js';
+import { DEFAULT_UNIVERSE } from './universe.js';
+
+// Small seeded PRNG (mulberry32) so simulated history is reproducible
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Stable numeric seed for a string (FNV-1a)
+export const hashSeed = (text) => {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+};
+
+// One random-walk bar from the previous close. `reversion` pulls the price back
+// toward `basePrice` by that share of the gap, so long walks stay in range.
+const walkBar = (date, price, { basePrice, trend, random, reversion }) => {
+  const volatility = basePrice * 0.02;
+  const open = price;
+  const randomChange = (random() - 0.5) * volatility;
+  const trendChange = trend * basePrice * 0.001 + (basePrice - open) * reversion;
+  // Floor keeps long downtrends from walking through zero
+  const close = Math.max(open + randomChange + trendChange, basePrice * 0.05);
+  const high = Math.max(open, close) + random() * volatility * 0.5;
+  const low = Math.min(open, close) - random() * volatility * 0.5;
+
+  return {
+    date,
+    open,
+    high,
+    low,
+    close,
+    volume: Math.floor(random() * 5000000) + 1000000
+  };
+};
+
+// Seeded walks start here and only ever move forward a session at a time, so a
+// session's bar is the same whenever it is generated and new sessions add bars
+const SIMULATION_EPOCH = '2022-01-04';
+
+// Each symbol redraws its trend every TREND_SESSIONS sessions and is pulled back
+// toward its base price by MEAN_REVERSION of the gap per session
+const TREND_SESSIONS = 60;
+const MEAN_REVERSION = 0.003;
+
+// symbol -> { basePrice, random, bars }, extended as new sessions open
+const walks = new Map();
+
+// A symbol's seeded walk, generated up to at least `session`
+const seededWalk = (symbol, session) => {
+  if (!walks.has(symbol)) {
+    const random = createRandom(hashSeed(symbol));
+    walks.set(symbol, { basePrice: 20 + random() * 80, random, bars: [] });
+  }
+  const walk = walks.get(symbol);
+  const latest = walk.bars[walk.bars.length - 1];
+  let date = latest ? nextTradingDay(latest.date) : SIMULATION_EPOCH;
+  if (!isTradingDay(date)) date = nextTradingDay(date);
+
+  while (date <= session) {
+    const count = walk.bars.length;
+    const trend = createRandom(hashSeed(`${symbol}:trend:${Math.floor(count / TREND_SESSIONS)}`))() * 4 - 2;
+    const price = count > 0 ? walk.bars[count - 1].close : walk.basePrice;
+    walk.bars.push(walkBar(date, price, { basePrice: walk.basePrice, trend, random: walk.random, reversion: MEAN_REVERSION }));
+    date = nextTradingDay(date);
+  }
+  return walk;
+};
+
+// Full-day seeded daily bars for the last `days` sessions up to the current one
+const seededSessions = (symbol, days, clock) => {
+  const { bars } = seededWalk(symbol, clock.session);
+  let end = bars.length;
+  while (end > 0 && bars[end - 1].date > clock.session) end--;
+  return bars.slice(Math.max(end - days, 0), end);
+};
+
+// Simulated benchmark indices, built from seeded stocks so those stocks carry a
+// real beta to them. The All Ordinaries adds some smaller names to the top stocks.
+const LARGE_CAPS = DEFAULT_UNIVERSE.map(entry => entry.symbol);
+const SIMULATED_INDICES = {
+  '^AXJO': { basePrice: 8000, constituents: LARGE_CAPS },
+  '^AORD': {
+    basePrice: 8250,
+    constituents: [...LARGE_CAPS, 'PLS.AX', 'LYC.AX', 'NXT.AX', 'XRO.AX', 'JBH.AX', 'MIN.AX', 'CAR.AX', 'SEK.AX']
+  }
+};
+
+// Each index bar is the equal-weighted average of its constituents' bars, each
+// scaled to that constituent's base price, times the index base level.
+// Constituents share the ASX calendar, so their bars line up one for one.
+const seededIndexBars = (index, clock, barsFor) => {
+  const anchors = index.constituents.map(symbol => seededWalk(symbol, clock.session).basePrice);
+  const constituentBars = index.constituents.map(barsFor);
+  const level = (i, field) => index.basePrice * constituentBars.reduce(
+    (sum, bars, c) => sum + bars[i][field] / anchors[c], 0
+  ) / constituentBars.length;
+
+  return constituentBars[0].map((bar, i) => ({
+    date: bar.date,
+    open: level(i, 'open'),
+    high: level(i, 'high'),
+    low: level(i, 'low'),
+    close: level(i, 'close'),
+    volume: constituentBars.reduce((sum, bars) => sum + bars[i].volume, 0)
+  }));
+};
+
+// Deterministic daily history for a symbol: a closed session's bar never changes
+// from one day to the next. While a session is trading, its bar only covers the
+// minutes traded so far, so it matches the intraday bars.
+export const generateSeededBars = (symbol, { days = 60, now = new Date() } = {}) => {
+  const clock = marketClock(now);
+  if (SIMULATED_INDICES[symbol]) {
+    return seededIndexBars(SIMULATED_INDICES[symbol], clock, constituent => generateSeededBars(constituent, { days, now }));
+  }
+  const bars = seededSessions(symbol, days, clock);
+
+  const today = bars[bars.length - 1];
+  if (today?.date === clock.date && clock.phase === 'open') {
+    bars[bars.length - 1] = { ...aggregateBars(sessionMinuteBars(symbol, today, clock)), date: today.date };
+  }
+  return bars;
+};
+
+// Combine consecutive bars into one
+const aggregateBars = (bars) => ({
+  date: bars[0].date,
+  open: bars[0].open,
+  high: Math.max(...bars.map(bar => bar.high)),
+  low: Math.min(...bars.map(bar => bar.low)),
+  close: bars[bars.length - 1].close,
+  volume: bars.reduce((sum, bar) => sum + bar.volume, 0)
+});
+
+// One-minute bars for a session: a random walk pinned to the daily bar's open
+// and close (a Brownian bridge), with the U-shaped volume of a real session.
+// A session still trading is cut off at the current minute.
+const sessionMinuteBars = (symbol, daily, clock) => {
+  const random = createRandom(hashSeed(`${symbol}:${daily.date}:minutes`));
+  const times = sessionBarTimes(daily.date, 1);
+  const volatility = (daily.high - daily.low) / Math.sqrt(times.length) || daily.open * 0.001;
+
+  let walk = 0;
+  const steps = times.map(() => (walk += (random() - 0.5) * volatility));
+  const drift = (daily.close - daily.open - walk) / times.length;
+  const weights = times.map((_, i) => 1 + 3 * ((i / times.length - 0.5) * 2) ** 2);
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+  let previous = daily.open;
+  const bars = times.map((time, i) => {
+    const close = Math.max(daily.open + steps[i] + drift * (i + 1), daily.open * 0.05);
+    const open = previous;
+    previous = close;
+    return {
+      date: `${daily.date} ${time}`,
+      open,
+      high: Math.max(open, close) + random() * volatility * 0.3,
+      low: Math.min(open, close) - random() * volatility * 0.3,
+      close,
+      volume: Math.floor((daily.volume * weights[i]) / totalWeight)
+    };
+  });
+
+  const traded = clock.date === daily.date ? bars.filter(bar => bar.date.slice(11) <= clock.time) : bars;
+  return traded.length > 0 ? traded : bars.slice(0, 1);
+};
+
+// Deterministic intraday bars (`interval` minutes) for the last `days` sessions
+export const generateSeededIntradayBars = (symbol, { interval = 5, days = 1, now = new Date() } = {}) => {
+  const clock = marketClock(now);
+  if (SIMULATED_INDICES[symbol]) {
+    return seededIndexBars(
+      SIMULATED_INDICES[symbol], clock, constituent => generateSeededIntradayBars(constituent, { interval, days, now })
+    );
+  }
+  return seededSessions(symbol, days, clock).flatMap(daily => {
+    const minutes = sessionMinuteBars(symbol, daily, clock);
+    const bars = [];
+    for (let i = 0; i < minutes.length; i += interval) bars.push(aggregateBars(minutes.slice(i, i + interval)));
+    return bars;
+  });
+};
@@ -0,0 +1,43 @@
+import { describe, it, expect, vi } from 'vitest';
+
+// Friday 16 Oct 2026 after the close, and the Monday session after it (Sydney is UTC+11)
+const FRIDAY = new Date('2026-10-16T06:30:00Z');
+const MONDAY = new Date('2026-10-19T05:30:00Z');
+
+// A fresh copy of the module, as after a page reload
+const freshSimulate = async () => {
+  vi.resetModules();
+  return import('./simulate.js');
+};
+
+describe('generateSeededBars', () => {
+  it('keeps closed sessions the same from one session to the next', async () => {
+    const friday = (await freshSimulate()).generateSeededBars('CBA.AX', { days: 60, now: FRIDAY });
+    const monday = (await freshSimulate()).generateSeededBars('CBA.AX', { days: 60, now: MONDAY });
+
+    expect(friday[59].date).toBe('2026-10-16');
+    expect(monday[59].date).toBe('2026-10-19');
+    // Monday only adds a bar; everything up to Friday is unchanged
+    expect(monday.slice(0, 59)).toEqual(friday.slice(1));
+  });
+
+  it('agrees between short and long requests', async () => {
+    const { generateSeededBars } = await freshSimulate();
+    const long = generateSeededBars('BHP.AX', { days: 500, now: FRIDAY });
+    expect(generateSeededBars('BHP.AX', { days: 20, now: FRIDAY })).toEqual(long.slice(-20));
+  });
+
+  it('keeps simulated index history stable too', async () => {
+    const friday = (await freshSimulate()).generateSeededBars('^AXJO', { days: 30, now: FRIDAY });
+    const monday = (await freshSimulate()).generateSeededBars('^AXJO', { days: 30, now: MONDAY });
+    expect(monday.slice(0, 29)).toEqual(friday.slice(1));
+  });
+
+  it('stays in a sensible range over the whole walk', async () => {
+    const { generateSeededBars } = await freshSimulate();
+    ['CBA.AX', 'BHP.AX', 'CSL.AX', 'WES.AX'].forEach(symbol => {
+      const closes = generateSeededBars(symbol, { days: 2000, now: MONDAY }).map(bar => bar.close);
+      expect(Math.max(...closes) / Math.min(...closes)).toBeLessThan(10);
+    });
+  });
+});
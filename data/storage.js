@@ -0,0 +1,23 @@
+// Thin localStorage wrapper. Everything the dashboard persists goes through here
+// under one key prefix; a missing or corrupt entry just yields the fallback.
+const PREFIX = 'asx-dashboard:';
+
+export const loadJSON = (key, fallback) => {
+  try {
+    const raw = localStorage.getItem(PREFIX + key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+};
+
+// Returns false when the write failed (storage full or disabled in private mode);
+// the value then only lives in memory until the page is closed
+export const saveJSON = (key, value) => {
+  try {
+    localStorage.setItem(PREFIX + key, JSON.stringify(value));
+    return true;
+  } catch {
+    return false;
+  }
+};
@@ -0,0 +1,107 @@
+// Stock universe: which tickers the dashboard analyses, plus their metadata.
+// Entries are { symbol: 'CBA.AX', name, sector, marketCap } where sector is the
+// GICS sector and marketCap is in A$ (null when the source doesn't say). The
+// built-in market caps are approximate (mid-2025); load a current constituents
+// export for up-to-date figures.
+import { splitCsvLine } from './csv.js';
+
+export const DEFAULT_UNIVERSE = [
+  { symbol: 'CBA.AX', name: 'Commonwealth Bank of Australia', sector: 'Financials', marketCap: 300e9 },
+  { symbol: 'BHP.AX', name: 'BHP Group', sector: 'Materials', marketCap: 190e9 },
+  { symbol: 'CSL.AX', name: 'CSL Limited', sector: 'Health Care', marketCap: 115e9 },
+  { symbol: 'NAB.AX', name: 'National Australia Bank', sector: 'Financials', marketCap: 113e9 },
+  { symbol: 'WBC.AX', name: 'Westpac Banking Corporation', sector: 'Financials', marketCap: 114e9 },
+  { symbol: 'ANZ.AX', name: 'ANZ Group Holdings', sector: 'Financials', marketCap: 87e9 },
+  { symbol: 'MQG.AX', name: 'Macquarie Group', sector: 'Financials', marketCap: 80e9 },
+  { symbol: 'WES.AX', name: 'Wesfarmers', sector: 'Consumer Discretionary', marketCap: 95e9 },
+  { symbol: 'GMG.AX', name: 'Goodman Group', sector: 'Real Estate', marketCap: 67e9 },
+  { symbol: 'RIO.AX', name: 'Rio Tinto', sector: 'Materials', marketCap: 41e9 },
+  { symbol: 'WOW.AX', name: 'Woolworths Group', sector: 'Consumer Staples', marketCap: 38e9 },
+  { symbol: 'FMG.AX', name: 'Fortescue', sector: 'Materials', marketCap: 49e9 },
+  { symbol: 'TCL.AX', name: 'Transurban Group', sector: 'Industrials', marketCap: 43e9 },
+  { symbol: 'TLS.AX', name: 'Telstra Group', sector: 'Communication Services', marketCap: 55e9 },
+  { symbol: 'WDS.AX', name: 'Woodside Energy Group', sector: 'Energy', marketCap: 45e9 },
+  { symbol: 'ALL.AX', name: 'Aristocrat Leisure', sector: 'Consumer Discretionary', marketCap: 44e9 },
+  { symbol: 'COL.AX', name: 'Coles Group', sector: 'Consumer Staples', marketCap: 28e9 },
+  { symbol: 'QBE.AX', name: 'QBE Insurance Group', sector: 'Financials', marketCap: 31e9 },
+  { symbol: 'STO.AX', name: 'Santos', sector: 'Energy', marketCap: 25e9 },
+  { symbol: 'ORG.AX', name: 'Origin Energy', sector: 'Utilities', marketCap: 19e9 },
+  { symbol: 'REA.AX', name: 'REA Group', sector: 'Communication Services', marketCap: 33e9 },
+  { symbol: 'RMD.AX', name: 'ResMed', sector: 'Health Care', marketCap: 55e9 },
+  { symbol: 'S32.AX', name: 'South32', sector: 'Materials', marketCap: 13.5e9 }
+];
+
+// 'cba', 'CBA' and 'CBA.AX' all mean CBA.AX
+export const normaliseSymbol = (code) => {
+  const symbol = String(code).trim().toUpperCase();
+  return symbol.includes('.') ? symbol : `${symbol}.AX`;
+};
+
+// '1.2B', '$850M', '12,345,678' -> A$ number
+const parseMarketCap = (value) => {
+  if (!value) return null;
+  const match = String(value).replace(/[$,\s]/g, '').match(/^([\d.]+)([KMBT]?)$/i);
+  if (!match) return null;
+  const scale = { '': 1, K: 1e3, M: 1e6, B: 1e9, T: 1e12 }[match[2].toUpperCase()];
+  return parseFloat(match[1]) * scale;
+};
+
+const COLUMN_ALIASES = {
+  symbol: ['code', 'symbol', 'ticker', 'asx code'],
+  name: ['company', 'name', 'company name'],
+  sector: ['sector', 'gics sector', 'industry'],
+  marketCap: ['market cap', 'marketcap', 'market capitalisation', 'mkt cap']
+};
+
+// Parse a constituents CSV (e.g. an ASX 200/300 export). Needs a code column;
+// company, GICS sector and market cap columns are picked up when present.
+export const parseConstituentsCsv = (text) => {
+  const lines = text.trim().split(/\r?\n/).filter(line => line.trim());
+  if (lines.length < 2) return [];
+
+  const header = splitCsvLine(lines[0]).map(col => col.toLowerCase());
+  const column = (field) => header.findIndex(col => COLUMN_ALIASES[field].includes(col));
+  const columns = Object.fromEntries(Object.keys(COLUMN_ALIASES).map(field => [field, column(field)]));
+  if (columns.symbol === -1) throw new Error('Constituents file needs a Code, Symbol or Ticker column');
+
+  return lines.slice(1).map(splitCsvLine).filter(cells => cells[columns.symbol]).map(cells => ({
+    symbol: normaliseSymbol(cells[columns.symbol]),
+    name: columns.name !== -1 && cells[columns.name] ? cells[columns.name] : cells[columns.symbol].toUpperCase(),
+    sector: columns.sector !== -1 ? cells[columns.sector] || null : null,
+    marketCap: columns.marketCap !== -1 ? parseMarketCap(cells[columns.marketCap]) : null
+  }));
+};
+
+// Merge entries into a universe, keeping the first occurrence of each symbol
+export const mergeUniverse = (universe, entries) => {
+  const seen = new Set(universe.map(entry => entry.symbol));
+  return [...universe, ...entries.filter(entry => !seen.has(entry.symbol) && seen.add(entry.symbol))];
+};
+
+// Fill missing market caps from the built-in list, e.g. for universes saved
+// before the defaults carried them
+export const fillMarketCaps = (universe) => {
+  const known = new Map(DEFAULT_UNIVERSE.map(entry => [entry.symbol, entry.marketCap]));
+  if (!universe.some(entry => entry.marketCap == null && known.has(entry.symbol))) return universe;
+  return universe.map(entry => (
+    entry.marketCap == null && known.has(entry.symbol) ? { ...entry, marketCap: known.get(entry.symbol) } : entry
+  ));
+};
+
+// Case-insensitive search over code, company name and sector
+export const searchUniverse = (entries, query) => {
+  const needle = query.trim().toLowerCase();
+  if (!needle) return [];
+  return entries.filter(entry => (
+    entry.symbol.toLowerCase().startsWith(needle) ||
+    entry.name.toLowerCase().includes(needle) ||
+    (entry.sector ?? '').toLowerCase().includes(needle)
+  ));
+};
+
+export const formatMarketCap = (marketCap) => {
+  if (!marketCap) return '-';
+  if (marketCap >= 1e9) return `$${(marketCap / 1e9).toFixed(1)}B`;
+  if (marketCap >= 1e6) return `$${(marketCap / 1e6).toFixed(0)}M`;
+  return `$${marketCap.toFixed(0)}`;
+};
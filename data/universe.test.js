@@ -0,0 +1,33 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { DEFAULT_UNIVERSE, fillMarketCaps, parseConstituentsCsv } from './universe.js';
+
+const SAMPLE_CSV = readFileSync(new URL('../public/universe/sample-constituents.csv', import.meta.url), 'utf8');
+
+describe('parseConstituentsCsv', () => {
+  it('reads market caps from the sample constituents', () => {
+    const entries = parseConstituentsCsv(SAMPLE_CSV);
+    expect(entries.find(entry => entry.symbol === 'CBA.AX')).toEqual({
+      symbol: 'CBA.AX', name: 'Commonwealth Bank of Australia', sector: 'Financials', marketCap: 300e9
+    });
+    expect(entries.every(entry => entry.marketCap > 0)).toBe(true);
+  });
+});
+
+describe('DEFAULT_UNIVERSE', () => {
+  it('carries a market cap for every entry', () => {
+    expect(DEFAULT_UNIVERSE.every(entry => entry.marketCap > 0)).toBe(true);
+  });
+});
+
+describe('fillMarketCaps', () => {
+  it('fills caps missing from a saved universe and keeps the rest', () => {
+    const saved = [
+      { symbol: 'CBA.AX', name: 'Commonwealth Bank of Australia', sector: 'Financials', marketCap: null },
+      { symbol: 'XYZ.AX', name: 'XYZ', sector: null, marketCap: null },
+      { symbol: 'BHP.AX', name: 'BHP Group', sector: 'Materials', marketCap: 123e9 }
+    ];
+    expect(fillMarketCaps(saved).map(entry => entry.marketCap)).toEqual([300e9, null, 123e9]);
+    expect(fillMarketCaps(DEFAULT_UNIVERSE)).toBe(DEFAULT_UNIVERSE);
+  });
+});
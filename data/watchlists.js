@@ -0,0 +1,58 @@
+// Named watchlists: [{ id, name, symbols: ['CBA.AX', ...] }]
+import { normaliseSymbol } from './universe.js';
+import { toCsv } from './download.js';
+import { parseCsvTable } from './csv.js';
+
+const newId = () => `wl-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+export const createWatchlist = (name, symbols = []) => ({ id: newId(), name, symbols });
+
+export const toggleSymbol = (watchlist, symbol) => ({
+  ...watchlist,
+  symbols: watchlist.symbols.includes(symbol)
+    ? watchlist.symbols.filter(item => item !== symbol)
+    : [...watchlist.symbols, symbol]
+});
+
+export const exportWatchlistsJson = (watchlists) => JSON.stringify(
+  watchlists.map(({ name, symbols }) => ({ name, symbols })),
+  null,
+  2
+);
+
+// One row per watchlist entry: watchlist,symbol
+export const exportWatchlistsCsv = (watchlists) => toCsv(
+  ['watchlist', 'symbol'],
+  watchlists.flatMap(({ name, symbols }) => symbols.map(symbol => [name, symbol]))
+);
+
+// Parse an exported JSON or CSV file back into (new) watchlists
+export const parseWatchlists = (text) => {
+  const trimmed = text.trim();
+
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    const body = JSON.parse(trimmed);
+    const lists = Array.isArray(body) ? body : [body];
+    return lists
+      .filter(list => list.name && Array.isArray(list.symbols))
+      .map(list => createWatchlist(String(list.name), [...new Set(list.symbols.map(normaliseSymbol))]));
+  }
+
+  const byName = new Map();
+  parseCsvTable(trimmed).rows.forEach(([name, symbol]) => {
+    if (!name || !symbol) return;
+    const symbols = byName.get(name) ?? new Set();
+    symbols.add(normaliseSymbol(symbol));
+    byName.set(name, symbols);
+  });
+  return [...byName.entries()].map(([name, symbols]) => createWatchlist(name, [...symbols]));
+};
+
+// Imported lists merge into existing lists of the same name
+export const mergeWatchlists = (watchlists, imported) => imported.reduce((merged, list) => {
+  const existing = merged.find(item => item.name === list.name);
+  if (!existing) return [...merged, list];
+  return merged.map(item => (
+    item === existing ? { ...item, symbols: [...new Set([...item.symbols, ...list.symbols])] } : item
+  ));
+}, watchlists);
@@ -0,0 +1,26 @@
+import { describe, it, expect } from 'vitest';
+import { createWatchlist, exportWatchlistsCsv, exportWatchlistsJson, parseWatchlists } from './watchlists.js';
+
+const lists = [
+  createWatchlist('Banks, majors', ['CBA.AX', 'NAB.AX']),
+  createWatchlist('Miners "big"', ['BHP.AX']),
+  createWatchlist('Tech', ['XRO.AX', 'WTC.AX'])
+];
+
+// Names and symbols only; ids are new on every import
+const contents = (watchlists) => watchlists.map(({ name, symbols }) => ({ name, symbols }));
+
+describe('parseWatchlists', () => {
+  it('reads back a CSV export, including quoted names', () => {
+    expect(contents(parseWatchlists(exportWatchlistsCsv(lists)))).toEqual(contents(lists));
+  });
+
+  it('reads back a JSON export', () => {
+    expect(contents(parseWatchlists(exportWatchlistsJson(lists)))).toEqual(contents(lists));
+  });
+
+  it('normalises bare codes and drops duplicates', () => {
+    const imported = parseWatchlists('watchlist,symbol\nBanks,cba\nBanks,CBA.AX\nBanks,\n');
+    expect(contents(imported)).toEqual([{ name: 'Banks', symbols: ['CBA.AX'] }]);
+  });
+});
@@ -0,0 +1,55 @@
+import { useState, useEffect, useRef } from 'react';
+import { usePersistentState } from './usePersistentState.js';
+import { evaluateAlerts } from '../analysis/alerts.js';
+
+// Most recent alert events kept in the log
+const MAX_LOG_ENTRIES = 200;
+
+const notificationsSupported = () => typeof window !== 'undefined' && 'Notification' in window;
+
+// Evaluates the persisted alert rules every time a new batch of stocks arrives
+// (`refreshKey` changes), logs what fired and raises browser notifications.
+export const useAlerts = (stocks, refreshKey) => {
+  const [rules, setRules] = usePersistentState('alertRules', []);
+  const [log, setLog] = usePersistentState('alertLog', []);
+  const [lastFired, setLastFired] = usePersistentState('alertCooldowns', {});
+  const [unread, setUnread] = useState(0);
+  const [permission, setPermission] = useState(notificationsSupported() ? Notification.permission : 'unsupported');
+  const previousRef = useRef(null);
+
+  useEffect(() => {
+    if (stocks.length === 0) return;
+    const current = Object.fromEntries(stocks.map(stock => [stock.symbol, stock]));
+
+    // The first batch after a reload only sets the baseline to compare against
+    if (previousRef.current) {
+      const result = evaluateAlerts(rules, previousRef.current, current, lastFired);
+      if (result.events.length > 0) {
+        setLastFired(result.lastFired);
+        setLog(prev => [...result.events.slice().reverse(), ...prev].slice(0, MAX_LOG_ENTRIES));
+        setUnread(prev => prev + result.events.length);
+
+        if (permission === 'granted') {
+          result.events.forEach(event => new Notification('ASX Dashboard Alert', { body: event.message, tag: event.id }));
+        }
+      }
+    }
+    previousRef.current = current;
+  }, [refreshKey]);
+
+  const requestPermission = async () => {
+    if (!notificationsSupported()) return;
+    setPermission(await Notification.requestPermission());
+  };
+
+  return {
+    rules,
+    setRules,
+    log,
+    clearLog: () => setLog([]),
+    unread,
+    markRead: () => setUnread(0),
+    permission,
+    requestPermission
+  };
+};
@@ -0,0 +1,84 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { applyMarketSession, applyRegimeFilter } from '../analysis/stockAnalysis.js';
+
+// Analyse every loaded symbol in the worker pool with the active strategy and
+// probability calibration, labelled with its universe metadata and sorted biggest
+// movers first. Only symbols whose bars changed are sent to the workers, which keep
+// each symbol's indicator state, so a live quote for one stock doesn't recompute the
+// whole universe and a strategy change only re-scores. Breadth and session filters
+// are applied over the merged results. `benchmarks` holds the index bars relative
+// strength is measured against. Progress is reported until the first result lands.
+// `version` counts merged replies, so hooks that react to fresh results can key on
+// it. After a failure the next request resends everything; `retry` sends it now.
+export const useAnalysedStocks = (pool, histories, universe, strategy, calibration, marketOpen, benchmarks) => {
+  const [analysed, setAnalysed] = useState({});
+  const [progress, setProgress] = useState(null);
+  const [ready, setReady] = useState(false);
+  const [error, setError] = useState(null);
+  const [version, setVersion] = useState(0);
+  const [attempt, setAttempt] = useState(0);
+  // What the workers already hold, by reference
+  const sentRef = useRef({ bars: new Map(), benchmarks: null });
+  const readyRef = useRef(false);
+  const failuresRef = useRef(0);
+
+  useEffect(() => {
+    const known = new Set(universe.map(entry => entry.symbol));
+    const symbols = Object.keys(histories).filter(symbol => known.has(symbol));
+    const sent = sentRef.current;
+    const bars = Object.fromEntries(symbols
+      .filter(symbol => sent.bars.get(symbol) !== histories[symbol])
+      .map(symbol => [symbol, histories[symbol]]));
+    const changedBenchmarks = sent.benchmarks !== benchmarks ? benchmarks : null;
+    sentRef.current = { bars: new Map(symbols.map(symbol => [symbol, histories[symbol]])), benchmarks };
+    const failures = failuresRef.current;
+
+    // Replies only carry re-scored stocks, so every one is merged, in request order
+    pool.analyse({ symbols, bars, strategy, calibration, benchmarks: changedBenchmarks }, (done, total) => {
+      if (!readyRef.current) setProgress({ done, total });
+    })
+      .then(({ stocks, removed }) => {
+        setAnalysed(prev => {
+          const next = { ...prev, ...stocks };
+          removed.forEach(symbol => delete next[symbol]);
+          return next;
+        });
+        setVersion(prev => prev + 1);
+        // Requests sent before a failure was seen may lack the bars it lost
+        if (failuresRef.current !== failures) return;
+        setError(null);
+        if (symbols.length > 0 && !readyRef.current) {
+          readyRef.current = true;
+          setReady(true);
+          setProgress(null);
+        }
+      })
+      .catch(err => {
+        // The workers may hold only part of what was sent
+        failuresRef.current += 1;
+        sentRef.current = { bars: new Map(), benchmarks: null };
+        setError(err.message);
+      });
+  }, [pool, histories, universe, strategy, calibration, benchmarks, attempt]);
+
+  const retry = () => setAttempt(prev => prev + 1);
+
+  const stocks = useMemo(() => {
+    const metadata = Object.fromEntries(universe.map(entry => [entry.symbol, entry]));
+    const labelled = Object.values(analysed)
+      .filter(stock => metadata[stock.symbol])
+      .map(stock => ({
+        ...stock,
+        name: metadata[stock.symbol].name,
+        sector: metadata[stock.symbol].sector,
+        marketCap: metadata[stock.symbol].marketCap
+      }));
+    // Intraday calls are suppressed outside market hours
+    const filtered = applyRegimeFilter(labelled, strategy, calibration)
+      .map(stock => applyMarketSession(stock, { isOpen: marketOpen }));
+    filtered.sort((a, b) => Math.abs(b.changePercent) - Math.abs(a.changePercent));
+    return filtered;
+  }, [analysed, universe, strategy, calibration, marketOpen]);
+
+  return { stocks, progress, ready, error, version, retry };
+};
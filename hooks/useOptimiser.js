@@ -0,0 +1,61 @@
+import { useState, useEffect, useRef } from 'react';
+import { runOptimisation } from '../analysis/optimiser.js';
+
+const workersSupported = () => typeof Worker !== 'undefined';
+
+// Runs parameter sweeps in a Web Worker so the dashboard stays responsive.
+// `run(input)` takes { histories, sweep, strategy, benchmarks } and replaces any
+// sweep in flight. Without worker support the sweep runs on the main thread.
+export const useOptimiser = () => {
+  const [state, setState] = useState({ status: 'idle', progress: null, result: null, error: null });
+  const workerRef = useRef(null);
+
+  const stop = () => {
+    workerRef.current?.terminate();
+    workerRef.current = null;
+  };
+
+  useEffect(() => stop, []);
+
+  const run = (input) => {
+    stop();
+    setState({ status: 'running', progress: null, result: null, error: null });
+
+    if (!workersSupported()) {
+      setTimeout(() => {
+        try {
+          const result = runOptimisation(input.histories, input.sweep, input.strategy, input.benchmarks);
+          setState({ status: 'done', progress: null, result, error: null });
+        } catch (err) {
+          setState({ status: 'error', progress: null, result: null, error: err.message });
+        }
+      }, 0);
+      return;
+    }
+
+    const worker = new Worker(new URL('../analysis/optimiser.worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        setState(prev => ({ ...prev, progress: data.progress }));
+        return;
+      }
+      stop();
+      setState(data.type === 'done'
+        ? { status: 'done', progress: null, result: data.result, error: null }
+        : { status: 'error', progress: null, result: null, error: data.message });
+    };
+    worker.onerror = (event) => {
+      stop();
+      setState({ status: 'error', progress: null, result: null, error: event.message || 'Optimiser worker failed' });
+    };
+    workerRef.current = worker;
+    worker.postMessage(input);
+  };
+
+  const cancel = () => {
+    stop();
+    setState({ status: 'idle', progress: null, result: null, error: null });
+  };
+
+  return { ...state, run, cancel };
+};
@@ -0,0 +1,24 @@
+import { useEffect } from 'react';
+import { usePersistentState } from './usePersistentState.js';
+import { openPosition, closePosition, updatePosition } from '../trading/paperTrading.js';
+
+// Persisted paper-trading book. Open positions are marked to market and checked
+// for stop/target hits whenever a new batch of stocks arrives (`refreshKey`).
+export const usePaperTrading = (stocks, refreshKey) => {
+  const [positions, setPositions] = usePersistentState('paperTrades', []);
+
+  useEffect(() => {
+    if (stocks.length === 0) return;
+    const bySymbol = Object.fromEntries(stocks.map(stock => [stock.symbol, stock]));
+    setPositions(prev => prev.map(position => updatePosition(position, bySymbol[position.symbol])));
+  }, [refreshKey]);
+
+  return {
+    positions,
+    open: (ticket) => setPositions(prev => [openPosition(ticket), ...prev]),
+    close: (id, price) => setPositions(prev => prev.map(position => (
+      position.id === id && position.status === 'open' ? closePosition(position, price, 'Manual') : position
+    ))),
+    clearHistory: () => setPositions(prev => prev.filter(position => position.status === 'open'))
+  };
+};
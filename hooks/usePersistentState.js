@@ -0,0 +1,15 @@
+import { useState, useEffect } from 'react';
+import { loadJSON, saveJSON } from '../data/storage.js';
+
+// useState that survives reloads by mirroring the value into localStorage. The
+// third element is true while the latest value could not be saved.
+export const usePersistentState = (key, initialValue) => {
+  const [value, setValue] = useState(() => loadJSON(key, initialValue));
+  const [saveFailed, setSaveFailed] = useState(false);
+
+  useEffect(() => {
+    setSaveFailed(!saveJSON(key, value));
+  }, [key, value]);
+
+  return [value, setValue, saveFailed];
+};
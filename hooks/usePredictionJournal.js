@@ -0,0 +1,26 @@
+import { useEffect } from 'react';
+import { usePersistentState } from './usePersistentState.js';
+import { pruneJournal, recordPredictions, resolvePredictions } from '../analysis/journal.js';
+
+// Persisted prediction journal. Each new batch of stocks (`refreshKey`) records
+// any calls not yet journalled this session, resolves entries whose exit session
+// has closed and drops entries past the journal's age limit. `options` is
+// { strategy, horizon, threshold } for new entries. `saveFailed` is true while
+// browser storage refuses the journal.
+export const usePredictionJournal = (stocks, histories, clock, options, refreshKey) => {
+  const [entries, setEntries, saveFailed] = usePersistentState('predictionJournal', []);
+
+  useEffect(() => {
+    if (stocks.length === 0) return;
+    setEntries(prev => pruneJournal(
+      resolvePredictions(recordPredictions(prev, stocks, { ...options, now: Date.now() }), histories, clock),
+      clock.session
+    ));
+  }, [refreshKey, clock.phase]);
+
+  return {
+    entries,
+    saveFailed,
+    clear: () => setEntries([])
+  };
+};
@@ -0,0 +1,42 @@
+import { useEffect, useRef, useState } from 'react';
+
+// How long a card stays highlighted after its price moves
+const FLASH_MS = 800;
+
+// { symbol: 'up' | 'down' } for stocks whose price just changed
+export const usePriceFlash = (stocks) => {
+  const [flashes, setFlashes] = useState({});
+  const previousRef = useRef({});
+  const timersRef = useRef([]);
+
+  useEffect(() => {
+    const previous = previousRef.current;
+    const changed = {};
+    stocks.forEach(stock => {
+      const before = previous[stock.symbol];
+      if (before !== undefined && before !== stock.currentPrice) {
+        changed[stock.symbol] = stock.currentPrice > before ? 'up' : 'down';
+      }
+    });
+    previousRef.current = Object.fromEntries(stocks.map(stock => [stock.symbol, stock.currentPrice]));
+    if (Object.keys(changed).length === 0) return;
+
+    setFlashes(prev => ({ ...prev, ...changed }));
+    // Each batch clears its own highlights, unless a newer move replaced them
+    const timer = setTimeout(() => {
+      timersRef.current = timersRef.current.filter(item => item !== timer);
+      setFlashes(prev => {
+        const next = { ...prev };
+        Object.keys(changed).forEach(symbol => {
+          if (next[symbol] === changed[symbol]) delete next[symbol];
+        });
+        return next;
+      });
+    }, FLASH_MS);
+    timersRef.current.push(timer);
+  }, [stocks]);
+
+  useEffect(() => () => timersRef.current.forEach(clearTimeout), []);
+
+  return flashes;
+};
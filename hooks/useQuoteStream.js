@@ -0,0 +1,39 @@
+import { useEffect, useRef, useState } from 'react';
+import { applyQuotes } from '../data/quoteStream.js';
+
+// How often buffered quotes are folded into the histories
+const FLUSH_MS = 1000;
+
+// Subscribes to a live quote stream for the loaded symbols and applies ticks to
+// the histories in batches, so a busy feed re-renders at most once per flush.
+// Returns the connection status ('off' without a stream).
+export const useQuoteStream = (stream, histories, setHistories) => {
+  const [status, setStatus] = useState(stream ? 'connecting' : 'off');
+  const historiesRef = useRef(histories);
+  historiesRef.current = histories;
+  const symbolsKey = Object.keys(histories).sort().join(',');
+
+  useEffect(() => {
+    if (!stream || !symbolsKey) return undefined;
+    const buffer = [];
+    const lastPrice = (symbol) => historiesRef.current[symbol]?.at(-1)?.close;
+    const unsubscribe = stream.subscribe(symbolsKey.split(','), {
+      onQuote: (quote) => buffer.push(quote),
+      onStatus: setStatus,
+      lastPrice
+    });
+
+    const flush = setInterval(() => {
+      if (buffer.length === 0) return;
+      const quotes = buffer.splice(0);
+      setHistories(prev => applyQuotes(prev, quotes));
+    }, FLUSH_MS);
+
+    return () => {
+      clearInterval(flush);
+      unsubscribe();
+    };
+  }, [stream, symbolsKey]);
+
+  return status;
+};
@@ -0,0 +1,26 @@
+import { useEffect, useState } from 'react';
+import { TIMEFRAMES, isIntraday } from '../data/marketData.js';
+
+// Intraday bars for one symbol and interval, reloaded on every refresh
+// (`refreshKey`). The previous bars stay up while a refresh is in flight;
+// daily bars come from the main history, so '1d' loads nothing.
+export const useTimeframeHistory = (provider, symbol, interval, refreshKey) => {
+  const [state, setState] = useState({ key: null, bars: null, error: null });
+  const key = `${symbol}:${interval}`;
+
+  useEffect(() => {
+    if (!symbol || !isIntraday(interval)) return undefined;
+    let cancelled = false;
+    provider.getHistory(symbol, { days: TIMEFRAMES[interval].days, interval })
+      .then(bars => !cancelled && setState({ key, bars, error: null }))
+      .catch(err => !cancelled && setState({ key, bars: null, error: err.message }));
+    return () => { cancelled = true; };
+  }, [provider, key, refreshKey]);
+
+  const current = state.key === key;
+  return {
+    bars: current ? state.bars : null,
+    error: current ? state.error : null,
+    loading: Boolean(symbol) && isIntraday(interval) && !current
+  };
+};
@@ -0,0 +1,83 @@
+// Local HTTP mock of a market data service. Serves seeded OHLCV history so
+// the dashboard can run against the http provider without a real feed:
+//   GET /history/:symbol?days=60&interval=1d  ->  { symbol, interval, bars: [...] }
+// `interval` is 1d (default), 15m, 5m or 1m; `days` counts trading sessions.
+//   GET /stream?symbols=CBA.AX,BHP.AX  ->  Server-Sent Events, one `quote` event
+//   ({ symbol, price, volume, time }) per simulated trade while the market trades
+import http from 'node:http';
+import { generateSeededBars, generateSeededIntradayBars } from '../data/simulate.js';
+import { marketClock, isTradingPhase } from '../data/asxCalendar.js';
+
+const INTERVAL_MINUTES = { '1m': 1, '5m': 5, '15m': 15 };
+
+// Milliseconds between simulated trades on a quote stream
+const TICK_MS = 250;
+
+const port = Number(process.env.MOCK_MARKET_PORT) || 8787;
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*'
+  });
+  res.end(JSON.stringify(body));
+};
+
+// Random-walk trades starting from each symbol's latest seeded close. Outside
+// the session (and the closing auction) the stream stays open but quiet.
+const streamQuotes = (req, res, symbols) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'Access-Control-Allow-Origin': '*'
+  });
+
+  const prices = Object.fromEntries(symbols.map(symbol => [symbol, generateSeededBars(symbol, { days: 1 })[0].close]));
+  const timer = setInterval(() => {
+    if (!isTradingPhase(marketClock())) return;
+    const symbol = symbols[Math.floor(Math.random() * symbols.length)];
+    prices[symbol] *= 1 + (Math.random() - 0.5) * 0.004;
+    const quote = { symbol, price: prices[symbol], volume: Math.floor(Math.random() * 5000) + 100, time: Date.now() };
+    res.write(`event: quote\ndata: ${JSON.stringify(quote)}\n\n`);
+  }, TICK_MS);
+
+  req.on('close', () => clearInterval(timer));
+};
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://localhost:${port}`);
+
+  if (req.method === 'GET' && url.pathname === '/stream') {
+    const symbols = (url.searchParams.get('symbols') ?? '').split(',').filter(Boolean);
+    if (symbols.length === 0) {
+      send(res, 400, { error: 'No symbols to stream' });
+      return;
+    }
+    streamQuotes(req, res, symbols);
+    return;
+  }
+  const match = url.pathname.match(/^\/history\/([^/]+)$/);
+
+  if (req.method !== 'GET' || !match) {
+    send(res, 404, { error: 'Not found' });
+    return;
+  }
+
+  const symbol = decodeURIComponent(match[1]);
+  const days = Math.min(Number(url.searchParams.get('days')) || 60, 2000);
+  const interval = url.searchParams.get('interval') ?? '1d';
+  if (interval !== '1d' && !INTERVAL_MINUTES[interval]) {
+    send(res, 400, { error: `Unsupported interval: ${interval}` });
+    return;
+  }
+
+  const bars = interval === '1d'
+    ? generateSeededBars(symbol, { days })
+    : generateSeededIntradayBars(symbol, { days: Math.min(days, 20), interval: INTERVAL_MINUTES[interval] });
+  send(res, 200, { symbol, interval, bars });
+});
+
+server.listen(port, () => {
+  console.log(`Mock market data server on http://localhost:${port}`);
+});
@@ -0,0 +1,104 @@
+// Paper-trading simulator. Positions are long-only and plain data so the whole
+// trade history can be persisted:
+//   { id, symbol, quantity, entryPrice, stopLoss, takeProfit, openedAt, entryBarDate,
+//     lastBarDate, lastPrice, status: 'open' | 'closed', exitPrice, closedAt, exitReason }
+
+export const openPosition = ({ symbol, quantity, entryPrice, stopLoss, takeProfit, stock, note = '' }, now = Date.now()) => {
+  const barDate = stock.dates[stock.dates.length - 1];
+  return {
+    id: `pt-${now.toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    symbol,
+    quantity,
+    entryPrice,
+    stopLoss,
+    takeProfit,
+    note,
+    openedAt: now,
+    entryBarDate: barDate,
+    lastBarDate: barDate,
+    lastPrice: entryPrice,
+    status: 'open',
+    exitPrice: null,
+    closedAt: null,
+    exitReason: null
+  };
+};
+
+export const closePosition = (position, exitPrice, exitReason, now = Date.now()) => ({
+  ...position,
+  status: 'closed',
+  exitPrice,
+  lastPrice: exitPrice,
+  closedAt: now,
+  exitReason
+});
+
+// Check an open position against the bars since it was last checked and the
+// latest price. The bar it was last checked on is checked again, as its high and
+// low may have moved since; the entry bar isn't, as its range includes prices
+// from before the entry. A bar that reaches both levels is treated as stopped
+// out (the conservative assumption), and a gap through a level on a new bar
+// fills at the open.
+export const updatePosition = (position, stock, now = Date.now()) => {
+  if (position.status !== 'open' || !stock) return position;
+  const { stopLoss, takeProfit } = position;
+
+  const bars = stock.bars.filter(bar => bar.date >= position.lastBarDate && bar.date !== position.entryBarDate);
+  for (const bar of bars) {
+    // The position was already open at the open of the bar it was last checked on
+    const open = bar.date === position.lastBarDate ? null : bar.open;
+    if (stopLoss && bar.low <= stopLoss) {
+      return closePosition(position, Math.min(open ?? stopLoss, stopLoss), 'Stop-loss', now);
+    }
+    if (takeProfit && bar.high >= takeProfit) {
+      return closePosition(position, Math.max(open ?? takeProfit, takeProfit), 'Take-profit', now);
+    }
+  }
+
+  const price = stock.currentPrice;
+  if (stopLoss && price <= stopLoss) return closePosition(position, price, 'Stop-loss', now);
+  if (takeProfit && price >= takeProfit) return closePosition(position, price, 'Take-profit', now);
+
+  return {
+    ...position,
+    lastPrice: price,
+    lastBarDate: stock.dates[stock.dates.length - 1] ?? position.lastBarDate
+  };
+};
+
+export const positionPnl = (position) => {
+  const price = position.status === 'closed' ? position.exitPrice : position.lastPrice;
+  const pnl = (price - position.entryPrice) * position.quantity;
+  return { pnl, pnlPercent: ((price - position.entryPrice) / position.entryPrice) * 100 };
+};
+
+export const summariseTrades = (positions) => {
+  const closed = positions.filter(position => position.status === 'closed');
+  const open = positions.filter(position => position.status === 'open');
+  const realised = closed.reduce((sum, position) => sum + positionPnl(position).pnl, 0);
+  const unrealised = open.reduce((sum, position) => sum + positionPnl(position).pnl, 0);
+  const wins = closed.filter(position => positionPnl(position).pnl > 0).length;
+
+  return {
+    openCount: open.length,
+    closedCount: closed.length,
+    realised,
+    unrealised,
+    winRate: closed.length > 0 ? (wins / closed.length) * 100 : 0
+  };
+};
+
+// Suggested ticket for a stock: the risk calculator's plan when it sizes a trade,
+// otherwise stop one ATR below and target two ATRs above (2R)
+export const suggestTicket = (stock, plan = null, capital = 10000) => {
+  if (plan && plan.quantity > 0) {
+    return { entryPrice: plan.entry, stopLoss: plan.stop, takeProfit: plan.target, quantity: plan.quantity };
+  }
+  const risk = stock.atr > 0 ? stock.atr : stock.currentPrice * 0.01;
+  return {
+    entryPrice: stock.currentPrice,
+    stopLoss: Math.max(stock.currentPrice - risk, 0.01),
+    takeProfit: stock.currentPrice + 2 * risk,
+    quantity: Math.max(1, Math.floor(capital / stock.currentPrice))
+  };
+};
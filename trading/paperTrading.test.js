@@ -0,0 +1,97 @@
+import { describe, it, expect, vi } from 'vitest';
+import { openPosition, updatePosition, positionPnl } from './paperTrading.js';
+import { buildStockData } from '../analysis/stockAnalysis.js';
+
+// Friday 16 Oct 2026 after the close, and the Monday session after it (Sydney is UTC+11)
+const FRIDAY = new Date('2026-10-16T06:30:00Z');
+const MONDAY = new Date('2026-10-19T05:30:00Z');
+
+// Simulated stock as the dashboard would load it, from a fresh copy of the
+// simulator as after a page reload
+const loadStock = async (symbol, now) => {
+  vi.resetModules();
+  const { generateSeededBars } = await import('../data/simulate.js');
+  return buildStockData(symbol, generateSeededBars(symbol, { days: 60, now }));
+};
+
+// Persisted and read back, as usePersistentState does
+const reload = (position) => JSON.parse(JSON.stringify(position));
+
+const stockWithBars = (bars, currentPrice = bars[bars.length - 1].close) => ({
+  bars,
+  dates: bars.map(bar => bar.date),
+  currentPrice
+});
+
+describe('updatePosition', () => {
+  it('marks a reloaded position against the same history across a session boundary', async () => {
+    const friday = await loadStock('CBA.AX', FRIDAY);
+    const position = openPosition({
+      symbol: 'CBA.AX', quantity: 100, entryPrice: friday.currentPrice, stopLoss: 0.01, takeProfit: 100000, stock: friday
+    }, FRIDAY.getTime());
+    expect(position.entryBarDate).toBe('2026-10-16');
+
+    const monday = await loadStock('CBA.AX', MONDAY);
+    // Friday's closed bar is the one the position was opened on
+    expect(monday.bars.find(bar => bar.date === '2026-10-16').close).toBe(position.entryPrice);
+
+    const updated = updatePosition(reload(position), monday, MONDAY.getTime());
+    expect(updated.status).toBe('open');
+    expect(updated.lastBarDate).toBe('2026-10-19');
+    expect(positionPnl(updated).pnl).toBeCloseTo((monday.currentPrice - friday.currentPrice) * 100, 8);
+  });
+
+  it('exits on the first session after a reload that reaches a level', async () => {
+    const friday = await loadStock('BHP.AX', FRIDAY);
+    const monday = await loadStock('BHP.AX', MONDAY);
+    const mondayBar = monday.bars[monday.bars.length - 1];
+    // A target Monday's bar reaches
+    const takeProfit = mondayBar.high;
+    const position = openPosition({
+      symbol: 'BHP.AX', quantity: 10, entryPrice: friday.currentPrice, stopLoss: 0.01, takeProfit, stock: friday
+    }, FRIDAY.getTime());
+
+    const updated = updatePosition(reload(position), monday, MONDAY.getTime());
+    expect(updated.status).toBe('closed');
+    expect(updated.exitReason).toBe('Take-profit');
+    expect(updated.exitPrice).toBe(Math.max(mondayBar.open, takeProfit));
+  });
+
+  it('assumes the stop is hit first when a bar reaches both levels', () => {
+    const entry = stockWithBars([{ date: '2026-10-16', open: 10, high: 10.5, low: 9.5, close: 10, volume: 1000 }]);
+    const position = openPosition({ symbol: 'XYZ.AX', quantity: 1, entryPrice: 10, stopLoss: 9, takeProfit: 11, stock: entry });
+    const next = stockWithBars([...entry.bars, { date: '2026-10-19', open: 10, high: 11.5, low: 8.5, close: 10, volume: 1000 }]);
+
+    expect(updatePosition(position, next)).toMatchObject({ status: 'closed', exitReason: 'Stop-loss', exitPrice: 9 });
+  });
+
+  it('re-checks the final range of the bar it was last checked on', () => {
+    const entry = stockWithBars([{ date: '2026-10-16', open: 10, high: 10.5, low: 9.5, close: 10, volume: 1000 }]);
+    const position = openPosition({ symbol: 'XYZ.AX', quantity: 1, entryPrice: 10, stopLoss: 9, takeProfit: 12, stock: entry });
+    const monday = { date: '2026-10-19', open: 10, high: 10.6, low: 9.8, close: 10.4, volume: 1000 };
+    const checked = updatePosition(position, stockWithBars([...entry.bars, monday]));
+    expect(checked).toMatchObject({ status: 'open', lastBarDate: '2026-10-19' });
+
+    // Monday's last quotes, after the check, reached the target before easing
+    // back, and the next check is from Tuesday's first tick
+    const final = { ...monday, high: 12.3, close: 11.8 };
+    const tuesday = { date: '2026-10-20', open: 11.8, high: 11.9, low: 11.7, close: 11.8, volume: 100 };
+    expect(updatePosition(checked, stockWithBars([...entry.bars, final, tuesday])))
+      .toMatchObject({ status: 'closed', exitReason: 'Take-profit', exitPrice: 12 });
+  });
+
+  it('does not exit on the part of the entry bar before the entry', () => {
+    const entry = stockWithBars([{ date: '2026-10-16', open: 10, high: 10.5, low: 8.5, close: 10, volume: 1000 }]);
+    const position = openPosition({ symbol: 'XYZ.AX', quantity: 1, entryPrice: 10, stopLoss: 9, takeProfit: 11, stock: entry });
+
+    expect(updatePosition(position, entry)).toMatchObject({ status: 'open', lastPrice: 10 });
+  });
+
+  it('fills a gap through the stop at the open', () => {
+    const entry = stockWithBars([{ date: '2026-10-16', open: 10, high: 10.5, low: 9.5, close: 10, volume: 1000 }]);
+    const position = openPosition({ symbol: 'XYZ.AX', quantity: 1, entryPrice: 10, stopLoss: 9, takeProfit: 11, stock: entry });
+    const next = stockWithBars([...entry.bars, { date: '2026-10-19', open: 8, high: 8.5, low: 7.5, close: 8, volume: 1000 }]);
+
+    expect(updatePosition(position, next)).toMatchObject({ status: 'closed', exitReason: 'Stop-loss', exitPrice: 8 });
+  });
+});
@@ -0,0 +1,193 @@
+// Portfolio holdings built from imported broker trades. Trades are plain data so
+// they can be persisted:
+//   { id, date, symbol: 'CBA.AX', side: 'buy' | 'sell', quantity, price, brokerage }
+// Holdings snapshots (units + average price) import as one buy per line.
+import { parseCsvTable } from '../data/csv.js';
+import { normaliseSymbol } from '../data/universe.js';
+
+// Trade fields a generic CSV can map columns onto, with the header names tried first
+export const TRADE_FIELDS = {
+  symbol: { label: 'Code', required: true, aliases: ['code', 'symbol', 'ticker', 'asx code', 'security'] },
+  quantity: { label: 'Quantity', required: true, aliases: ['quantity', 'units', 'qty', 'avail units', 'shares', 'volume'] },
+  price: { label: 'Price', required: true, aliases: ['price', 'average price', 'avg price', 'purchase $', 'purchase price', 'cost price', 'unit price'] },
+  side: { label: 'Buy/Sell', required: false, aliases: ['side', 'action', 'type', 'buy/sell', 'transaction type'] },
+  date: { label: 'Date', required: false, aliases: ['date', 'trade date', 'transaction date', 'as at'] },
+  brokerage: { label: 'Brokerage', required: false, aliases: ['brokerage', 'fees', 'commission', 'brokerage $'] }
+};
+
+const lower = (header) => header.map(col => col.toLowerCase());
+const findColumn = (header, aliases) => lower(header).findIndex(col => aliases.includes(col));
+
+// Best-guess column mapping for a header: { field: columnIndex | -1 }
+export const guessMapping = (header, fields = TRADE_FIELDS) => (
+  Object.fromEntries(Object.entries(fields).map(([field, { aliases }]) => [field, findColumn(header, aliases)]))
+);
+
+const parseNumber = (value) => {
+  const number = parseFloat(String(value ?? '').replace(/[$,\s]/g, ''));
+  return Number.isFinite(number) ? number : null;
+};
+
+// '25/03/2024' (AU) or '2024-03-25' -> '2024-03-25'
+const parseDate = (value) => {
+  const text = String(value ?? '').trim();
+  const au = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+  if (au) return `${au[3]}-${au[2].padStart(2, '0')}-${au[1].padStart(2, '0')}`;
+  return /^\d{4}-\d{2}-\d{2}/.test(text) ? text.slice(0, 10) : null;
+};
+
+const parseSide = (value) => (/^\s*(s|sell|sold)\b/i.test(String(value ?? '')) ? 'sell' : 'buy');
+
+// Exports list trades in the order they were made or newest first; either way
+// trades keep their order within a day, so flip newest-first lists over
+const oldestFirst = (trades) => {
+  const dated = trades.filter(trade => trade.date);
+  const newestFirst = dated.length > 1 && dated[0].date > dated[dated.length - 1].date;
+  return newestFirst ? [...trades].reverse() : trades;
+};
+
+let nextId = 0;
+const tradeId = () => `tr-${Date.now().toString(36)}-${(nextId++).toString(36)}`;
+
+// Trades from rows via a column mapping; rows without a code, quantity or price are skipped
+export const mapTrades = ({ header, rows }, mapping) => {
+  const missing = Object.entries(TRADE_FIELDS)
+    .filter(([field, { required }]) => required && !(mapping[field] >= 0))
+    .map(([, { label }]) => label);
+  if (missing.length > 0) throw new Error(`Map a column for: ${missing.join(', ')}`);
+
+  const cell = (cells, field) => (mapping[field] >= 0 ? cells[mapping[field]] : undefined);
+  return oldestFirst(rows.map(cells => ({
+    id: tradeId(),
+    date: parseDate(cell(cells, 'date')),
+    symbol: cell(cells, 'symbol') ? normaliseSymbol(cell(cells, 'symbol')) : null,
+    side: parseSide(cell(cells, 'side')),
+    quantity: Math.abs(parseNumber(cell(cells, 'quantity')) ?? 0),
+    price: parseNumber(cell(cells, 'price')),
+    brokerage: parseNumber(cell(cells, 'brokerage')) ?? 0
+  })).filter(trade => trade.symbol && trade.quantity > 0 && trade.price > 0));
+};
+
+// CommSec transaction history: Details such as 'B 100 CBA @ 95.500000' with the
+// settled amount (brokerage included) in the Debit/Credit columns
+const parseCommsecTransactions = ({ header, rows }) => {
+  const details = findColumn(header, ['details']);
+  const debit = findColumn(header, ['debit($)', 'debit']);
+  const credit = findColumn(header, ['credit($)', 'credit']);
+  const date = findColumn(header, ['date']);
+
+  return oldestFirst(rows.map(cells => {
+    const match = String(cells[details] ?? '').match(/^\s*([BS])\s+([\d,]+)\s+([A-Z0-9]+)\s+@\s+([\d.]+)/i);
+    if (!match) return null;
+    const side = match[1].toUpperCase() === 'S' ? 'sell' : 'buy';
+    const quantity = parseNumber(match[2]);
+    const price = parseNumber(match[4]);
+    const settled = parseNumber(side === 'buy' ? cells[debit] : cells[credit]);
+    const consideration = quantity * price;
+    const brokerage = settled === null ? 0 : Math.max(side === 'buy' ? settled - consideration : consideration - settled, 0);
+    return { id: tradeId(), date: parseDate(cells[date]), symbol: normaliseSymbol(match[3]), side, quantity, price, brokerage };
+  }).filter(Boolean));
+};
+
+// Broker export presets. Column-based presets reuse the generic mapper with
+// their own header names; `detect` picks the preset for an uploaded header.
+export const BROKER_FORMATS = {
+  commsecTransactions: {
+    label: 'CommSec transactions',
+    detect: (header) => findColumn(header, ['details']) >= 0 && findColumn(header, ['reference']) >= 0,
+    parse: parseCommsecTransactions
+  },
+  commsecHoldings: {
+    label: 'CommSec holdings',
+    detect: (header) => findColumn(header, ['avail units']) >= 0,
+    parse: (table) => mapTrades(table, {
+      ...guessMapping(table.header),
+      price: findColumn(table.header, ['purchase $', 'purchase price']),
+      side: -1,
+      date: -1
+    })
+  },
+  selfwealth: {
+    label: 'SelfWealth trades',
+    detect: (header) => findColumn(header, ['trade date']) >= 0 && findColumn(header, ['action']) >= 0,
+    parse: (table) => mapTrades(table, guessMapping(table.header))
+  },
+  generic: {
+    label: 'Generic (map columns)',
+    detect: () => true,
+    parse: (table, mapping) => mapTrades(table, mapping ?? guessMapping(table.header))
+  }
+};
+
+export const readTradesCsv = (text) => {
+  const table = parseCsvTable(text);
+  const format = Object.keys(BROKER_FORMATS).find(key => BROKER_FORMATS[key].detect(table.header));
+  return { table, format };
+};
+
+// Average-cost holdings. Brokerage is added to the cost base on buys; a sale
+// releases its share of the cost base and books the difference as realised P&L.
+// Trades replay by date; exports only date trades, so within a day they keep the
+// order they were imported in (oldest first, see oldestFirst).
+export const buildHoldings = (trades) => {
+  const sorted = [...trades].sort((a, b) => (a.date ?? '').localeCompare(b.date ?? ''));
+  const positions = {};
+
+  sorted.forEach(trade => {
+    const position = positions[trade.symbol] ?? { symbol: trade.symbol, quantity: 0, costBase: 0, realised: 0, trades: 0 };
+    position.trades += 1;
+    if (trade.side === 'buy') {
+      position.quantity += trade.quantity;
+      position.costBase += trade.quantity * trade.price + trade.brokerage;
+    } else {
+      const sold = Math.min(trade.quantity, position.quantity);
+      const released = position.quantity > 0 ? (position.costBase * sold) / position.quantity : 0;
+      position.realised += sold * trade.price - trade.brokerage - released;
+      position.quantity -= sold;
+      position.costBase -= released;
+    }
+    positions[trade.symbol] = position;
+  });
+
+  return Object.values(positions).map(position => ({
+    ...position,
+    averageCost: position.quantity > 0 ? position.costBase / position.quantity : 0
+  }));
+};
+
+// Mark holdings to the analysed stocks; symbols outside the universe have no price
+export const valueHoldings = (holdings, stocks) => {
+  const bySymbol = Object.fromEntries(stocks.map(stock => [stock.symbol, stock]));
+  const valued = holdings.filter(holding => holding.quantity > 0).map(holding => {
+    const stock = bySymbol[holding.symbol] ?? null;
+    const marketValue = stock ? holding.quantity * stock.currentPrice : null;
+    const unrealised = stock ? marketValue - holding.costBase : null;
+    return {
+      ...holding,
+      stock,
+      marketValue,
+      unrealised,
+      unrealisedPercent: stock && holding.costBase > 0 ? (unrealised / holding.costBase) * 100 : null
+    };
+  });
+
+  const totalValue = valued.reduce((sum, holding) => sum + (holding.marketValue ?? 0), 0);
+  return valued
+    .map(holding => ({
+      ...holding,
+      weight: holding.marketValue !== null && totalValue > 0 ? (holding.marketValue / totalValue) * 100 : null
+    }))
+    .sort((a, b) => (b.marketValue ?? 0) - (a.marketValue ?? 0));
+};
+
+export const summariseHoldings = (valued, holdings) => {
+  const priced = valued.filter(holding => holding.stock);
+  return {
+    marketValue: priced.reduce((sum, holding) => sum + holding.marketValue, 0),
+    costBase: priced.reduce((sum, holding) => sum + holding.costBase, 0),
+    unrealised: priced.reduce((sum, holding) => sum + holding.unrealised, 0),
+    realised: holdings.reduce((sum, holding) => sum + holding.realised, 0),
+    unpriced: valued.length - priced.length,
+    bearish: priced.filter(holding => holding.stock.prediction === 'BEARISH').length
+  };
+};
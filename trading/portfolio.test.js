@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import { BROKER_FORMATS, buildHoldings, readTradesCsv } from './portfolio.js';
+
+// CommSec transaction history lists the newest transaction first
+const COMMSEC_CSV = [
+  'Date,Reference,Details,Debit($),Credit($),Balance($)',
+  '21/10/2026,C1003,S 100 CBA @ 120.000000,,11990.05,11990.05',
+  '21/10/2026,C1002,B 100 CBA @ 118.000000,11809.95,,0.00',
+  '20/10/2026,C1001,B 50 BHP @ 40.000000,2009.95,,11809.95'
+].join('\n');
+
+const importCommsec = () => {
+  const { table, format } = readTradesCsv(COMMSEC_CSV);
+  expect(format).toBe('commsecTransactions');
+  return BROKER_FORMATS[format].parse(table);
+};
+
+describe('buildHoldings', () => {
+  it('closes a same-day round trip from a newest-first export', () => {
+    const holdings = buildHoldings(importCommsec());
+    const cba = holdings.find(holding => holding.symbol === 'CBA.AX');
+
+    expect(cba.quantity).toBe(0);
+    expect(cba.costBase).toBeCloseTo(0, 8);
+    // (100 x 120 - 9.95) - (100 x 118 + 9.95)
+    expect(cba.realised).toBeCloseTo(180.1, 8);
+  });
+
+  it('keeps average cost with brokerage in the cost base', () => {
+    const bhp = buildHoldings(importCommsec()).find(holding => holding.symbol === 'BHP.AX');
+    expect(bhp.quantity).toBe(50);
+    expect(bhp.averageCost).toBeCloseTo(2009.95 / 50, 8);
+  });
+
+  it('replays a same-day sell and re-buy in the order they were made', () => {
+    const [holding] = buildHoldings([
+      { date: '2026-10-20', symbol: 'CBA.AX', side: 'buy', quantity: 100, price: 100, brokerage: 0 },
+      { date: '2026-10-21', symbol: 'CBA.AX', side: 'sell', quantity: 100, price: 120, brokerage: 0 },
+      { date: '2026-10-21', symbol: 'CBA.AX', side: 'buy', quantity: 100, price: 115, brokerage: 0 }
+    ]);
+    expect(holding.quantity).toBe(100);
+    expect(holding.averageCost).toBeCloseTo(115, 8);
+    expect(holding.realised).toBeCloseTo(100 * (120 - 100), 8);
+  });
+
+  it('reverses a newest-first export before replaying a same-day sell and re-buy', () => {
+    const { table, format } = readTradesCsv([
+      'Trade Date,Action,Code,Quantity,Price,Brokerage',
+      '2026-10-21,Buy,CBA,100,115,0',
+      '2026-10-21,Sell,CBA,100,120,0',
+      '2026-10-20,Buy,CBA,100,100,0'
+    ].join('\n'));
+    expect(format).toBe('selfwealth');
+    const [holding] = buildHoldings(BROKER_FORMATS[format].parse(table));
+    expect(holding.quantity).toBe(100);
+    expect(holding.averageCost).toBeCloseTo(115, 8);
+    expect(holding.realised).toBeCloseTo(2000, 8);
+  });
+
+  it('releases average cost on a partial sale', () => {
+    const [holding] = buildHoldings([
+      { date: '2026-10-20', symbol: 'CBA.AX', side: 'buy', quantity: 100, price: 100, brokerage: 0 },
+      { date: '2026-10-21', symbol: 'CBA.AX', side: 'buy', quantity: 100, price: 110, brokerage: 0 },
+      { date: '2026-10-22', symbol: 'CBA.AX', side: 'sell', quantity: 50, price: 120, brokerage: 0 }
+    ]);
+    expect(holding.quantity).toBe(150);
+    expect(holding.averageCost).toBeCloseTo(105, 8);
+    expect(holding.realised).toBeCloseTo(50 * (120 - 105), 8);
+  });
+});
@@ -0,0 +1,101 @@
+// Fixed-fractional position sizing with a Kelly cap, brokerage and ASX parcel
+// rules, so a suggested trade can actually be placed as sized. The Kelly cap and
+// expected value are a heuristic: they take the stock's gain probability (the
+// chance of a next-session gain of at least the win threshold) as the chance of
+// reaching the target before the stop, which nothing has measured.
+
+export const DEFAULT_RISK_SETTINGS = {
+  accountSize: 50000,
+  riskPercent: 1,
+  stopMethod: 'atr', // atr, swingLow
+  atrMultiple: 1.5,
+  rewardRisk: 2,
+  kellyMultiplier: 0.5,
+  brokerageFlat: 9.5,
+  brokeragePercent: 0,
+  minParcel: 500
+};
+
+export const STOP_METHODS = {
+  atr: 'ATR multiple',
+  swingLow: 'Recent swing low'
+};
+
+// Brokerage on one side of a trade: the greater of the flat fee and the percentage
+export const brokerage = (value, settings) => (
+  value > 0 ? Math.max(settings.brokerageFlat, (value * settings.brokeragePercent) / 100) : 0
+);
+
+// Kelly fraction of capital to risk for win probability p at a reward:risk of b
+export const kellyFraction = (p, b) => (b > 0 ? p - (1 - p) / b : 0);
+
+const stopPrice = (stock, settings) => {
+  const atrStop = stock.currentPrice - settings.atrMultiple * stock.atr;
+  // Fall back to the ATR stop when the swing low is not below the price
+  if (settings.stopMethod === 'swingLow' && stock.support < stock.currentPrice) return stock.support;
+  return atrStop;
+};
+
+// Dollar loss if stopped out, including brokerage on entry and exit
+const lossAtStop = (quantity, entry, stop, settings) => (
+  quantity * (entry - stop) + brokerage(quantity * entry, settings) + brokerage(quantity * stop, settings)
+);
+
+export const sizePosition = (stock, settings = DEFAULT_RISK_SETTINGS) => {
+  const entry = stock.currentPrice;
+  const stop = Math.max(stopPrice(stock, settings), 0);
+  const stopDistance = entry - stop;
+  const target = entry + settings.rewardRisk * stopDistance;
+  const warnings = [];
+
+  // Stand-in for P(target before stop); see the note at the top
+  const probability = stock.gainProbability / 100;
+  const kelly = kellyFraction(probability, settings.rewardRisk);
+  if (!(stopDistance > 0)) warnings.push('No usable stop distance for this stock');
+  const riskBudget = (settings.accountSize * settings.riskPercent) / 100;
+  const kellyBudget = Math.max(kelly, 0) * settings.kellyMultiplier * settings.accountSize;
+  const budget = Math.min(riskBudget, kellyBudget);
+  if (kelly <= 0) warnings.push('No edge: the gain probability does not justify this reward:risk (Kelly ≤ 0)');
+  else if (kellyBudget < riskBudget) warnings.push('Risk reduced to the Kelly cap');
+
+  // Largest quantity whose stopped-out loss fits the budget, without leverage
+  let low = 0;
+  let high = stopDistance > 0 ? Math.floor(settings.accountSize / entry) : 0;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (lossAtStop(mid, entry, stop, settings) <= budget) low = mid;
+    else high = mid - 1;
+  }
+  let quantity = low;
+
+  const minParcelQuantity = Math.ceil(settings.minParcel / entry);
+  if (quantity > 0 && quantity < minParcelQuantity) {
+    warnings.push(`Below the $${settings.minParcel} minimum marketable parcel (needs ${minParcelQuantity} shares)`);
+    quantity = 0;
+  }
+
+  const exposure = quantity * entry;
+  const fees = quantity > 0 ? brokerage(exposure, settings) * 2 : 0;
+  const riskAmount = quantity > 0 ? lossAtStop(quantity, entry, stop, settings) : 0;
+  const rewardAmount = quantity > 0
+    ? quantity * (target - entry) - brokerage(exposure, settings) - brokerage(quantity * target, settings)
+    : 0;
+
+  return {
+    entry,
+    stop,
+    target,
+    stopDistance,
+    quantity,
+    minParcelQuantity,
+    exposure,
+    exposurePercent: settings.accountSize > 0 ? (exposure / settings.accountSize) * 100 : 0,
+    fees,
+    riskAmount,
+    rewardAmount,
+    probability,
+    expectedValue: probability * rewardAmount - (1 - probability) * riskAmount,
+    kelly,
+    warnings
+  };
+};
@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_RISK_SETTINGS, brokerage, kellyFraction, sizePosition } from './positionSizing.js';
+
+// $10 stock with a $0.20 ATR: a 1.5 ATR stop sits $0.30 below the price
+const STOCK = { currentPrice: 10, atr: 0.2, support: 9.5, gainProbability: 60 };
+const SETTINGS = { ...DEFAULT_RISK_SETTINGS, brokerageFlat: 10, brokeragePercent: 0.1 };
+
+describe('brokerage', () => {
+  it('charges the flat fee as a floor and the percentage above it', () => {
+    expect(brokerage(5000, SETTINGS)).toBe(10);
+    expect(brokerage(20000, SETTINGS)).toBeCloseTo(20, 10);
+    expect(brokerage(0, SETTINGS)).toBe(0);
+  });
+});
+
+describe('kellyFraction', () => {
+  it('is p - (1 - p) / b', () => {
+    expect(kellyFraction(0.6, 2)).toBeCloseTo(0.4, 10);
+    expect(kellyFraction(0.3, 2)).toBeCloseTo(-0.05, 10);
+  });
+});
+
+describe('sizePosition', () => {
+  it('sizes to the risk budget, brokerage included', () => {
+    const plan = sizePosition(STOCK, SETTINGS);
+    expect(plan.stop).toBeCloseTo(9.7, 10);
+    expect(plan.target).toBeCloseTo(10.6, 10);
+    // $500 budget at $0.3197 a share stopped out ($0.30 plus 0.1% brokerage each way)
+    expect(plan.quantity).toBe(1563);
+    expect(plan.riskAmount).toBeCloseTo(1563 * 0.3197, 8);
+    expect(plan.fees).toBeCloseTo(brokerage(plan.exposure, SETTINGS) * 2, 10);
+  });
+
+  it('caps risk at the Kelly fraction when it is smaller', () => {
+    // p = 0.4 at 2:1 gives Kelly 0.1; half Kelly of $50,000 is $2,500 against a $5,000 risk budget.
+    // A $1 ATR puts the stop $1.50 away, $1.5185 a share with brokerage
+    const plan = sizePosition({ ...STOCK, atr: 1, gainProbability: 40 }, { ...SETTINGS, riskPercent: 10 });
+    expect(plan.kelly).toBeCloseTo(0.1, 10);
+    expect(plan.quantity).toBe(1646);
+    expect(plan.riskAmount).toBeCloseTo(1646 * 1.5185, 8);
+    expect(plan.warnings).toContain('Risk reduced to the Kelly cap');
+  });
+
+  it('takes no position without an edge', () => {
+    const plan = sizePosition({ ...STOCK, gainProbability: 30 }, SETTINGS);
+    expect(plan.quantity).toBe(0);
+    expect(plan.warnings[0]).toMatch(/No edge/);
+  });
+
+  it('refuses a parcel under the minimum', () => {
+    // A $20 risk budget less $10 brokerage buys 33 shares ($330), under the $500 minimum of 50 shares
+    const plan = sizePosition(STOCK, { ...SETTINGS, accountSize: 2000, riskPercent: 1, brokerageFlat: 5, brokeragePercent: 0 });
+    expect(plan.minParcelQuantity).toBe(50);
+    expect(plan.quantity).toBe(0);
+    expect(plan.warnings).toContain('Below the $500 minimum marketable parcel (needs 50 shares)');
+  });
+});